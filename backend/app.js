@@ -8,10 +8,13 @@ require('dotenv').config();
 // Import middleware
 const { initializeFirebase } = require('./middleware/auth');
 const { rateLimitErrorHandler } = require('./middleware/rateLimiter');
+const { resolveCustomDomain } = require('./middleware/customDomain');
 
 // Import services
 const { testConnection, initDatabase } = require('./utils/database');
 const templateEngine = require('./services/templateEngine');
+const generationWorker = require('./services/generationWorker');
+const integrationScheduler = require('./services/integrationScheduler');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -54,7 +57,8 @@ class App {
         : ['http://localhost:3000', 'http://localhost:3001'],
       credentials: true,
       methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-      allowedHeaders: ['Content-Type', 'Authorization']
+      allowedHeaders: ['Content-Type', 'Authorization'],
+      exposedHeaders: ['X-AI-Token-Limit', 'X-AI-Token-Remaining', 'X-AI-Token-Reset', 'Retry-After']
     };
     this.app.use(cors(corsOptions));
 
@@ -88,6 +92,9 @@ class App {
       res.setHeader('X-Powered-By', 'Portfolio Builder API');
       next();
     });
+
+    // Custom domains: serve the mapped portfolio before normal routing
+    this.app.use(resolveCustomDomain);
   }
 
   initializeRoutes() {
@@ -159,6 +166,7 @@ class App {
         baseUrl: `${req.protocol}://${req.get('host')}/api`,
         authentication: 'Bearer token (Firebase ID token) required for most endpoints',
         rateLimit: 'API requests are rate limited per user/IP',
+        aiQuota: 'AI endpoints draw on a monthly token budget per subscription tier. X-AI-Token-Limit, X-AI-Token-Remaining and X-AI-Token-Reset report it; an exhausted budget returns 402 (free) or 429 with Retry-After (pro)',
         
         endpoints: {
           authentication: {
@@ -175,7 +183,7 @@ class App {
             'PUT /auth/profile': {
               description: 'Update user profile',
               auth: 'required',
-              body: { username: 'string', full_name: 'string', avatar_url: 'string' }
+              body: { username: 'string', full_name: 'string', avatar_url: 'string', redact_pii: 'boolean (replace emails, phone numbers and street addresses with placeholders before prompts reach the AI provider)' }
             },
             'POST /auth/check-username': {
               description: 'Check username availability',
@@ -192,10 +200,10 @@ class App {
               response: { portfolios: 'array', pagination: 'object' }
             },
             'POST /portfolios': {
-              description: 'Create new portfolio',
+              description: 'Create new portfolio (content is validated against the template schema)',
               auth: 'required',
               body: { title: 'string', template_id: 'string', content: 'object' },
-              response: { portfolio: 'object' }
+              response: { portfolio: 'object', validation: 'object' }
             },
             'GET /portfolios/:id': {
               description: 'Get portfolio details with iterations',
@@ -203,51 +211,197 @@ class App {
               response: { portfolio: 'object', recent_iterations: 'array' }
             },
             'PUT /portfolios/:id': {
-              description: 'Update portfolio',
+              description: 'Update portfolio (content changes are saved to version history)',
+              auth: 'required (owner only)',
+              body: {
+                title: 'string',
+                content: 'object',
+                status: 'string',
+                auto_sync_projects: 'boolean (rebuild projects from curated GitHub repositories after every sync, without AI; ignored for job-tailored variants)'
+              }
+            },
+            'PUT /portfolios/:id/template': {
+              description: 'Switch template; reports missing required fields and content the new template will not render',
+              auth: 'required (owner only)',
+              body: { template_id: 'string', force: 'boolean (optional, switch despite missing required fields)' },
+              response: { portfolio: 'object', validation: 'object', unrendered_fields: 'array' }
+            },
+            'GET /portfolios/:id/theme': {
+              description: 'Get saved theme customizations, the template\'s customization options and the generated CSS',
+              auth: 'required (owner only)',
+              response: { theme: { template_id: 'string', customizations: 'object', options: 'object', css: 'string', stylesheets: 'array' } }
+            },
+            'PUT /portfolios/:id/theme': {
+              description: 'Replace theme customizations (400 with field errors for options the template does not offer)',
               auth: 'required (owner only)',
-              body: { title: 'string', content: 'object', status: 'string' }
+              body: { colors: 'object', fonts: 'object', layout: 'object', effects: 'object', custom_css: 'string (sanitized, max 20000 chars)' },
+              response: { theme: { customizations: 'object', css: 'string', stylesheets: 'array' } }
             },
             'DELETE /portfolios/:id': {
               description: 'Delete portfolio',
               auth: 'required (owner only)'
             },
             'POST /portfolios/:id/publish': {
-              description: 'Publish portfolio to make it public',
+              description: 'Publish portfolio to make it public (422 with field errors if required fields are missing)',
               auth: 'required (owner only)'
             },
             'POST /portfolios/:id/duplicate': {
               description: 'Create a copy of existing portfolio',
               auth: 'required (owner only)',
               body: { title: 'string (optional)' }
+            },
+            'GET /portfolios/:id/iterations/:iterationId': {
+              description: 'Get a single iteration including the content snapshot taken before it',
+              auth: 'required (owner only)',
+              response: { iteration: 'object' }
+            },
+            'GET /portfolios/:id/iterations/diff': {
+              description: 'Structured diff between two iteration snapshots',
+              auth: 'required (owner only)',
+              query: { from: 'iteration ID', to: 'iteration ID or "current" (default)' },
+              response: { diff: { changes: 'array', summary: 'object' } }
+            },
+            'POST /portfolios/:id/iterations/:iterationId/restore': {
+              description: 'Restore content from before an iteration (recorded as a new iteration)',
+              auth: 'required (owner only)'
+            },
+            'GET /portfolios/:id/export': {
+              description: 'Download portfolio as a static site ZIP (index.html, style.css, script.js, assets/), or convert it to a jsonresume.org document',
+              auth: 'required (owner only)',
+              query: { format: 'zip (default) | json-resume', vendor_assets: 'boolean (default true, zip only)' },
+              response: 'application/zip, or for json-resume { resume: object, report: { unmapped: array } }'
+            },
+            'GET /portfolios/:id/export/resume': {
+              description: 'Download portfolio content as an ATS-friendly single-column resume (summary, experience, projects, education, skills). PDFs only cover Latin text unless RESUME_PDF_FONT points to a Unicode TTF; 400 when the name could not be drawn',
+              auth: 'required (owner only)',
+              query: { format: 'pdf (default) | docx', style: 'classic (default) | modern', paper: 'letter (default) | a4' },
+              response: 'application/pdf or application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+            },
+            'GET /portfolios/:id/analytics': {
+              description: 'Public view analytics: daily views, unique visitors, top referrers and device breakdown',
+              auth: 'required (owner only)',
+              query: { from: 'YYYY-MM-DD (default 30 days before to)', to: 'YYYY-MM-DD (default today, inclusive)' },
+              response: { analytics: { range: 'object', total_views: 'number', unique_visitors: 'number', daily: 'array', top_referrers: 'array', devices: 'object' } }
+            },
+            'GET /portfolios/:id/domains': {
+              description: 'List custom domains with their status and required DNS records',
+              auth: 'required (owner only)',
+              response: { domains: 'array' }
+            },
+            'POST /portfolios/:id/domains': {
+              description: 'Attach a custom hostname (pending until verified; point a CNAME at the platform to serve it)',
+              auth: 'required (owner only)',
+              body: { hostname: 'string (e.g. www.example.com)' },
+              response: { domain: { hostname: 'string', status: 'string', dns_records: 'object' } }
+            },
+            'POST /portfolios/:id/domains/:domainId/verify': {
+              description: 'Check the _portfolio-builder TXT record and activate the domain when it matches',
+              auth: 'required (owner only)',
+              response: { verified: 'boolean', domain: 'object' }
+            },
+            'DELETE /portfolios/:id/domains/:domainId': {
+              description: 'Detach a custom domain',
+              auth: 'required (owner only)'
+            },
+            'GET /portfolios/:id/messages': {
+              description: 'List contact form messages sent to portfolio',
+              auth: 'required (owner only)',
+              query: { page: 'number', limit: 'number', unread: 'boolean' },
+              response: { messages: 'array', unread_count: 'number', pagination: 'object' }
+            },
+            'POST /portfolios/:id/messages/:messageId/read': {
+              description: 'Mark contact message as read',
+              auth: 'required (owner only)',
+              body: { is_read: 'boolean (optional, default true)' }
+            },
+            'DELETE /portfolios/:id/messages/:messageId': {
+              description: 'Delete contact message',
+              auth: 'required (owner only)'
             }
           },
           
           ai: {
             'POST /ai/generate': {
-              description: 'Generate new portfolio using AI from multiple sources',
+              description: 'Queue portfolio generation from multiple sources (202, poll the job for the result)',
               auth: 'required',
               body: {
                 sources: [
                   { type: 'github', data: { username: 'string', access_token: 'string' } },
                   { type: 'resume', data: { text: 'string' } },
+                  { type: 'resume', data: { json_resume: 'jsonresume.org document (imported without an AI call when it is the only source)' } },
                   { type: 'prompt', data: { description: 'string' } }
                 ],
                 template_id: 'string (optional)',
                 preferences: 'object (optional)'
               },
-              response: { portfolio: 'object', metadata: 'object' }
+              response: { job: 'object' }
+            },
+            'POST /ai/generate/stream': {
+              description: 'Queue a generation job like POST /ai/generate and stream its progress as Server-Sent Events over the response (read it with fetch; disconnecting leaves the job running, to be followed again at GET /ai/jobs/:id/stream)',
+              auth: 'required',
+              body: 'same as POST /ai/generate',
+              events: {
+                job: 'the queued job',
+                progress: '{ stage, percent, sources: [{ type, status, message, error }] }',
+                section: '{ section, content } as each section of the AI response arrives',
+                complete: 'the job result (portfolio, metadata, validation)',
+                error: '{ error, message }'
+              }
+            },
+            'GET /ai/jobs': {
+              description: 'List generation jobs, newest first',
+              auth: 'required',
+              query: { limit: 'number (optional, max 100)', offset: 'number (optional)' },
+              response: { jobs: 'array', pagination: 'object' }
+            },
+            'GET /ai/jobs/:id': {
+              description: 'Generation job status, per-source progress, result (portfolio, metadata, validation) or error. metadata.repairs reports schema repair retries and any problems left in the AI output',
+              auth: 'required (owner only)',
+              response: { job: { status: 'queued|running|completed|failed|cancelled', progress: { stage: 'string', percent: 'number', sources: 'array' }, result: 'object|null', error: 'string|null' } }
+            },
+            'GET /ai/jobs/:id/stream': {
+              description: 'Follow a generation job as Server-Sent Events (works with EventSource); a finished job gets its final event straight away',
+              auth: 'required (owner only)',
+              events: 'same as POST /ai/generate/stream'
+            },
+            'POST /ai/jobs/:id/cancel': {
+              description: 'Cancel a queued or running generation job (409 once finished)',
+              auth: 'required (owner only)',
+              response: { job: 'object' }
             },
             'POST /ai/iterate/:id': {
               description: 'Enhance existing portfolio with AI based on prompt',
               auth: 'required (owner only)',
               body: { prompt: 'string', section: 'string (optional)', iteration_type: 'string' },
-              response: { changes: 'object', metadata: 'object' }
+              response: { changes: 'object', metadata: '{ tokens_used, processing_time_ms, repairs: { attempts, repaired, remaining_errors } }' }
+            },
+            'GET|POST /ai/iterate/:id/stream': {
+              description: 'Enhance a portfolio, streaming progress as Server-Sent Events over the response. GET (for EventSource) takes prompt and section as query parameters, POST in the body. Disconnecting stops the iteration before it saves anything',
+              auth: 'required (owner only)',
+              body: { prompt: 'string', section: 'string (optional)' },
+              events: {
+                progress: '{ stage, percent }',
+                section: '{ section, content }',
+                complete: 'same payload as POST /ai/iterate/:id',
+                error: '{ error, message }'
+              }
+            },
+            'GET /ai/usage': {
+              description: 'Token usage from the AI ledger and the monthly budget for the subscription tier',
+              auth: 'required',
+              response: { usage: { total_tokens_used: 'number', monthly_tokens_used: 'number', monthly_by_task: 'array', quota: '{ limit, used, reserved (held for AI calls and generation jobs in progress), remaining, period_start, resets_at }', privacy: '{ redact_pii, monthly_redacted_entities: { email, phone, address } }' } }
+            },
+            'POST /ai/tailor/:id': {
+              description: 'Create a draft variant of a portfolio tailored to a job description (hero rewritten, projects and skills reordered, nothing invented)',
+              auth: 'required (owner only)',
+              body: { job_description: 'string (50-20000 chars)', title: 'string (optional)', company: 'string (optional, used in the default title)' },
+              response: { portfolio: 'object (with parent_portfolio_id)', changes: 'object', match_report: '{ total_requirements, covered: [{ requirement, found_in }], missing, coverage_percent }', metadata: 'object' }
             },
             'POST /ai/parse-resume': {
-              description: 'Upload and parse resume with AI',
+              description: 'Upload and parse a resume. Free users get the rule-based parser first (no tokens used) when it finds a name plus experience or education; otherwise the AI parses it, with the rule-based parser as fallback. The token budget is only checked when the AI is needed',
               auth: 'required',
               body: 'multipart/form-data with resume file',
-              response: { data: 'object', tokens_used: 'number' }
+              response: { data: 'object', parser: 'heuristic | ai', tokens_used: 'number' }
             },
             'POST /ai/generate-bio': {
               description: 'Generate professional bio using AI',
@@ -264,15 +418,57 @@ class App {
               response: { integrations: 'array' }
             },
             'POST /integrations/github': {
-              description: 'Connect GitHub integration',
+              description: 'Connect GitHub integration with a personal access token (stored encrypted)',
               auth: 'required',
               body: { username: 'string', access_token: 'string (optional)' },
               response: { integration: 'object' }
             },
+            'POST /integrations/github/oauth/start': {
+              description: 'Start the GitHub OAuth flow (503 when GITHUB_CLIENT_ID/GITHUB_CLIENT_SECRET are not set); send the browser to authorization_url',
+              auth: 'required',
+              response: { authorization_url: 'string', state: 'string', expires_at: 'date (state valid for 10 minutes)' }
+            },
+            'POST /integrations/github/oauth/callback': {
+              description: 'Finish the GitHub OAuth flow from the redirect page. The state must be unused, unexpired and issued to the same user (403 otherwise); tokens are stored encrypted',
+              auth: 'required',
+              body: { code: 'string', state: 'string' },
+              response: { integration: 'object' }
+            },
+            'GET /integrations/github/repositories': {
+              description: 'List synced GitHub repositories with curation state. Forks, archived, coursework and organization repos are excluded unless included explicitly',
+              auth: 'required',
+              response: {
+                repositories: 'array (key, name, organization, included, included_by, exclusion_reason, overrides, position, ...)',
+                organizations: 'array of { login, included } (included = repositories synced)',
+                needs_sync: 'boolean'
+              }
+            },
+            'PUT /integrations/github/repositories': {
+              description: 'Update repository curation used by generation and sync. null clears a setting; unknown keys are rejected',
+              auth: 'required',
+              body: {
+                order: 'array of repository keys (optional)',
+                repositories: 'array of { key, included?, title?, description?, live_url?, image? } (optional)',
+                organizations: 'array of organization logins whose repositories are synced (optional, takes effect on next sync)'
+              },
+              response: { repositories: 'array' }
+            },
+            'POST /integrations/leetcode': {
+              description: 'Connect LeetCode integration (public profile)',
+              auth: 'required',
+              body: { username: 'string' },
+              response: { integration: 'object' }
+            },
+            'POST /integrations/linkedin/import': {
+              description: 'Import LinkedIn data export (Profile, Positions, Education, Skills CSVs)',
+              auth: 'required',
+              body: 'multipart/form-data with files (ZIP archive or CSV files)',
+              response: { integration: 'object', files: 'object', data_summary: 'object' }
+            },
             'POST /integrations/:platform/sync': {
-              description: 'Sync integration data from platform',
+              description: 'Sync integration data from platform. GitHub requests are conditional (ETag), so with a token unchanged data costs no rate limit; without one, responses are reused for an hour. When the rate limit is exhausted the sync is postponed: 202 with retry_at, and it runs by itself after the reset. 409 while another sync of the integration is running',
               auth: 'required',
-              response: { last_synced_at: 'datetime', data_summary: 'object' }
+              response: { last_synced_at: 'datetime', data_summary: 'object', portfolios_refreshed: 'number', retry_at: 'datetime (202 only)' }
             },
             'DELETE /integrations/:platform': {
               description: 'Disconnect integration',
@@ -289,12 +485,22 @@ class App {
             'POST /preview/generate': {
               description: 'Generate temporary preview from content',
               auth: 'required',
-              body: { content: 'object', template_id: 'string' },
+              body: { content: 'object', template_id: 'string', customizations: 'object (optional, unsaved theme)' },
               response: { html: 'string', css: 'string', js: 'string' }
             },
             'GET /preview/public/:slug': {
               description: 'View public portfolio (no auth required)',
               response: 'HTML content'
+            },
+            'POST /preview/public/:slug/contact': {
+              description: 'Send a message through a published portfolio contact form (no auth required)',
+              body: { name: 'string', email: 'string', message: 'string' },
+              response: { success: 'boolean' }
+            },
+            'POST /preview/public/portfolio/:id/contact': {
+              description: 'Same as above by portfolio ID; rendered pages (including custom domains) post here',
+              body: { name: 'string', email: 'string', message: 'string' },
+              response: { success: 'boolean' }
             }
           }
         },
@@ -314,13 +520,15 @@ class App {
             general_api: '100 requests per 15 minutes',
             ai_generation: '10 requests per hour',
             file_upload: '5 uploads per hour',
-            portfolio_creation: '3 portfolios per day'
+            portfolio_creation: '3 portfolios per day',
+            contact_form: '5 messages per hour per visitor'
           },
           pro_tier: {
             general_api: '100 requests per 15 minutes',
             ai_generation: '50 requests per hour',
             file_upload: '20 uploads per hour',
-            portfolio_creation: '20 portfolios per day'
+            portfolio_creation: '20 portfolios per day',
+            contact_form: '5 messages per hour per visitor'
           }
         }
       });
@@ -523,6 +731,15 @@ class App {
       // Initialize template engine
       await templateEngine.initializeTemplates();
 
+      // Resume or fail jobs interrupted by the last shutdown, then start the worker
+      await generationWorker.start();
+      console.log('✅ Generation worker started');
+
+      // Keep integrations fresh in the background (and pick up syncs postponed before the restart)
+      if (await integrationScheduler.start()) {
+        console.log(`✅ Integration sync scheduler started (every ${integrationScheduler.intervalMinutes} minutes)`);
+      }
+
       // Create required directories
       const fs = require('fs');
       const dirs = ['uploads', 'database', 'public'];
@@ -565,6 +782,9 @@ class App {
       const gracefulShutdown = async (signal) => {
         console.log(`\n📡 Received ${signal}. Starting graceful shutdown...`);
         
+        generationWorker.stop();
+        integrationScheduler.stop();
+        
         this.server.close(async () => {
           console.log('🔒 HTTP server closed');
           
@@ -0,0 +1,92 @@
+const usageService = require('../services/usageService');
+
+// Rough upper bound of tokens per AI endpoint, checked against the remaining monthly budget
+const TOKEN_ESTIMATES = {
+  // Also what a queued or running generation job holds back
+  generate: usageService.generationJobTokens,
+  iterate: 4000,
+  tailor: 2000,
+  enhanceSection: 2000,
+  parseResume: 3000,
+  projectDescriptions: 3000,
+  bio: 500
+};
+
+const setQuotaHeaders = (res, quota) => {
+  res.set({
+    'X-AI-Token-Limit': String(quota.limit),
+    'X-AI-Token-Remaining': String(quota.remaining),
+    'X-AI-Token-Reset': quota.resets_at.toISOString()
+  });
+};
+
+// Keep a reservation until the route ends its response, by which time the AI call is in the
+// ledger. Routes end the response even after the client has gone, so disconnecting early
+// doesn't free the budget while the call still runs. res.locals.releaseTokenBudget() lets a
+// route give it back sooner (e.g. once a queued job holds the budget instead).
+const holdUntilResponseEnds = (res, release) => {
+  const end = res.end;
+  res.end = function(...args) {
+    release();
+    return end.apply(this, args);
+  };
+  res.locals.releaseTokenBudget = release;
+};
+
+// Reserve `estimatedTokens` of the user's monthly budget for this request, or answer with
+// 402 (free users; upgrading raises the budget) or 429 (pro users, until the budget resets)
+// and return false.
+const reserveTokenBudget = async (req, res, estimatedTokens) => {
+  const check = await usageService.reserveBudget(req.user, estimatedTokens);
+  setQuotaHeaders(res, check.quota);
+
+  if (check.allowed) {
+    holdUntilResponseEnds(res, check.release);
+    return true;
+  }
+
+  if (check.quota.tier === 'free') {
+    res.status(402).json({
+      success: false,
+      error: 'AI Token Budget Exceeded',
+      message: `${check.error}. Upgrade to pro for a larger budget.`,
+      quota: check.quota
+    });
+    return false;
+  }
+
+  const retryAfter = Math.ceil((check.quota.resets_at.getTime() - Date.now()) / 1000);
+  res.set('Retry-After', String(Math.max(retryAfter, 1)));
+
+  res.status(429).json({
+    success: false,
+    error: 'AI Token Budget Exceeded',
+    message: `${check.error}. The budget resets at ${check.quota.resets_at.toISOString()}.`,
+    quota: check.quota
+  });
+  return false;
+};
+
+// Refuse AI calls the user's monthly token budget can't cover. Must run after verifyFirebaseToken.
+const requireTokenBudget = (estimatedTokens) => {
+  return async (req, res, next) => {
+    try {
+      if (await reserveTokenBudget(req, res, estimatedTokens)) {
+        next();
+      }
+    } catch (error) {
+      console.error('AI quota check error:', error);
+      return res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Failed to check AI usage quota'
+      });
+    }
+  };
+};
+
+module.exports = {
+  TOKEN_ESTIMATES,
+  requireTokenBudget,
+  reserveTokenBudget,
+  setQuotaHeaders
+};
@@ -0,0 +1,43 @@
+const { Portfolio } = require('../models');
+const domainService = require('../services/domainService');
+
+// Serve a published portfolio at the root of its verified custom hostname by
+// rewriting the request to the public preview route. Everything else (API calls
+// such as the contact form, uploads, static files) falls through unchanged.
+const resolveCustomDomain = async (req, res, next) => {
+  try {
+    if (!['GET', 'HEAD'].includes(req.method) || domainService.isAppHostname(req.hostname)) {
+      return next();
+    }
+
+    if (req.path !== '/' && req.path !== '/index.html') {
+      return next();
+    }
+
+    const portfolioId = await domainService.resolvePortfolioId(req.hostname);
+    if (!portfolioId) {
+      return next();
+    }
+
+    const portfolio = await Portfolio.findByPk(portfolioId, { attributes: ['id', 'slug'] });
+    if (!portfolio) {
+      return next();
+    }
+
+    // Slugs are only unique per user, so the preview route looks the portfolio up by ID
+    req.customDomain = {
+      hostname: req.hostname,
+      portfolio_id: portfolio.id
+    };
+    req.url = `/api/preview/public/${encodeURIComponent(portfolio.slug)}`;
+
+    next();
+  } catch (error) {
+    console.error('Custom domain resolution error:', error);
+    next();
+  }
+};
+
+module.exports = {
+  resolveCustomDomain
+};
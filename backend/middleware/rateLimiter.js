@@ -118,6 +118,41 @@ const integrationSyncLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// Public contact form rate limiting (per visitor, per portfolio)
+const contactFormLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 messages per hour per IP for a given portfolio
+  message: {
+    error: 'Contact Form Limit Exceeded',
+    message: 'You have sent too many messages. Please try again later.',
+    retryAfter: '1 hour'
+  },
+  keyGenerator: (req) => {
+    // Rendered pages post by portfolio ID, older links by slug
+    return `${req.ip}:${req.params.id || req.params.slug || ''}`;
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Honeypot check for public forms. Bots tend to fill every input, so a
+// hidden field with a value means the submission is dropped. We still
+// answer with a normal success response so the bot learns nothing.
+const honeypotGuard = (fieldName = 'website') => {
+  return (req, res, next) => {
+    const trap = req.body?.[fieldName];
+
+    if (trap && String(trap).trim().length > 0) {
+      return res.status(202).json({
+        success: true,
+        message: 'Message received'
+      });
+    }
+
+    next();
+  };
+};
+
 // Custom rate limiter factory for specific endpoints
 const createCustomLimiter = (options) => {
   return rateLimit({
@@ -154,6 +189,8 @@ module.exports = {
   uploadLimiter,
   portfolioCreationLimiter,
   integrationSyncLimiter,
+  contactFormLimiter,
+  honeypotGuard,
   createCustomLimiter,
   rateLimitErrorHandler
 };
\ No newline at end of file
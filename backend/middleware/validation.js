@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { getFileExtension } = require('../utils/helpers');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -57,6 +58,11 @@ const validatePortfolioUpdate = [
     .isString()
     .withMessage('Template ID must be a string'),
   
+  body('auto_sync_projects')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('auto_sync_projects must be a boolean'),
+  
   handleValidationErrors
 ];
 
@@ -107,6 +113,43 @@ const validateAIIteration = [
   handleValidationErrors
 ];
 
+// EventSource can only send GET requests, so the streamed iteration endpoint also takes its
+// input as query parameters; they are copied onto req.body so the regular rules apply
+const queryAsBody = (req, res, next) => {
+  req.body = { ...req.query };
+  next();
+};
+
+const validateAIIterationStream = [
+  queryAsBody,
+  ...validateAIIteration
+];
+
+const validateTailoring = [
+  body('job_description')
+    .isString()
+    .withMessage('Job description must be a string')
+    .trim()
+    .isLength({ min: 50, max: 20000 })
+    .withMessage('Job description must be between 50 and 20000 characters'),
+  
+  body('title')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Title must be between 1 and 255 characters'),
+  
+  body('company')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Company must be at most 100 characters'),
+  
+  handleValidationErrors
+];
+
 // Integration validation
 const validateGitHubIntegration = [
   body('username')
@@ -123,6 +166,144 @@ const validateGitHubIntegration = [
   handleValidationErrors
 ];
 
+// OAuth callback: the code and state GitHub appended to the redirect
+const validateOAuthCallback = [
+  body('code')
+    .isString()
+    .withMessage('Authorization code must be a string')
+    .trim()
+    .isLength({ min: 1, max: 512 })
+    .withMessage('Authorization code is required'),
+  
+  body('state')
+    .isString()
+    .withMessage('State must be a string')
+    .trim()
+    .isLength({ min: 1, max: 512 })
+    .withMessage('State is required'),
+  
+  handleValidationErrors
+];
+
+// GitHub repository curation (null or '' clears an override)
+const validateRepositoryCuration = [
+  body('order')
+    .optional()
+    .isArray({ max: 1000 })
+    .withMessage('Order must be a list of repository keys'),
+  
+  body('repositories')
+    .optional()
+    .isArray({ max: 1000 })
+    .withMessage('Repositories must be a list of changes'),
+  
+  body('repositories.*.key')
+    .notEmpty()
+    .withMessage('Each change needs a repository key'),
+  
+  body('repositories.*.included')
+    .optional({ nullable: true })
+    .isBoolean({ strict: true })
+    .withMessage('included must be a boolean'),
+  
+  body('repositories.*.title')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Title must be a string of at most 100 characters'),
+  
+  body('repositories.*.description')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be a string of at most 1000 characters'),
+  
+  body(['repositories.*.live_url', 'repositories.*.image'])
+    .optional({ values: 'falsy' })
+    .isURL({ protocols: ['http', 'https'], require_protocol: true })
+    .withMessage('Live URL and image must be http(s) URLs'),
+  
+  body('organizations')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Organizations must be a list of organization logins'),
+  
+  body('organizations.*')
+    .isString()
+    .matches(/^[a-zA-Z0-9-]{1,39}$/)
+    .withMessage('Invalid organization login'),
+  
+  handleValidationErrors
+];
+
+const validateLeetCodeIntegration = [
+  body('username')
+    .trim()
+    .notEmpty()
+    .withMessage('LeetCode username is required')
+    .matches(/^[a-zA-Z0-9_-]{1,30}$/)
+    .withMessage('Invalid LeetCode username format'),
+  
+  handleValidationErrors
+];
+
+// Template switch validation
+const validateTemplateSwitch = [
+  body('template_id')
+    .notEmpty()
+    .withMessage('Template ID is required')
+    .isString()
+    .withMessage('Template ID must be a string'),
+  
+  body('force')
+    .optional()
+    .isBoolean()
+    .withMessage('Force must be a boolean'),
+  
+  handleValidationErrors
+];
+
+// Theme customization validation (option values are checked against the template config)
+const validateThemeUpdate = [
+  body(['colors', 'fonts', 'layout', 'effects'])
+    .optional()
+    .isObject()
+    .withMessage('Theme groups must be objects'),
+  
+  body('custom_css')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Custom CSS must be a string')
+    .isLength({ max: 20000 })
+    .withMessage('Custom CSS must be less than 20000 characters'),
+  
+  handleValidationErrors
+];
+
+// Public contact form validation
+const validateContactMessage = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name must be less than 100 characters'),
+  
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('A valid email address is required'),
+  
+  body('message')
+    .trim()
+    .notEmpty()
+    .withMessage('Message is required')
+    .isLength({ min: 2, max: 5000 })
+    .withMessage('Message must be between 2 and 5000 characters'),
+  
+  handleValidationErrors
+];
+
 // User profile validation
 const validateProfileUpdate = [
   body('username')
@@ -140,6 +321,12 @@ const validateProfileUpdate = [
     .isURL()
     .withMessage('Avatar URL must be a valid URL'),
   
+  body('redact_pii')
+    .optional()
+    .isBoolean()
+    .withMessage('redact_pii must be a boolean')
+    .toBoolean(),
+  
   handleValidationErrors
 ];
 
@@ -176,6 +363,83 @@ const validatePagination = [
   handleValidationErrors
 ];
 
+// Iteration diff validation (to may be 'current' for the live content)
+const validateIterationDiff = [
+  query('from')
+    .isUUID()
+    .withMessage('from must be a valid iteration ID'),
+  
+  query('to')
+    .optional()
+    .custom(value => value === 'current' || /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value))
+    .withMessage('to must be a valid iteration ID or "current"'),
+  
+  handleValidationErrors
+];
+
+// Resume export validation
+const validateResumeExport = [
+  query('format')
+    .optional()
+    .isIn(['pdf', 'docx'])
+    .withMessage('Format must be pdf or docx'),
+  
+  query('style')
+    .optional()
+    .isIn(['classic', 'modern'])
+    .withMessage('Style must be classic or modern'),
+  
+  query('paper')
+    .optional()
+    .isIn(['letter', 'a4'])
+    .withMessage('Paper must be letter or a4'),
+  
+  handleValidationErrors
+];
+
+// Custom domain validation
+const validateDomain = [
+  body('hostname')
+    .trim()
+    .toLowerCase()
+    .notEmpty()
+    .withMessage('Hostname is required')
+    .isFQDN({ allow_trailing_dot: true })
+    .withMessage('Hostname must be a fully qualified domain name'),
+  
+  handleValidationErrors
+];
+
+// Analytics date range validation (at most a year, "from" before "to")
+const validateAnalyticsRange = [
+  query(['from', 'to'])
+    .optional()
+    .isISO8601({ strict: true })
+    .withMessage('Dates must be in YYYY-MM-DD format'),
+  
+  query('to')
+    .optional()
+    .custom((to, { req }) => {
+      const from = req.query.from;
+      if (from && new Date(from.slice(0, 10)) > new Date(to.slice(0, 10))) {
+        throw new Error('from must be before to');
+      }
+      return true;
+    }),
+  
+  query('from')
+    .optional()
+    .custom((from, { req }) => {
+      const to = req.query.to ? new Date(req.query.to.slice(0, 10)) : new Date();
+      if (to - new Date(from.slice(0, 10)) > 366 * 24 * 60 * 60 * 1000) {
+        throw new Error('Date range cannot exceed one year');
+      }
+      return true;
+    }),
+  
+  handleValidationErrors
+];
+
 // File upload validation
 const validateFileUpload = (fieldName, allowedTypes = [], maxSize = 5 * 1024 * 1024) => {
   return (req, res, next) => {
@@ -215,16 +479,52 @@ const validateResumeUpload = validateFileUpload(
   10 * 1024 * 1024 // 10MB
 );
 
+// LinkedIn "Download your data" export: the ZIP archive or individual CSVs
+const validateLinkedInExportUpload = (req, res, next) => {
+  const files = req.files || [];
+  
+  if (files.length === 0) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: 'LinkedIn export file is required'
+    });
+  }
+  
+  // Browsers report CSV and ZIP mimetypes inconsistently, so check the extension
+  const invalidFile = files.find(file => !['zip', 'csv'].includes(getFileExtension(file.originalname)));
+  if (invalidFile) {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: `Invalid file type: ${invalidFile.originalname}. Allowed types: .zip, .csv`
+    });
+  }
+  
+  next();
+};
+
 module.exports = {
   handleValidationErrors,
   validatePortfolioCreation,
   validatePortfolioUpdate,
+  validateTemplateSwitch,
+  validateThemeUpdate,
   validateAIGeneration,
   validateAIIteration,
+  validateAIIterationStream,
+  validateTailoring,
   validateGitHubIntegration,
+  validateOAuthCallback,
+  validateRepositoryCuration,
+  validateLeetCodeIntegration,
+  validateContactMessage,
   validateProfileUpdate,
   validateUUID,
   validatePagination,
+  validateIterationDiff,
+  validateResumeExport,
+  validateAnalyticsRange,
+  validateDomain,
   validateFileUpload,
-  validateResumeUpload
+  validateResumeUpload,
+  validateLinkedInExportUpload
 };
\ No newline at end of file
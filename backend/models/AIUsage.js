@@ -0,0 +1,121 @@
+const { DataTypes, Op, fn, col } = require('sequelize');
+const { sequelize } = require('../utils/database');
+const { v4: uuidv4 } = require('uuid');
+
+// Token ledger: one row per model call, the source for quotas and usage stats
+const AIUsage = sequelize.define('AIUsage', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  user_id: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  // Portfolio the call worked on, when there is one (kept after the portfolio is deleted)
+  portfolio_id: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // Prompt type (portfolio_generation, section_enhancement, bio_generation, ...)
+  task: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  provider: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  model: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  tokens_used: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Audit of PII kept out of the prompt: distinct values redacted per entity type
+  // ({ email: 1, phone: 2 }), null when redaction was off
+  redacted_entities: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const value = this.getDataValue('redacted_entities');
+      try {
+        return value ? JSON.parse(value) : null;
+      } catch (error) {
+        return null;
+      }
+    },
+    set(value) {
+      this.setDataValue('redacted_entities', value ? JSON.stringify(value) : null);
+    }
+  }
+}, {
+  tableName: 'ai_usage',
+  timestamps: true,
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['user_id', 'created_at']
+    }
+  ]
+});
+
+// Static methods
+AIUsage.getTotalTokens = async function(userId, since = null) {
+  const where = { user_id: userId };
+  if (since) where.created_at = { [Op.gte]: since };
+
+  return (await this.sum('tokens_used', { where })) || 0;
+};
+
+// Calls and tokens per task, optionally limited to calls after `since`
+AIUsage.getSummaryByTask = async function(userId, since = null) {
+  const where = { user_id: userId };
+  if (since) where.created_at = { [Op.gte]: since };
+
+  const rows = await this.findAll({
+    where,
+    attributes: [
+      'task',
+      [fn('COUNT', col('id')), 'calls'],
+      [fn('SUM', col('tokens_used')), 'tokens']
+    ],
+    group: ['task'],
+    raw: true
+  });
+
+  return rows
+    .map(row => ({
+      task: row.task,
+      calls: parseInt(row.calls) || 0,
+      tokens: parseInt(row.tokens) || 0
+    }))
+    .sort((a, b) => b.tokens - a.tokens);
+};
+
+// Totals of redacted entities per type across calls, optionally limited to calls after `since`
+AIUsage.getRedactionSummary = async function(userId, since = null) {
+  const where = { user_id: userId, redacted_entities: { [Op.ne]: null } };
+  if (since) where.created_at = { [Op.gte]: since };
+
+  const rows = await this.findAll({ where, attributes: ['redacted_entities'] });
+
+  return rows.reduce((summary, row) => {
+    for (const [type, count] of Object.entries(row.redacted_entities || {})) {
+      summary[type] = (summary[type] || 0) + count;
+    }
+    return summary;
+  }, {});
+};
+
+module.exports = AIUsage;
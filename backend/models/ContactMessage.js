@@ -0,0 +1,114 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../utils/database');
+const { v4: uuidv4 } = require('uuid');
+
+const ContactMessage = sequelize.define('ContactMessage', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  portfolio_id: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    references: {
+      model: 'portfolios',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  sender_name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      len: [1, 100]
+    }
+  },
+  sender_email: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isEmail: true
+    }
+  },
+  message: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      len: [1, 5000]
+    }
+  },
+  is_read: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  read_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Hashed so we can spot repeat senders without storing raw IPs
+  ip_hash: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  user_agent: {
+    type: DataTypes.STRING,
+    allowNull: true
+  }
+}, {
+  tableName: 'contact_messages',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['portfolio_id']
+    },
+    {
+      fields: ['is_read']
+    },
+    {
+      fields: ['created_at']
+    }
+  ]
+});
+
+// Instance methods
+ContactMessage.prototype.markRead = async function() {
+  this.is_read = true;
+  this.read_at = new Date();
+  await this.save();
+};
+
+ContactMessage.prototype.markUnread = async function() {
+  this.is_read = false;
+  this.read_at = null;
+  await this.save();
+};
+
+// Static methods
+ContactMessage.findByPortfolio = async function(portfolioId, options = {}) {
+  const { limit = 20, offset = 0, unreadOnly = false } = options;
+
+  const whereClause = { portfolio_id: portfolioId };
+  if (unreadOnly) {
+    whereClause.is_read = false;
+  }
+
+  return await this.findAndCountAll({
+    where: whereClause,
+    order: [['created_at', 'DESC']],
+    limit,
+    offset
+  });
+};
+
+ContactMessage.countUnread = async function(portfolioId) {
+  return await this.count({
+    where: {
+      portfolio_id: portfolioId,
+      is_read: false
+    }
+  });
+};
+
+module.exports = ContactMessage;
@@ -0,0 +1,181 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../utils/database');
+const { v4: uuidv4 } = require('uuid');
+
+// A queued AI portfolio generation, run by the in-process generation worker
+const GenerationJob = sequelize.define('GenerationJob', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  user_id: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  // Set once the generated portfolio has been saved
+  portfolio_id: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('queued', 'running', 'completed', 'failed', 'cancelled'),
+    defaultValue: 'queued'
+  },
+  // Request payload ({ sources, preferences }) as JSON, kept so interrupted jobs can be re-run.
+  // Access tokens are never stored and the payload is cleared once the job has finished.
+  input: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    defaultValue: '{}',
+    get() {
+      const value = this.getDataValue('input');
+      try {
+        return value ? JSON.parse(value) : {};
+      } catch (error) {
+        return {};
+      }
+    },
+    set(value) {
+      this.setDataValue('input', JSON.stringify(value || {}));
+    }
+  },
+  // { stage, percent, sources: [{ type, status, error }] }
+  progress: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    defaultValue: '{}',
+    get() {
+      const value = this.getDataValue('progress');
+      try {
+        return value ? JSON.parse(value) : {};
+      } catch (error) {
+        return {};
+      }
+    },
+    set(value) {
+      this.setDataValue('progress', JSON.stringify(value || {}));
+    }
+  },
+  // Same shape the synchronous generate endpoint used to return
+  result: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const value = this.getDataValue('result');
+      try {
+        return value ? JSON.parse(value) : null;
+      } catch (error) {
+        return null;
+      }
+    },
+    set(value) {
+      this.setDataValue('result', value ? JSON.stringify(value) : null);
+    }
+  },
+  error_message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  cancel_requested: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  finished_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'generation_jobs',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['user_id']
+    },
+    {
+      fields: ['status', 'created_at']
+    }
+  ]
+});
+
+// Instance methods
+GenerationJob.prototype.isFinished = function() {
+  return ['completed', 'failed', 'cancelled'].includes(this.status);
+};
+
+GenerationJob.prototype.updateProgress = async function(progress) {
+  this.progress = { ...this.progress, ...progress };
+  await this.save();
+};
+
+GenerationJob.prototype.markCompleted = async function(result) {
+  this.status = 'completed';
+  this.result = result;
+  this.portfolio_id = result.portfolio?.id || null;
+  this.progress = { ...this.progress, stage: 'completed', percent: 100 };
+  this.input = {};
+  this.finished_at = new Date();
+  await this.save();
+};
+
+GenerationJob.prototype.markFailed = async function(errorMessage) {
+  this.status = 'failed';
+  this.error_message = errorMessage;
+  this.progress = { ...this.progress, stage: 'failed' };
+  this.input = {};
+  this.finished_at = new Date();
+  await this.save();
+};
+
+GenerationJob.prototype.markCancelled = async function() {
+  this.status = 'cancelled';
+  this.cancel_requested = true;
+  this.progress = { ...this.progress, stage: 'cancelled' };
+  this.input = {};
+  this.finished_at = new Date();
+  await this.save();
+};
+
+// Static methods
+GenerationJob.findByUser = async function(userId, options = {}) {
+  const { limit = 20, offset = 0 } = options;
+
+  return await this.findAndCountAll({
+    where: { user_id: userId },
+    order: [['created_at', 'DESC']],
+    limit,
+    offset
+  });
+};
+
+GenerationJob.countActiveByUser = async function(userId) {
+  return await this.count({
+    where: {
+      user_id: userId,
+      status: { [Op.in]: ['queued', 'running'] }
+    }
+  });
+};
+
+GenerationJob.findNextQueued = async function() {
+  return await this.findOne({
+    where: { status: 'queued' },
+    order: [['created_at', 'ASC']]
+  });
+};
+
+module.exports = GenerationJob;
@@ -0,0 +1,97 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../utils/database');
+const { v4: uuidv4 } = require('uuid');
+
+// Last GitHub REST response per request, kept so the next request can be made conditional
+// (If-None-Match). A 304 reply reuses the stored body; for authenticated requests it also
+// doesn't count against the rate limit.
+const GitHubCache = sequelize.define('GitHubCache', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  // Hash of the requesting identity (token) and the full request URL
+  cache_key: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  url: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  etag: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  last_modified: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // Pagination Link header, so a cached page still leads to the next one
+  link: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    get() {
+      const value = this.getDataValue('body');
+      try {
+        return value ? JSON.parse(value) : null;
+      } catch (error) {
+        return null;
+      }
+    },
+    set(value) {
+      this.setDataValue('body', JSON.stringify(value ?? null));
+    }
+  },
+  // Last time GitHub confirmed (200 or 304) the cached body
+  validated_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'github_cache',
+  timestamps: true,
+  underscored: true
+});
+
+// Static methods
+GitHubCache.findByKey = async function(cacheKey) {
+  return await this.findOne({ where: { cache_key: cacheKey } });
+};
+
+GitHubCache.store = async function(cacheKey, url, { etag, lastModified, link, body }) {
+  const fields = {
+    url,
+    etag: etag || null,
+    last_modified: lastModified || null,
+    link: link || null,
+    body,
+    validated_at: new Date()
+  };
+
+  const existing = await this.findByKey(cacheKey);
+  if (existing) {
+    return await existing.update(fields);
+  }
+
+  return await this.create({ cache_key: cacheKey, ...fields });
+};
+
+GitHubCache.markValidated = async function(cacheKey) {
+  await this.update({ validated_at: new Date() }, { where: { cache_key: cacheKey } });
+};
+
+// Drop entries nobody has asked for in a while (repos that were deleted, users who left)
+GitHubCache.pruneUnused = async function(maxAgeDays = 30) {
+  const cutoffTime = new Date(Date.now() - (maxAgeDays * 24 * 60 * 60 * 1000));
+  return await this.destroy({ where: { validated_at: { [Op.lt]: cutoffTime } } });
+};
+
+module.exports = GitHubCache;
@@ -1,6 +1,17 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
 const { sequelize } = require('../utils/database');
 const { v4: uuidv4 } = require('uuid');
+const { encrypt, decrypt, needsReencryption } = require('../utils/encryption');
+
+// A token that can't be decrypted (its key was removed) is treated as missing
+const readToken = (instance, field) => {
+  try {
+    return decrypt(instance.getDataValue(field));
+  } catch (error) {
+    console.error(`Failed to decrypt ${field} for integration ${instance.getDataValue('id')}:`, error.message);
+    return null;
+  }
+};
 
 const Integration = sequelize.define('Integration', {
   id: {
@@ -29,13 +40,26 @@ const Integration = sequelize.define('Integration', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  // OAuth / personal access tokens, encrypted at rest (see utils/encryption)
   access_token: {
     type: DataTypes.TEXT,
-    allowNull: true
+    allowNull: true,
+    get() {
+      return readToken(this, 'access_token');
+    },
+    set(value) {
+      this.setDataValue('access_token', encrypt(value));
+    }
   },
   refresh_token: {
     type: DataTypes.TEXT,
-    allowNull: true
+    allowNull: true,
+    get() {
+      return readToken(this, 'refresh_token');
+    },
+    set(value) {
+      this.setDataValue('refresh_token', encrypt(value));
+    }
   },
   // Cached profile data as JSON
   profile_data: {
@@ -54,6 +78,24 @@ const Integration = sequelize.define('Integration', {
       this.setDataValue('profile_data', JSON.stringify(value || {}));
     }
   },
+  // GitHub only: which repositories become portfolio projects, their order and per-repo
+  // overrides (see services/repositoryCurationService)
+  repository_curation: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    defaultValue: '{}',
+    get() {
+      const value = this.getDataValue('repository_curation');
+      try {
+        return value ? JSON.parse(value) : {};
+      } catch (error) {
+        return {};
+      }
+    },
+    set(value) {
+      this.setDataValue('repository_curation', JSON.stringify(value || {}));
+    }
+  },
   last_synced_at: {
     type: DataTypes.DATE,
     allowNull: true
@@ -69,6 +111,18 @@ const Integration = sequelize.define('Integration', {
   error_message: {
     type: DataTypes.TEXT,
     allowNull: true
+  },
+  // A postponed sync (waiting for the platform's rate limit to reset, or backing off after
+  // errors) runs at this time
+  next_sync_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Failed syncs in a row; drives the backoff between automatic retries
+  sync_failures: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
   }
 }, {
   tableName: 'integrations',
@@ -89,17 +143,37 @@ const Integration = sequelize.define('Integration', {
 });
 
 // Instance methods
+Integration.prototype.toJSON = function() {
+  const integration = { ...this.get({ raw: true }) };
+  delete integration.access_token; // Never expose credentials in responses
+  delete integration.refresh_token;
+  return integration;
+};
+
 Integration.prototype.updateProfileData = async function(data) {
   this.profile_data = { ...this.profile_data, ...data };
   this.last_synced_at = new Date();
   this.sync_status = 'success';
   this.error_message = null;
+  this.next_sync_at = null;
+  this.sync_failures = 0;
   await this.save();
 };
 
+// Automatic syncs back off after errors: 30 minutes, doubling per failure, at most a day
 Integration.prototype.markSyncError = async function(errorMessage) {
   this.sync_status = 'error';
   this.error_message = errorMessage;
+  this.sync_failures = (this.sync_failures || 0) + 1;
+  this.next_sync_at = new Date(Date.now() + Integration.syncBackoffMs(this.sync_failures));
+  await this.save();
+};
+
+// The sync couldn't run now but will be retried at retryAt
+Integration.prototype.markSyncDeferred = async function(retryAt, reason) {
+  this.sync_status = 'pending';
+  this.error_message = reason;
+  this.next_sync_at = retryAt;
   await this.save();
 };
 
@@ -138,18 +212,77 @@ Integration.findActiveByUser = async function(userId) {
   });
 };
 
-Integration.findStaleIntegrations = async function(maxAgeHours = 24) {
-  const cutoffTime = new Date(Date.now() - (maxAgeHours * 60 * 60 * 1000));
+// Active integrations not synced within maxAgeHours, skipping ones whose next sync is
+// postponed (rate limit, error backoff). Least recently synced first.
+Integration.findStaleIntegrations = async function(maxAgeHours = 24, options = {}) {
+  const { platforms, limit } = options;
+  const now = new Date();
+  const cutoffTime = new Date(now.getTime() - (maxAgeHours * 60 * 60 * 1000));
   
   return await this.findAll({
     where: {
       is_active: true,
-      [sequelize.Op.or]: [
-        { last_synced_at: null },
-        { last_synced_at: { [sequelize.Op.lt]: cutoffTime } }
+      ...(platforms ? { platform: platforms } : {}),
+      [Op.and]: [
+        {
+          [Op.or]: [
+            { last_synced_at: null },
+            { last_synced_at: { [Op.lt]: cutoffTime } }
+          ]
+        },
+        {
+          [Op.or]: [
+            { next_sync_at: null },
+            { next_sync_at: { [Op.lte]: now } }
+          ]
+        }
+      ]
+    },
+    order: [['last_synced_at', 'ASC']],
+    limit
+  });
+};
+
+Integration.syncBackoffMs = function(failures) {
+  const baseMs = 30 * 60 * 1000;
+  const maxMs = 24 * 60 * 60 * 1000;
+  return Math.min(baseMs * Math.pow(2, Math.max(failures - 1, 0)), maxMs);
+};
+
+// Re-encrypt stored tokens that are plaintext or use a key other than the current one.
+// Run after adding a new key to the front of TOKEN_ENCRYPTION_KEYS, before removing the old one.
+Integration.reencryptTokens = async function() {
+  const result = { checked: 0, reencrypted: 0, failed: 0 };
+  const integrations = await this.findAll({
+    where: {
+      [Op.or]: [
+        { access_token: { [Op.ne]: null } },
+        { refresh_token: { [Op.ne]: null } }
       ]
     }
   });
+
+  for (const integration of integrations) {
+    result.checked++;
+    const fields = ['access_token', 'refresh_token']
+      .filter(field => needsReencryption(integration.getDataValue(field)));
+    if (fields.length === 0) continue;
+
+    try {
+      for (const field of fields) {
+        const value = decrypt(integration.getDataValue(field));
+        integration.setDataValue(field, encrypt(value));
+        integration.changed(field, true);
+      }
+      await integration.save({ fields });
+      result.reencrypted++;
+    } catch (error) {
+      console.error(`Failed to re-encrypt tokens for integration ${integration.id}:`, error.message);
+      result.failed++;
+    }
+  }
+
+  return result;
 };
 
 // Default profile data structures for different platforms
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../utils/database');
+const { v4: uuidv4 } = require('uuid');
+
+// Pending OAuth authorization: the `state` handed to the provider, bound to the user who
+// started the flow. Only a hash of the state is stored and each one can be used once.
+const OAuthState = sequelize.define('OAuthState', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  user_id: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  platform: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  state_hash: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  redirect_uri: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  used_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'oauth_states',
+  timestamps: true,
+  updatedAt: false,
+  underscored: true
+});
+
+// Static methods
+OAuthState.hashState = function(state) {
+  return crypto.createHash('sha256').update(String(state)).digest('hex');
+};
+
+// Create a state for a new authorization; returns the raw state to send to the provider
+OAuthState.issue = async function(userId, platform, redirectUri, ttlMinutes = 10) {
+  // Old, never completed attempts are useless once the user starts over
+  await this.destroy({
+    where: {
+      user_id: userId,
+      [Op.or]: [
+        { expires_at: { [Op.lt]: new Date() } },
+        { used_at: { [Op.ne]: null } }
+      ]
+    }
+  });
+
+  const state = crypto.randomBytes(32).toString('base64url');
+  const record = await this.create({
+    user_id: userId,
+    platform,
+    state_hash: this.hashState(state),
+    redirect_uri: redirectUri,
+    expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+
+  return { state, record };
+};
+
+// Mark a state used if it belongs to this user and platform and hasn't expired.
+// Returns the record, or null when the state is unknown, foreign, expired or already used.
+OAuthState.consume = async function(state, userId, platform) {
+  const record = await this.findOne({ where: { state_hash: this.hashState(state) } });
+  if (!record || record.user_id !== userId || record.platform !== platform) return null;
+
+  // Conditional update so two concurrent callbacks can't both use it
+  const [updated] = await this.update(
+    { used_at: new Date() },
+    { where: { id: record.id, used_at: null, expires_at: { [Op.gt]: new Date() } } }
+  );
+
+  return updated === 1 ? record : null;
+};
+
+module.exports = OAuthState;
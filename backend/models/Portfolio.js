@@ -40,6 +40,16 @@ const Portfolio = sequelize.define('Portfolio', {
     type: DataTypes.STRING,
     defaultValue: 'modern-dev'
   },
+  // Set on variants derived from another portfolio (e.g. tailored to a job description)
+  parent_portfolio_id: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    references: {
+      model: 'portfolios',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
   // Portfolio content as JSON string (will be JSONB in PostgreSQL)
   content: {
     type: DataTypes.TEXT,
@@ -57,6 +67,23 @@ const Portfolio = sequelize.define('Portfolio', {
       this.setDataValue('content', JSON.stringify(value || {}));
     }
   },
+  // Theme overrides (colors, fonts, layout, effects, custom_css) applied on top of the template
+  customizations: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    defaultValue: '{}',
+    get() {
+      const value = this.getDataValue('customizations');
+      try {
+        return value ? JSON.parse(value) : {};
+      } catch (error) {
+        return {};
+      }
+    },
+    set(value) {
+      this.setDataValue('customizations', JSON.stringify(value || {}));
+    }
+  },
   // Generated HTML, CSS, JS for preview
   generated_html: {
     type: DataTypes.TEXT,
@@ -90,6 +117,11 @@ const Portfolio = sequelize.define('Portfolio', {
   published_at: {
     type: DataTypes.DATE,
     allowNull: true
+  },
+  // Rebuild the projects section from the owner's GitHub repositories after each sync
+  auto_sync_projects: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
   }
 }, {
   tableName: 'portfolios',
@@ -137,6 +169,15 @@ Portfolio.prototype.updateContent = async function(newContent) {
   await this.save();
 };
 
+// Replace content wholesale (restores, manual edits) and drop the cached render
+Portfolio.prototype.replaceContent = async function(newContent) {
+  this.content = newContent;
+  this.generated_html = null;
+  this.generated_css = null;
+  this.generated_js = null;
+  await this.save();
+};
+
 Portfolio.prototype.setGeneratedFiles = async function(html, css = null, js = null) {
   this.generated_html = html;
   if (css) this.generated_css = css;
@@ -164,6 +205,16 @@ Portfolio.findPublishedBySlug = async function(slug) {
   });
 };
 
+Portfolio.findPublishedById = async function(id) {
+  return await this.findOne({
+    where: {
+      id,
+      status: 'published',
+      is_public: true
+    }
+  });
+};
+
 Portfolio.generateSlug = async function(userId, title) {
   // Create base slug from title
   let baseSlug = title
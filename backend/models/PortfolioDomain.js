@@ -0,0 +1,106 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../utils/database');
+const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
+
+const PortfolioDomain = sequelize.define('PortfolioDomain', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  portfolio_id: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    references: {
+      model: 'portfolios',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  // Stored lowercased without a trailing dot (www.example.com)
+  hostname: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      len: [3, 253]
+    },
+    set(value) {
+      this.setDataValue('hostname', PortfolioDomain.normalizeHostname(value));
+    }
+  },
+  // Value the owner publishes in a TXT record to prove control of the domain
+  verification_token: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: () => crypto.randomBytes(16).toString('hex')
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'verified', 'failed'),
+    defaultValue: 'pending'
+  },
+  verified_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_checked_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'portfolio_domains',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['portfolio_id']
+    },
+    {
+      fields: ['hostname']
+    }
+  ]
+});
+
+// Instance methods
+PortfolioDomain.prototype.markVerified = async function() {
+  this.status = 'verified';
+  this.verified_at = new Date();
+  this.last_checked_at = new Date();
+  this.last_error = null;
+  await this.save();
+};
+
+PortfolioDomain.prototype.markFailed = async function(reason) {
+  this.status = 'failed';
+  this.verified_at = null;
+  this.last_checked_at = new Date();
+  this.last_error = reason;
+  await this.save();
+};
+
+// Static methods
+PortfolioDomain.normalizeHostname = function(hostname) {
+  return String(hostname || '').trim().toLowerCase().replace(/\.$/, '');
+};
+
+PortfolioDomain.findByPortfolio = async function(portfolioId) {
+  return await this.findAll({
+    where: { portfolio_id: portfolioId },
+    order: [['created_at', 'ASC']]
+  });
+};
+
+PortfolioDomain.findVerifiedByHostname = async function(hostname) {
+  return await this.findOne({
+    where: {
+      hostname: this.normalizeHostname(hostname),
+      status: 'verified'
+    }
+  });
+};
+
+module.exports = PortfolioDomain;
@@ -55,7 +55,7 @@ const PortfolioIteration = sequelize.define('PortfolioIteration', {
     }
   },
   iteration_type: {
-    type: DataTypes.ENUM('generate', 'enhance', 'fix', 'custom'),
+    type: DataTypes.ENUM('generate', 'enhance', 'fix', 'custom', 'manual', 'restore', 'tailor', 'sync'),
     defaultValue: 'enhance'
   },
   status: {
@@ -129,6 +129,35 @@ PortfolioIteration.getLatestByPortfolio = async function(portfolioId) {
   });
 };
 
+PortfolioIteration.findByPortfolioAndId = async function(portfolioId, iterationId) {
+  return await this.findOne({
+    where: {
+      id: iterationId,
+      portfolio_id: portfolioId
+    }
+  });
+};
+
+// Record a completed snapshot for a change that doesn't go through the AI
+// (manual edits, restores). previous_content holds the content before the change.
+PortfolioIteration.recordSnapshot = async function(portfolioId, previousContent, options = {}) {
+  const {
+    prompt = 'Manual edit',
+    iteration_type = 'manual',
+    changes_made = {}
+  } = options;
+
+  return await this.create({
+    portfolio_id: portfolioId,
+    prompt,
+    iteration_type,
+    previous_content: previousContent,
+    changes_made,
+    status: 'completed',
+    ai_model_used: 'none'
+  });
+};
+
 PortfolioIteration.getIterationStats = async function(portfolioId) {
   const iterations = await this.findAll({
     where: { portfolio_id: portfolioId },
@@ -147,12 +176,11 @@ PortfolioIteration.getIterationStats = async function(portfolioId) {
     pending: iterations.filter(i => i.status === 'pending').length,
     total_tokens: iterations.reduce((sum, i) => sum + i.tokens_used, 0),
     avg_processing_time: 0,
-    types: {
-      generate: iterations.filter(i => i.iteration_type === 'generate').length,
-      enhance: iterations.filter(i => i.iteration_type === 'enhance').length,
-      fix: iterations.filter(i => i.iteration_type === 'fix').length,
-      custom: iterations.filter(i => i.iteration_type === 'custom').length
-    }
+    // One count per iteration type, so new types are counted without touching this
+    types: Object.fromEntries(this.rawAttributes.iteration_type.values.map(type => [
+      type,
+      iterations.filter(i => i.iteration_type === type).length
+    ]))
   };
 
   const completedIterations = iterations.filter(i => i.status === 'completed');
@@ -0,0 +1,109 @@
+const { DataTypes, Op } = require('sequelize');
+const { sequelize } = require('../utils/database');
+const { v4: uuidv4 } = require('uuid');
+
+// One row per public page view; nothing here identifies a person on its own
+const PortfolioView = sequelize.define('PortfolioView', {
+  id: {
+    type: DataTypes.STRING,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  portfolio_id: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    references: {
+      model: 'portfolios',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  // Host part of the Referer header only (null for direct visits)
+  referrer_host: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  device_type: {
+    type: DataTypes.ENUM('desktop', 'mobile', 'tablet', 'unknown'),
+    defaultValue: 'unknown'
+  },
+  // Keyed hash of portfolio + IP + user agent, with a key that rotates daily (utils/analytics),
+  // used to count unique visitors
+  visitor_id: {
+    type: DataTypes.STRING,
+    allowNull: false
+  }
+}, {
+  tableName: 'portfolio_views',
+  timestamps: true,
+  updatedAt: false,
+  underscored: true,
+  indexes: [
+    {
+      fields: ['portfolio_id', 'created_at']
+    }
+  ]
+});
+
+// Static methods
+PortfolioView.getAnalytics = async function(portfolioId, from, to) {
+  const views = await this.findAll({
+    where: {
+      portfolio_id: portfolioId,
+      created_at: {
+        [Op.gte]: from,
+        [Op.lt]: to
+      }
+    },
+    attributes: [
+      'referrer_host',
+      'device_type',
+      'visitor_id',
+      'created_at'
+    ]
+  });
+
+  // Pre-fill every day in the range so charts don't have gaps
+  const days = new Map();
+  for (let day = new Date(from); day < to; day.setUTCDate(day.getUTCDate() + 1)) {
+    days.set(day.toISOString().slice(0, 10), { views: 0, visitors: new Set() });
+  }
+
+  const referrers = new Map();
+  const devices = {
+    desktop: 0,
+    mobile: 0,
+    tablet: 0,
+    unknown: 0
+  };
+
+  for (const view of views) {
+    const day = days.get(new Date(view.created_at).toISOString().slice(0, 10));
+    if (day) {
+      day.views += 1;
+      day.visitors.add(view.visitor_id);
+    }
+
+    const host = view.referrer_host || 'direct';
+    referrers.set(host, (referrers.get(host) || 0) + 1);
+
+    devices[view.device_type] = (devices[view.device_type] || 0) + 1;
+  }
+
+  return {
+    total_views: views.length,
+    // Visitor IDs change daily, so over a range this counts visitor-days
+    unique_visitors: new Set(views.map(view => view.visitor_id)).size,
+    daily: Array.from(days, ([date, day]) => ({
+      date,
+      views: day.views,
+      unique_visitors: day.visitors.size
+    })),
+    top_referrers: Array.from(referrers, ([host, count]) => ({ host, views: count }))
+      .sort((a, b) => b.views - a.views)
+      .slice(0, 10),
+    devices
+  };
+};
+
+module.exports = PortfolioView;
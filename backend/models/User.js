@@ -57,6 +57,12 @@ const User = sequelize.define('User', {
     type: DataTypes.ENUM('free', 'pro'),
     defaultValue: 'free'
   },
+  // Replace emails, phone numbers and street addresses with placeholders before prompts
+  // go to the model provider
+  redact_pii: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
   is_active: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
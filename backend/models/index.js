@@ -2,6 +2,13 @@ const User = require('./User');
 const Portfolio = require('./Portfolio');
 const Integration = require('./Integration');
 const PortfolioIteration = require('./PortfolioIteration');
+const ContactMessage = require('./ContactMessage');
+const PortfolioView = require('./PortfolioView');
+const PortfolioDomain = require('./PortfolioDomain');
+const GenerationJob = require('./GenerationJob');
+const AIUsage = require('./AIUsage');
+const OAuthState = require('./OAuthState');
+const GitHubCache = require('./GitHubCache');
 
 // Define associations
 
@@ -18,6 +25,24 @@ User.hasMany(Integration, {
   onDelete: 'CASCADE'
 });
 
+User.hasMany(GenerationJob, {
+  foreignKey: 'user_id',
+  as: 'generationJobs',
+  onDelete: 'CASCADE'
+});
+
+User.hasMany(AIUsage, {
+  foreignKey: 'user_id',
+  as: 'aiUsage',
+  onDelete: 'CASCADE'
+});
+
+User.hasMany(OAuthState, {
+  foreignKey: 'user_id',
+  as: 'oauthStates',
+  onDelete: 'CASCADE'
+});
+
 // Portfolio associations
 Portfolio.belongsTo(User, {
   foreignKey: 'user_id',
@@ -30,6 +55,35 @@ Portfolio.hasMany(PortfolioIteration, {
   onDelete: 'CASCADE'
 });
 
+Portfolio.hasMany(ContactMessage, {
+  foreignKey: 'portfolio_id',
+  as: 'messages',
+  onDelete: 'CASCADE'
+});
+
+Portfolio.hasMany(PortfolioView, {
+  foreignKey: 'portfolio_id',
+  as: 'views',
+  onDelete: 'CASCADE'
+});
+
+Portfolio.hasMany(PortfolioDomain, {
+  foreignKey: 'portfolio_id',
+  as: 'domains',
+  onDelete: 'CASCADE'
+});
+
+// Variants (e.g. job-tailored copies) point back at the portfolio they came from
+Portfolio.belongsTo(Portfolio, {
+  foreignKey: 'parent_portfolio_id',
+  as: 'parent'
+});
+
+Portfolio.hasMany(Portfolio, {
+  foreignKey: 'parent_portfolio_id',
+  as: 'variants'
+});
+
 // Integration associations
 Integration.belongsTo(User, {
   foreignKey: 'user_id',
@@ -42,10 +96,53 @@ PortfolioIteration.belongsTo(Portfolio, {
   as: 'portfolio'
 });
 
+// ContactMessage associations
+ContactMessage.belongsTo(Portfolio, {
+  foreignKey: 'portfolio_id',
+  as: 'portfolio'
+});
+
+// PortfolioView associations
+PortfolioView.belongsTo(Portfolio, {
+  foreignKey: 'portfolio_id',
+  as: 'portfolio'
+});
+
+// PortfolioDomain associations
+PortfolioDomain.belongsTo(Portfolio, {
+  foreignKey: 'portfolio_id',
+  as: 'portfolio'
+});
+
+// GenerationJob associations
+GenerationJob.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// AIUsage associations
+AIUsage.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+// OAuthState associations
+OAuthState.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
 // Export all models
 module.exports = {
   User,
   Portfolio,
   Integration,
-  PortfolioIteration
+  PortfolioIteration,
+  ContactMessage,
+  PortfolioView,
+  PortfolioDomain,
+  GenerationJob,
+  AIUsage,
+  OAuthState,
+  GitHubCache
 };
\ No newline at end of file
@@ -1,23 +1,30 @@
 const express = require('express');
 const router = express.Router();
+const { Op } = require('sequelize');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
 
-const { Portfolio } = require('../models');
+const { Portfolio, GenerationJob } = require('../models');
 const { verifyFirebaseToken, checkOwnership } = require('../middleware/auth');
 const { 
   validateAIGeneration, 
   validateAIIteration, 
+  validateAIIterationStream,
+  validateTailoring,
   validateUUID,
   validateResumeUpload 
 } = require('../middleware/validation');
 const { aiLimiter, uploadLimiter } = require('../middleware/rateLimiter');
+const { requireTokenBudget, reserveTokenBudget, setQuotaHeaders, TOKEN_ESTIMATES } = require('../middleware/aiQuota');
 
 const portfolioGenerator = require('../services/portfolioGenerator');
 const aiService = require('../services/aiService');
+const contentValidator = require('../services/contentValidator');
+const generationWorker = require('../services/generationWorker');
+const usageService = require('../services/usageService');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -43,53 +50,207 @@ router.use(aiLimiter);
 
 /**
  * @route   POST /api/ai/generate
- * @desc    Generate new portfolio using AI
+ * @desc    Queue a new AI portfolio generation job
  * @access  Private
  */
-router.post('/generate', verifyFirebaseToken, validateAIGeneration, async (req, res) => {
+router.post('/generate', verifyFirebaseToken, validateAIGeneration, requireTokenBudget(TOKEN_ESTIMATES.generate), async (req, res) => {
   try {
     const userId = req.user.id;
     const { sources, template_id, preferences = {} } = req.body;
 
     console.log(`AI generation request from user ${userId} with sources:`, sources.map(s => s.type));
 
-    // Generate portfolio
-    const result = await portfolioGenerator.generatePortfolio(userId, sources, {
-      template_id,
-      ...preferences
+    // Generation can outlast proxy timeouts, so it runs in the background and is polled
+    const result = await generationWorker.enqueue(userId, {
+      sources,
+      preferences: {
+        template_id,
+        ...preferences
+      }
     });
 
     if (!result.success) {
-      return res.status(400).json({
+      return res.status(429).json({
         success: false,
-        error: 'Generation Failed',
+        error: 'Too Many Jobs',
         message: result.error
       });
     }
 
-    res.status(201).json({
+    res.status(202).json({
       success: true,
-      message: 'Portfolio generated successfully',
-      portfolio: {
-        id: result.portfolio.id,
-        title: result.portfolio.title,
-        slug: result.portfolio.slug,
-        status: result.portfolio.status,
-        template_id: result.portfolio.template_id,
-        created_at: result.portfolio.created_at
-      },
-      metadata: result.metadata
+      message: 'Portfolio generation started',
+      job: formatJob(result.job)
     });
   } catch (error) {
     console.error('AI generation error:', error);
     res.status(500).json({
       success: false,
       error: 'Internal Server Error',
-      message: 'Failed to generate portfolio'
+      message: 'Failed to start portfolio generation'
     });
   }
 });
 
+/**
+ * @route   POST /api/ai/generate/stream
+ * @desc    Queue a generation job and stream its progress as Server-Sent Events
+ * @access  Private
+ */
+router.post('/generate/stream', verifyFirebaseToken, validateAIGeneration, requireTokenBudget(TOKEN_ESTIMATES.generate), async (req, res) => {
+  let job;
+
+  try {
+    const userId = req.user.id;
+    const { sources, template_id, preferences = {} } = req.body;
+
+    console.log(`AI generation stream from user ${userId} with sources:`, sources.map(s => s.type));
+
+    // Same queue and per-user job limit as POST /generate; the stream only follows the job
+    const result = await generationWorker.enqueue(userId, {
+      sources,
+      preferences: {
+        template_id,
+        ...preferences
+      }
+    });
+
+    if (!result.success) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too Many Jobs',
+        message: result.error
+      });
+    }
+
+    job = result.job;
+
+    // The queued job holds its own share of the budget from here on
+    res.locals.releaseTokenBudget();
+  } catch (error) {
+    console.error('AI generation stream error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to start portfolio generation'
+    });
+  }
+
+  // A client that disconnects leaves the job running; it can be followed again at
+  // GET /jobs/:id/stream or polled at /jobs/:id
+  await streamJob(res, job);
+});
+
+/**
+ * @route   GET /api/ai/jobs
+ * @desc    List the user's generation jobs, newest first
+ * @access  Private
+ */
+router.get('/jobs', verifyFirebaseToken, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { count, rows } = await GenerationJob.findByUser(req.user.id, { limit, offset });
+
+    res.json({
+      success: true,
+      jobs: rows.map(formatJob),
+      pagination: {
+        total: count,
+        limit,
+        offset
+      }
+    });
+  } catch (error) {
+    console.error('Get generation jobs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch generation jobs'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/ai/jobs/:id
+ * @desc    Get generation job status, per-source progress and result
+ * @access  Private (owner only)
+ */
+router.get('/jobs/:id',
+  verifyFirebaseToken,
+  validateUUID('id'),
+  checkOwnership(GenerationJob, 'id'),
+  async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        job: formatJob(req.resource)
+      });
+    } catch (error) {
+      console.error('Get generation job error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+        message: 'Failed to fetch generation job'
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/ai/jobs/:id/stream
+ * @desc    Stream a generation job's progress as Server-Sent Events (usable with EventSource)
+ * @access  Private (owner only)
+ */
+router.get('/jobs/:id/stream',
+  verifyFirebaseToken,
+  validateUUID('id'),
+  checkOwnership(GenerationJob, 'id'),
+  async (req, res) => {
+    await streamJob(res, req.resource);
+  }
+);
+
+/**
+ * @route   POST /api/ai/jobs/:id/cancel
+ * @desc    Cancel a queued or running generation job
+ * @access  Private (owner only)
+ */
+router.post('/jobs/:id/cancel',
+  verifyFirebaseToken,
+  validateUUID('id'),
+  checkOwnership(GenerationJob, 'id'),
+  async (req, res) => {
+    try {
+      const result = await generationWorker.cancel(req.resource);
+
+      if (!result.success) {
+        return res.status(409).json({
+          success: false,
+          error: 'Cannot Cancel',
+          message: result.error
+        });
+      }
+
+      res.json({
+        success: true,
+        message: result.job.status === 'cancelled'
+          ? 'Generation job cancelled'
+          : 'Cancellation requested; the job stops at its next step',
+        job: formatJob(result.job)
+      });
+    } catch (error) {
+      console.error('Cancel generation job error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+        message: 'Failed to cancel generation job'
+      });
+    }
+  }
+);
+
 /**
  * @route   POST /api/ai/iterate/:id
  * @desc    Enhance existing portfolio with AI
@@ -100,6 +261,7 @@ router.post('/iterate/:id',
   validateUUID('id'),
   validateAIIteration,
   checkOwnership(Portfolio, 'id'),
+  requireTokenBudget(TOKEN_ESTIMATES.iterate),
   async (req, res) => {
     try {
       const portfolio = req.resource;
@@ -126,7 +288,8 @@ router.post('/iterate/:id',
         success: true,
         message: 'Portfolio enhanced successfully',
         changes: result.changes,
-        metadata: result.metadata
+        metadata: result.metadata,
+        validation: result.validation
       });
     } catch (error) {
       console.error('AI iteration error:', error);
@@ -139,6 +302,94 @@ router.post('/iterate/:id',
   }
 );
 
+/**
+ * @route   GET /api/ai/iterate/:id/stream
+ * @desc    Enhance existing portfolio with AI, streaming progress as Server-Sent Events
+ *          (prompt and section as query parameters, for EventSource)
+ * @access  Private (owner only)
+ */
+router.get('/iterate/:id/stream',
+  verifyFirebaseToken,
+  validateUUID('id'),
+  validateAIIterationStream,
+  checkOwnership(Portfolio, 'id'),
+  requireTokenBudget(TOKEN_ESTIMATES.iterate),
+  (req, res) => streamIteration(req, res)
+);
+
+/**
+ * @route   POST /api/ai/iterate/:id/stream
+ * @desc    Enhance existing portfolio with AI, streaming progress as Server-Sent Events
+ * @access  Private (owner only)
+ */
+router.post('/iterate/:id/stream',
+  verifyFirebaseToken,
+  validateUUID('id'),
+  validateAIIteration,
+  checkOwnership(Portfolio, 'id'),
+  requireTokenBudget(TOKEN_ESTIMATES.iterate),
+  (req, res) => streamIteration(req, res)
+);
+
+/**
+ * @route   POST /api/ai/tailor/:id
+ * @desc    Create a variant of a portfolio tailored to a job description
+ * @access  Private (owner only)
+ */
+router.post('/tailor/:id',
+  verifyFirebaseToken,
+  validateUUID('id'),
+  validateTailoring,
+  checkOwnership(Portfolio, 'id'),
+  requireTokenBudget(TOKEN_ESTIMATES.tailor),
+  async (req, res) => {
+    try {
+      const portfolio = req.resource;
+      const { job_description, title, company } = req.body;
+
+      console.log(`Tailoring portfolio ${portfolio.id} to a job description`);
+
+      const result = await portfolioGenerator.tailorPortfolio(portfolio.id, job_description, {
+        title,
+        company
+      });
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: 'Tailoring Failed',
+          message: result.error
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Tailored portfolio created successfully',
+        portfolio: {
+          id: result.portfolio.id,
+          title: result.portfolio.title,
+          slug: result.portfolio.slug,
+          status: result.portfolio.status,
+          template_id: result.portfolio.template_id,
+          parent_portfolio_id: result.portfolio.parent_portfolio_id,
+          created_at: result.portfolio.created_at
+        },
+        changes: result.changes,
+        match_report: result.match_report,
+        metadata: result.metadata,
+        validation: result.validation
+      });
+    } catch (error) {
+      console.error('Portfolio tailoring error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+        message: 'Failed to tailor portfolio'
+      });
+    }
+  }
+);
+
 /**
  * @route   POST /api/ai/enhance-section/:id
  * @desc    Enhance specific portfolio section
@@ -148,6 +399,7 @@ router.post('/enhance-section/:id',
   verifyFirebaseToken,
   validateUUID('id'),
   checkOwnership(Portfolio, 'id'),
+  requireTokenBudget(TOKEN_ESTIMATES.enhanceSection),
   async (req, res) => {
     try {
       const portfolio = req.resource;
@@ -168,7 +420,8 @@ router.post('/enhance-section/:id',
         portfolio.content,
         section,
         prompt,
-        context
+        context,
+        { userId: req.user.id, portfolioId: portfolio.id, templateId: portfolio.template_id }
       );
 
       if (!result.success) {
@@ -185,13 +438,21 @@ router.post('/enhance-section/:id',
         [section]: result.content[section] || result.content
       };
 
+      const validation = contentValidator.validateContent(updatedContent, portfolio.template_id);
+
       await portfolio.updateContent(updatedContent);
 
       res.json({
         success: true,
         message: `Section '${section}' enhanced successfully`,
         enhanced_content: result.content,
-        tokens_used: result.tokensUsed
+        tokens_used: result.tokensUsed,
+        repairs: result.repairs,
+        validation: validation.success ? {
+          valid: validation.valid,
+          errors: validation.errors,
+          unrendered_fields: validation.unrendered_fields
+        } : null
       });
     } catch (error) {
       console.error('Section enhancement error:', error);
@@ -209,7 +470,7 @@ router.post('/enhance-section/:id',
  * @desc    Generate professional bio using AI
  * @access  Private
  */
-router.post('/generate-bio', verifyFirebaseToken, async (req, res) => {
+router.post('/generate-bio', verifyFirebaseToken, requireTokenBudget(TOKEN_ESTIMATES.bio), async (req, res) => {
   try {
     const { user_data, style = 'professional' } = req.body;
 
@@ -223,7 +484,7 @@ router.post('/generate-bio', verifyFirebaseToken, async (req, res) => {
     console.log(`Generating bio for user ${req.user.id}`);
 
     // Generate bio
-    const result = await aiService.generateBio(user_data, style);
+    const result = await aiService.generateBio(user_data, style, { userId: req.user.id });
 
     if (!result.success) {
       return res.status(400).json({
@@ -253,7 +514,7 @@ router.post('/generate-bio', verifyFirebaseToken, async (req, res) => {
  * @desc    Generate project descriptions from GitHub repos
  * @access  Private
  */
-router.post('/generate-projects', verifyFirebaseToken, async (req, res) => {
+router.post('/generate-projects', verifyFirebaseToken, requireTokenBudget(TOKEN_ESTIMATES.projectDescriptions), async (req, res) => {
   try {
     const { repositories } = req.body;
 
@@ -267,7 +528,7 @@ router.post('/generate-projects', verifyFirebaseToken, async (req, res) => {
     console.log(`Generating project descriptions for ${repositories.length} repositories`);
 
     // Generate project descriptions
-    const result = await aiService.generateProjectDescriptions(repositories);
+    const result = await aiService.generateProjectDescriptions(repositories, { userId: req.user.id });
 
     if (!result.success) {
       return res.status(400).json({
@@ -294,7 +555,7 @@ router.post('/generate-projects', verifyFirebaseToken, async (req, res) => {
 
 /**
  * @route   POST /api/ai/parse-resume
- * @desc    Upload and parse resume with AI
+ * @desc    Upload and parse resume (rule-based parser first for free users, AI otherwise, rule-based as fallback)
  * @access  Private
  */
 router.post('/parse-resume',
@@ -335,14 +596,22 @@ router.post('/parse-resume',
         });
       }
 
-      // Parse resume with AI
-      const result = await aiService.parseResumeContent(resumeText);
+      // Free users get the rule-based parser first; the AI is also backed by it. The token
+      // budget is only checked once the AI is actually needed.
+      const result = await aiService.parseResumeContent(resumeText, {
+        userId: req.user.id,
+        tier: req.user.subscription_tier,
+        beforeAI: () => reserveTokenBudget(req, res, TOKEN_ESTIMATES.parseResume)
+      });
+
+      // Out of budget; the 402/429 has been sent
+      if (result.stopped) return;
 
       if (!result.success) {
         return res.status(400).json({
           success: false,
           error: 'Resume Parsing Failed',
-          message: 'Failed to parse resume content'
+          message: result.error || 'Failed to parse resume content'
         });
       }
 
@@ -350,6 +619,7 @@ router.post('/parse-resume',
         success: true,
         message: 'Resume parsed successfully',
         data: result.data,
+        parser: result.parser,
         tokens_used: result.tokensUsed,
         raw_text: resumeText.substring(0, 500) + '...' // First 500 chars for debugging
       });
@@ -455,48 +725,62 @@ router.post('/template-recommendations', verifyFirebaseToken, async (req, res) =
 router.get('/usage', verifyFirebaseToken, async (req, res) => {
   try {
     const userId = req.user.id;
-
-    // Get user's portfolios and their iterations
-    const { Portfolio, PortfolioIteration } = require('../models');
-    
-    const portfolios = await Portfolio.findAll({
-      where: { user_id: userId },
-      include: [
-        {
-          model: PortfolioIteration,
-          as: 'iterations',
-          attributes: ['tokens_used', 'status', 'created_at']
-        }
-      ]
-    });
-
-    // Calculate usage stats
-    const totalIterations = portfolios.reduce((sum, p) => sum + (p.iterations?.length || 0), 0);
-    const totalTokens = portfolios.reduce((sum, p) => 
-      sum + (p.iterations?.reduce((iterSum, iter) => iterSum + (iter.tokens_used || 0), 0) || 0), 0
-    );
-    const successfulIterations = portfolios.reduce((sum, p) => 
-      sum + (p.iterations?.filter(iter => iter.status === 'completed').length || 0), 0
-    );
-
-    // Get current month usage
-    const currentMonth = new Date();
-    currentMonth.setDate(1);
-    currentMonth.setHours(0, 0, 0, 0);
-
-    const monthlyIterations = portfolios.reduce((sum, p) => 
-      sum + (p.iterations?.filter(iter => new Date(iter.created_at) >= currentMonth).length || 0), 0
-    );
+    const { AIUsage, Portfolio, PortfolioIteration } = require('../models');
+
+    const quota = await usageService.getQuota(req.user);
+    setQuotaHeaders(res, quota);
+
+    const [totalTokens, monthlyByTask, monthlyRedactions, iterationCounts, monthlyIterations] = await Promise.all([
+      AIUsage.getTotalTokens(userId),
+      AIUsage.getSummaryByTask(userId, quota.period_start),
+      AIUsage.getRedactionSummary(userId, quota.period_start),
+      PortfolioIteration.count({
+        include: [{
+          model: Portfolio,
+          as: 'portfolio',
+          attributes: [],
+          where: { user_id: userId }
+        }],
+        group: ['PortfolioIteration.status']
+      }),
+      PortfolioIteration.count({
+        include: [{
+          model: Portfolio,
+          as: 'portfolio',
+          attributes: [],
+          where: { user_id: userId }
+        }],
+        where: { created_at: { [Op.gte]: quota.period_start } }
+      })
+    ]);
+
+    const iterationsByStatus = Object.fromEntries(iterationCounts.map(row => [row.status, row.count]));
+    const totalIterations = iterationCounts.reduce((sum, row) => sum + row.count, 0);
 
     res.json({
       success: true,
       usage: {
         total_iterations: totalIterations,
-        successful_iterations: successfulIterations,
-        failed_iterations: totalIterations - successfulIterations,
+        successful_iterations: iterationsByStatus.completed || 0,
+        failed_iterations: iterationsByStatus.failed || 0,
         total_tokens_used: totalTokens,
         monthly_iterations: monthlyIterations,
-        subscription_tier: req.user.subscription_tier
+        monthly_tokens_used: quota.used,
+        monthly_calls: monthlyByTask.reduce((sum, task) => sum + task.calls, 0),
+        monthly_by_task: monthlyByTask,
+        subscription_tier: quota.tier,
+        quota: {
+          limit: quota.limit,
+          used: quota.used,
+          reserved: quota.reserved,
+          remaining: quota.remaining,
+          period_start: quota.period_start,
+          resets_at: quota.resets_at
+        },
+        privacy: {
+          redact_pii: req.user.redact_pii,
+          monthly_redacted_entities: monthlyRedactions
+        }
       }
     });
   } catch (error) {
@@ -509,4 +793,158 @@ router.get('/usage', verifyFirebaseToken, async (req, res) => {
   }
 });
 
+// Helper functions
+
+// Switch the response to Server-Sent Events. send(event, data) writes one typed event;
+// `closed` turns true once the client disconnects. The stream endpoints are POSTs (the
+// input is too large and too sensitive for a URL), so clients read them with fetch rather
+// than EventSource.
+function openEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // stop nginx from buffering events
+  });
+  res.flushHeaders();
+
+  // Comment lines keep proxies from timing out an idle connection during long model calls
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  const stream = {
+    closed: false,
+    send(event, data) {
+      if (stream.closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    // Also ends a response whose client has gone, which releases its token reservation
+    end() {
+      clearInterval(heartbeat);
+      stream.closed = true;
+      if (!res.writableEnded) res.end();
+    }
+  };
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    stream.closed = true;
+  });
+
+  return stream;
+}
+
+// Send a generation job's events to the client until the job finishes or the client disconnects
+async function streamJob(res, job) {
+  const stream = openEventStream(res);
+  stream.send('job', formatJob(job));
+
+  await new Promise(resolve => {
+    let done = false;
+    const stop = () => {
+      done = true;
+      unwatch();
+      resolve();
+    };
+    const finish = (finishedJob) => {
+      if (done) return;
+      if (finishedJob.status === 'completed') {
+        stream.send('complete', {
+          success: true,
+          message: 'Portfolio generated successfully',
+          ...finishedJob.result
+        });
+      } else {
+        stream.send('error', {
+          success: false,
+          error: finishedJob.status === 'cancelled' ? 'Generation Cancelled' : 'Generation Failed',
+          message: finishedJob.error_message || `Generation job was ${finishedJob.status}`
+        });
+      }
+      stop();
+    };
+
+    const unwatch = generationWorker.watch(job.id, (event, data) => {
+      if (done) return;
+      if (event === 'finished') return finish(data);
+      stream.send(event, data);
+    });
+    res.on('close', stop);
+
+    // The job may have finished before the watch started (or before the client connected)
+    job.reload()
+      .then(current => current.isFinished() && finish(current))
+      .catch(error => {
+        console.error(`Generation job ${job.id} stream error:`, error);
+        stop();
+      });
+  });
+
+  stream.end();
+}
+
+// Run an iteration, sending its progress to the client. A client that disconnects stops the
+// iteration before it saves anything.
+async function streamIteration(req, res) {
+  const stream = openEventStream(res);
+
+  try {
+    const portfolio = req.resource;
+    const { prompt, section } = req.body;
+
+    console.log(`AI iteration stream for portfolio ${portfolio.id}: ${prompt}`);
+
+    const result = await portfolioGenerator.enhancePortfolio(
+      portfolio.id,
+      prompt,
+      section,
+      {
+        onProgress: async (progress) => stream.send('progress', progress),
+        onSection: async (name, content) => stream.send('section', { section: name, content }),
+        isCancelled: () => stream.closed
+      }
+    );
+
+    if (!result.success) {
+      return stream.send('error', {
+        success: false,
+        error: 'Enhancement Failed',
+        message: result.error
+      });
+    }
+
+    stream.send('complete', {
+      success: true,
+      message: 'Portfolio enhanced successfully',
+      changes: result.changes,
+      metadata: result.metadata,
+      validation: result.validation
+    });
+  } catch (error) {
+    console.error('AI iteration stream error:', error);
+    stream.send('error', {
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to enhance portfolio'
+    });
+  } finally {
+    stream.end();
+  }
+}
+
+function formatJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    portfolio_id: job.portfolio_id,
+    result: job.result,
+    error: job.error_message,
+    attempts: job.attempts,
+    cancel_requested: job.cancel_requested,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    finished_at: job.finished_at
+  };
+}
+
 module.exports = router;
\ No newline at end of file
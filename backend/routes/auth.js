@@ -56,7 +56,7 @@ router.get('/profile', verifyFirebaseToken, async (req, res) => {
     const userWithStats = await User.findByPk(user.id, {
       attributes: [
         'id', 'email', 'username', 'full_name', 'avatar_url',
-        'subscription_tier', 'created_at', 'last_login_at'
+        'subscription_tier', 'redact_pii', 'created_at', 'last_login_at'
       ],
       include: [
         {
@@ -114,7 +114,14 @@ router.get('/profile', verifyFirebaseToken, async (req, res) => {
 router.put('/profile', verifyFirebaseToken, validateProfileUpdate, async (req, res) => {
   try {
     const user = req.user;
-    const updates = req.body;
+
+    // Only these are user-editable; the rest (subscription_tier, email, ...) is never taken from the body
+    const updates = {};
+    ['username', 'full_name', 'avatar_url', 'redact_pii'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
 
     // Check if username is being changed and is available
     if (updates.username && updates.username !== user.username) {
@@ -140,7 +147,8 @@ router.put('/profile', verifyFirebaseToken, validateProfileUpdate, async (req, r
         username: user.username,
         full_name: user.full_name,
         avatar_url: user.avatar_url,
-        subscription_tier: user.subscription_tier
+        subscription_tier: user.subscription_tier,
+        redact_pii: user.redact_pii
       }
     });
   } catch (error) {
@@ -1,11 +1,32 @@
 const express = require('express');
 const router = express.Router();
+const multer = require('multer');
 const { Integration } = require('../models');
 const { verifyFirebaseToken } = require('../middleware/auth');
-const { validateGitHubIntegration } = require('../middleware/validation');
-const { integrationSyncLimiter, apiLimiter } = require('../middleware/rateLimiter');
+const {
+  validateGitHubIntegration,
+  validateOAuthCallback,
+  validateRepositoryCuration,
+  validateLeetCodeIntegration,
+  validateLinkedInExportUpload
+} = require('../middleware/validation');
+const { integrationSyncLimiter, apiLimiter, uploadLimiter } = require('../middleware/rateLimiter');
 
 const githubService = require('../services/githubService');
+const githubOAuthService = require('../services/githubOAuthService');
+const repositoryCurationService = require('../services/repositoryCurationService');
+const leetcodeService = require('../services/leetcodeService');
+const linkedinService = require('../services/linkedinService');
+const integrationSyncService = require('../services/integrationSyncService');
+
+// LinkedIn exports are parsed straight from memory, nothing is written to disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 20 * 1024 * 1024, // 20MB limit
+    files: 5
+  }
+});
 
 // Apply rate limiting
 router.use(apiLimiter);
@@ -36,7 +57,8 @@ router.get('/', verifyFirebaseToken, async (req, res) => {
         username: integration.profile_data?.username,
         name: integration.profile_data?.name,
         public_repos: integration.profile_data?.public_repos,
-        followers: integration.profile_data?.followers
+        followers: integration.profile_data?.followers,
+        problems_solved: integration.profile_data?.problems_solved
       }
     }));
 
@@ -56,7 +78,7 @@ router.get('/', verifyFirebaseToken, async (req, res) => {
 
 /**
  * @route   POST /api/integrations/github
- * @desc    Connect GitHub integration
+ * @desc    Connect GitHub integration with a personal access token (see /github/oauth/start for OAuth)
  * @access  Private
  */
 router.post('/github', verifyFirebaseToken, validateGitHubIntegration, async (req, res) => {
@@ -150,6 +172,357 @@ router.post('/github', verifyFirebaseToken, validateGitHubIntegration, async (re
   }
 });
 
+/**
+ * @route   POST /api/integrations/github/oauth/start
+ * @desc    Start the GitHub OAuth flow; returns the URL to send the browser to
+ * @access  Private
+ */
+router.post('/github/oauth/start', verifyFirebaseToken, async (req, res) => {
+  try {
+    if (!githubOAuthService.isConfigured()) {
+      return res.status(503).json({
+        success: false,
+        error: 'OAuth Not Configured',
+        message: 'GitHub OAuth is not configured on this server; connect with a personal access token instead'
+      });
+    }
+
+    const result = await githubOAuthService.startAuthorization(req.user.id);
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: 'OAuth Error',
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      authorization_url: result.authorizationUrl,
+      state: result.state,
+      expires_at: result.expiresAt
+    });
+  } catch (error) {
+    console.error('GitHub OAuth start error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to start GitHub authorization'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/integrations/github/oauth/callback
+ * @desc    Complete the GitHub OAuth flow with the code and state from the redirect
+ * @access  Private (same user who started the flow)
+ */
+router.post('/github/oauth/callback', verifyFirebaseToken, validateOAuthCallback, async (req, res) => {
+  try {
+    const { code, state } = req.body;
+
+    const result = await githubOAuthService.completeAuthorization(req.user.id, code, state);
+
+    if (!result.success) {
+      return res.status(result.status || 500).json({
+        success: false,
+        error: 'GitHub Authorization Failed',
+        message: result.error
+      });
+    }
+
+    const { integration, profile } = result;
+
+    res.status(201).json({
+      success: true,
+      message: 'GitHub integration connected successfully',
+      integration: {
+        id: integration.id,
+        platform: integration.platform,
+        platform_username: integration.platform_username,
+        is_active: integration.is_active,
+        last_synced_at: integration.last_synced_at,
+        scopes: result.scopes,
+        profile_summary: {
+          username: profile.username,
+          name: profile.name,
+          public_repos: profile.public_repos,
+          followers: profile.followers
+        }
+      }
+    });
+  } catch (error) {
+    console.error('GitHub OAuth callback error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to complete GitHub authorization'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/integrations/github/repositories
+ * @desc    List synced GitHub repositories with their curation (included, order, overrides)
+ * @access  Private
+ */
+router.get('/github/repositories', verifyFirebaseToken, async (req, res) => {
+  try {
+    const integration = await Integration.findByUserAndPlatform(req.user.id, 'github');
+    if (!integration) {
+      return res.status(404).json({
+        success: false,
+        error: 'Integration not found',
+        message: 'github integration not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      repositories: formatCuratedRepositories(integration),
+      organizations: repositoryCurationService.listOrganizations(
+        integration.profile_data,
+        integration.repository_curation
+      ),
+      // Repositories arrive with a sync; a freshly connected integration has none yet
+      needs_sync: !Array.isArray(integration.profile_data?.repositories),
+      last_synced_at: integration.last_synced_at
+    });
+  } catch (error) {
+    console.error('GitHub repositories fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to fetch GitHub repositories'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/integrations/github/repositories
+ * @desc    Update repository curation: include/exclude, manual order and per-repo overrides
+ * @access  Private
+ */
+router.put('/github/repositories', verifyFirebaseToken, validateRepositoryCuration, async (req, res) => {
+  try {
+    const integration = await Integration.findByUserAndPlatform(req.user.id, 'github');
+    if (!integration) {
+      return res.status(404).json({
+        success: false,
+        error: 'Integration not found',
+        message: 'github integration not found'
+      });
+    }
+
+    const knownKeys = repositoryCurationService
+      .listRepositories(integration.profile_data, {})
+      .map(entry => entry.key);
+
+    const knownOrganizations = (integration.profile_data.organizations || []).map(org => org.login);
+
+    const result = repositoryCurationService.applyUpdate(
+      integration.repository_curation,
+      req.body,
+      knownKeys,
+      knownOrganizations
+    );
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Curation',
+        message: result.error
+      });
+    }
+
+    await integration.update({ repository_curation: result.curation });
+
+    res.json({
+      success: true,
+      message: 'Repository curation updated',
+      repositories: formatCuratedRepositories(integration),
+      organizations: repositoryCurationService.listOrganizations(
+        integration.profile_data,
+        integration.repository_curation
+      ),
+      // Newly opted-in organizations' repositories show up after the next sync
+      needs_sync: Array.isArray(req.body.organizations)
+    });
+  } catch (error) {
+    console.error('GitHub repository curation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to update repository curation'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/integrations/leetcode
+ * @desc    Connect LeetCode integration
+ * @access  Private
+ */
+router.post('/leetcode', verifyFirebaseToken, validateLeetCodeIntegration, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { username } = req.body;
+
+    console.log(`Connecting LeetCode integration for user ${userId}: ${username}`);
+
+    // Validate LeetCode username
+    const validationResult = await leetcodeService.validateUsername(username);
+    if (!validationResult.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'LeetCode API Error',
+        message: 'Failed to validate LeetCode username'
+      });
+    }
+
+    if (!validationResult.exists) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Username',
+        message: 'LeetCode username does not exist'
+      });
+    }
+
+    // Fetch LeetCode stats
+    const profileResult = await leetcodeService.getComprehensiveUserData(username);
+    if (!profileResult.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'LeetCode API Error',
+        message: profileResult.error || 'Failed to fetch LeetCode profile'
+      });
+    }
+
+    // Check if integration already exists
+    let integration = await Integration.findByUserAndPlatform(userId, 'leetcode');
+
+    if (integration) {
+      // Update existing integration
+      await integration.update({
+        platform_username: username,
+        platform_user_id: profileResult.data.username,
+        is_active: true,
+        sync_status: 'success',
+        error_message: null
+      });
+
+      await integration.updateProfileData(profileResult.data);
+    } else {
+      // Create new integration
+      integration = await Integration.create({
+        user_id: userId,
+        platform: 'leetcode',
+        platform_username: username,
+        platform_user_id: profileResult.data.username,
+        is_active: true
+      });
+
+      await integration.updateProfileData(profileResult.data);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'LeetCode integration connected successfully',
+      integration: {
+        id: integration.id,
+        platform: integration.platform,
+        platform_username: integration.platform_username,
+        is_active: integration.is_active,
+        last_synced_at: integration.last_synced_at,
+        profile_summary: {
+          username: profileResult.data.username,
+          name: profileResult.data.name,
+          ranking: profileResult.data.ranking,
+          problems_solved: profileResult.data.problems_solved,
+          contest_rating: profileResult.data.contest_rating
+        }
+      }
+    });
+  } catch (error) {
+    console.error('LeetCode integration error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal Server Error',
+      message: 'Failed to connect LeetCode integration'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/integrations/linkedin/import
+ * @desc    Import LinkedIn data from the "Download your data" archive (ZIP or CSV files)
+ * @access  Private
+ */
+router.post('/linkedin/import',
+  verifyFirebaseToken,
+  uploadLimiter,
+  upload.array('files', 5),
+  validateLinkedInExportUpload,
+  async (req, res) => {
+    try {
+      const userId = req.user.id;
+
+      console.log(`Importing LinkedIn export for user ${userId}: ${req.files.map(f => f.originalname).join(', ')}`);
+
+      const parseResult = await linkedinService.parseExport(req.files);
+      if (!parseResult.success) {
+        return res.status(400).json({
+          success: false,
+          error: 'Import Failed',
+          message: parseResult.error
+        });
+      }
+
+      let integration = await Integration.findByUserAndPlatform(userId, 'linkedin');
+
+      if (integration) {
+        await integration.update({
+          platform_username: parseResult.data.name || integration.platform_username,
+          is_active: true
+        });
+      } else {
+        integration = await Integration.create({
+          user_id: userId,
+          platform: 'linkedin',
+          platform_username: parseResult.data.name || null,
+          profile_data: Integration.getDefaultProfileData('linkedin'),
+          is_active: true
+        });
+      }
+
+      // Sections missing from this upload keep their previously imported values
+      await integration.updateProfileData(parseResult.data);
+
+      res.status(201).json({
+        success: true,
+        message: 'LinkedIn data imported successfully',
+        integration: {
+          id: integration.id,
+          platform: integration.platform,
+          platform_username: integration.platform_username,
+          is_active: integration.is_active,
+          last_synced_at: integration.last_synced_at
+        },
+        files: parseResult.files,
+        data_summary: getSyncSummary('linkedin', integration.profile_data)
+      });
+    } catch (error) {
+      console.error('LinkedIn import error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+        message: 'Failed to import LinkedIn data'
+      });
+    }
+  }
+);
+
 /**
  * @route   POST /api/integrations/:platform/sync
  * @desc    Sync integration data
@@ -185,40 +558,42 @@ router.post('/:platform/sync', verifyFirebaseToken, integrationSyncLimiter, asyn
       });
     }
 
+    // LinkedIn has no public API to pull from; data only changes through an export upload
+    if (platform === 'linkedin') {
+      return res.status(400).json({
+        success: false,
+        error: 'Sync not supported',
+        message: 'LinkedIn data is refreshed by uploading a new data export to /api/integrations/linkedin/import'
+      });
+    }
+
     console.log(`Syncing ${platform} integration for user ${userId}`);
 
-    // Mark sync as pending
-    await integration.markSyncPending();
-
-    let syncResult;
-
-    // Sync based on platform
-    switch (platform) {
-      case 'github':
-        syncResult = await syncGitHubIntegration(integration);
-        break;
-      case 'linkedin':
-        syncResult = await syncLinkedInIntegration(integration);
-        break;
-      case 'leetcode':
-        syncResult = await syncLeetCodeIntegration(integration);
-        break;
-      default:
-        throw new Error(`Unsupported platform: ${platform}`);
-    }
+    const syncResult = await integrationSyncService.syncIntegration(integration);
 
     if (syncResult.success) {
-      await integration.updateProfileData(syncResult.data);
-      
       res.json({
         success: true,
         message: `${platform} integration synced successfully`,
         last_synced_at: integration.last_synced_at,
-        data_summary: getSyncSummary(platform, syncResult.data)
+        data_summary: getSyncSummary(platform, syncResult.data),
+        portfolios_refreshed: syncResult.portfolios.filter(portfolio => portfolio.changed).length
+      });
+    } else if (syncResult.rateLimited) {
+      // Not a failure: the sync runs by itself once the rate limit resets
+      res.status(202).json({
+        success: true,
+        message: `${platform} rate limit reached; the sync will retry automatically`,
+        sync_status: integration.sync_status,
+        retry_at: syncResult.retryAt
+      });
+    } else if (syncResult.inProgress) {
+      res.status(409).json({
+        success: false,
+        error: 'Sync In Progress',
+        message: syncResult.error
       });
     } else {
-      await integration.markSyncError(syncResult.error);
-      
       res.status(400).json({
         success: false,
         error: 'Sync Failed',
@@ -372,7 +747,8 @@ router.get('/available', verifyFirebaseToken, async (req, res) => {
         features: ['Repositories', 'Profile Info', 'Contribution Graph', 'Languages'],
         is_connected: connectedPlatforms.includes('github'),
         setup_difficulty: 'Easy',
-        data_richness: 'High'
+        data_richness: 'High',
+        oauth_available: githubOAuthService.isConfigured()
       },
       {
         platform: 'linkedin',
@@ -382,7 +758,7 @@ router.get('/available', verifyFirebaseToken, async (req, res) => {
         is_connected: connectedPlatforms.includes('linkedin'),
         setup_difficulty: 'Medium',
         data_richness: 'Medium',
-        note: 'Currently supports manual data entry'
+        note: 'Upload the ZIP from LinkedIn Settings > Data privacy > Get a copy of your data'
       },
       {
         platform: 'leetcode',
@@ -390,8 +766,8 @@ router.get('/available', verifyFirebaseToken, async (req, res) => {
         description: 'Import coding challenge statistics and achievements',
         features: ['Problem Stats', 'Contest Rating', 'Badges', 'Recent Submissions'],
         is_connected: connectedPlatforms.includes('leetcode'),
-        setup_difficulty: 'Medium',
-        data_richness: 'Low',
+        setup_difficulty: 'Easy',
+        data_richness: 'Medium',
         note: 'Public profile required'
       }
     ];
@@ -412,38 +788,10 @@ router.get('/available', verifyFirebaseToken, async (req, res) => {
 });
 
 // Helper functions (moved outside of router)
-async function syncGitHubIntegration(integration) {
-  try {
-    const result = await githubService.getComprehensiveUserData(
-      integration.platform_username,
-      integration.access_token
-    );
-    
-    return result;
-  } catch (error) {
-    return {
-      success: false,
-      error: error.message || 'Failed to sync GitHub data'
-    };
-  }
-}
-
-async function syncLinkedInIntegration(integration) {
-  // Placeholder for LinkedIn sync
-  // In a real implementation, this would include LinkedIn API calls or scraping
-  return {
-    success: false,
-    error: 'LinkedIn sync not yet implemented'
-  };
-}
-
-async function syncLeetCodeIntegration(integration) {
-  // Placeholder for LeetCode sync
-  // In a real implementation, this would include LeetCode API calls or scraping
-  return {
-    success: false,
-    error: 'LeetCode sync not yet implemented'
-  };
+function formatCuratedRepositories(integration) {
+  return repositoryCurationService
+    .listRepositories(integration.profile_data, integration.repository_curation)
+    .map(({ repository, ...entry }) => entry);
 }
 
 function getSyncSummary(platform, data) {
@@ -451,6 +799,7 @@ function getSyncSummary(platform, data) {
     case 'github':
       return {
         repositories: data.repositories?.length || 0,
+        organization_repositories: data.stats?.organization_repos || 0,
         languages: data.languages?.length || 0,
         total_stars: data.stats?.total_stars || 0,
         profile_complete: !!(data.profile?.name && data.profile?.bio)
@@ -463,7 +812,12 @@ function getSyncSummary(platform, data) {
       };
     case 'leetcode':
       return {
+        ranking: data.ranking || 0,
         problems_solved: data.problems_solved || 0,
+        easy_solved: data.easy_solved || 0,
+        medium_solved: data.medium_solved || 0,
+        hard_solved: data.hard_solved || 0,
+        acceptance_rate: data.acceptance_rate || 0,
         contest_rating: data.contest_rating || 0,
         badges_count: data.badges?.length || 0
       };
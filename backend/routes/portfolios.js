@@ -1,15 +1,31 @@
 const express = require('express');
 const router = express.Router();
-const { Portfolio, PortfolioIteration, User } = require('../models');
+const { Portfolio, PortfolioIteration, User, ContactMessage, PortfolioView, PortfolioDomain } = require('../models');
 const { verifyFirebaseToken, checkOwnership, optionalAuth } = require('../middleware/auth');
 const { 
   validatePortfolioCreation, 
   validatePortfolioUpdate, 
+  validateTemplateSwitch,
+  validateThemeUpdate,
   validateUUID,
-  validatePagination 
+  validatePagination,
+  validateIterationDiff,
+  validateResumeExport,
+  validateAnalyticsRange,
+  validateDomain
 } = require('../middleware/validation');
 const { portfolioCreationLimiter, apiLimiter } = require('../middleware/rateLimiter');
 
+const exportService = require('../services/exportService');
+const resumeService = require('../services/resumeService');
+const jsonResumeService = require('../services/jsonResumeService');
+const templateEngine = require('../services/templateEngine');
+const contentValidator = require('../services/contentValidator');
+const domainService = require('../services/domainService');
+const { diffContent, summarizeDiff } = require('../utils/contentDiff');
+const { removeUndefinedValues } = require('../utils/helpers');
+const { buildViewEvent } = require('../utils/analytics');
+
 // Apply general rate limiting
 router.use(apiLimiter);
 
@@ -59,7 +75,7 @@ router.get('/', verifyFirebaseToken, validatePagination, async (req, res) => {
       offset: offset,
       order: [[sort, order.toUpperCase()]],
       attributes: [
-        'id', 'title', 'slug', 'status', 'template_id', 
+        'id', 'title', 'slug', 'status', 'template_id', 'parent_portfolio_id',
         'view_count', 'is_public', 'published_at', 
         'created_at', 'updated_at'
       ]
@@ -102,6 +118,23 @@ router.post('/', verifyFirebaseToken, portfolioCreationLimiter, validatePortfoli
     const userId = req.user.id;
     const { title, template_id, content } = req.body;
 
+    const templateId = template_id || 'modern-dev';
+    const portfolioContent = content || Portfolio.getDefaultContent();
+
+    // Drafts may be incomplete, but malformed fields are rejected up front
+    const validation = contentValidator.validateContent(portfolioContent, templateId, { allowMissingRequired: true });
+    if (!validation.success) {
+      return res.status(400).json({
+        success: false,
+        error: 'Template not found',
+        message: validation.error
+      });
+    }
+
+    if (!validation.valid) {
+      return sendContentValidationError(res, validation);
+    }
+
     // Generate unique slug
     const slug = await Portfolio.generateSlug(userId, title);
 
@@ -110,8 +143,8 @@ router.post('/', verifyFirebaseToken, portfolioCreationLimiter, validatePortfoli
       user_id: userId,
       title,
       slug,
-      template_id: template_id || 'modern-dev',
-      content: content || Portfolio.getDefaultContent(),
+      template_id: templateId,
+      content: portfolioContent,
       status: 'draft'
     });
 
@@ -125,6 +158,10 @@ router.post('/', verifyFirebaseToken, portfolioCreationLimiter, validatePortfoli
         status: portfolio.status,
         template_id: portfolio.template_id,
         created_at: portfolio.created_at
+      },
+      validation: {
+        warnings: validation.warnings,
+        unrendered_fields: validation.unrendered_fields
       }
     });
   } catch (error) {
@@ -161,6 +198,7 @@ router.get('/:id',
           slug: portfolio.slug,
           status: portfolio.status,
           template_id: portfolio.template_id,
+          parent_portfolio_id: portfolio.parent_portfolio_id,
           content: portfolio.content,
           view_count: portfolio.view_count,
           is_public: portfolio.is_public,
@@ -208,9 +246,54 @@ router.put('/:id',
         }
       }
 
+      // Publishing through a plain update gets the same completeness check as /publish
+      const publishing = updates.status === 'published' && portfolio.status !== 'published';
+
+      let validation = null;
+      if (updates.content !== undefined || updates.template_id !== undefined || publishing) {
+        validation = contentValidator.validateContent(
+          updates.content !== undefined ? updates.content : portfolio.content,
+          updates.template_id || portfolio.template_id,
+          { allowMissingRequired: !publishing }
+        );
+
+        if (!validation.success) {
+          return res.status(400).json({
+            success: false,
+            error: 'Template not found',
+            message: validation.error
+          });
+        }
+
+        if (!validation.valid) {
+          return sendContentValidationError(res, validation);
+        }
+      }
+
+      const previousContent = portfolio.content;
+      const contentChanges = updates.content
+        ? diffContent(previousContent, updates.content)
+        : [];
+
+      // Cached render is stale once content changes
+      if (contentChanges.length > 0) {
+        updates.generated_html = null;
+        updates.generated_css = null;
+        updates.generated_js = null;
+      }
+
       // Update portfolio
       await portfolio.update(updates);
 
+      // Snapshot manual content edits so they show up in version history
+      if (contentChanges.length > 0) {
+        await PortfolioIteration.recordSnapshot(portfolio.id, previousContent, {
+          prompt: 'Manual edit',
+          iteration_type: 'manual',
+          changes_made: { manual: true, summary: summarizeDiff(contentChanges) }
+        });
+      }
+
       res.json({
         success: true,
         message: 'Portfolio updated successfully',
@@ -221,7 +304,13 @@ router.put('/:id',
           status: portfolio.status,
           template_id: portfolio.template_id,
           updated_at: portfolio.updated_at
-        }
+        },
+        ...(validation && {
+          validation: {
+            warnings: validation.warnings,
+            unrendered_fields: validation.unrendered_fields
+          }
+        })
       });
     } catch (error) {
       console.error('Portfolio update error:', error);
@@ -278,6 +367,25 @@ router.post('/:id/publish',
     try {
       const portfolio = req.resource;
 
+      // A published page must have every required field filled in
+      const validation = contentValidator.validateContent(portfolio.content, portfolio.template_id);
+      if (!validation.success) {
+        return res.status(400).json({
+          success: false,
+          error: 'Template not found',
+          message: validation.error
+        });
+      }
+
+      if (!validation.valid) {
+        return res.status(422).json({
+          success: false,
+          error: 'Portfolio incomplete',
+          message: 'Fix the listed fields before publishing',
+          errors: validation.errors
+        });
+      }
+
       // Publish portfolio
       await portfolio.publish();
 
@@ -364,6 +472,7 @@ router.post('/:id/duplicate',
         slug,
         template_id: originalPortfolio.template_id,
         content: originalPortfolio.content,
+        customizations: originalPortfolio.customizations,
         status: 'draft'
       });
 
@@ -390,6 +499,288 @@ router.post('/:id/duplicate',
   }
 );
 
+/**
+ * @route   PUT /api/portfolios/:id/template
+ * @desc    Switch portfolio template, validating content against the new template's sections
+ * @access  Private (owner only)
+ */
+router.put('/:id/template',
+  verifyFirebaseToken,
+  validateUUID('id'),
+  validateTemplateSwitch,
+  checkOwnership(Portfolio, 'id'),
+  async (req, res) => {
+    try {
+      const portfolio = req.resource;
+      const { template_id, force = false } = req.body;
+
+      if (!templateEngine.getTemplateConfig(template_id)) {
+        const { templates = [] } = await templateEngine.getAvailableTemplates();
+        return res.status(400).json({
+          success: false,
+          error: 'Template not found',
+          message: `Available templates: ${templates.map(t => t.id).join(', ')}`
+        });
+      }
+
+      const validation = contentValidator.validateContent(portfolio.content, template_id);
+
+      // Missing required fields would leave holes in the page; let the user opt in
+      if (!validation.valid && !force) {
+        return res.status(422).json({
+          success: false,
+          error: 'Content incompatible with template',
+          message: 'Fill in the required fields or pass force: true to switch anyway',
+          errors: validation.errors,
+          unrendered_fields: validation.unrendered_fields
+        });
+      }
+
+      const previousTemplate = portfolio.template_id;
+
+      // Keep only the theme options the new template also offers
+      const theme = templateEngine.validateCustomizations(template_id, portfolio.customizations);
+
+      // Cached render belongs to the old template
+      await portfolio.update({
+        template_id,
+        customizations: theme.customizations,
+        generated_html: null,
+        generated_css: null,
+        generated_js: null
+      });
+
+      res.json({
+        success: true,
+        message: previousTemplate === template_id
+          ? 'Portfolio already uses this template'
+          : 'Portfolio template updated successfully',
+        portfolio: {
+          id: portfolio.id,
+          template_id: portfolio.template_id,
+          previous_template_id: previousTemplate,
+          updated_at: portfolio.updated_at
+        },
+        validation: {
+          valid: validation.valid,
+          errors: validation.errors
+        },
+        unrendered_fields: validation.unrendered_fields
+      });
+    } catch (error) {
+      console.error('Template switch error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+        message: 'Failed to switch portfolio template'
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/portfolios/:id/theme
+ * @desc    Get saved theme customizations, the template's options and the resulting CSS
+ * @access  Private (owner only)
+ */
+router.get('/:id/theme',
+  verifyFirebaseToken,
+  validateUUID('id'),
+  checkOwnership(Portfolio, 'id'),
+  async (req, res) => {
+    try {
+      const portfolio = req.resource;
+      const config = templateEngine.getTemplateConfig(portfolio.template_id);
+
+      if (!config) {
+        return res.status(400).json({
+          success: false,
+          error: 'Template not found',
+          message: `Template '${portfolio.template_id}' is not available`
+        });
+      }
+
+      const result = await templateEngine.customizeTemplate(portfolio.template_id, portfolio.customizations);
+
+      res.json({
+        success: true,
+        theme: {
+          template_id: portfolio.template_id,
+          customizations: portfolio.customizations,
+          options: config.customization || {},
+          css: result.success ? result.css : '',
+          stylesheets: result.success ? result.stylesheets.map(sheet => sheet.href) : []
+        }
+      });
+    } catch (error) {
+      console.error('Theme fetch error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+        message: 'Failed to fetch portfolio theme'
+      });
+    }
+  }
+);
+
+/**
+ * @route   PUT /api/portfolios/:id/theme
+ * @desc    Replace theme customizations (colors, fonts, layout, effects, custom_css)
+ * @access  Private (owner only)
+ */
+router.put('/:id/theme',
+  verifyFirebaseToken,
+  validateUUID('id'),
+  validateThemeUpdate,
+  checkOwnership(Portfolio, 'id'),
+  async (req, res) => {
+    try {
+      const portfolio = req.resource;
+      const { colors, fonts, layout, effects, custom_css } = req.body;
+
+      const result = await templateEngine.customizeTemplate(
+        portfolio.template_id,
+        removeUndefinedValues({ colors, fonts, layout, effects, custom_css })
+      );
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid theme',
+          message: result.errors ? 'Some options are not supported by this template' : result.error,
+          errors: result.errors || []
+        });
+      }
+
+      // Cached render was built with the old theme
+      await portfolio.update({
+        customizations: result.customizations,
+        generated_html: null,
+        generated_css: null,
+        generated_js: null
+      });
+
+      res.json({
+        success: true,
+        message: 'Portfolio theme updated successfully',
+        theme: {
+          template_id: portfolio.template_id,
+          customizations: portfolio.customizations,
+          css: result.css,
+          stylesheets: result.stylesheets.map(sheet => sheet.href)
+        }
+      });
+    } catch (error) {
+      console.error('Theme update error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+        message: 'Failed to update portfolio theme'
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/portfolios/:id/export
+ * @desc    Export portfolio as a self-contained static site (?format=zip) or a JSON Resume document (?format=json-resume)
+ * @access  Private (owner only)
+ */
+router.get('/:id/export',
+  verifyFirebaseToken,
+  validateUUID('id'),
+  checkOwnership(Portfolio, 'id'),
+  async (req, res) => {
+    try {
+      const portfolio = req.resource;
+      const { format = 'zip', vendor_assets = 'true' } = req.query;
+
+      if (!['zip', 'json-resume'].includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Unsupported export format',
+          message: 'Supported formats: zip, json-resume'
+        });
+      }
+
+      if (format === 'json-resume') {
+        const { resume, report } = jsonResumeService.fromPortfolioContent(portfolio.content, {
+          lastModified: portfolio.updated_at
+        });
+
+        res.setHeader('X-Export-Unmapped-Fields', String(report.unmapped.length));
+        return res.json({
+          success: true,
+          resume,
+          report
+        });
+      }
+
+      const result = await exportService.exportStaticSite(portfolio, {
+        vendorAssets: vendor_assets !== 'false'
+      });
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: 'Export Failed',
+          message: result.error
+        });
+      }
+
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+      res.setHeader('X-Export-Skipped-Assets', String(result.report.skipped.length));
+      res.send(result.buffer);
+    } catch (error) {
+      console.error('Portfolio export error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+        message: 'Failed to export portfolio'
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/portfolios/:id/export/resume
+ * @desc    Export portfolio content as a single-column resume (?format=pdf|docx&style=classic|modern&paper=letter|a4)
+ * @access  Private (owner only)
+ */
+router.get('/:id/export/resume',
+  verifyFirebaseToken,
+  validateUUID('id'),
+  validateResumeExport,
+  checkOwnership(Portfolio, 'id'),
+  async (req, res) => {
+    try {
+      const { format = 'pdf', style = 'classic', paper = 'letter' } = req.query;
+
+      const result = await resumeService.exportResume(req.resource, { format, style, paper });
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: 'Export Failed',
+          message: result.error
+        });
+      }
+
+      res.setHeader('Content-Type', result.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${result.filename}"`);
+      res.send(result.buffer);
+    } catch (error) {
+      console.error('Resume export error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+        message: 'Failed to export resume'
+      });
+    }
+  }
+);
+
 /**
  * @route   GET /api/portfolios/:id/iterations
  * @desc    Get portfolio iterations history
@@ -426,6 +817,189 @@ router.get('/:id/iterations',
   }
 );
 
+/**
+ * @route   GET /api/portfolios/:id/iterations/diff
+ * @desc    Structured diff between two iteration snapshots (?from=<id>&to=<id|current>)
+ * @access  Private (owner only)
+ */
+router.get('/:id/iterations/diff',
+  verifyFirebaseToken,
+  validateUUID('id'),
+  validateIterationDiff,
+  checkOwnership(Portfolio, 'id'),
+  async (req, res) => {
+    try {
+      const portfolio = req.resource;
+      const { from, to = 'current' } = req.query;
+
+      const fromIteration = await PortfolioIteration.findByPortfolioAndId(portfolio.id, from);
+      if (!fromIteration) {
+        return res.status(404).json({
+          success: false,
+          error: 'Iteration not found',
+          message: `Iteration ${from} not found`
+        });
+      }
+
+      let toSnapshot = portfolio.content;
+      let toInfo = { id: 'current', created_at: portfolio.updated_at };
+
+      if (to !== 'current') {
+        const toIteration = await PortfolioIteration.findByPortfolioAndId(portfolio.id, to);
+        if (!toIteration) {
+          return res.status(404).json({
+            success: false,
+            error: 'Iteration not found',
+            message: `Iteration ${to} not found`
+          });
+        }
+
+        toSnapshot = toIteration.previous_content;
+        toInfo = { id: toIteration.id, created_at: toIteration.created_at };
+      }
+
+      const changes = diffContent(fromIteration.previous_content, toSnapshot);
+
+      res.json({
+        success: true,
+        from: { id: fromIteration.id, created_at: fromIteration.created_at },
+        to: toInfo,
+        diff: {
+          changes,
+          summary: summarizeDiff(changes)
+        }
+      });
+    } catch (error) {
+      console.error('Iteration diff error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+        message: 'Failed to diff iterations'
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/portfolios/:id/iterations/:iterationId
+ * @desc    Get single iteration with its content snapshot
+ * @access  Private (owner only)
+ */
+router.get('/:id/iterations/:iterationId',
+  verifyFirebaseToken,
+  validateUUID('id'),
+  validateUUID('iterationId'),
+  checkOwnership(Portfolio, 'id'),
+  async (req, res) => {
+    try {
+      const portfolio = req.resource;
+
+      const iteration = await PortfolioIteration.findByPortfolioAndId(portfolio.id, req.params.iterationId);
+      if (!iteration) {
+        return res.status(404).json({
+          success: false,
+          error: 'Iteration not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        iteration: {
+          id: iteration.id,
+          prompt: iteration.prompt,
+          iteration_type: iteration.iteration_type,
+          status: iteration.status,
+          changes_made: iteration.changes_made,
+          ai_model_used: iteration.ai_model_used,
+          tokens_used: iteration.tokens_used,
+          processing_time_ms: iteration.processing_time_ms,
+          error_message: iteration.error_message,
+          created_at: iteration.created_at,
+          // Content as it was before this iteration was applied
+          snapshot: iteration.previous_content
+        }
+      });
+    } catch (error) {
+      console.error('Iteration fetch error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+        message: 'Failed to fetch iteration'
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/portfolios/:id/iterations/:iterationId/restore
+ * @desc    Restore portfolio content to the snapshot taken before an iteration
+ * @access  Private (owner only)
+ */
+router.post('/:id/iterations/:iterationId/restore',
+  verifyFirebaseToken,
+  validateUUID('id'),
+  validateUUID('iterationId'),
+  checkOwnership(Portfolio, 'id'),
+  async (req, res) => {
+    try {
+      const portfolio = req.resource;
+      const { iterationId } = req.params;
+
+      const iteration = await PortfolioIteration.findByPortfolioAndId(portfolio.id, iterationId);
+      if (!iteration) {
+        return res.status(404).json({
+          success: false,
+          error: 'Iteration not found'
+        });
+      }
+
+      // Generate iterations and old rows may have no snapshot to go back to
+      if (!iteration.getDataValue('previous_content')) {
+        return res.status(400).json({
+          success: false,
+          error: 'No snapshot',
+          message: 'This iteration has no saved content to restore'
+        });
+      }
+
+      const previousContent = portfolio.content;
+      const restoredContent = iteration.previous_content;
+      const changes = diffContent(previousContent, restoredContent);
+
+      await portfolio.replaceContent(restoredContent);
+
+      // The restore is itself a version, so it can be undone the same way
+      const restoreIteration = await PortfolioIteration.recordSnapshot(portfolio.id, previousContent, {
+        prompt: `Restore content from before iteration ${iterationId}`,
+        iteration_type: 'restore',
+        changes_made: {
+          restored_from: iterationId,
+          summary: summarizeDiff(changes)
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'Portfolio restored successfully',
+        iteration: {
+          id: restoreIteration.id,
+          iteration_type: restoreIteration.iteration_type,
+          restored_from: iterationId,
+          created_at: restoreIteration.created_at
+        },
+        diff: summarizeDiff(changes)
+      });
+    } catch (error) {
+      console.error('Iteration restore error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+        message: 'Failed to restore iteration'
+      });
+    }
+  }
+);
+
 /**
  * @route   GET /api/portfolios/:id/stats
  * @desc    Get portfolio statistics
@@ -468,6 +1042,404 @@ router.get('/:id/stats',
   }
 );
 
+/**
+ * @route   GET /api/portfolios/:id/analytics
+ * @desc    Public view analytics over a date range (?from=YYYY-MM-DD&to=YYYY-MM-DD, default last 30 days)
+ * @access  Private (owner only)
+ */
+router.get('/:id/analytics',
+  verifyFirebaseToken,
+  validateUUID('id'),
+  validateAnalyticsRange,
+  checkOwnership(Portfolio, 'id'),
+  async (req, res) => {
+    try {
+      const portfolio = req.resource;
+
+      // Whole UTC days; "to" is inclusive
+      const today = new Date(new Date().toISOString().slice(0, 10));
+      const to = req.query.to ? new Date(req.query.to.slice(0, 10)) : today;
+      const from = req.query.from
+        ? new Date(req.query.from.slice(0, 10))
+        : new Date(to.getTime() - 29 * 24 * 60 * 60 * 1000);
+      const end = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+
+      const analytics = await PortfolioView.getAnalytics(portfolio.id, from, end);
+
+      res.json({
+        success: true,
+        analytics: {
+          range: {
+            from: from.toISOString().slice(0, 10),
+            to: to.toISOString().slice(0, 10)
+          },
+          all_time_views: portfolio.view_count,
+          ...analytics
+        }
+      });
+    } catch (error) {
+      console.error('Portfolio analytics fetch error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+        message: 'Failed to fetch portfolio analytics'
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/portfolios/:id/messages
+ * @desc    Get contact form messages (inbox) for portfolio
+ * @access  Private (owner only)
+ */
+router.get('/:id/messages',
+  verifyFirebaseToken,
+  validateUUID('id'),
+  validatePagination,
+  checkOwnership(Portfolio, 'id'),
+  async (req, res) => {
+    try {
+      const portfolio = req.resource;
+      const { page = 1, limit = 20, unread } = req.query;
+
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const { count, rows: messages } = await ContactMessage.findByPortfolio(portfolio.id, {
+        limit: parseInt(limit),
+        offset,
+        unreadOnly: unread === 'true'
+      });
+
+      const unreadCount = await ContactMessage.countUnread(portfolio.id);
+      const totalPages = Math.ceil(count / parseInt(limit));
+
+      res.json({
+        success: true,
+        messages: messages.map(message => ({
+          id: message.id,
+          sender_name: message.sender_name,
+          sender_email: message.sender_email,
+          message: message.message,
+          is_read: message.is_read,
+          read_at: message.read_at,
+          created_at: message.created_at
+        })),
+        unread_count: unreadCount,
+        pagination: {
+          current_page: parseInt(page),
+          total_pages: totalPages,
+          total_items: count,
+          items_per_page: parseInt(limit),
+          has_next_page: parseInt(page) < totalPages,
+          has_prev_page: parseInt(page) > 1
+        }
+      });
+    } catch (error) {
+      console.error('Portfolio messages fetch error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+        message: 'Failed to fetch messages'
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/portfolios/:id/messages/:messageId/read
+ * @desc    Mark contact message as read (or unread with { is_read: false })
+ * @access  Private (owner only)
+ */
+router.post('/:id/messages/:messageId/read',
+  verifyFirebaseToken,
+  validateUUID('id'),
+  validateUUID('messageId'),
+  checkOwnership(Portfolio, 'id'),
+  async (req, res) => {
+    try {
+      const portfolio = req.resource;
+      const { is_read = true } = req.body;
+
+      const message = await ContactMessage.findOne({
+        where: {
+          id: req.params.messageId,
+          portfolio_id: portfolio.id
+        }
+      });
+
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          error: 'Message not found'
+        });
+      }
+
+      if (is_read === false || is_read === 'false') {
+        await message.markUnread();
+      } else {
+        await message.markRead();
+      }
+
+      res.json({
+        success: true,
+        message: `Message marked as ${message.is_read ? 'read' : 'unread'}`,
+        contact_message: {
+          id: message.id,
+          is_read: message.is_read,
+          read_at: message.read_at
+        }
+      });
+    } catch (error) {
+      console.error('Message read update error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+        message: 'Failed to update message'
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/portfolios/:id/messages/:messageId
+ * @desc    Delete contact message
+ * @access  Private (owner only)
+ */
+router.delete('/:id/messages/:messageId',
+  verifyFirebaseToken,
+  validateUUID('id'),
+  validateUUID('messageId'),
+  checkOwnership(Portfolio, 'id'),
+  async (req, res) => {
+    try {
+      const portfolio = req.resource;
+
+      const message = await ContactMessage.findOne({
+        where: {
+          id: req.params.messageId,
+          portfolio_id: portfolio.id
+        }
+      });
+
+      if (!message) {
+        return res.status(404).json({
+          success: false,
+          error: 'Message not found'
+        });
+      }
+
+      await message.destroy();
+
+      res.json({
+        success: true,
+        message: 'Message deleted successfully'
+      });
+    } catch (error) {
+      console.error('Message deletion error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+        message: 'Failed to delete message'
+      });
+    }
+  }
+);
+
+/**
+ * @route   GET /api/portfolios/:id/domains
+ * @desc    List custom domains attached to portfolio with the DNS records they need
+ * @access  Private (owner only)
+ */
+router.get('/:id/domains',
+  verifyFirebaseToken,
+  validateUUID('id'),
+  checkOwnership(Portfolio, 'id'),
+  async (req, res) => {
+    try {
+      const portfolio = req.resource;
+      const domains = await PortfolioDomain.findByPortfolio(portfolio.id);
+
+      res.json({
+        success: true,
+        domains: domains.map(formatDomain)
+      });
+    } catch (error) {
+      console.error('Domains fetch error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+        message: 'Failed to fetch domains'
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/portfolios/:id/domains
+ * @desc    Attach a custom hostname (pending until its TXT record is verified)
+ * @access  Private (owner only)
+ */
+router.post('/:id/domains',
+  verifyFirebaseToken,
+  validateUUID('id'),
+  validateDomain,
+  checkOwnership(Portfolio, 'id'),
+  async (req, res) => {
+    try {
+      const portfolio = req.resource;
+      const hostname = PortfolioDomain.normalizeHostname(req.body.hostname);
+
+      const hostnameError = domainService.checkHostname(hostname);
+      if (hostnameError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid hostname',
+          message: hostnameError
+        });
+      }
+
+      const existing = await PortfolioDomain.findByPortfolio(portfolio.id);
+      if (existing.some(domain => domain.hostname === hostname)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Domain already added',
+          message: `${hostname} is already attached to this portfolio`
+        });
+      }
+
+      if (existing.length >= domainService.maxDomainsPerPortfolio) {
+        return res.status(400).json({
+          success: false,
+          error: 'Domain limit reached',
+          message: `A portfolio can have at most ${domainService.maxDomainsPerPortfolio} custom domains`
+        });
+      }
+
+      const domain = await PortfolioDomain.create({
+        portfolio_id: portfolio.id,
+        hostname
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Domain added. Create the DNS records below, then verify the domain.',
+        domain: formatDomain(domain)
+      });
+    } catch (error) {
+      console.error('Domain creation error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+        message: 'Failed to add domain'
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/portfolios/:id/domains/:domainId/verify
+ * @desc    Check the domain's TXT record and activate it when it matches
+ * @access  Private (owner only)
+ */
+router.post('/:id/domains/:domainId/verify',
+  verifyFirebaseToken,
+  validateUUID('id'),
+  validateUUID('domainId'),
+  checkOwnership(Portfolio, 'id'),
+  async (req, res) => {
+    try {
+      const portfolio = req.resource;
+
+      const domain = await PortfolioDomain.findOne({
+        where: {
+          id: req.params.domainId,
+          portfolio_id: portfolio.id
+        }
+      });
+
+      if (!domain) {
+        return res.status(404).json({
+          success: false,
+          error: 'Domain not found'
+        });
+      }
+
+      const result = await domainService.verifyDomain(domain);
+
+      if (!result.success) {
+        return res.status(502).json({
+          success: false,
+          error: 'Verification Failed',
+          message: result.error
+        });
+      }
+
+      res.json({
+        success: true,
+        verified: result.verified,
+        message: result.verified
+          ? 'Domain verified successfully'
+          : 'Verification record not found yet. DNS changes can take a while to propagate.',
+        domain: formatDomain(domain)
+      });
+    } catch (error) {
+      console.error('Domain verification error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+        message: 'Failed to verify domain'
+      });
+    }
+  }
+);
+
+/**
+ * @route   DELETE /api/portfolios/:id/domains/:domainId
+ * @desc    Detach a custom domain
+ * @access  Private (owner only)
+ */
+router.delete('/:id/domains/:domainId',
+  verifyFirebaseToken,
+  validateUUID('id'),
+  validateUUID('domainId'),
+  checkOwnership(Portfolio, 'id'),
+  async (req, res) => {
+    try {
+      const portfolio = req.resource;
+
+      const domain = await PortfolioDomain.findOne({
+        where: {
+          id: req.params.domainId,
+          portfolio_id: portfolio.id
+        }
+      });
+
+      if (!domain) {
+        return res.status(404).json({
+          success: false,
+          error: 'Domain not found'
+        });
+      }
+
+      await domain.destroy();
+      domainService.clearCache(domain.hostname);
+
+      res.json({
+        success: true,
+        message: 'Domain removed successfully'
+      });
+    } catch (error) {
+      console.error('Domain deletion error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+        message: 'Failed to remove domain'
+      });
+    }
+  }
+);
+
 /**
  * @route   GET /api/portfolios/public/:slug
  * @desc    Get public portfolio by slug (for public viewing)
@@ -504,6 +1476,14 @@ router.get('/public/:slug', optionalAuth, async (req, res) => {
     // Increment view count
     await portfolio.incrementView();
 
+    // Record the view for analytics (async, don't wait)
+    const viewEvent = buildViewEvent(req, portfolio.id);
+    if (viewEvent) {
+      PortfolioView.create(viewEvent).catch(err => {
+        console.error('View record error:', err);
+      });
+    }
+
     res.json({
       success: true,
       portfolio: {
@@ -529,4 +1509,28 @@ router.get('/public/:slug', optionalAuth, async (req, res) => {
   }
 });
 
+// Helper functions
+function sendContentValidationError(res, validation) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid Content',
+    message: `Portfolio content does not match the '${validation.template_id}' template`,
+    errors: validation.errors,
+    unrendered_fields: validation.unrendered_fields
+  });
+}
+
+function formatDomain(domain) {
+  return {
+    id: domain.id,
+    hostname: domain.hostname,
+    status: domain.status,
+    verified_at: domain.verified_at,
+    last_checked_at: domain.last_checked_at,
+    last_error: domain.last_error,
+    dns_records: domainService.getInstructions(domain),
+    created_at: domain.created_at
+  };
+}
+
 module.exports = router;
\ No newline at end of file
@@ -1,9 +1,11 @@
 const express = require('express');
 const router = express.Router();
-const { Portfolio } = require('../models');
+const { Portfolio, ContactMessage, PortfolioView } = require('../models');
 const { verifyFirebaseToken, checkOwnership, optionalAuth } = require('../middleware/auth');
-const { validateUUID } = require('../middleware/validation');
-const { apiLimiter } = require('../middleware/rateLimiter');
+const { validateUUID, validateContactMessage } = require('../middleware/validation');
+const { apiLimiter, contactFormLimiter, honeypotGuard } = require('../middleware/rateLimiter');
+const { hashString } = require('../utils/helpers');
+const { buildViewEvent } = require('../utils/analytics');
 
 const templateEngine = require('../services/templateEngine');
 
@@ -33,7 +35,8 @@ router.get('/:id',
       // Generate HTML using template engine
       const result = await templateEngine.generateHTML(
         portfolio.content,
-        portfolio.template_id
+        portfolio.template_id,
+        { customizations: portfolio.customizations }
       );
 
       if (!result.success) {
@@ -67,7 +70,7 @@ router.get('/:id',
  */
 router.post('/generate', verifyFirebaseToken, async (req, res) => {
   try {
-    const { content, template_id = 'modern-dev' } = req.body;
+    const { content, template_id = 'modern-dev', customizations } = req.body;
 
     if (!content) {
       return res.status(400).json({
@@ -78,8 +81,22 @@ router.post('/generate', verifyFirebaseToken, async (req, res) => {
 
     console.log(`Generating temporary preview with template: ${template_id}`);
 
+    // Unsaved theme edits can be previewed too
+    let theme = {};
+    if (customizations) {
+      const validation = templateEngine.validateCustomizations(template_id, customizations);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid theme',
+          errors: validation.errors
+        });
+      }
+      theme = validation.customizations;
+    }
+
     // Generate HTML using template engine
-    const result = await templateEngine.generateHTML(content, template_id);
+    const result = await templateEngine.generateHTML(content, template_id, { customizations: theme });
 
     if (!result.success) {
       return res.status(400).json({
@@ -128,7 +145,8 @@ router.post('/:id/regenerate',
       // Generate fresh HTML
       const result = await templateEngine.generateHTML(
         portfolio.content,
-        templateToUse
+        templateToUse,
+        { customizations: portfolio.customizations }
       );
 
       if (!result.success) {
@@ -188,7 +206,8 @@ router.get('/:id/iframe',
       if (!html) {
         const result = await templateEngine.generateHTML(
           portfolio.content,
-          portfolio.template_id
+          portfolio.template_id,
+          { customizations: portfolio.customizations }
         );
 
         if (!result.success) {
@@ -235,10 +254,15 @@ router.get('/public/:slug', optionalAuth, async (req, res) => {
   try {
     const { slug } = req.params;
 
+    // Requests on a custom domain pin the exact portfolio (slugs are only unique per user)
+    const lookup = req.customDomain
+      ? { id: req.customDomain.portfolio_id }
+      : { slug };
+
     // Find published portfolio
     const portfolio = await Portfolio.findOne({
       where: {
-        slug,
+        ...lookup,
         status: 'published',
         is_public: true
       }
@@ -263,18 +287,26 @@ router.get('/public/:slug', optionalAuth, async (req, res) => {
       `);
     }
 
-    // Increment view count (async, don't wait)
+    // Increment view count and record the view for analytics (async, don't wait)
     portfolio.incrementView().catch(err => {
       console.error('View count increment error:', err);
     });
 
+    const viewEvent = buildViewEvent(req, portfolio.id);
+    if (viewEvent) {
+      PortfolioView.create(viewEvent).catch(err => {
+        console.error('View record error:', err);
+      });
+    }
+
     // Get or generate HTML
     let html = portfolio.generated_html;
 
     if (!html) {
       const result = await templateEngine.generateHTML(
         portfolio.content,
-        portfolio.template_id
+        portfolio.template_id,
+        { customizations: portfolio.customizations }
       );
 
       if (!result.success) {
@@ -298,22 +330,17 @@ router.get('/public/:slug', optionalAuth, async (req, res) => {
         .catch(err => console.error('Cache save error:', err));
     }
 
-    // Add analytics tracking if needed
-    const analyticsScript = `
+    // Tell the template's contact form where to post messages. By ID, since slugs are only
+    // unique per user (custom-domain pages in particular must reach this exact portfolio)
+    const contactScript = `
       <script>
-        // Track portfolio view
-        if (typeof gtag !== 'undefined') {
-          gtag('event', 'portfolio_view', {
-            'portfolio_id': '${portfolio.id}',
-            'portfolio_slug': '${portfolio.slug}'
-          });
-        }
+        window.PORTFOLIO_CONTACT_ENDPOINT = '/api/preview/public/portfolio/${encodeURIComponent(portfolio.id)}/contact';
       </script>
     `;
 
-    const htmlWithAnalytics = html.replace('</body>', `${analyticsScript}</body>`);
+    const htmlWithScripts = html.replace('</body>', `${contactScript}</body>`);
 
-    res.type('html').send(htmlWithAnalytics);
+    res.type('html').send(htmlWithScripts);
   } catch (error) {
     console.error('Public preview error:', error);
     res.status(500).type('html').send(`
@@ -331,6 +358,55 @@ router.get('/public/:slug', optionalAuth, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/preview/public/:slug/contact
+ * @desc    Submit contact form message to a published portfolio
+ * @access  Public
+ */
+router.post('/public/:slug/contact',
+  contactFormLimiter,
+  honeypotGuard('website'),
+  validateContactMessage,
+  async (req, res) => {
+    try {
+      const portfolio = await Portfolio.findPublishedBySlug(req.params.slug);
+      await submitContactMessage(portfolio, req, res);
+    } catch (error) {
+      console.error('Contact form submission error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+        message: 'Failed to send message'
+      });
+    }
+  }
+);
+
+/**
+ * @route   POST /api/preview/public/portfolio/:id/contact
+ * @desc    Submit contact form message to a published portfolio by ID (used by rendered pages)
+ * @access  Public
+ */
+router.post('/public/portfolio/:id/contact',
+  contactFormLimiter,
+  honeypotGuard('website'),
+  validateUUID('id'),
+  validateContactMessage,
+  async (req, res) => {
+    try {
+      const portfolio = await Portfolio.findPublishedById(req.params.id);
+      await submitContactMessage(portfolio, req, res);
+    } catch (error) {
+      console.error('Contact form submission error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal Server Error',
+        message: 'Failed to send message'
+      });
+    }
+  }
+);
+
 /**
  * @route   GET /api/preview/:id/mobile
  * @desc    Get mobile-optimized preview
@@ -347,7 +423,8 @@ router.get('/:id/mobile',
       // Generate HTML with mobile optimizations
       const result = await templateEngine.generateHTML(
         portfolio.content,
-        portfolio.template_id
+        portfolio.template_id,
+        { customizations: portfolio.customizations }
       );
 
       if (!result.success) {
@@ -433,4 +510,31 @@ router.get('/:id/metadata',
   }
 );
 
-module.exports = router;
\ No newline at end of file
+// Helper functions
+async function submitContactMessage(portfolio, req, res) {
+  const { name, email, message } = req.body;
+
+  if (!portfolio) {
+    return res.status(404).json({
+      success: false,
+      error: 'Portfolio not found',
+      message: 'The requested portfolio does not exist or is not public'
+    });
+  }
+
+  await ContactMessage.create({
+    portfolio_id: portfolio.id,
+    sender_name: name,
+    sender_email: email,
+    message,
+    ip_hash: req.ip ? hashString(req.ip) : null,
+    user_agent: req.get('User-Agent')?.substring(0, 255) || null
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Message sent successfully'
+  });
+}
+
+module.exports = router;
@@ -1,54 +1,63 @@
-const OpenAI = require('openai');
+const { createProvider } = require('./llmProviders');
+const contentValidator = require('./contentValidator');
+const usageService = require('./usageService');
+const { createObjectStreamParser } = require('../utils/jsonStream');
+const { parseResumeText, isCompleteParse, isEmptyParse } = require('../utils/resumeParser');
+const { createRedactor } = require('../utils/piiRedactor');
+const { User } = require('../models');
 
 class AIService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-    
-    this.models = {
-      primary: 'gpt-4',
-      fallback: 'gpt-3.5-turbo',
-      cheap: 'gpt-3.5-turbo'
-    };
+    // OpenAI, an OpenAI-compatible local server or the fixture mock (see LLM_PROVIDER)
+    this.provider = createProvider();
+    // Times the model is shown its schema errors and asked again before we give up
+    this.maxRepairAttempts = 2;
+    this.defaultTemplate = 'modern-dev';
+    // Tiers whose resumes go through the rule-based parser first; the model only sees
+    // the ones it couldn't make sense of
+    this.heuristicResumeTiers = ['free'];
   }
 
+  // Swap the LLM backend at runtime (tests, air-gapped setups)
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  // Every public method takes options.userId (and options.portfolioId where it applies);
+  // each model call is recorded against them in the token ledger. Users with redact_pii
+  // set have emails, phone numbers and addresses swapped for placeholders in the prompt
+  // (options.redactPII overrides the setting).
+
   // Generate portfolio content from sources
-  async generatePortfolio(sources, preferences = {}) {
+  // Options:
+  //   templateId                 - schema the output is checked (and repaired) against
+  //   onSection(section, content) - streams the response and reports each section as it completes;
+  //                                sections are sent again if the answer has to be repaired
+  async generatePortfolio(sources, preferences = {}, options = {}) {
     try {
       const prompt = this._buildPortfolioGenerationPrompt(sources, preferences);
       
-      const response = await this.openai.chat.completions.create({
-        model: this.models.primary,
-        messages: [
-          {
-            role: 'system',
-            content: this._getSystemPrompt('portfolio_generation')
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
+      const response = await this._completeWithRepair('portfolio_generation', 'primary', prompt, {
+        ...this._usageOptions(options),
         temperature: 0.7,
-        max_tokens: 4000
+        maxTokens: 4000,
+        onSection: options.onSection,
+        check: (parsed) => this._checkPortfolioContent(parsed, options.templateId || preferences.template_id)
       });
-
-      const content = response.choices[0].message.content;
-      const parsedContent = this._parsePortfolioContent(content);
       
       return {
         success: true,
-        content: parsedContent,
-        tokensUsed: response.usage.total_tokens,
-        model: this.models.primary
+        content: response.parsed,
+        tokensUsed: response.tokensUsed,
+        model: response.model,
+        repairs: response.repairs
       };
     } catch (error) {
       console.error('Portfolio generation error:', error);
       
       // Try with fallback model
       if (error.code === 'model_overloaded') {
-        return await this._generateWithFallback(sources, preferences);
+        return await this._generateWithFallback(sources, preferences, options);
       }
       
       throw error;
@@ -56,7 +65,8 @@ class AIService {
   }
 
   // Enhance specific portfolio section
-  async enhanceSection(currentContent, section, prompt, context = {}) {
+  // Takes the same templateId and onSection options as generatePortfolio
+  async enhanceSection(currentContent, section, prompt, context = {}, options = {}) {
     try {
       const enhancementPrompt = this._buildSectionEnhancementPrompt(
         currentContent, 
@@ -65,30 +75,25 @@ class AIService {
         context
       );
       
-      const response = await this.openai.chat.completions.create({
-        model: this.models.cheap, // Use cheaper model for enhancements
-        messages: [
-          {
-            role: 'system',
-            content: this._getSystemPrompt('section_enhancement')
-          },
-          {
-            role: 'user',
-            content: enhancementPrompt
-          }
-        ],
+      // Use cheaper model for enhancements
+      const response = await this._completeWithRepair('section_enhancement', 'cheap', enhancementPrompt, {
+        ...this._usageOptions(options),
+        variant: section,
         temperature: 0.6,
-        max_tokens: 2000
+        maxTokens: 2000,
+        onSection: options.onSection,
+        check: (parsed) => this._checkPortfolioContent(
+          { [section]: this._extractSection(parsed, section) },
+          options.templateId
+        )
       });
-
-      const enhancedContent = response.choices[0].message.content;
-      const parsedContent = this._parseSectionContent(enhancedContent, section);
       
       return {
         success: true,
-        content: parsedContent,
-        tokensUsed: response.usage.total_tokens,
-        model: this.models.cheap
+        content: response.parsed,
+        tokensUsed: response.tokensUsed,
+        model: response.model,
+        repairs: response.repairs
       };
     } catch (error) {
       console.error('Section enhancement error:', error);
@@ -97,34 +102,24 @@ class AIService {
   }
 
   // Generate project descriptions from GitHub repos
-  async generateProjectDescriptions(repositories) {
+  async generateProjectDescriptions(repositories, options = {}) {
     try {
       const prompt = this._buildProjectDescriptionPrompt(repositories);
       
-      const response = await this.openai.chat.completions.create({
-        model: this.models.cheap,
-        messages: [
-          {
-            role: 'system',
-            content: this._getSystemPrompt('project_description')
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
+      const response = await this._complete('project_description', 'cheap', prompt, {
+        ...this._usageOptions(options),
         temperature: 0.7,
-        max_tokens: 3000
+        maxTokens: 3000
       });
 
-      const content = response.choices[0].message.content;
+      const content = response.content;
       const projects = this._parseProjectDescriptions(content, repositories);
       
       return {
         success: true,
         projects: projects,
-        tokensUsed: response.usage.total_tokens,
-        model: this.models.cheap
+        tokensUsed: response.tokensUsed,
+        model: response.model
       };
     } catch (error) {
       console.error('Project description generation error:', error);
@@ -133,31 +128,22 @@ class AIService {
   }
 
   // Generate professional bio from user data
-  async generateBio(userData, style = 'professional') {
+  async generateBio(userData, style = 'professional', options = {}) {
     try {
       const prompt = this._buildBioGenerationPrompt(userData, style);
       
-      const response = await this.openai.chat.completions.create({
-        model: this.models.cheap,
-        messages: [
-          {
-            role: 'system',
-            content: this._getSystemPrompt('bio_generation')
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
+      const response = await this._complete('bio_generation', 'cheap', prompt, {
+        ...this._usageOptions(options),
+        variant: style,
         temperature: 0.8,
-        max_tokens: 500
+        maxTokens: 500
       });
 
       return {
         success: true,
-        bio: response.choices[0].message.content.trim(),
-        tokensUsed: response.usage.total_tokens,
-        model: this.models.cheap
+        bio: response.content.trim(),
+        tokensUsed: response.tokensUsed,
+        model: response.model
       };
     } catch (error) {
       console.error('Bio generation error:', error);
@@ -165,44 +151,233 @@ class AIService {
     }
   }
 
-  // Parse resume content and extract structured data
-  async parseResumeContent(resumeText) {
+  // Parse resume content and extract structured data. Pass options.tier to let free users
+  // skip the model when the rule-based parser finds enough; it is also the fallback when
+  // the model call fails or returns something unusable.
+  async parseResumeContent(resumeText, options = {}) {
+    const heuristicData = parseResumeText(resumeText);
+
+    if (this.heuristicResumeTiers.includes(options.tier) && isCompleteParse(heuristicData)) {
+      return this._heuristicResumeResult(heuristicData);
+    }
+
+    // The model is needed; options.beforeAI (e.g. a token budget check) can still stop here
+    if (options.beforeAI && !(await options.beforeAI())) {
+      return { success: false, stopped: true };
+    }
+
     try {
       const prompt = this._buildResumeParsingPrompt(resumeText);
       
-      const response = await this.openai.chat.completions.create({
-        model: this.models.cheap,
-        messages: [
-          {
-            role: 'system',
-            content: this._getSystemPrompt('resume_parsing')
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
-        temperature: 0.3, // Lower temperature for parsing
-        max_tokens: 3000
+      const response = await this._complete('resume_parsing', 'cheap', prompt, {
+        ...this._usageOptions(options),
+        temperature: 0.3,
+        maxTokens: 3000
       });
 
-      const content = response.choices[0].message.content;
-      const parsedData = this._parseResumeData(content);
+      const parsedData = this._parseJSONResponse(response.content);
+      if (!parsedData || typeof parsedData !== 'object') {
+        throw new Error('AI response was not valid JSON');
+      }
       
       return {
         success: true,
         data: parsedData,
-        tokensUsed: response.usage.total_tokens,
-        model: this.models.cheap
+        parser: 'ai',
+        tokensUsed: response.tokensUsed,
+        model: response.model
       };
     } catch (error) {
       console.error('Resume parsing error:', error);
+
+      if (isEmptyParse(heuristicData)) {
+        return {
+          success: false,
+          error: `Resume parsing failed: ${error.message}`
+        };
+      }
+
+      console.warn('Falling back to rule-based resume parser');
+      return this._heuristicResumeResult(heuristicData);
+    }
+  }
+
+  // Plan a job-description variant of a portfolio. The model only returns a plan
+  // (requirements, new hero title/bio, project order, skills to put first); the caller
+  // applies it, so projects and experience can be reordered but never invented.
+  async tailorPortfolio(content, jobDescription, options = {}) {
+    try {
+      const prompt = this._buildTailoringPrompt(content, jobDescription);
+
+      const response = await this._completeWithRepair('portfolio_tailoring', 'primary', prompt, {
+        ...this._usageOptions(options),
+        temperature: 0.4,
+        maxTokens: 1500,
+        check: (parsed) => this._checkTailoringPlan(parsed)
+      });
+
+      return {
+        success: true,
+        plan: response.parsed,
+        tokensUsed: response.tokensUsed,
+        model: response.model,
+        repairs: response.repairs
+      };
+    } catch (error) {
+      console.error('Portfolio tailoring error:', error);
       throw error;
     }
   }
 
   // Private helper methods
 
+  async _complete(task, tier, prompt, options = {}) {
+    // The model only ever sees placeholders; its answer gets the real values back
+    const redactor = await this._shouldRedact(options) ? createRedactor() : null;
+    const protect = (text) => (redactor ? redactor.redact(text) : text);
+
+    const response = await this.provider.complete({
+      task,
+      tier,
+      messages: [
+        {
+          role: 'system',
+          content: this._getSystemPrompt(task)
+        },
+        {
+          role: 'user',
+          content: protect(prompt)
+        },
+        ...(options.followUp || []).map(message => ({ ...message, content: protect(message.content) }))
+      ],
+      variant: options.variant,
+      temperature: options.temperature,
+      maxTokens: options.maxTokens,
+      onDelta: redactor ? redactor.restoreStream(options.onDelta) : options.onDelta
+    });
+
+    await usageService.recordUsage({
+      userId: options.userId,
+      portfolioId: options.portfolioId,
+      task,
+      provider: this.provider.name,
+      model: response.model,
+      tokensUsed: response.tokensUsed,
+      redactedEntities: redactor ? redactor.getCounts() : null
+    });
+
+    return redactor ? { ...response, content: redactor.restore(response.content) } : response;
+  }
+
+  _usageOptions(options) {
+    return {
+      userId: options.userId,
+      portfolioId: options.portfolioId,
+      redactPII: options.redactPII
+    };
+  }
+
+  async _shouldRedact(options) {
+    if (typeof options.redactPII === 'boolean') return options.redactPII;
+    if (!options.userId) return false;
+
+    const user = await User.findByPk(options.userId, { attributes: ['id', 'redact_pii'] });
+    return Boolean(user && user.redact_pii);
+  }
+
+  // Complete a prompt whose answer must be JSON passing options.check(parsed), which returns
+  // a list of { field, message } problems. On failure the model sees its previous answer and
+  // the problems and is asked again, up to maxRepairAttempts times. Throws if no attempt
+  // produced JSON; otherwise returns the last answer with whatever problems remain.
+  async _completeWithRepair(task, tier, prompt, options = {}) {
+    const { check, onSection, ...completionOptions } = options;
+    const followUp = [];
+    let tokensUsed = 0;
+    let response = null;
+    let parsed = null;
+    let errors = [];
+    let attempts = 0;
+
+    while (true) {
+      response = await this._complete(task, tier, prompt, {
+        ...completionOptions,
+        followUp,
+        onDelta: this._sectionStream(onSection)
+      });
+      tokensUsed += response.tokensUsed;
+
+      parsed = this._parseJSONResponse(response.content);
+      errors = parsed === null
+        ? [{ field: 'response', rule: 'json', message: 'Response is not a valid JSON document' }]
+        : check(parsed);
+
+      if (errors.length === 0 || attempts >= this.maxRepairAttempts) break;
+
+      attempts++;
+      console.warn(`${task} output failed validation (${errors.length} problems), repair attempt ${attempts}`);
+      followUp.push(
+        { role: 'assistant', content: response.content },
+        { role: 'user', content: this._buildRepairPrompt(errors) }
+      );
+    }
+
+    if (parsed === null) {
+      throw new Error(`AI response was not valid JSON after ${attempts} repair attempts`);
+    }
+
+    return {
+      parsed,
+      tokensUsed,
+      model: response.model,
+      repairs: {
+        attempts,
+        repaired: attempts > 0 && errors.length === 0,
+        remaining_errors: errors
+      }
+    };
+  }
+
+  _checkTailoringPlan(plan) {
+    const errors = [];
+    const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+    if (!isStringList(plan.requirements) || plan.requirements.length === 0) {
+      errors.push({ field: 'requirements', message: 'requirements must be a non-empty list of strings' });
+    }
+    if (typeof plan.hero?.title !== 'string' || !plan.hero.title.trim()) {
+      errors.push({ field: 'hero.title', message: 'hero.title is required' });
+    }
+    if (typeof plan.hero?.bio !== 'string' || !plan.hero.bio.trim()) {
+      errors.push({ field: 'hero.bio', message: 'hero.bio is required' });
+    }
+    if (!Array.isArray(plan.project_order) || !plan.project_order.every(Number.isInteger)) {
+      errors.push({ field: 'project_order', message: 'project_order must be a list of project indexes' });
+    }
+    if (!isStringList(plan.highlighted_skills)) {
+      errors.push({ field: 'highlighted_skills', message: 'highlighted_skills must be a list of strings' });
+    }
+
+    return errors;
+  }
+
+  _checkPortfolioContent(content, templateId) {
+    const validation = contentValidator.validateAIOutput(content, templateId || this.defaultTemplate);
+    return validation.success ? validation.errors : [];
+  }
+
+  // Section answers come back either wrapped ({ about: {...} }) or as the bare value
+  _extractSection(parsed, section) {
+    return parsed && !Array.isArray(parsed) && parsed[section] !== undefined ? parsed[section] : parsed;
+  }
+
+  // Delta handler that turns a streamed JSON object into per-section callbacks
+  _sectionStream(onSection) {
+    if (!onSection) return undefined;
+
+    const parser = createObjectStreamParser(onSection);
+    return (delta) => parser.push(delta);
+  }
+
   _buildPortfolioGenerationPrompt(sources, preferences) {
     let prompt = 'Generate a professional portfolio based on the following sources:\n\n';
     
@@ -212,9 +387,13 @@ class AIService {
       if (source.type === 'github') {
         prompt += `GitHub Data: ${JSON.stringify(source.data, null, 2)}\n\n`;
       } else if (source.type === 'resume') {
-        prompt += `Resume Content: ${source.data.text}\n\n`;
+        prompt += `Resume Content: ${source.data.text || JSON.stringify(source.data, null, 2)}\n\n`;
       } else if (source.type === 'prompt') {
         prompt += `User Description: ${source.data.description}\n\n`;
+      } else if (source.type === 'linkedin') {
+        prompt += `LinkedIn Profile: ${JSON.stringify(source.data, null, 2)}\n\n`;
+      } else if (source.type === 'leetcode') {
+        prompt += `LeetCode Stats: ${JSON.stringify(source.data, null, 2)}\n\n`;
       }
     });
     
@@ -222,7 +401,7 @@ class AIService {
       prompt += `Preferences: ${JSON.stringify(preferences, null, 2)}\n\n`;
     }
     
-    prompt += 'Generate a complete portfolio with hero, about, projects, and contact sections.';
+    prompt += 'Generate a complete portfolio with hero, about, projects, and contact sections, plus experience and education when the sources include them.';
     return prompt;
   }
 
@@ -290,6 +469,48 @@ Return the data in a structured JSON format.
     `.trim();
   }
 
+  _buildTailoringPrompt(content, jobDescription) {
+    const projects = (content.projects || []).map((project, index) => ({
+      index,
+      title: project.title,
+      description: project.description,
+      tech_stack: project.tech_stack
+    }));
+    const experience = (content.experience || []).map(position => ({
+      title: position.title,
+      company: position.company,
+      period: position.period,
+      description: position.description,
+      technologies: position.technologies
+    }));
+
+    return `
+Job description:
+${jobDescription}
+
+Current portfolio:
+Title: ${content.hero?.title || ''}
+Bio: ${content.hero?.bio || ''}
+About: ${content.about?.description || ''}
+Skills: ${JSON.stringify(content.about?.skills || [])}
+Projects: ${JSON.stringify(projects, null, 2)}
+Experience: ${JSON.stringify(experience, null, 2)}
+
+Tailor this portfolio to the job description.
+    `.trim();
+  }
+
+  _buildRepairPrompt(errors) {
+    const problems = errors.map(error => `- ${error.field}: ${error.message}`).join('\n');
+
+    return `
+Your previous response does not match the required format:
+${problems}
+
+Return the complete corrected JSON only. Keep all valid content, fix or remove only what is listed, and use the exact field names from the schema.
+    `.trim();
+  }
+
   _getSystemPrompt(type) {
     const prompts = {
       portfolio_generation: `
@@ -317,6 +538,23 @@ Return the response as a valid JSON object with the following structure:
       "live_url": "string"
     }
   ],
+  "experience": [
+    {
+      "title": "string",
+      "company": "string",
+      "period": "string",
+      "description": "string",
+      "technologies": ["array"]
+    }
+  ],
+  "education": [
+    {
+      "degree": "string",
+      "school": "string",
+      "period": "string",
+      "description": "string"
+    }
+  ],
   "contact": {
     "email": "string",
     "location": "string"
@@ -344,6 +582,23 @@ You are an expert at writing professional bios for portfolios. Create engaging,
 Return only the bio text, no additional formatting or JSON.
       `.trim(),
       
+      portfolio_tailoring: `
+You tailor developer portfolios to a specific job description without inventing anything.
+
+Return a JSON object with this structure:
+{
+  "requirements": ["key skills, technologies and qualifications the job asks for, as short phrases"],
+  "hero": {
+    "title": "headline aimed at this role",
+    "bio": "2-3 sentences aimed at this role"
+  },
+  "project_order": [project indexes, most relevant first],
+  "highlighted_skills": ["skills from the portfolio's skill list, most relevant first"]
+}
+
+Only use facts already in the portfolio. Never add experience, employers, projects, degrees or skills the portfolio does not mention.
+      `.trim(),
+      
       resume_parsing: `
 You are an expert at parsing resumes and extracting structured data. Parse the resume content and return well-structured JSON data.
 
@@ -354,13 +609,12 @@ Ensure all dates are in consistent format and all information is accurately extr
     return prompts[type] || prompts.portfolio_generation;
   }
 
-  _parsePortfolioContent(content) {
+  // Parse a JSON answer, tolerating a markdown code fence around it. Returns null on failure.
+  _parseJSONResponse(content) {
     try {
-      // Try to parse as JSON first
       return JSON.parse(content);
     } catch (error) {
-      // If JSON parsing fails, try to extract JSON from markdown code blocks
-      const jsonMatch = content.match(/```json\n([\s\S]*?)\n```/);
+      const jsonMatch = content.match(/```(?:json)?\s*\n([\s\S]*?)\n\s*```/);
       if (jsonMatch) {
         try {
           return JSON.parse(jsonMatch[1]);
@@ -369,23 +623,7 @@ Ensure all dates are in consistent format and all information is accurately extr
         }
       }
       
-      // Fallback: return a basic structure
-      return {
-        hero: { name: '', title: '', bio: '' },
-        about: { description: '', skills: [], interests: [] },
-        projects: [],
-        contact: { email: '' }
-      };
-    }
-  }
-
-  _parseSectionContent(content, section) {
-    try {
-      const parsed = JSON.parse(content);
-      return parsed;
-    } catch (error) {
-      // Return the content as-is if parsing fails
-      return { [section]: content };
+      return null;
     }
   }
 
@@ -405,49 +643,34 @@ Ensure all dates are in consistent format and all information is accurately extr
     }
   }
 
-  _parseResumeData(content) {
-    try {
-      return JSON.parse(content);
-    } catch (error) {
-      // Return basic structure if parsing fails
-      return {
-        personal: {},
-        experience: [],
-        education: [],
-        skills: [],
-        projects: []
-      };
-    }
+  _heuristicResumeResult(data) {
+    return {
+      success: true,
+      data,
+      parser: 'heuristic',
+      tokensUsed: 0,
+      model: 'none'
+    };
   }
 
-  async _generateWithFallback(sources, preferences) {
+  async _generateWithFallback(sources, preferences, options = {}) {
     try {
       const prompt = this._buildPortfolioGenerationPrompt(sources, preferences);
       
-      const response = await this.openai.chat.completions.create({
-        model: this.models.fallback,
-        messages: [
-          {
-            role: 'system',
-            content: this._getSystemPrompt('portfolio_generation')
-          },
-          {
-            role: 'user',
-            content: prompt
-          }
-        ],
+      const response = await this._completeWithRepair('portfolio_generation', 'fallback', prompt, {
+        ...this._usageOptions(options),
         temperature: 0.7,
-        max_tokens: 3000
+        maxTokens: 3000,
+        onSection: options.onSection,
+        check: (parsed) => this._checkPortfolioContent(parsed, options.templateId || preferences.template_id)
       });
-
-      const content = response.choices[0].message.content;
-      const parsedContent = this._parsePortfolioContent(content);
       
       return {
         success: true,
-        content: parsedContent,
-        tokensUsed: response.usage.total_tokens,
-        model: this.models.fallback
+        content: response.parsed,
+        tokensUsed: response.tokensUsed,
+        model: response.model,
+        repairs: response.repairs
       };
     } catch (error) {
       console.error('Fallback generation error:', error);
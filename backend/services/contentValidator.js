@@ -0,0 +1,236 @@
+const templateEngine = require('./templateEngine');
+const { isEmpty, isValidEmail } = require('../utils/helpers');
+
+class ContentValidatorService {
+  constructor() {
+    this.maxTextLength = 500;
+    this.maxTextareaLength = 10000;
+  }
+
+  // Check portfolio content against a template's config.json section schema.
+  // Returns field-level errors (missing required fields, wrong types, bad URLs/emails)
+  // and content the template has no place for as unrendered_fields.
+  // Options:
+  //   allowMissingRequired - report missing required fields as warnings instead of
+  //                          errors (drafts may be incomplete until they are published)
+  validateContent(content, templateId, options = {}) {
+    const { allowMissingRequired = false } = options;
+    const config = templateEngine.getTemplateConfig(templateId);
+
+    if (!config) {
+      return {
+        success: false,
+        error: `Template '${templateId}' not found`
+      };
+    }
+
+    const report = {
+      errors: [],
+      unrendered_fields: []
+    };
+
+    if (!this._isPlainObject(content)) {
+      report.errors.push({ field: 'content', rule: 'type', message: 'Content must be an object' });
+    }
+
+    const sections = config.sections || [];
+    const data = this._isPlainObject(content) ? content : {};
+
+    for (const section of sections) {
+      this._validateSection(section, data, report);
+    }
+
+    // Whole top-level blocks the template doesn't know about
+    const sectionIds = sections.map(section => section.id);
+    for (const [key, value] of Object.entries(data)) {
+      if (!sectionIds.includes(key) && !isEmpty(value)) {
+        report.unrendered_fields.push(key);
+      }
+    }
+
+    const errors = allowMissingRequired
+      ? report.errors.filter(error => error.rule !== 'required')
+      : report.errors;
+    const warnings = allowMissingRequired
+      ? report.errors.filter(error => error.rule === 'required')
+      : [];
+
+    return {
+      success: true,
+      template_id: templateId,
+      valid: errors.length === 0,
+      errors,
+      warnings,
+      unrendered_fields: report.unrendered_fields
+    };
+  }
+
+  // Stricter check for model output, used to decide whether to ask the model to repair it.
+  // Whole fields may be missing (the sources might not have them), but list entries
+  // without their required fields and misnamed keys inside sections are problems.
+  validateAIOutput(content, templateId) {
+    const validation = this.validateContent(content, templateId, { allowMissingRequired: true });
+
+    if (!validation.success) {
+      return validation;
+    }
+
+    const errors = [
+      ...validation.errors,
+      ...validation.warnings.filter(warning => warning.field.includes('[')),
+      ...validation.unrendered_fields
+        .filter(field => /[.[]/.test(field))
+        .map(field => ({ field, rule: 'unknown', message: `${field} is not part of the template schema` }))
+    ];
+
+    return {
+      success: true,
+      template_id: templateId,
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  // Private methods
+
+  _validateSection(section, content, report) {
+    const fields = section.fields || [];
+
+    // List sections (projects, experience, ...) declare a single array field named after
+    // the section, and the content stores that array directly under the section key
+    if (fields.length === 1 && fields[0].name === section.id) {
+      this._validateField(fields[0], content[section.id], section.id, report);
+      return;
+    }
+
+    const value = content[section.id];
+
+    if (isEmpty(value) && !section.required) {
+      return;
+    }
+
+    if (value !== undefined && value !== null && !this._isPlainObject(value)) {
+      report.errors.push({ field: section.id, rule: 'type', message: `${section.name || section.id} must be an object` });
+      return;
+    }
+
+    // Walk required sections even when absent so each missing field is reported
+    this._validateFields(fields, value || {}, section.id, report);
+  }
+
+  _validateFields(fields, value, path, report) {
+    const fieldNames = fields.map(field => field.name);
+
+    for (const field of fields) {
+      this._validateField(field, value[field.name], `${path}.${field.name}`, report);
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      if (!fieldNames.includes(key) && !isEmpty(child)) {
+        report.unrendered_fields.push(`${path}.${key}`);
+      }
+    }
+  }
+
+  _validateField(field, value, path, report) {
+    if (isEmpty(value)) {
+      if (field.required) {
+        report.errors.push({ field: path, rule: 'required', message: `${field.name} is required` });
+      }
+      return;
+    }
+
+    const typeError = this._checkType(field, value);
+    if (typeError) {
+      report.errors.push({ field: path, rule: typeError.rule, message: typeError.message });
+      return;
+    }
+
+    if (field.type === 'object' && field.fields) {
+      this._validateFields(field.fields, value, path, report);
+    } else if (field.type === 'array') {
+      value.forEach((item, index) => {
+        const itemPath = `${path}[${index}]`;
+
+        if (field.fields) {
+          if (!this._isPlainObject(item)) {
+            report.errors.push({ field: itemPath, rule: 'type', message: `${field.name} entries must be objects` });
+            return;
+          }
+          this._validateFields(field.fields, item, itemPath, report);
+        } else if (typeof item !== 'string' && typeof item !== 'number') {
+          report.errors.push({ field: itemPath, rule: 'type', message: `${field.name} entries must be text` });
+        }
+      });
+    }
+  }
+
+  // Returns { rule, message } when the value doesn't match the field type
+  _checkType(field, value) {
+    switch (field.type) {
+      case 'text':
+      case 'textarea': {
+        if (typeof value !== 'string' && typeof value !== 'number') {
+          return { rule: 'type', message: `${field.name} must be text` };
+        }
+        const maxLength = field.type === 'text' ? this.maxTextLength : this.maxTextareaLength;
+        if (String(value).length > maxLength) {
+          return { rule: 'length', message: `${field.name} must be at most ${maxLength} characters` };
+        }
+        return null;
+      }
+      case 'url':
+        if (typeof value !== 'string' || !this._isSafeURL(value)) {
+          return { rule: 'format', message: `${field.name} must be a valid http(s) URL` };
+        }
+        return null;
+      case 'image':
+        if (typeof value !== 'string' || !this._isImageSource(value)) {
+          return { rule: 'format', message: `${field.name} must be an image URL or uploaded file path` };
+        }
+        return null;
+      case 'email':
+        if (typeof value !== 'string' || !isValidEmail(value)) {
+          return { rule: 'format', message: `${field.name} must be a valid email address` };
+        }
+        return null;
+      case 'array':
+        if (!Array.isArray(value)) {
+          return { rule: 'type', message: `${field.name} must be a list` };
+        }
+        return null;
+      case 'object':
+        if (!this._isPlainObject(value)) {
+          return { rule: 'type', message: `${field.name} must be an object` };
+        }
+        return null;
+      default:
+        return null;
+    }
+  }
+
+  // Templates run links through ensureHttp, so bare domains (github.com/me) are fine;
+  // anything with another scheme (javascript:, data:) is not
+  _isSafeURL(value) {
+    const candidate = /^[a-z][a-z0-9+.-]*:/i.test(value) ? value : `https://${value}`;
+
+    try {
+      const url = new URL(candidate);
+      return ['http:', 'https:'].includes(url.protocol) && url.hostname.includes('.');
+    } catch {
+      return false;
+    }
+  }
+
+  _isImageSource(value) {
+    if (value.startsWith('/uploads/')) return true;
+    if (/^data:image\/(png|jpe?g|gif|webp);base64,/i.test(value)) return true;
+    return /^https?:\/\//i.test(value) && this._isSafeURL(value);
+  }
+
+  _isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+module.exports = new ContentValidatorService();
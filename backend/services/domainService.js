@@ -0,0 +1,167 @@
+const dns = require('dns').promises;
+const net = require('net');
+
+const { PortfolioDomain } = require('../models');
+
+class DomainService {
+  constructor() {
+    // Anything with a resolveTxt(name) method; swapped out in tests
+    this.resolver = dns;
+
+    this.recordPrefix = '_portfolio-builder';
+    this.tokenPrefix = 'portfolio-builder-verification=';
+    this.maxDomainsPerPortfolio = 5;
+
+    // Where custom domains should point (CNAME) and hosts that always serve the API itself
+    this.cnameTarget = process.env.CUSTOM_DOMAIN_TARGET || 'domains.portfolio-builder.app';
+    this.appHostnames = (process.env.APP_HOSTNAMES || 'localhost')
+      .split(',')
+      .map(host => PortfolioDomain.normalizeHostname(host))
+      .filter(Boolean);
+
+    // Host -> portfolio lookups are cached briefly since they run on every request. The key
+    // comes from the client's Host header, so the cache is capped and drops the least
+    // recently used host when full.
+    this.cacheTTL = 60 * 1000;
+    this.maxCacheEntries = 1000;
+    this.hostCache = new Map();
+  }
+
+  setResolver(resolver) {
+    this.resolver = resolver;
+  }
+
+  // Hosts that belong to the platform itself rather than to a portfolio
+  isAppHostname(hostname) {
+    const host = PortfolioDomain.normalizeHostname(hostname);
+    return !host || net.isIP(host) !== 0 || this.appHostnames.includes(host);
+  }
+
+  // Fully qualified domain name such as www.example.com
+  isValidHostname(hostname) {
+    const host = PortfolioDomain.normalizeHostname(hostname);
+    return host.length <= 253 && /^([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/.test(host);
+  }
+
+  // Returns an error message for hostnames that can't be attached, or null
+  checkHostname(hostname) {
+    const host = PortfolioDomain.normalizeHostname(hostname);
+
+    if (!this.isValidHostname(host)) {
+      return 'Hostname must be a fully qualified domain name (e.g. www.example.com)';
+    }
+
+    if (this.isAppHostname(host) || host === this.cnameTarget || host.endsWith(`.${this.cnameTarget}`)) {
+      return 'This hostname is reserved';
+    }
+
+    return null;
+  }
+
+  // DNS records the owner has to create for a domain
+  getInstructions(domain) {
+    return {
+      verification: {
+        type: 'TXT',
+        name: `${this.recordPrefix}.${domain.hostname}`,
+        value: `${this.tokenPrefix}${domain.verification_token}`
+      },
+      routing: {
+        type: 'CNAME',
+        name: domain.hostname,
+        value: this.cnameTarget
+      }
+    };
+  }
+
+  // Look up the TXT record and mark the domain verified or failed
+  async verifyDomain(domain) {
+    try {
+      const { verification } = this.getInstructions(domain);
+
+      let records = [];
+      try {
+        records = await this.resolver.resolveTxt(verification.name);
+      } catch (error) {
+        // No record yet is an expected outcome, not a server error
+        if (!['ENOTFOUND', 'ENODATA', 'NXDOMAIN'].includes(error.code)) {
+          throw error;
+        }
+      }
+
+      // Long TXT values come back split into chunks
+      const values = records.map(chunks => (Array.isArray(chunks) ? chunks.join('') : String(chunks)).trim());
+
+      if (!values.includes(verification.value)) {
+        await domain.markFailed(`TXT record ${verification.name} with value ${verification.value} not found`);
+        this.clearCache(domain.hostname);
+        return {
+          success: true,
+          verified: false,
+          domain
+        };
+      }
+
+      // Proving control of the DNS moves the hostname away from any previous owner
+      const previous = await PortfolioDomain.findVerifiedByHostname(domain.hostname);
+      if (previous && previous.id !== domain.id) {
+        await previous.markFailed('Verified by another portfolio');
+      }
+
+      await domain.markVerified();
+      this.clearCache(domain.hostname);
+
+      return {
+        success: true,
+        verified: true,
+        domain
+      };
+    } catch (error) {
+      console.error('Domain verification error:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to verify domain'
+      };
+    }
+  }
+
+  // Portfolio ID served at a hostname, or null
+  async resolvePortfolioId(hostname) {
+    const host = PortfolioDomain.normalizeHostname(hostname);
+
+    // Such a hostname can never have been attached, so there is nothing to look up or cache
+    if (!this.isValidHostname(host)) {
+      return null;
+    }
+
+    const cached = this.hostCache.get(host);
+    if (cached) {
+      this.hostCache.delete(host);
+      if (cached.expiresAt > Date.now()) {
+        // Re-inserting moves the host to the most recently used end
+        this.hostCache.set(host, cached);
+        return cached.portfolioId;
+      }
+    }
+
+    const domain = await PortfolioDomain.findVerifiedByHostname(host);
+    const portfolioId = domain ? domain.portfolio_id : null;
+
+    if (this.hostCache.size >= this.maxCacheEntries) {
+      this.hostCache.delete(this.hostCache.keys().next().value);
+    }
+    this.hostCache.set(host, { portfolioId, expiresAt: Date.now() + this.cacheTTL });
+
+    return portfolioId;
+  }
+
+  clearCache(hostname) {
+    if (hostname) {
+      this.hostCache.delete(PortfolioDomain.normalizeHostname(hostname));
+    } else {
+      this.hostCache.clear();
+    }
+  }
+}
+
+module.exports = new DomainService();
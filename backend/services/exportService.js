@@ -0,0 +1,304 @@
+const axios = require('axios');
+const JSZip = require('jszip');
+const dns = require('dns').promises;
+const net = require('net');
+const fs = require('fs').promises;
+const path = require('path');
+
+const templateEngine = require('./templateEngine');
+const { hashString } = require('../utils/helpers');
+
+class ExportService {
+  constructor() {
+    this.uploadsPath = path.join(__dirname, '../uploads');
+    this.maxAssetSize = 5 * 1024 * 1024; // 5MB per vendored file
+    this.requestTimeout = 10000;
+    this.maxRedirects = 3;
+
+    // Google Fonts only serves woff2 to user agents it recognises as modern browsers
+    this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+    this.imageExtensions = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.svg', '.avif', '.ico'];
+    this.contentTypeExtensions = {
+      'image/png': '.png',
+      'image/jpeg': '.jpg',
+      'image/gif': '.gif',
+      'image/webp': '.webp',
+      'image/svg+xml': '.svg',
+      'image/avif': '.avif',
+      'image/x-icon': '.ico'
+    };
+  }
+
+  // Build a self-contained static site (index.html, style.css, script.js, assets/) as a ZIP
+  async exportStaticSite(portfolio, options = {}) {
+    try {
+      const { vendorAssets = true } = options;
+
+      console.log(`Exporting static site for portfolio ${portfolio.id}`);
+
+      const zip = new JSZip();
+      const report = {
+        vendored: [],
+        skipped: []
+      };
+
+      // Fonts and icon stylesheets, including any fonts picked in the theme
+      const externalStylesheets = templateEngine.getExternalStylesheets(portfolio.template_id, portfolio.customizations);
+      let stylesheets = externalStylesheets.map(sheet => sheet.href);
+      if (vendorAssets) {
+        stylesheets = [];
+        for (const sheet of externalStylesheets) {
+          const localPath = await this._vendorStylesheet(sheet, zip, report);
+          stylesheets.push(localPath || sheet.href);
+        }
+      }
+
+      const result = await templateEngine.generateHTML(
+        portfolio.content,
+        portfolio.template_id,
+        { inlineAssets: false, stylesheets, customizations: portfolio.customizations }
+      );
+
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      // Avatar, project screenshots and any other images in the page
+      let html = result.html;
+      if (vendorAssets) {
+        html = await this._vendorImages(html, zip, report);
+      }
+
+      zip.file('index.html', html);
+      zip.file('style.css', result.css);
+      zip.file('script.js', result.js);
+      zip.file('manifest.json', JSON.stringify({
+        portfolio_id: portfolio.id,
+        title: portfolio.title,
+        slug: portfolio.slug,
+        template_id: result.template,
+        exported_at: new Date().toISOString(),
+        assets: report
+      }, null, 2));
+
+      const buffer = await zip.generateAsync({
+        type: 'nodebuffer',
+        compression: 'DEFLATE',
+        compressionOptions: { level: 6 }
+      });
+
+      return {
+        success: true,
+        buffer,
+        filename: `${portfolio.slug || 'portfolio'}.zip`,
+        report
+      };
+    } catch (error) {
+      console.error('Static site export error:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to export static site'
+      };
+    }
+  }
+
+  // Private methods
+
+  // Download a stylesheet and every url(...) it references, rewriting them to local paths
+  async _vendorStylesheet(sheet, zip, report) {
+    try {
+      const { data } = await this._download(sheet.href);
+      let css = data.toString('utf8');
+
+      const urlPattern = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+      const references = new Set();
+      let match;
+      while ((match = urlPattern.exec(css)) !== null) {
+        if (!match[2].startsWith('data:')) {
+          references.add(match[2]);
+        }
+      }
+
+      const replacements = new Map();
+      for (const reference of references) {
+        const absoluteUrl = new URL(reference, sheet.href).toString();
+        const fileName = path.basename(new URL(absoluteUrl).pathname);
+        const localName = `${hashString(absoluteUrl).substring(0, 8)}-${fileName}`;
+
+        try {
+          const asset = await this._download(absoluteUrl);
+          zip.file(`assets/fonts/${localName}`, asset.data);
+          replacements.set(reference, `../fonts/${localName}`);
+          report.vendored.push(absoluteUrl);
+        } catch (error) {
+          // Keep the remote reference so the font still loads when online
+          replacements.set(reference, absoluteUrl);
+          report.skipped.push({ url: absoluteUrl, reason: error.message });
+        }
+      }
+
+      css = css.replace(urlPattern, (original, quote, reference) => {
+        return replacements.has(reference)
+          ? `url(${quote}${replacements.get(reference)}${quote})`
+          : original;
+      });
+
+      const localPath = `assets/css/${sheet.id}.css`;
+      zip.file(localPath, css);
+      report.vendored.push(sheet.href);
+
+      return localPath;
+    } catch (error) {
+      console.error(`Stylesheet vendoring error for ${sheet.href}:`, error.message);
+      report.skipped.push({ url: sheet.href, reason: error.message });
+      return null;
+    }
+  }
+
+  // Copy every <img src> into assets/images and point the markup at the local copy
+  async _vendorImages(html, zip, report) {
+    const sources = new Set();
+    const imgPattern = /<img\b[^>]*?\bsrc="([^"]+)"/gi;
+    let match;
+    while ((match = imgPattern.exec(html)) !== null) {
+      sources.add(match[1]);
+    }
+
+    let output = html;
+
+    for (const source of sources) {
+      // Handlebars escapes attribute values, undo that to get the real URL
+      const url = source.replace(/&amp;/g, '&').replace(/&#x3D;/g, '=');
+
+      try {
+        let asset;
+        if (url.startsWith('/uploads/')) {
+          asset = await this._readUpload(url);
+        } else if (/^https?:\/\//i.test(url)) {
+          asset = await this._download(url);
+        } else {
+          continue; // data: URIs and relative paths are left as they are
+        }
+
+        const localPath = `assets/images/${hashString(url).substring(0, 12)}${this._imageExtension(url, asset.contentType)}`;
+        zip.file(localPath, asset.data);
+        output = output.split(`src="${source}"`).join(`src="${localPath}"`);
+        report.vendored.push(url);
+      } catch (error) {
+        report.skipped.push({ url, reason: error.message });
+      }
+    }
+
+    return output;
+  }
+
+  async _readUpload(url) {
+    const relativePath = decodeURIComponent(url.replace(/^\/uploads\//, '').split('?')[0]);
+    const filePath = path.resolve(this.uploadsPath, relativePath);
+
+    if (!filePath.startsWith(this.uploadsPath + path.sep)) {
+      throw new Error('Invalid upload path');
+    }
+
+    const data = await fs.readFile(filePath);
+    return { data, contentType: null };
+  }
+
+  // Redirects are followed by hand so every hop is checked, and each request connects to the
+  // address that was checked (a second DNS answer can't point it somewhere private)
+  async _download(url) {
+    let currentUrl = url;
+
+    for (let redirects = 0; redirects <= this.maxRedirects; redirects++) {
+      const { protocol, hostname } = new URL(currentUrl);
+
+      if (!['http:', 'https:'].includes(protocol)) {
+        throw new Error(`Unsupported protocol: ${protocol}`);
+      }
+
+      const { address, family } = await this._resolveHost(hostname);
+      if (!this._isPublicAddress(address)) {
+        throw new Error('Refusing to fetch from a private network address');
+      }
+
+      const response = await axios.get(currentUrl, {
+        responseType: 'arraybuffer',
+        timeout: this.requestTimeout,
+        maxContentLength: this.maxAssetSize,
+        maxRedirects: 0,
+        validateStatus: status => status >= 200 && status < 400,
+        lookup: async () => [address, family],
+        headers: {
+          'User-Agent': this.userAgent
+        }
+      });
+
+      if (response.status >= 300) {
+        if (!response.headers.location) {
+          throw new Error(`Redirect without a location from ${currentUrl}`);
+        }
+        currentUrl = new URL(response.headers.location, currentUrl).toString();
+        continue;
+      }
+
+      return {
+        data: Buffer.from(response.data),
+        contentType: (response.headers['content-type'] || '').split(';')[0].trim()
+      };
+    }
+
+    throw new Error(`Too many redirects fetching ${url}`);
+  }
+
+  async _resolveHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host)) {
+      return { address: host, family: net.isIP(host) };
+    }
+
+    return await dns.lookup(host);
+  }
+
+  // Portfolio content is user supplied, so don't let an export reach internal services
+  _isPublicAddress(address) {
+    if (net.isIPv4(address)) {
+      const [a, b, c] = address.split('.').map(Number);
+      return !(
+        a === 10 ||
+        a === 127 ||
+        a === 0 ||
+        a >= 224 || // multicast (224.0.0.0/4), reserved (240.0.0.0/4) and broadcast
+        (a === 169 && b === 254) ||
+        (a === 172 && b >= 16 && b <= 31) ||
+        (a === 192 && b === 168) ||
+        (a === 192 && b === 0 && c === 0) || // IETF protocol assignments
+        (a === 198 && (b === 18 || b === 19)) || // benchmarking
+        (a === 100 && b >= 64 && b <= 127)
+      );
+    }
+
+    const normalized = address.toLowerCase();
+    return !(
+      normalized === '::1' ||
+      normalized === '::' ||
+      normalized.startsWith('fc') ||
+      normalized.startsWith('fd') ||
+      normalized.startsWith('fe80') ||
+      normalized.startsWith('ff') || // multicast
+      normalized.startsWith('::ffff:')
+    );
+  }
+
+  _imageExtension(url, contentType) {
+    const extension = path.extname(new URL(url, 'http://localhost').pathname).toLowerCase();
+
+    if (this.imageExtensions.includes(extension)) {
+      return extension;
+    }
+
+    return this.contentTypeExtensions[contentType] || '.img';
+  }
+}
+
+module.exports = new ExportService();
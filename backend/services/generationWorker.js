@@ -0,0 +1,270 @@
+const { EventEmitter } = require('events');
+const { Op } = require('sequelize');
+const { GenerationJob, PortfolioIteration } = require('../models');
+const portfolioGenerator = require('./portfolioGenerator');
+
+class GenerationWorker {
+  constructor() {
+    // Jobs run inside the API process; keep the number of concurrent model calls small
+    this.concurrency = parseInt(process.env.GENERATION_CONCURRENCY) || 2;
+    this.maxActiveJobsPerUser = 3;
+    // A job interrupted by a restart is re-run until it has been started this many times
+    this.maxAttempts = 2;
+
+    // jobId -> { cancelled } for jobs running in this process
+    this.active = new Map();
+    // jobId -> { sourceIndex: access_token } for queued and running jobs. Tokens only live in
+    // memory; a job re-run after a restart falls back to the user's stored integration token.
+    this.credentials = new Map();
+    // Per-job 'job:<id>' events for clients streaming a job running in this process
+    this.events = new EventEmitter();
+    this.running = false;
+    this.draining = false;
+    this.drainRequested = false;
+  }
+
+  // Recover jobs left over from the previous process and start picking up queued ones
+  async start() {
+    await this.recover();
+    this.running = true;
+    this._drain();
+  }
+
+  // Stop claiming new jobs; jobs already running finish (or are recovered on next start)
+  stop() {
+    this.running = false;
+  }
+
+  async enqueue(userId, input) {
+    const activeJobs = await GenerationJob.countActiveByUser(userId);
+    if (activeJobs >= this.maxActiveJobsPerUser) {
+      return {
+        success: false,
+        error: `You already have ${activeJobs} generation jobs in progress. Wait for one to finish or cancel it.`
+      };
+    }
+
+    const { sources, credentials } = this._splitCredentials(input.sources || []);
+
+    const job = await GenerationJob.create({
+      user_id: userId,
+      input: { ...input, sources },
+      progress: {
+        stage: 'queued',
+        percent: 0,
+        sources: (input.sources || []).map(source => ({ type: source.type, status: 'pending' }))
+      }
+    });
+
+    if (Object.keys(credentials).length > 0) {
+      this.credentials.set(job.id, credentials);
+    }
+
+    this._drain();
+
+    return { success: true, job };
+  }
+
+  // Follow a job as it runs: listener(event, data) receives 'progress' and 'section' events,
+  // then 'finished' with the job once it completes, fails or is cancelled.
+  // Returns a function that stops listening.
+  watch(jobId, listener) {
+    const eventName = `job:${jobId}`;
+    this.events.on(eventName, listener);
+    return () => this.events.off(eventName, listener);
+  }
+
+  async cancel(job) {
+    if (job.isFinished()) {
+      return {
+        success: false,
+        error: `Job is already ${job.status}`
+      };
+    }
+
+    const activeJob = this.active.get(job.id);
+    if (activeJob) {
+      // The generator checks the flag between steps and stops before saving anything
+      activeJob.cancelled = true;
+      job.cancel_requested = true;
+      await job.save();
+    } else {
+      this.credentials.delete(job.id);
+      await job.markCancelled();
+      this._emit(job.id, 'finished', job);
+    }
+
+    return { success: true, job };
+  }
+
+  // Jobs still marked running belong to a process that died mid-generation
+  async recover() {
+    const interruptedJobs = await GenerationJob.findAll({
+      where: { status: 'running' }
+    });
+
+    for (const job of interruptedJobs) {
+      if (job.cancel_requested) {
+        await job.markCancelled();
+      } else if (job.attempts < this.maxAttempts) {
+        job.status = 'queued';
+        job.progress = { ...job.progress, stage: 'queued' };
+        await job.save();
+      } else {
+        await job.markFailed('Interrupted by server restart');
+      }
+    }
+
+    // Pending iterations on the interrupted jobs' portfolios were written by an AI call that
+    // never returned. Other portfolios' iterations (e.g. running in another process) stay as they are.
+    const portfolioIds = interruptedJobs.map(job => job.portfolio_id).filter(Boolean);
+    let staleIterations = 0;
+
+    if (portfolioIds.length > 0) {
+      [staleIterations] = await PortfolioIteration.update(
+        {
+          status: 'failed',
+          error_message: 'Interrupted by server restart'
+        },
+        {
+          where: {
+            status: 'pending',
+            portfolio_id: { [Op.in]: portfolioIds }
+          }
+        }
+      );
+    }
+
+    if (interruptedJobs.length > 0 || staleIterations > 0) {
+      console.log(`Recovered ${interruptedJobs.length} generation jobs and ${staleIterations} pending iterations`);
+    }
+  }
+
+  async _drain() {
+    if (!this.running) return;
+
+    // Already looping; make sure it takes another look once it's done
+    if (this.draining) {
+      this.drainRequested = true;
+      return;
+    }
+    this.draining = true;
+
+    try {
+      do {
+        this.drainRequested = false;
+
+        while (this.running && this.active.size < this.concurrency) {
+          const job = await this._claimNext();
+          if (!job) break;
+
+          this._run(job);
+        }
+      } while (this.drainRequested);
+    } catch (error) {
+      console.error('Generation queue error:', error);
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  async _claimNext() {
+    const job = await GenerationJob.findNextQueued();
+    if (!job) return null;
+
+    const [claimed] = await GenerationJob.update(
+      {
+        status: 'running',
+        attempts: job.attempts + 1,
+        started_at: new Date()
+      },
+      { where: { id: job.id, status: 'queued' } }
+    );
+
+    // Cancelled between the lookup and the update; try the next one
+    if (claimed === 0) return this._claimNext();
+
+    await job.reload();
+    this.active.set(job.id, { cancelled: false });
+    return job;
+  }
+
+  async _run(job) {
+    const activeJob = this.active.get(job.id);
+
+    try {
+      const { preferences = {} } = job.input;
+      const sources = this._restoreCredentials(job.id, job.input.sources || []);
+
+      const result = await portfolioGenerator.generatePortfolio(job.user_id, sources, preferences, {
+        onProgress: async (progress) => {
+          await job.updateProgress(progress);
+          this._emit(job.id, 'progress', progress);
+        },
+        onSection: (section, content) => this._emit(job.id, 'section', { section, content }),
+        isCancelled: () => activeJob.cancelled
+      });
+
+      if (result.cancelled) {
+        await job.markCancelled();
+      } else if (!result.success) {
+        await job.markFailed(result.error);
+      } else {
+        await job.markCompleted({
+          portfolio: {
+            id: result.portfolio.id,
+            title: result.portfolio.title,
+            slug: result.portfolio.slug,
+            status: result.portfolio.status,
+            template_id: result.portfolio.template_id,
+            created_at: result.portfolio.created_at
+          },
+          metadata: result.metadata,
+          validation: result.validation
+        });
+      }
+    } catch (error) {
+      console.error(`Generation job ${job.id} error:`, error);
+
+      try {
+        await job.markFailed(error.message || 'Portfolio generation failed');
+      } catch (saveError) {
+        console.error(`Failed to record error for generation job ${job.id}:`, saveError);
+      }
+    } finally {
+      this.active.delete(job.id);
+      this.credentials.delete(job.id);
+      this._emit(job.id, 'finished', job);
+      this._drain();
+    }
+  }
+
+  _emit(jobId, event, data) {
+    this.events.emit(`job:${jobId}`, event, data);
+  }
+
+  // Take access tokens out of the sources so they are never written to the jobs table
+  _splitCredentials(sources) {
+    const credentials = {};
+
+    const strippedSources = sources.map((source, index) => {
+      if (!source.data || !source.data.access_token) return source;
+
+      credentials[index] = source.data.access_token;
+      const { access_token, ...data } = source.data;
+      return { ...source, data };
+    });
+
+    return { sources: strippedSources, credentials };
+  }
+
+  _restoreCredentials(jobId, sources) {
+    const credentials = this.credentials.get(jobId) || {};
+
+    return sources.map((source, index) => credentials[index]
+      ? { ...source, data: { ...source.data, access_token: credentials[index] } }
+      : source);
+  }
+}
+
+module.exports = new GenerationWorker();
@@ -0,0 +1,144 @@
+const axios = require('axios');
+const { Integration, OAuthState } = require('../models');
+const githubService = require('./githubService');
+
+class GitHubOAuthService {
+  constructor() {
+    this.clientId = process.env.GITHUB_CLIENT_ID;
+    this.clientSecret = process.env.GITHUB_CLIENT_SECRET;
+    // Where /login/oauth/authorize and /login/oauth/access_token live (GitHub Enterprise, local stub)
+    this.baseURL = (process.env.GITHUB_OAUTH_BASE_URL || 'https://github.com').replace(/\/+$/, '');
+    this.scopes = process.env.GITHUB_OAUTH_SCOPES || 'read:user';
+    // Frontend page GitHub sends the user back to; it posts code and state to the callback route
+    this.redirectUri = process.env.GITHUB_OAUTH_REDIRECT_URI ||
+      `${(process.env.FRONTEND_URL || 'http://localhost:3000').split(',')[0].trim()}/integrations/github/callback`;
+    this.stateTTLMinutes = 10;
+  }
+
+  isConfigured() {
+    return Boolean(this.clientId && this.clientSecret);
+  }
+
+  // Begin an authorization for a user: returns the GitHub URL to send the browser to
+  async startAuthorization(userId) {
+    try {
+      if (!this.isConfigured()) {
+        return { success: false, error: 'GitHub OAuth is not configured' };
+      }
+
+      const { state, record } = await OAuthState.issue(userId, 'github', this.redirectUri, this.stateTTLMinutes);
+
+      const params = new URLSearchParams({
+        client_id: this.clientId,
+        redirect_uri: this.redirectUri,
+        scope: this.scopes,
+        state,
+        allow_signup: 'false'
+      });
+
+      return {
+        success: true,
+        authorizationUrl: `${this.baseURL}/login/oauth/authorize?${params.toString()}`,
+        state,
+        expiresAt: record.expires_at
+      };
+    } catch (error) {
+      console.error('GitHub OAuth start error:', error);
+      return { success: false, error: 'Failed to start GitHub authorization' };
+    }
+  }
+
+  // Finish an authorization: check the state, exchange the code and connect the integration.
+  // The state must have been issued to this same user, which is what stops a forged callback
+  // from attaching someone else's GitHub account (or this user's account to someone else).
+  async completeAuthorization(userId, code, state) {
+    try {
+      if (!this.isConfigured()) {
+        return { success: false, error: 'GitHub OAuth is not configured' };
+      }
+
+      const pending = await OAuthState.consume(state, userId, 'github');
+      if (!pending) {
+        return { success: false, status: 403, error: 'Invalid or expired OAuth state' };
+      }
+
+      const tokenResult = await this.exchangeCode(code, pending.redirect_uri);
+      if (!tokenResult.success) {
+        return { success: false, status: 400, error: tokenResult.error };
+      }
+
+      const account = await githubService.getAuthenticatedUser(tokenResult.accessToken);
+      if (!account.success) {
+        return { success: false, status: 502, error: account.error };
+      }
+
+      const profileResult = await githubService.getUserProfile(account.data.username, tokenResult.accessToken);
+      if (!profileResult.success) {
+        return { success: false, status: 502, error: profileResult.error };
+      }
+
+      const fields = {
+        platform_username: account.data.username,
+        platform_user_id: account.data.id,
+        access_token: tokenResult.accessToken,
+        refresh_token: tokenResult.refreshToken,
+        is_active: true,
+        sync_status: 'success',
+        error_message: null
+      };
+
+      let integration = await Integration.findByUserAndPlatform(userId, 'github');
+      if (integration) {
+        await integration.update(fields);
+      } else {
+        integration = await Integration.create({ user_id: userId, platform: 'github', ...fields });
+      }
+      await integration.updateProfileData(profileResult.data);
+
+      return {
+        success: true,
+        integration,
+        profile: profileResult.data,
+        scopes: tokenResult.scopes
+      };
+    } catch (error) {
+      console.error('GitHub OAuth callback error:', error);
+      return { success: false, error: 'Failed to complete GitHub authorization' };
+    }
+  }
+
+  // Trade an authorization code for tokens. GitHub answers errors with 200 and an `error` field.
+  async exchangeCode(code, redirectUri) {
+    try {
+      const response = await axios.post(`${this.baseURL}/login/oauth/access_token`, {
+        client_id: this.clientId,
+        client_secret: this.clientSecret,
+        code,
+        redirect_uri: redirectUri
+      }, {
+        headers: { Accept: 'application/json' },
+        timeout: 10000
+      });
+
+      const data = response.data || {};
+      if (data.error || !data.access_token) {
+        return {
+          success: false,
+          error: data.error_description || data.error || 'GitHub did not return an access token'
+        };
+      }
+
+      return {
+        success: true,
+        accessToken: data.access_token,
+        refreshToken: data.refresh_token || null,
+        scopes: data.scope ? data.scope.split(',').filter(Boolean) : []
+      };
+    } catch (error) {
+      console.error('GitHub token exchange error:', error.response?.data || error.message);
+      return { success: false, error: 'Failed to exchange authorization code' };
+    }
+  }
+}
+
+module.exports = new GitHubOAuthService();
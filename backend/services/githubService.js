@@ -1,9 +1,25 @@
 const axios = require('axios');
+const { mapWithConcurrency, hashString } = require('../utils/helpers');
+const { GitHubCache } = require('../models');
 
 class GitHubService {
   constructor() {
-    this.baseURL = 'https://api.github.com';
-    this.graphqlURL = 'https://api.github.com/graphql';
+    // Overridable for GitHub Enterprise or a local stub
+    this.baseURL = (process.env.GITHUB_API_URL || 'https://api.github.com').replace(/\/+$/, '');
+    this.graphqlURL = process.env.GITHUB_GRAPHQL_URL || `${this.baseURL}/graphql`;
+    // GitHub's secondary rate limits punish bursts of concurrent requests, so fan-out is capped
+    this.maxConcurrentRequests = parseInt(process.env.GITHUB_MAX_CONCURRENCY) || 3;
+    // Repository listings are paged 100 at a time, up to 1000 repositories per owner
+    this.pageSize = 100;
+    this.maxPages = 10;
+
+    // Token identity -> time (ms) its rate limit window resets, set when GitHub says it's exhausted
+    this.rateLimitResets = new Map();
+    // Without a token even a 304 uses up the 60 requests/hour limit, so anonymous responses
+    // younger than this are served from the cache without asking GitHub
+    this.anonymousCacheTTL = 60 * 60 * 1000;
+    // The same limit leaves room for the languages of this many repositories per anonymous sync
+    this.anonymousLanguageRepos = 40;
     
     // Create axios instance with default headers
     this.api = axios.create({
@@ -28,7 +44,7 @@ class GitHubService {
         headers.Authorization = `token ${accessToken}`;
       }
 
-      const response = await this.api.get(`/users/${username}`, { headers });
+      const response = await this._get(`/users/${username}`, { headers });
       
       return {
         success: true,
@@ -57,14 +73,40 @@ class GitHubService {
     }
   }
 
+  // Get the account an access token belongs to
+  async getAuthenticatedUser(accessToken) {
+    try {
+      const response = await this.api.get('/user', {
+        headers: { Authorization: `token ${accessToken}` }
+      });
+
+      return {
+        success: true,
+        data: {
+          id: String(response.data.id),
+          username: response.data.login,
+          name: response.data.name
+        }
+      };
+    } catch (error) {
+      console.error('GitHub authenticated user fetch error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to fetch GitHub account'
+      };
+    }
+  }
+
   // Get user repositories
+  // options.all pages through every repository instead of returning a single page
   async getUserRepositories(username, accessToken = null, options = {}) {
     try {
       const {
         sort = 'updated',
         direction = 'desc',
         per_page = 30,
-        type = 'owner'
+        type = 'owner',
+        all = false
       } = options;
 
       const headers = {};
@@ -72,49 +114,76 @@ class GitHubService {
         headers.Authorization = `token ${accessToken}`;
       }
 
-      const response = await this.api.get(`/users/${username}/repos`, {
+      const params = { sort, direction, per_page: all ? this.pageSize : per_page, type };
+      const data = all
+        ? await this._getAllPages(`/users/${username}/repos`, { headers, params })
+        : (await this._get(`/users/${username}/repos`, { headers, params })).data;
+
+      return {
+        success: true,
+        data: data.map(repo => this._mapRepository(repo))
+      };
+    } catch (error) {
+      console.error('GitHub repositories fetch error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to fetch GitHub repositories'
+      };
+    }
+  }
+
+  // Get the organizations a user publicly belongs to
+  async getUserOrganizations(username, accessToken = null) {
+    try {
+      const headers = {};
+      if (accessToken) {
+        headers.Authorization = `token ${accessToken}`;
+      }
+
+      const data = await this._getAllPages(`/users/${username}/orgs`, {
         headers,
-        params: {
-          sort,
-          direction,
-          per_page,
-          type
-        }
+        params: { per_page: this.pageSize }
       });
 
-      const repositories = response.data.map(repo => ({
-        id: repo.id,
-        name: repo.name,
-        full_name: repo.full_name,
-        description: repo.description,
-        html_url: repo.html_url,
-        clone_url: repo.clone_url,
-        homepage: repo.homepage,
-        language: repo.language,
-        languages_url: repo.languages_url,
-        stargazers_count: repo.stargazers_count,
-        watchers_count: repo.watchers_count,
-        forks_count: repo.forks_count,
-        created_at: repo.created_at,
-        updated_at: repo.updated_at,
-        pushed_at: repo.pushed_at,
-        size: repo.size,
-        topics: repo.topics || [],
-        private: repo.private,
-        fork: repo.fork,
-        archived: repo.archived,
-        disabled: repo.disabled
-      }));
+      return {
+        success: true,
+        data: data.map(org => ({
+          login: org.login,
+          description: org.description || null,
+          avatar_url: org.avatar_url
+        }))
+      };
+    } catch (error) {
+      console.error('GitHub organizations fetch error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to fetch GitHub organizations'
+      };
+    }
+  }
+
+  // Get every repository of an organization (private ones too when the token can see them)
+  async getOrganizationRepositories(org, accessToken = null) {
+    try {
+      const headers = {};
+      if (accessToken) {
+        headers.Authorization = `token ${accessToken}`;
+      }
+
+      const data = await this._getAllPages(`/orgs/${org}/repos`, {
+        headers,
+        params: { sort: 'updated', direction: 'desc', per_page: this.pageSize, type: 'all' }
+      });
 
       return {
         success: true,
-        data: repositories
+        data: data.map(repo => ({ ...this._mapRepository(repo), organization: org }))
       };
     } catch (error) {
-      console.error('GitHub repositories fetch error:', error.response?.data || error.message);
+      console.error('GitHub organization repositories fetch error:', error.response?.data || error.message);
       return {
         success: false,
-        error: error.response?.data?.message || 'Failed to fetch GitHub repositories'
+        error: error.response?.data?.message || 'Failed to fetch organization repositories'
       };
     }
   }
@@ -127,7 +196,7 @@ class GitHubService {
         headers.Authorization = `token ${accessToken}`;
       }
 
-      const response = await this.api.get(`/repos/${username}/${repoName}/languages`, { headers });
+      const response = await this._get(`/repos/${username}/${repoName}/languages`, { headers });
       
       return {
         success: true,
@@ -150,7 +219,7 @@ class GitHubService {
         headers.Authorization = `token ${accessToken}`;
       }
 
-      const response = await this.api.get(`/repos/${username}/${repoName}/readme`, { headers });
+      const response = await this._get(`/repos/${username}/${repoName}/readme`, { headers });
       
       // Decode base64 content
       const content = Buffer.from(response.data.content, 'base64').toString('utf8');
@@ -190,6 +259,7 @@ class GitHubService {
                 node {
                   ... on Repository {
                     id
+                    databaseId
                     name
                     description
                     url
@@ -245,6 +315,7 @@ class GitHubService {
       
       const repositories = pinnedItems.map(edge => ({
         id: edge.node.id,
+        database_id: edge.node.databaseId,
         name: edge.node.name,
         description: edge.node.description,
         html_url: edge.node.url,
@@ -325,24 +396,38 @@ class GitHubService {
   }
 
   // Get comprehensive user data (combines multiple API calls)
-  async getComprehensiveUserData(username, accessToken = null) {
+  // options.onProgress(message) reports each step for live progress displays
+  // options.organizations lists the organizations (opted in by the user) whose repositories
+  // are synced alongside the user's own
+  async getComprehensiveUserData(username, accessToken = null, options = {}) {
+    const { onProgress = async () => {}, organizations = [] } = options;
+
     try {
+      // No point starting while the quota is known to be exhausted
+      const limitedUntil = this.getRateLimitReset(accessToken);
+      if (limitedUntil) {
+        return this._rateLimitedResult(limitedUntil);
+      }
+
       console.log(`Fetching comprehensive GitHub data for: ${username}`);
+      await onProgress('Fetching GitHub profile');
       
-      // Fetch all data in parallel
+      // Fetch all data in parallel (within the concurrency cap)
       const [
         profileResult,
         repositoriesResult,
         pinnedResult,
         contributionResult,
-        profileReadmeResult
-      ] = await Promise.allSettled([
-        this.getUserProfile(username, accessToken),
-        this.getUserRepositories(username, accessToken, { per_page: 10 }),
-        this.getPinnedRepositories(username, accessToken),
-        this.getContributionGraph(username, accessToken),
-        this.getProfileReadme(username, accessToken)
-      ]);
+        profileReadmeResult,
+        organizationsResult
+      ] = await mapWithConcurrency([
+        () => this.getUserProfile(username, accessToken),
+        () => this.getUserRepositories(username, accessToken, { all: true }),
+        () => this.getPinnedRepositories(username, accessToken),
+        () => this.getContributionGraph(username, accessToken),
+        () => this.getProfileReadme(username, accessToken),
+        () => this.getUserOrganizations(username, accessToken)
+      ], this.maxConcurrentRequests, fetch => fetch());
 
       // Process results
       const profile = profileResult.status === 'fulfilled' && profileResult.value.success 
@@ -365,24 +450,47 @@ class GitHubService {
         ? profileReadmeResult.value.data.content 
         : null;
 
-      // Get languages for top repositories
-      const topRepos = repositories.slice(0, 5);
-      const languagePromises = topRepos.map(repo => 
-        this.getRepositoryLanguages(username, repo.name, accessToken)
+      // null (rather than []) when the lookup failed, so opt-ins aren't mistaken for stale
+      const userOrganizations = organizationsResult.status === 'fulfilled' && organizationsResult.value.success
+        ? organizationsResult.value.data
+        : null;
+
+      // Repositories of opted-in organizations the user still belongs to
+      const optedIn = organizations.map(org => String(org).toLowerCase());
+      const syncedOrganizations = (userOrganizations || []).filter(org => optedIn.includes(org.login.toLowerCase()));
+      if (syncedOrganizations.length > 0) {
+        await onProgress(`Fetching repositories of ${syncedOrganizations.length} organizations`);
+      }
+
+      const organizationResults = await mapWithConcurrency(
+        syncedOrganizations,
+        this.maxConcurrentRequests,
+        org => this.getOrganizationRepositories(org.login, accessToken)
       );
-      
-      const languageResults = await Promise.allSettled(languagePromises);
-      
-      // Aggregate languages
-      const allLanguages = {};
-      languageResults.forEach((result, index) => {
-        if (result.status === 'fulfilled' && result.value.success) {
-          const repoLanguages = result.value.data;
-          Object.entries(repoLanguages).forEach(([lang, bytes]) => {
-            allLanguages[lang] = (allLanguages[lang] || 0) + bytes;
-          });
-        }
-      });
+      const organizationRepos = organizationResults.flatMap(result =>
+        result.status === 'fulfilled' && result.value.success ? result.value.data : []
+      );
+
+      // Ran out of quota before the profile and repositories were in: report when to retry rather
+      // than returning partial data. Whatever did come back is cached, so the retry mostly gets
+      // free 304s (or, without a token, cache hits).
+      const retryAt = this.getRateLimitReset(accessToken);
+      if (retryAt) {
+        return this._rateLimitedResult(retryAt);
+      }
+
+      // Languages of every repository the user's own code lives in (forks mostly hold other
+      // people's). Without a token only the most recently pushed ones fit in the hourly limit.
+      let languageRepos = [...repositories, ...organizationRepos].filter(repo => !repo.fork);
+      if (!this._hasCredentials(accessToken)) {
+        languageRepos = [...languageRepos]
+          .sort((a, b) => new Date(b.pushed_at || 0) - new Date(a.pushed_at || 0))
+          .slice(0, this.anonymousLanguageRepos);
+      }
+
+      // Languages are a summary, so running out of quota here keeps what was fetched
+      const { languages: allLanguages, fetched: languageReposFetched } =
+        await this._aggregateLanguages(languageRepos, accessToken, onProgress);
 
       // Sort languages by usage
       const sortedLanguages = Object.entries(allLanguages)
@@ -394,15 +502,19 @@ class GitHubService {
         success: true,
         data: {
           profile,
-          repositories: repositories.slice(0, 10), // Top 10 repos
+          repositories: [...repositories, ...organizationRepos],
           pinned_repositories: pinnedRepos,
+          organizations: userOrganizations,
           languages: sortedLanguages,
           contribution_graph: contributions,
           profile_readme: profileReadme,
           stats: {
             total_repos: repositories.length,
             total_stars: repositories.reduce((sum, repo) => sum + repo.stargazers_count, 0),
-            total_forks: repositories.reduce((sum, repo) => sum + repo.forks_count, 0)
+            total_forks: repositories.reduce((sum, repo) => sum + repo.forks_count, 0),
+            organization_repos: organizationRepos.length,
+            language_repos: languageRepos.length,
+            language_repos_fetched: languageReposFetched
           }
         }
       };
@@ -428,6 +540,20 @@ class GitHubService {
     }
   }
 
+  // When the rate limit window for this token (or the app's default credentials) resets,
+  // or null if requests can be made now
+  getRateLimitReset(accessToken = null) {
+    const identity = this._identity(accessToken ? { Authorization: `token ${accessToken}` } : {});
+    const resetAt = this.rateLimitResets.get(identity);
+
+    if (!resetAt || resetAt <= Date.now()) {
+      this.rateLimitResets.delete(identity);
+      return null;
+    }
+
+    return new Date(resetAt);
+  }
+
   // Get rate limit info
   async getRateLimit(accessToken = null) {
     try {
@@ -450,6 +576,205 @@ class GitHubService {
       };
     }
   }
+
+  // Conditional GET through the response cache: sends the stored ETag and answers a 304 with
+  // the stored body (only authenticated 304s are free of the rate limit, so anonymous requests
+  // within anonymousCacheTTL of the last one aren't sent at all). Throws an error with code
+  // RATE_LIMITED (and retryAt) while the token's quota is exhausted, without making the request.
+  async _get(url, config = {}) {
+    const identity = this._identity(config.headers);
+    const retryAt = this.rateLimitResets.get(identity);
+    if (retryAt && retryAt > Date.now()) {
+      throw this._rateLimitError(retryAt);
+    }
+
+    const fullURL = this.api.getUri({ url, params: config.params });
+    const cacheKey = hashString(`${identity}:${fullURL}`);
+
+    let cached = null;
+    try {
+      cached = await GitHubCache.findByKey(cacheKey);
+    } catch (error) {
+      // The cache only saves quota; a broken one shouldn't break syncing
+      console.error('GitHub cache read error:', error.message);
+    }
+
+    if (cached && identity === 'anonymous' &&
+        Date.now() - new Date(cached.validated_at).getTime() < this.anonymousCacheTTL) {
+      return { status: 200, data: cached.body, headers: { link: cached.link } };
+    }
+
+    const headers = { ...config.headers };
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    else if (cached?.last_modified) headers['If-Modified-Since'] = cached.last_modified;
+
+    let response;
+    try {
+      response = await this.api.get(url, {
+        ...config,
+        headers,
+        validateStatus: status => (status >= 200 && status < 300) || (status === 304 && Boolean(cached))
+      });
+    } catch (error) {
+      this._recordRateLimit(identity, error.response);
+      if (this.rateLimitResets.get(identity) > Date.now()) {
+        const rateLimitError = this._rateLimitError(this.rateLimitResets.get(identity));
+        rateLimitError.response = error.response;
+        throw rateLimitError;
+      }
+      throw error;
+    }
+
+    // The request that used up the quota still succeeded; later ones won't
+    this._recordRateLimit(identity, response);
+
+    try {
+      if (response.status === 304) {
+        await GitHubCache.markValidated(cacheKey);
+        return { ...response, data: cached.body, headers: { ...response.headers, link: cached.link } };
+      }
+
+      if (response.headers.etag || response.headers['last-modified']) {
+        await GitHubCache.store(cacheKey, fullURL, {
+          etag: response.headers.etag,
+          lastModified: response.headers['last-modified'],
+          link: response.headers.link,
+          body: response.data
+        });
+      }
+    } catch (error) {
+      console.error('GitHub cache write error:', error.message);
+    }
+
+    return response;
+  }
+
+  // Remember when the quota resets if a response says it's exhausted. Primary limits send
+  // X-RateLimit-Remaining: 0 with X-RateLimit-Reset (epoch seconds); secondary limits send Retry-After.
+  _recordRateLimit(identity, response) {
+    if (!response) return;
+
+    const headers = response.headers || {};
+    let resetAt = null;
+
+    if (headers['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+      resetAt = parseInt(headers['x-ratelimit-reset']) * 1000;
+    } else if ([403, 429].includes(response.status) && headers['retry-after']) {
+      resetAt = Date.now() + parseInt(headers['retry-after']) * 1000;
+    } else if ([403, 429].includes(response.status) && headers['x-ratelimit-remaining'] === '0') {
+      // No reset time given; GitHub's windows are an hour long
+      resetAt = Date.now() + 60 * 60 * 1000;
+    }
+
+    if (resetAt && resetAt > Date.now()) {
+      this.rateLimitResets.set(identity, resetAt);
+    }
+  }
+
+  _rateLimitError(resetAt) {
+    const error = new Error(`GitHub API rate limit exceeded; resets at ${new Date(resetAt).toISOString()}`);
+    error.code = 'RATE_LIMITED';
+    error.retryAt = new Date(resetAt);
+    return error;
+  }
+
+  _rateLimitedResult(retryAt) {
+    return {
+      success: false,
+      rateLimited: true,
+      retryAt,
+      error: `GitHub API rate limit exceeded; resets at ${retryAt.toISOString()}`
+    };
+  }
+
+  // Whether requests for this token (or the app's GITHUB_TOKEN) are authenticated
+  _hasCredentials(accessToken = null) {
+    return this._identity(accessToken ? { Authorization: `token ${accessToken}` } : {}) !== 'anonymous';
+  }
+
+  // Rate limits and cached responses belong to the credentials a request is made with
+  _identity(headers = {}) {
+    const authorization = headers.Authorization || this.api.defaults.headers.Authorization;
+    return authorization ? hashString(String(authorization)).substring(0, 16) : 'anonymous';
+  }
+
+  // Follow `Link: rel="next"` headers and concatenate every page (capped at maxPages)
+  async _getAllPages(url, config = {}) {
+    const items = [];
+    let nextURL = url;
+    let nextConfig = config;
+
+    for (let page = 0; nextURL && page < this.maxPages; page++) {
+      const response = await this._get(nextURL, nextConfig);
+      items.push(...response.data);
+
+      // The next link already carries the query string
+      nextURL = this._nextPageURL(response.headers.link);
+      nextConfig = { headers: config.headers };
+    }
+
+    return items;
+  }
+
+  _nextPageURL(linkHeader) {
+    const match = String(linkHeader || '').match(/<([^>]+)>;\s*rel="next"/);
+    return match ? match[1] : null;
+  }
+
+  _mapRepository(repo) {
+    return {
+      id: repo.id,
+      name: repo.name,
+      full_name: repo.full_name,
+      owner: repo.owner?.login,
+      description: repo.description,
+      html_url: repo.html_url,
+      clone_url: repo.clone_url,
+      homepage: repo.homepage,
+      language: repo.language,
+      languages_url: repo.languages_url,
+      stargazers_count: repo.stargazers_count,
+      watchers_count: repo.watchers_count,
+      forks_count: repo.forks_count,
+      created_at: repo.created_at,
+      updated_at: repo.updated_at,
+      pushed_at: repo.pushed_at,
+      size: repo.size,
+      topics: repo.topics || [],
+      private: repo.private,
+      fork: repo.fork,
+      archived: repo.archived,
+      disabled: repo.disabled
+    };
+  }
+
+  // Sum language bytes over repositories, a few requests at a time. Also returns how many
+  // repositories' languages could be fetched.
+  async _aggregateLanguages(repositories, accessToken, onProgress = async () => {}) {
+    let reposFetched = 0;
+    await onProgress(`Fetching GitHub repos (0/${repositories.length})`);
+
+    const results = await mapWithConcurrency(repositories, this.maxConcurrentRequests, async repo => {
+      const [owner, name] = (repo.full_name || '').split('/');
+      const result = await this.getRepositoryLanguages(owner || repo.owner, name || repo.name, accessToken);
+      reposFetched++;
+      await onProgress(`Fetching GitHub repos (${reposFetched}/${repositories.length})`);
+      return result;
+    });
+
+    const languages = {};
+    let fetched = 0;
+    results.forEach(result => {
+      if (result.status === 'fulfilled' && result.value.success) {
+        fetched++;
+        Object.entries(result.value.data).forEach(([lang, bytes]) => {
+          languages[lang] = (languages[lang] || 0) + bytes;
+        });
+      }
+    });
+
+    return { languages, fetched };
+  }
 }
 
 module.exports = new GitHubService();
\ No newline at end of file
@@ -0,0 +1,98 @@
+const { Integration } = require('../models');
+const integrationSyncService = require('./integrationSyncService');
+const { mapWithConcurrency } = require('../utils/helpers');
+
+class IntegrationScheduler {
+  constructor() {
+    this.enabled = process.env.INTEGRATION_SYNC_ENABLED !== 'false';
+    this.intervalMinutes = parseInt(process.env.INTEGRATION_SYNC_INTERVAL_MINUTES) || 15;
+    // Integrations older than this are synced
+    this.maxAgeHours = parseInt(process.env.INTEGRATION_SYNC_MAX_AGE_HOURS) || 24;
+    // Integrations picked up per run; the rest wait for the next one
+    this.batchSize = 50;
+    // Syncs running at once per platform, so one platform's rate limits aren't hit in a burst
+    this.concurrency = {
+      github: parseInt(process.env.INTEGRATION_SYNC_CONCURRENCY_GITHUB) || 2,
+      leetcode: parseInt(process.env.INTEGRATION_SYNC_CONCURRENCY_LEETCODE) || 1
+    };
+
+    this.timer = null;
+    this.runningPass = null;
+  }
+
+  // Re-arm rate-limited retries from the previous process and start the periodic pass
+  async start() {
+    await integrationSyncService.resumeRetries();
+
+    if (!this.enabled) return false;
+
+    this.timer = setInterval(() => this.runOnce(), this.intervalMinutes * 60 * 1000);
+    // Waiting for the next pass shouldn't keep the process alive
+    this.timer.unref();
+
+    return true;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    integrationSyncService.cancelRetries();
+  }
+
+  // Sync every stale integration that isn't postponed. A pass still running when the next
+  // one is due is not started twice.
+  async runOnce() {
+    if (this.runningPass) return this.runningPass;
+
+    this.runningPass = this._syncStale().finally(() => {
+      this.runningPass = null;
+    });
+
+    return this.runningPass;
+  }
+
+  async _syncStale() {
+    const summary = { checked: 0, synced: 0, postponed: 0, failed: 0, portfolios_refreshed: 0 };
+
+    try {
+      const stale = await Integration.findStaleIntegrations(this.maxAgeHours, {
+        platforms: integrationSyncService.syncablePlatforms,
+        limit: this.batchSize
+      });
+      summary.checked = stale.length;
+      if (stale.length === 0) return summary;
+
+      const byPlatform = {};
+      stale.forEach(integration => {
+        (byPlatform[integration.platform] = byPlatform[integration.platform] || []).push(integration);
+      });
+
+      // Platforms run side by side, each within its own concurrency limit
+      await Promise.all(Object.entries(byPlatform).map(([platform, integrations]) =>
+        mapWithConcurrency(integrations, this.concurrency[platform] || 1, async integration => {
+          const result = await integrationSyncService.syncIntegration(integration);
+
+          if (result.success) {
+            summary.synced++;
+            summary.portfolios_refreshed += result.portfolios.filter(portfolio => portfolio.changed).length;
+          } else if (result.rateLimited) {
+            summary.postponed++;
+          } else if (result.inProgress) {
+            // Already being synced by hand or by a rate limit retry
+          } else {
+            summary.failed++;
+            console.error(`Scheduled ${platform} sync failed for integration ${integration.id}:`, result.error);
+          }
+        })
+      ));
+
+      console.log(`🔄 Integration sync: ${summary.synced} synced, ${summary.postponed} postponed, ${summary.failed} failed`);
+    } catch (error) {
+      console.error('Integration scheduler error:', error);
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new IntegrationScheduler();
@@ -0,0 +1,183 @@
+const { Op } = require('sequelize');
+const { Integration, Portfolio } = require('../models');
+const githubService = require('./githubService');
+const leetcodeService = require('./leetcodeService');
+const repositoryCurationService = require('./repositoryCurationService');
+const portfolioGenerator = require('./portfolioGenerator');
+
+class IntegrationSyncService {
+  constructor() {
+    // Platforms with an API to pull from; LinkedIn only changes through export uploads
+    this.syncablePlatforms = ['github', 'leetcode'];
+    // Wait a little past a rate limit reset so the new window has really started
+    this.retryDelayMs = 5000;
+
+    // integrationId -> timer for syncs postponed in this process
+    this.retryTimers = new Map();
+    // IDs of integrations being synced right now. Retry timers, the scheduler and manual syncs
+    // all run in this process, so this keeps them from syncing the same integration at once.
+    this.syncing = new Set();
+  }
+
+  // Fetch fresh platform data and store it on the integration.
+  // Returns { success, data, portfolios } (portfolios: auto-synced portfolio refresh results),
+  // { success: false, rateLimited, retryAt } when the sync was
+  // postponed until the platform's rate limit resets, { success: false, inProgress } when
+  // another sync of the integration is still running, or { success: false, error }.
+  async syncIntegration(integration) {
+    if (!this.syncablePlatforms.includes(integration.platform)) {
+      return { success: false, error: `Sync is not supported for ${integration.platform}` };
+    }
+
+    if (this.syncing.has(integration.id)) {
+      return { success: false, inProgress: true, error: `A ${integration.platform} sync is already in progress` };
+    }
+
+    this.syncing.add(integration.id);
+    try {
+      return await this._sync(integration);
+    } finally {
+      this.syncing.delete(integration.id);
+    }
+  }
+
+  async _sync(integration) {
+    await integration.markSyncPending();
+
+    const result = await this._fetchPlatformData(integration);
+
+    if (result.success) {
+      if (integration.platform === 'github') {
+        integration.repository_curation = repositoryCurationService.prune(
+          integration.repository_curation,
+          result.data
+        );
+      }
+      await integration.updateProfileData(result.data);
+
+      const portfolios = integration.platform === 'github'
+        ? await this._refreshLinkedPortfolios(integration, result.data)
+        : [];
+
+      return { success: true, data: result.data, portfolios };
+    }
+
+    if (result.rateLimited) {
+      await integration.markSyncDeferred(result.retryAt, result.error);
+      this.scheduleRetry(integration.id, result.retryAt);
+
+      return { success: false, rateLimited: true, retryAt: result.retryAt, error: result.error };
+    }
+
+    await integration.markSyncError(result.error);
+
+    return { success: false, error: result.error };
+  }
+
+  // Run the sync again at retryAt (plus a small margin) inside this process
+  scheduleRetry(integrationId, retryAt) {
+    clearTimeout(this.retryTimers.get(integrationId));
+
+    const delay = Math.max(new Date(retryAt).getTime() - Date.now(), 0) + this.retryDelayMs;
+    const timer = setTimeout(() => {
+      this.retryTimers.delete(integrationId);
+      this._runRetry(integrationId);
+    }, delay);
+
+    // A waiting retry shouldn't keep the process alive at shutdown
+    timer.unref();
+    this.retryTimers.set(integrationId, timer);
+  }
+
+  // Re-arm retries postponed by a previous process
+  async resumeRetries() {
+    const deferred = await Integration.findAll({
+      where: {
+        is_active: true,
+        sync_status: 'pending',
+        next_sync_at: { [Op.ne]: null }
+      }
+    });
+
+    deferred.forEach(integration => this.scheduleRetry(integration.id, integration.next_sync_at));
+
+    return deferred.length;
+  }
+
+  cancelRetries() {
+    this.retryTimers.forEach(timer => clearTimeout(timer));
+    this.retryTimers.clear();
+  }
+
+  async _runRetry(integrationId) {
+    try {
+      const integration = await Integration.findByPk(integrationId);
+      // Disconnected or synced by hand in the meantime
+      if (!integration || !integration.is_active || !integration.next_sync_at) return;
+
+      console.log(`Retrying postponed ${integration.platform} sync for integration ${integrationId}`);
+      const result = await this.syncIntegration(integration);
+
+      if (!result.success && !result.rateLimited) {
+        console.error(`Postponed ${integration.platform} sync failed:`, result.error);
+      }
+    } catch (error) {
+      console.error('Postponed integration sync error:', error);
+    }
+  }
+
+  // Portfolios that opted in to auto_sync_projects get their projects rebuilt from the new data.
+  // Job-tailored variants are left alone: their project order was chosen for the job.
+  // A failed refresh never fails the sync itself.
+  async _refreshLinkedPortfolios(integration, githubData) {
+    try {
+      const portfolios = await Portfolio.findAll({
+        where: {
+          user_id: integration.user_id,
+          auto_sync_projects: true,
+          parent_portfolio_id: null,
+          status: { [Op.ne]: 'archived' }
+        }
+      });
+
+      const refreshed = [];
+      for (const portfolio of portfolios) {
+        const result = await portfolioGenerator.refreshGitHubProjects(
+          portfolio,
+          githubData,
+          integration.repository_curation
+        );
+        refreshed.push({ portfolio_id: portfolio.id, ...result });
+      }
+
+      return refreshed;
+    } catch (error) {
+      console.error('Linked portfolio refresh error:', error);
+      return [];
+    }
+  }
+
+  async _fetchPlatformData(integration) {
+    try {
+      switch (integration.platform) {
+        case 'github':
+          return await githubService.getComprehensiveUserData(
+            integration.platform_username,
+            integration.access_token,
+            { organizations: integration.repository_curation.organizations || [] }
+          );
+        case 'leetcode':
+          return await leetcodeService.getComprehensiveUserData(integration.platform_username);
+        default:
+          return { success: false, error: `Unsupported platform: ${integration.platform}` };
+      }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message || `Failed to sync ${integration.platform} data`
+      };
+    }
+  }
+}
+
+module.exports = new IntegrationSyncService();
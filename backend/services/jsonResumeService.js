@@ -0,0 +1,318 @@
+// Mapping between portfolio content and the JSON Resume format (https://jsonresume.org/schema)
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+class JSONResumeService {
+  constructor() {
+    this.schemaURL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+    // Profile networks with a matching social_links field, keyed by lower-cased network name
+    this.socialNetworks = {
+      github: 'GitHub',
+      linkedin: 'LinkedIn',
+      twitter: 'Twitter',
+      x: 'Twitter',
+      instagram: 'Instagram'
+    };
+
+    // Top-level JSON Resume sections a portfolio has no place for
+    this.unsupportedSections = ['volunteer', 'awards', 'certificates', 'publications', 'languages', 'references'];
+
+    // Portfolio sections handled by the export
+    this.exportedSections = ['hero', 'about', 'projects', 'experience', 'education', 'contact'];
+  }
+
+  // A resume source holds a JSON Resume document rather than resume text
+  isJSONResume(document) {
+    if (!document || typeof document !== 'object' || Array.isArray(document)) return false;
+
+    return (document.basics && typeof document.basics === 'object') ||
+      ['work', 'education', 'skills', 'projects'].some(key => Array.isArray(document[key]));
+  }
+
+  // JSON Resume -> portfolio content, no AI involved
+  toPortfolioContent(document) {
+    const unmapped = new Set();
+    const basics = document.basics || {};
+    const location = basics.location || {};
+
+    const socialLinks = {};
+    for (const profile of this._list(basics.profiles)) {
+      const network = this.socialNetworks[String(profile.network || '').toLowerCase()];
+      if (network && profile.url) {
+        socialLinks[network.toLowerCase()] = profile.url;
+      } else {
+        unmapped.add(`basics.profiles (${profile.network || 'unknown network'})`);
+      }
+    }
+
+    ['url', 'location.address', 'location.postalCode'].forEach(field => {
+      if (this._get(basics, field)) unmapped.add(`basics.${field}`);
+    });
+
+    const content = {
+      hero: {
+        name: basics.name || '',
+        title: basics.label || '',
+        bio: this._firstSentence(basics.summary),
+        image: basics.image || '',
+        social_links: socialLinks
+      },
+      about: {
+        description: basics.summary || '',
+        skills: [...new Set(this._list(document.skills).flatMap(skill =>
+          [skill.name, ...this._list(skill.keywords)].filter(Boolean)
+        ))],
+        interests: this._list(document.interests).map(interest => interest.name).filter(Boolean)
+      },
+      projects: this._list(document.projects).map(project => {
+        this._reportExtraFields(project, ['name', 'description', 'highlights', 'keywords', 'url', 'startDate', 'endDate'], 'projects', unmapped);
+        const isRepository = /github\.com|gitlab\.com/i.test(project.url || '');
+
+        return {
+          title: project.name || '',
+          description: this._joinDescription(project.description, project.highlights),
+          tech_stack: this._list(project.keywords),
+          github_url: isRepository ? project.url : '',
+          live_url: isRepository ? '' : (project.url || '')
+        };
+      }),
+      experience: this._list(document.work).map(position => {
+        this._reportExtraFields(position, ['name', 'company', 'position', 'startDate', 'endDate', 'summary', 'highlights'], 'work', unmapped);
+
+        return {
+          title: position.position || '',
+          company: position.name || position.company || '',
+          period: this._formatPeriod(position.startDate, position.endDate),
+          description: this._joinDescription(position.summary, position.highlights),
+          technologies: []
+        };
+      }),
+      education: this._list(document.education).map(education => {
+        this._reportExtraFields(education, ['institution', 'studyType', 'area', 'startDate', 'endDate', 'score', 'courses'], 'education', unmapped);
+        const courses = this._list(education.courses);
+
+        return {
+          degree: [education.studyType, education.area].filter(Boolean).join(' in '),
+          school: education.institution || '',
+          period: this._formatPeriod(education.startDate, education.endDate),
+          description: courses.length > 0 ? `Courses: ${courses.join(', ')}` : '',
+          gpa: education.score || ''
+        };
+      }),
+      contact: {
+        email: basics.email || '',
+        phone: basics.phone || '',
+        location: [location.city, location.region, location.countryCode].filter(Boolean).join(', '),
+        social_links: { ...socialLinks }
+      }
+    };
+
+    for (const section of this.unsupportedSections) {
+      if (this._list(document[section]).length > 0) unmapped.add(section);
+    }
+
+    return {
+      content,
+      report: { unmapped: [...unmapped] }
+    };
+  }
+
+  // Portfolio content -> JSON Resume, with the fields that had nowhere to go
+  fromPortfolioContent(content = {}, meta = {}) {
+    const unmapped = new Set();
+    const hero = content.hero || {};
+    const about = content.about || {};
+    const contact = content.contact || {};
+    const links = { ...(hero.social_links || {}), ...(contact.social_links || {}) };
+
+    const profiles = [];
+    for (const [key, url] of Object.entries(links)) {
+      if (!url || key === 'email') continue;
+
+      const network = this.socialNetworks[key];
+      if (!network) {
+        unmapped.add(`social_links.${key}`);
+        continue;
+      }
+      profiles.push({ network, username: this._usernameFromURL(url), url });
+    }
+
+    const [city, ...region] = String(contact.location || '').split(',').map(part => part.trim()).filter(Boolean);
+
+    const resume = {
+      $schema: this.schemaURL,
+      basics: this._compact({
+        name: hero.name,
+        label: hero.title,
+        image: hero.image,
+        email: contact.email || links.email,
+        phone: contact.phone,
+        summary: about.description || hero.bio,
+        location: city ? this._compact({ city, region: region.join(', ') }) : undefined,
+        profiles
+      }),
+      work: this._list(content.experience).map((position, index) => {
+        const { start, end } = this._parsePeriod(position.period, `experience[${index}].period`, unmapped);
+        const { summary, highlights } = this._splitDescription(position.description);
+        if (this._list(position.technologies).length > 0) unmapped.add('experience[].technologies');
+
+        return this._compact({
+          name: position.company,
+          position: position.title,
+          startDate: start,
+          endDate: end,
+          summary,
+          highlights
+        });
+      }),
+      education: this._list(content.education).map((education, index) => {
+        const { start, end } = this._parsePeriod(education.period, `education[${index}].period`, unmapped);
+        const [studyType, ...area] = String(education.degree || '').split(/\s+in\s+/i);
+        if (education.description) unmapped.add('education[].description');
+
+        return this._compact({
+          institution: education.school,
+          studyType,
+          area: area.join(' in '),
+          startDate: start,
+          endDate: end,
+          score: education.gpa
+        });
+      }),
+      skills: this._list(about.skills).map(skill => ({ name: skill })),
+      interests: this._list(about.interests).map(interest => ({ name: interest })),
+      projects: this._list(content.projects).map(project => {
+        const { summary, highlights } = this._splitDescription(project.description);
+        if (project.live_url && project.github_url) unmapped.add('projects[].github_url');
+        if (project.image) unmapped.add('projects[].image');
+
+        return this._compact({
+          name: project.title,
+          description: summary,
+          highlights,
+          keywords: this._list(project.tech_stack),
+          url: project.live_url || project.github_url
+        });
+      }),
+      meta: this._compact({
+        version: 'v1.0.0',
+        lastModified: meta.lastModified ? new Date(meta.lastModified).toISOString() : undefined
+      })
+    };
+
+    if (hero.resume_url) unmapped.add('hero.resume_url');
+    if (hero.bio && about.description && hero.bio !== this._firstSentence(about.description)) {
+      unmapped.add('hero.bio');
+    }
+    for (const section of Object.keys(content)) {
+      if (!this.exportedSections.includes(section)) unmapped.add(section);
+    }
+
+    return {
+      resume,
+      report: { unmapped: [...unmapped] }
+    };
+  }
+
+  // Private methods
+
+  _list(value) {
+    return Array.isArray(value) ? value.filter(item => item !== null && item !== undefined && item !== '') : [];
+  }
+
+  _get(object, path) {
+    return path.split('.').reduce((value, key) => (value ? value[key] : undefined), object);
+  }
+
+  // Drop empty values so the export only carries what the portfolio has
+  _compact(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) =>
+      value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0)
+    ));
+  }
+
+  _reportExtraFields(item, known, section, unmapped) {
+    for (const [key, value] of Object.entries(item || {})) {
+      if (!known.includes(key) && value !== '' && value !== null && value !== undefined) {
+        unmapped.add(`${section}[].${key}`);
+      }
+    }
+  }
+
+  _firstSentence(text) {
+    if (!text) return '';
+    const match = String(text).match(/^.+?[.!?](\s|$)/);
+    return (match ? match[0] : String(text)).trim();
+  }
+
+  // Highlights become "- " lines, the form the resume export turns back into bullets
+  _joinDescription(summary, highlights) {
+    const lines = this._list(highlights).map(highlight => `- ${highlight}`);
+    return [summary, ...lines].filter(Boolean).join('\n');
+  }
+
+  _splitDescription(description) {
+    const summary = [];
+    const highlights = [];
+
+    for (const line of String(description || '').split('\n')) {
+      const bullet = line.match(/^\s*[-*•]\s+(.*)$/);
+      if (bullet) highlights.push(bullet[1].trim());
+      else if (line.trim()) summary.push(line.trim());
+    }
+
+    return { summary: summary.join('\n'), highlights };
+  }
+
+  // ISO dates ("2021-03-01", "2021-03", "2021") to the "Mar 2021 - Present" form used in content
+  _formatPeriod(start, end) {
+    if (!start && !end) return '';
+    return `${this._formatDate(start)} - ${end ? this._formatDate(end) : 'Present'}`.trim();
+  }
+
+  _formatDate(date) {
+    const match = String(date || '').match(/^(\d{4})(?:-(\d{2}))?/);
+    if (!match) return date || '';
+    return match[2] ? `${MONTHS[parseInt(match[2]) - 1]} ${match[1]}` : match[1];
+  }
+
+  // The reverse of _formatPeriod; periods we can't read are reported instead of guessed
+  _parsePeriod(period, field, unmapped) {
+    if (!period) return {};
+
+    const [startText, endText] = String(period).split(/\s+(?:-|–|—|to)\s+/i);
+    const start = this._parseDate(startText);
+    const ongoing = /^(present|current|now)$/i.test((endText || '').trim());
+    const end = endText && !ongoing ? this._parseDate(endText) : undefined;
+
+    if (!start || (endText && !ongoing && !end)) {
+      unmapped.add(field);
+    }
+
+    return { start, end };
+  }
+
+  _parseDate(text) {
+    const value = String(text || '').trim();
+
+    if (/^\d{4}(-\d{2}(-\d{2})?)?$/.test(value)) return value;
+
+    const match = value.match(/^([A-Za-z]{3})[a-z]*\.?\s+(\d{4})$/);
+    if (match) {
+      const month = MONTHS.findIndex(name => name.toLowerCase() === match[1].toLowerCase());
+      if (month !== -1) return `${match[2]}-${String(month + 1).padStart(2, '0')}`;
+    }
+
+    return undefined;
+  }
+
+  _usernameFromURL(url) {
+    try {
+      return new URL(url).pathname.split('/').filter(Boolean).pop() || '';
+    } catch (error) {
+      return '';
+    }
+  }
+}
+
+module.exports = new JSONResumeService();
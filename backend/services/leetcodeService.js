@@ -0,0 +1,294 @@
+const axios = require('axios');
+
+class LeetCodeService {
+  constructor() {
+    // Overridable so tests can point at a local fixture server
+    this.baseURL = (process.env.LEETCODE_BASE_URL || 'https://leetcode.com').replace(/\/+$/, '');
+    this.graphqlURL = `${this.baseURL}/graphql`;
+
+    // LeetCode rejects GraphQL calls without a Referer from its own origin
+    this.api = axios.create({
+      timeout: 15000,
+      headers: {
+        'Content-Type': 'application/json',
+        'Referer': `${this.baseURL}/`,
+        'User-Agent': 'Portfolio-Builder-App'
+      }
+    });
+  }
+
+  // Get user profile, solved counts and badges
+  async getUserProfile(username) {
+    try {
+      const query = `
+        query userProfile($username: String!) {
+          allQuestionsCount {
+            difficulty
+            count
+          }
+          matchedUser(username: $username) {
+            username
+            profile {
+              realName
+              userAvatar
+              ranking
+              reputation
+              aboutMe
+              countryName
+              company
+              school
+              websites
+            }
+            submitStatsGlobal {
+              acSubmissionNum {
+                difficulty
+                count
+                submissions
+              }
+              totalSubmissionNum {
+                difficulty
+                count
+                submissions
+              }
+            }
+            badges {
+              id
+              name
+              displayName
+              icon
+              creationDate
+            }
+          }
+        }
+      `;
+
+      const data = await this._query(query, { username });
+
+      if (!data.matchedUser) {
+        return {
+          success: false,
+          error: 'LeetCode user not found'
+        };
+      }
+
+      const user = data.matchedUser;
+      const acceptedByDifficulty = this._countsByDifficulty(user.submitStatsGlobal?.acSubmissionNum);
+      const totalByDifficulty = this._countsByDifficulty(user.submitStatsGlobal?.totalSubmissionNum);
+      const questionsByDifficulty = this._countsByDifficulty(data.allQuestionsCount);
+
+      const acceptedSubmissions = acceptedByDifficulty.All?.submissions || 0;
+      const totalSubmissions = totalByDifficulty.All?.submissions || 0;
+
+      return {
+        success: true,
+        data: {
+          username: user.username,
+          name: user.profile?.realName || '',
+          avatar_url: user.profile?.userAvatar || '',
+          about: user.profile?.aboutMe || '',
+          country: user.profile?.countryName || '',
+          company: user.profile?.company || '',
+          school: user.profile?.school || '',
+          websites: user.profile?.websites || [],
+          ranking: user.profile?.ranking || 0,
+          reputation: user.profile?.reputation || 0,
+          problems_solved: acceptedByDifficulty.All?.count || 0,
+          easy_solved: acceptedByDifficulty.Easy?.count || 0,
+          medium_solved: acceptedByDifficulty.Medium?.count || 0,
+          hard_solved: acceptedByDifficulty.Hard?.count || 0,
+          total_questions: {
+            all: questionsByDifficulty.All?.count || 0,
+            easy: questionsByDifficulty.Easy?.count || 0,
+            medium: questionsByDifficulty.Medium?.count || 0,
+            hard: questionsByDifficulty.Hard?.count || 0
+          },
+          acceptance_rate: totalSubmissions > 0
+            ? Math.round((acceptedSubmissions / totalSubmissions) * 10000) / 100
+            : 0,
+          badges: (user.badges || []).map(badge => ({
+            id: badge.id,
+            name: badge.displayName || badge.name,
+            icon: this._absoluteURL(badge.icon),
+            earned_at: badge.creationDate
+          }))
+        }
+      };
+    } catch (error) {
+      console.error('LeetCode profile fetch error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch LeetCode profile'
+      };
+    }
+  }
+
+  // Get contest rating and ranking
+  async getContestRanking(username) {
+    try {
+      const query = `
+        query userContestRanking($username: String!) {
+          userContestRanking(username: $username) {
+            attendedContestsCount
+            rating
+            globalRanking
+            totalParticipants
+            topPercentage
+          }
+        }
+      `;
+
+      const data = await this._query(query, { username });
+      const ranking = data.userContestRanking;
+
+      return {
+        success: true,
+        data: {
+          contest_rating: ranking ? Math.round(ranking.rating) : 0,
+          contests_attended: ranking?.attendedContestsCount || 0,
+          contest_global_ranking: ranking?.globalRanking || 0,
+          contest_top_percentage: ranking?.topPercentage || null
+        }
+      };
+    } catch (error) {
+      console.error('LeetCode contest ranking fetch error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch contest ranking'
+      };
+    }
+  }
+
+  // Get recent accepted submissions
+  async getRecentSubmissions(username, limit = 10) {
+    try {
+      const query = `
+        query recentAcSubmissions($username: String!, $limit: Int!) {
+          recentAcSubmissionList(username: $username, limit: $limit) {
+            id
+            title
+            titleSlug
+            timestamp
+          }
+        }
+      `;
+
+      const data = await this._query(query, { username, limit });
+
+      const submissions = (data.recentAcSubmissionList || []).map(submission => ({
+        id: submission.id,
+        title: submission.title,
+        title_slug: submission.titleSlug,
+        url: `${this.baseURL}/problems/${submission.titleSlug}/`,
+        submitted_at: submission.timestamp
+          ? new Date(parseInt(submission.timestamp) * 1000).toISOString()
+          : null
+      }));
+
+      return {
+        success: true,
+        data: submissions
+      };
+    } catch (error) {
+      console.error('LeetCode submissions fetch error:', error.response?.data || error.message);
+      return {
+        success: false,
+        error: error.message || 'Failed to fetch recent submissions'
+      };
+    }
+  }
+
+  // Get comprehensive user data in the Integration.getDefaultProfileData('leetcode') shape
+  async getComprehensiveUserData(username) {
+    try {
+      console.log(`Fetching comprehensive LeetCode data for: ${username}`);
+
+      const [profileResult, contestResult, submissionsResult] = await Promise.allSettled([
+        this.getUserProfile(username),
+        this.getContestRanking(username),
+        this.getRecentSubmissions(username, 10)
+      ]);
+
+      // Profile is the one call we can't do without
+      if (profileResult.status !== 'fulfilled' || !profileResult.value.success) {
+        return {
+          success: false,
+          error: profileResult.value?.error || 'Failed to fetch LeetCode profile'
+        };
+      }
+
+      const profile = profileResult.value.data;
+
+      const contest = contestResult.status === 'fulfilled' && contestResult.value.success
+        ? contestResult.value.data
+        : { contest_rating: 0, contests_attended: 0, contest_global_ranking: 0, contest_top_percentage: null };
+
+      const recentSubmissions = submissionsResult.status === 'fulfilled' && submissionsResult.value.success
+        ? submissionsResult.value.data
+        : [];
+
+      return {
+        success: true,
+        data: {
+          ...profile,
+          ...contest,
+          recent_submissions: recentSubmissions
+        }
+      };
+    } catch (error) {
+      console.error('Comprehensive LeetCode data fetch error:', error);
+      return {
+        success: false,
+        error: 'Failed to fetch comprehensive LeetCode data'
+      };
+    }
+  }
+
+  // Validate LeetCode username
+  async validateUsername(username) {
+    try {
+      const query = `
+        query userExists($username: String!) {
+          matchedUser(username: $username) {
+            username
+          }
+        }
+      `;
+
+      const data = await this._query(query, { username }, { allowErrors: true });
+      return { success: true, exists: !!data.matchedUser };
+    } catch (error) {
+      console.error('LeetCode username validation error:', error.response?.data || error.message);
+      return { success: false, error: 'Failed to validate username' };
+    }
+  }
+
+  // Private helper methods
+
+  async _query(query, variables, options = {}) {
+    const response = await this.api.post(this.graphqlURL, { query, variables });
+
+    // Unknown users come back as a GraphQL error alongside matchedUser: null
+    if (response.data.errors && !options.allowErrors && !response.data.data) {
+      throw new Error(response.data.errors[0].message);
+    }
+
+    return response.data.data || {};
+  }
+
+  _countsByDifficulty(entries = []) {
+    return (entries || []).reduce((counts, entry) => {
+      counts[entry.difficulty] = entry;
+      return counts;
+    }, {});
+  }
+
+  _absoluteURL(url) {
+    if (!url) return '';
+    if (url.startsWith('http://') || url.startsWith('https://')) {
+      return url;
+    }
+    return `${this.baseURL}${url.startsWith('/') ? '' : '/'}${url}`;
+  }
+}
+
+module.exports = new LeetCodeService();
@@ -0,0 +1,216 @@
+const JSZip = require('jszip');
+const path = require('path');
+
+const { parseCSV } = require('../utils/csvParser');
+
+class LinkedInService {
+  constructor() {
+    // Files from LinkedIn's "Download your data" archive that we understand,
+    // keyed by lower-cased file name, with the column that marks their header row
+    this.supportedFiles = {
+      'profile.csv': { section: 'profile', header: 'First Name' },
+      'positions.csv': { section: 'positions', header: 'Company Name' },
+      'education.csv': { section: 'education', header: 'School Name' },
+      'skills.csv': { section: 'skills', header: 'Name' }
+    };
+    this.maxArchiveEntries = 500;
+    // Limits on decompressed size; the upload limit only bounds the compressed archive
+    this.maxEntryBytes = 10 * 1024 * 1024;
+    this.maxArchiveBytes = 25 * 1024 * 1024;
+  }
+
+  // Parse uploaded export files (a ZIP archive and/or individual CSVs)
+  async parseExport(files) {
+    try {
+      const csvFiles = {};
+
+      for (const file of files) {
+        const extension = path.extname(file.originalname).toLowerCase();
+
+        if (extension === '.zip') {
+          const entries = await this._readArchive(file.buffer);
+          Object.assign(csvFiles, entries);
+        } else if (extension === '.csv') {
+          const name = path.basename(file.originalname).toLowerCase();
+          if (this.supportedFiles[name]) {
+            csvFiles[name] = file.buffer.toString('utf8');
+          }
+        }
+      }
+
+      const found = Object.keys(csvFiles);
+      if (found.length === 0) {
+        return {
+          success: false,
+          error: `No supported files found. Expected one of: ${this._supportedFileNames().join(', ')}`
+        };
+      }
+
+      const sections = {};
+      for (const [name, text] of Object.entries(csvFiles)) {
+        const { section, header } = this.supportedFiles[name];
+        sections[section] = parseCSV(text, { headerIncludes: header });
+      }
+
+      return {
+        success: true,
+        data: this._buildProfileData(sections),
+        files: {
+          imported: found.map(name => this._displayName(name)),
+          missing: Object.keys(this.supportedFiles)
+            .filter(name => !found.includes(name))
+            .map(name => this._displayName(name))
+        }
+      };
+    } catch (error) {
+      console.error('LinkedIn export parse error:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to parse LinkedIn export'
+      };
+    }
+  }
+
+  // Private helper methods
+
+  async _readArchive(buffer) {
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+      throw new Error('Uploaded file is not a valid ZIP archive');
+    }
+
+    const entries = Object.values(zip.files).filter(entry => !entry.dir);
+    if (entries.length > this.maxArchiveEntries) {
+      throw new Error('ZIP archive contains too many files');
+    }
+
+    // Files may sit at the root or inside a folder depending on how the archive was built
+    const csvFiles = {};
+    let totalBytes = 0;
+    for (const entry of entries) {
+      const name = path.posix.basename(entry.name).toLowerCase();
+      if (this.supportedFiles[name] && !csvFiles[name]) {
+        const content = await this._inflateEntry(entry, this.maxArchiveBytes - totalBytes);
+        totalBytes += content.length;
+        csvFiles[name] = content.toString('utf8');
+      }
+    }
+
+    return csvFiles;
+  }
+
+  // Decompress one entry, giving up as soon as it passes the per-entry or remaining archive
+  // budget. The size in the ZIP header is checked first but can't be trusted on its own.
+  _inflateEntry(entry, remainingBytes) {
+    const limit = Math.min(this.maxEntryBytes, remainingBytes);
+    const declaredSize = entry._data && entry._data.uncompressedSize;
+
+    if (declaredSize > limit) {
+      return Promise.reject(new Error('ZIP archive contents are too large'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      const stream = entry.internalStream('uint8array');
+
+      stream
+        .on('data', chunk => {
+          size += chunk.length;
+          if (size > limit) {
+            stream.pause();
+            reject(new Error('ZIP archive contents are too large'));
+            return;
+          }
+          chunks.push(Buffer.from(chunk));
+        })
+        .on('error', reject)
+        .on('end', () => resolve(Buffer.concat(chunks)))
+        .resume();
+    });
+  }
+
+  // Map the raw CSV sections onto Integration.getDefaultProfileData('linkedin').
+  // Only sections present in the upload are returned so a partial upload
+  // doesn't wipe previously imported data.
+  _buildProfileData(sections) {
+    const data = {};
+
+    if (sections.profile) {
+      const profile = sections.profile[0] || {};
+      data.name = [profile['First Name'], profile['Last Name']].filter(Boolean).join(' ');
+      data.headline = profile['Headline'] || '';
+      data.summary = profile['Summary'] || '';
+      data.location = profile['Geo Location'] || profile['Address'] || '';
+      data.industry = profile['Industry'] || '';
+      data.websites = this._parseWebsites(profile['Websites']);
+    }
+
+    if (sections.positions) {
+      data.experience = sections.positions
+        .filter(position => position['Company Name'] || position['Title'])
+        .map(position => ({
+          title: position['Title'] || '',
+          company: position['Company Name'] || '',
+          location: position['Location'] || '',
+          description: position['Description'] || '',
+          start_date: position['Started On'] || '',
+          end_date: position['Finished On'] || '',
+          current: !position['Finished On'],
+          period: this._formatPeriod(position['Started On'], position['Finished On'])
+        }));
+    }
+
+    if (sections.education) {
+      data.education = sections.education
+        .filter(education => education['School Name'])
+        .map(education => ({
+          school: education['School Name'],
+          degree: education['Degree Name'] || '',
+          description: [education['Notes'], education['Activities']].filter(Boolean).join('\n'),
+          start_date: education['Start Date'] || '',
+          end_date: education['End Date'] || '',
+          period: this._formatPeriod(education['Start Date'], education['End Date'])
+        }));
+    }
+
+    if (sections.skills) {
+      data.skills = [...new Set(
+        sections.skills.map(skill => skill['Name']).filter(Boolean)
+      )];
+    }
+
+    return data;
+  }
+
+  _formatPeriod(start, end) {
+    if (!start && !end) return '';
+    return `${start || ''} - ${end || 'Present'}`.trim();
+  }
+
+  // Websites are exported as "[PORTFOLIO:https://a.dev],[BLOG:https://b.dev]"
+  _parseWebsites(value) {
+    if (!value) return [];
+
+    const websites = [];
+    const pattern = /\[?([A-Z_ ]+):(https?:\/\/[^\],]+)\]?/gi;
+    let match;
+    while ((match = pattern.exec(value)) !== null) {
+      websites.push({ type: match[1].trim().toLowerCase(), url: match[2].trim() });
+    }
+
+    return websites;
+  }
+
+  _displayName(name) {
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  }
+
+  _supportedFileNames() {
+    return Object.keys(this.supportedFiles).map(name => this._displayName(name));
+  }
+}
+
+module.exports = new LinkedInService();
@@ -0,0 +1,193 @@
+const OpenAI = require('openai');
+const fs = require('fs').promises;
+const path = require('path');
+
+const { hashString } = require('../utils/helpers');
+
+// Every provider implements complete({ task, variant, tier, messages, temperature, maxTokens, onDelta })
+// and resolves to { content, tokensUsed, model }.
+//   task    - prompt type (portfolio_generation, bio_generation, ...)
+//   variant - optional sub-case of the task (the section being enhanced, the bio style)
+//   tier    - primary | cheap | fallback, mapped to a concrete model per provider
+//   onDelta - optional; when set the response is streamed and each chunk of text passed to it
+
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.apiKey = options.apiKey;
+    this.baseURL = options.baseURL;
+    this.models = {
+      primary: 'gpt-4',
+      fallback: 'gpt-3.5-turbo',
+      cheap: 'gpt-3.5-turbo',
+      ...options.models
+    };
+    this.client = null;
+  }
+
+  async complete({ tier = 'primary', messages, temperature, maxTokens, onDelta }) {
+    const model = this.models[tier] || this.models.primary;
+
+    if (onDelta) {
+      return await this._stream({ model, messages, temperature, maxTokens, onDelta });
+    }
+
+    const response = await this._getClient().chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens
+    });
+
+    return {
+      content: response.choices[0].message.content || '',
+      tokensUsed: response.usage?.total_tokens || 0,
+      model
+    };
+  }
+
+  async _stream({ model, messages, temperature, maxTokens, onDelta }) {
+    const stream = await this._getClient().chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream: true,
+      // Usage only arrives on the final chunk when asked for
+      stream_options: { include_usage: true }
+    });
+
+    let content = '';
+    let tokensUsed = 0;
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        content += delta;
+        await onDelta(delta);
+      }
+      if (chunk.usage) tokensUsed = chunk.usage.total_tokens || 0;
+    }
+
+    return { content, tokensUsed, model };
+  }
+
+  // Created on first use so the server can boot without credentials
+  _getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.apiKey,
+        baseURL: this.baseURL
+      });
+    }
+    return this.client;
+  }
+}
+
+// Ollama, llama.cpp server, vLLM, LM Studio... anything exposing /v1/chat/completions
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    const model = options.models?.primary || 'llama3.1';
+
+    super({
+      apiKey: options.apiKey || 'not-needed', // local servers ignore it, the SDK requires one
+      baseURL: options.baseURL || 'http://localhost:11434/v1',
+      models: {
+        primary: model,
+        fallback: model,
+        cheap: model,
+        ...options.models
+      }
+    });
+
+    this.name = 'openai-compatible';
+  }
+}
+
+// Replays canned responses from disk. Looks for <task>.<prompt hash>.json|txt first,
+// so a test can pin the answer for one exact prompt, then <task>.<variant> and <task>
+class MockProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.fixturesPath = options.fixturesPath || path.join(__dirname, '../fixtures/llm');
+    // Streamed responses are replayed in chunks of this many characters
+    this.chunkSize = options.chunkSize || 64;
+  }
+
+  async complete({ task, variant, tier = 'primary', messages, onDelta }) {
+    const prompt = messages.map(message => message.content).join('\n');
+    const promptHash = hashString(messages[messages.length - 1]?.content || '').substring(0, 12);
+
+    const names = [`${task}.${promptHash}`];
+    // Variants come from request input, so keep them to safe file name characters
+    if (variant && /^[a-z0-9_-]+$/i.test(variant)) names.push(`${task}.${variant}`);
+    names.push(task);
+
+    const candidates = names.flatMap(name => [`${name}.json`, `${name}.txt`]);
+
+    for (const fileName of candidates) {
+      const content = await this._readFixture(fileName);
+      if (content !== null) {
+        if (onDelta) {
+          for (let offset = 0; offset < content.length; offset += this.chunkSize) {
+            await onDelta(content.substring(offset, offset + this.chunkSize));
+          }
+        }
+
+        return {
+          content,
+          // Rough estimate (~4 characters per token) so usage tracking has numbers to work with
+          tokensUsed: Math.ceil((prompt.length + content.length) / 4),
+          model: `mock-${tier}`
+        };
+      }
+    }
+
+    throw new Error(`No LLM fixture for task '${task}' (prompt hash ${promptHash}) in ${this.fixturesPath}`);
+  }
+
+  async _readFixture(fileName) {
+    try {
+      return await fs.readFile(path.join(this.fixturesPath, fileName), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+// Build the provider selected by LLM_PROVIDER (openai | openai-compatible | mock)
+function createProvider(env = process.env) {
+  const models = {};
+  if (env.LLM_MODEL_PRIMARY) models.primary = env.LLM_MODEL_PRIMARY;
+  if (env.LLM_MODEL_CHEAP) models.cheap = env.LLM_MODEL_CHEAP;
+  if (env.LLM_MODEL_FALLBACK) models.fallback = env.LLM_MODEL_FALLBACK;
+
+  switch ((env.LLM_PROVIDER || 'openai').toLowerCase()) {
+    case 'openai':
+      return new OpenAIProvider({
+        apiKey: env.OPENAI_API_KEY,
+        models
+      });
+    case 'openai-compatible':
+    case 'local':
+      return new OpenAICompatibleProvider({
+        apiKey: env.LLM_API_KEY,
+        baseURL: env.LLM_BASE_URL,
+        models
+      });
+    case 'mock':
+      return new MockProvider({
+        fixturesPath: env.LLM_FIXTURES_PATH
+      });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER '${env.LLM_PROVIDER}'. Use openai, openai-compatible or mock`);
+  }
+}
+
+module.exports = {
+  OpenAIProvider,
+  OpenAICompatibleProvider,
+  MockProvider,
+  createProvider
+};
@@ -1,6 +1,12 @@
 const aiService = require('./aiService');
 const githubService = require('./githubService');
-const { Portfolio, PortfolioIteration } = require('../models');
+const leetcodeService = require('./leetcodeService');
+const templateEngine = require('./templateEngine');
+const contentValidator = require('./contentValidator');
+const jsonResumeService = require('./jsonResumeService');
+const repositoryCurationService = require('./repositoryCurationService');
+const { diffContent, summarizeDiff } = require('../utils/contentDiff');
+const { Portfolio, PortfolioIteration, User } = require('../models');
 
 class PortfolioGeneratorService {
   constructor() {
@@ -8,36 +14,77 @@ class PortfolioGeneratorService {
   }
 
   // Main portfolio generation function
-  async generatePortfolio(userId, sources, preferences = {}) {
+  // Hooks (used by the generation worker and the SSE endpoints):
+  //   onProgress(progress)       - called with { stage, percent, sources } as work advances
+  //   onSection(section, value)  - called as each section of the AI response arrives
+  //   isCancelled()              - checked between steps; generation stops before saving anything
+  async generatePortfolio(userId, sources, preferences = {}, hooks = {}) {
     const startTime = Date.now();
-    let iteration = null;
+    const { onProgress = async () => {}, onSection, isCancelled = () => false } = hooks;
     
     try {
-      // Create portfolio iteration record
-      iteration = await PortfolioIteration.create({
-        portfolio_id: null, // Will be set after portfolio creation
-        prompt: `Generate portfolio from sources: ${sources.map(s => s.type).join(', ')}`,
-        iteration_type: 'generate',
-        status: 'pending'
-      });
+      const templateId = preferences.template_id || this.defaultTemplate;
+
+      // Fail before spending tokens on a template we can't render
+      if (!templateEngine.getTemplateConfig(templateId)) {
+        return {
+          success: false,
+          error: `Template '${templateId}' not found`
+        };
+      }
 
       console.log('Starting portfolio generation with sources:', sources.map(s => s.type));
 
       // Process all sources
-      const processedSources = await this._processSources(sources);
+      const sourceProgress = sources.map(source => ({ type: source.type, status: 'pending' }));
+      const processedSources = await this._processSources(sources, userId, {
+        isCancelled,
+        onSourceProgress: async (index, update) => {
+          sourceProgress[index] = { type: sources[index].type, ...update };
+          const done = sourceProgress.filter(source => !['pending', 'running'].includes(source.status)).length;
+          await onProgress({
+            stage: 'processing_sources',
+            percent: 10 + Math.round((done / sources.length) * 50),
+            sources: sourceProgress
+          });
+        }
+      });
+
+      this._throwIfCancelled(isCancelled);
+      await onProgress({ stage: 'generating', percent: 65 });
       
-      // Generate portfolio content using AI
-      const aiResult = await aiService.generatePortfolio(processedSources, preferences);
+      // A JSON Resume already is portfolio content, so a lone one is used as is. Anything more
+      // (other sources or several resumes, even if some failed to load) goes through the AI to merge.
+      const imported = sources.length === 1 && processedSources.length === 1 && processedSources[0].content
+        ? processedSources[0]
+        : null;
+      const aiResult = imported
+        ? { success: true, content: imported.content, tokensUsed: 0, model: 'none' }
+        : await aiService.generatePortfolio(processedSources, preferences, {
+          userId,
+          templateId,
+          onSection
+        });
       
       if (!aiResult.success) {
         throw new Error('AI generation failed');
       }
 
+      // Titles, descriptions, links and images the user set per repository beat what the AI wrote
+      this._applyRepositoryOverrides(aiResult.content, processedSources);
+
+      // Last chance to stop; past this point the portfolio exists
+      this._throwIfCancelled(isCancelled);
+      await onProgress({ stage: 'saving', percent: 90 });
+
+      // The result is saved as a draft; gaps are reported and block publishing later
+      const validation = this._validateGeneratedContent(aiResult.content, templateId);
+
       // Create portfolio in database
       const portfolioData = {
         user_id: userId,
         title: this._generatePortfolioTitle(aiResult.content),
-        template_id: preferences.template_id || this.defaultTemplate,
+        template_id: templateId,
         content: aiResult.content,
         status: 'draft'
       };
@@ -47,16 +94,19 @@ class PortfolioGeneratorService {
 
       const portfolio = await Portfolio.create(portfolioData);
 
-      // Update iteration with portfolio ID
-      iteration.portfolio_id = portfolio.id;
-      
-      // Mark iteration as completed
+      // Record the generation in the portfolio history (it needs the portfolio ID,
+      // so it is written once the portfolio exists)
       const processingTime = Date.now() - startTime;
-      await iteration.markCompleted(
-        { generated: true, sources: sources.map(s => s.type) },
-        aiResult.tokensUsed,
-        processingTime
-      );
+      await PortfolioIteration.create({
+        portfolio_id: portfolio.id,
+        prompt: `Generate portfolio from sources: ${sources.map(s => s.type).join(', ')}`,
+        iteration_type: 'generate',
+        status: 'completed',
+        changes_made: { generated: true, sources: sources.map(s => s.type) },
+        ai_model_used: aiResult.model,
+        tokens_used: aiResult.tokensUsed,
+        processing_time_ms: processingTime
+      });
 
       return {
         success: true,
@@ -65,16 +115,22 @@ class PortfolioGeneratorService {
           sources_processed: processedSources.length,
           tokens_used: aiResult.tokensUsed,
           processing_time_ms: processingTime,
-          ai_model: aiResult.model
-        }
+          ai_model: aiResult.model,
+          repairs: aiResult.repairs,
+          import_report: imported ? imported.report : undefined
+        },
+        validation
       };
     } catch (error) {
-      console.error('Portfolio generation error:', error);
-      
-      // Mark iteration as failed
-      if (iteration) {
-        await iteration.markFailed(error.message);
+      if (error.code === 'GENERATION_CANCELLED') {
+        return {
+          success: false,
+          cancelled: true,
+          error: error.message
+        };
       }
+
+      console.error('Portfolio generation error:', error);
       
       return {
         success: false,
@@ -84,8 +140,10 @@ class PortfolioGeneratorService {
   }
 
   // Enhance existing portfolio with user prompt
-  async enhancePortfolio(portfolioId, prompt, section = null) {
+  // Takes the same onProgress, onSection and isCancelled hooks as generatePortfolio
+  async enhancePortfolio(portfolioId, prompt, section = null, hooks = {}) {
     const startTime = Date.now();
+    const { onProgress = async () => {}, onSection, isCancelled = () => false } = hooks;
     let iteration = null;
 
     try {
@@ -105,9 +163,12 @@ class PortfolioGeneratorService {
       });
 
       console.log(`Enhancing portfolio ${portfolioId} with prompt: ${prompt}`);
+      this._throwIfCancelled(isCancelled);
+      await onProgress({ stage: 'generating', percent: 20 });
 
       let enhancedContent;
       let tokensUsed = 0;
+      let repairs = null;
 
       if (section) {
         // Enhance specific section
@@ -115,7 +176,8 @@ class PortfolioGeneratorService {
           portfolio.content,
           section,
           prompt,
-          { portfolio_id: portfolioId }
+          { portfolio_id: portfolioId },
+          { userId: portfolio.user_id, portfolioId, templateId: portfolio.template_id, onSection }
         );
         
         if (!aiResult.success) {
@@ -127,12 +189,14 @@ class PortfolioGeneratorService {
           [section]: aiResult.content[section] || aiResult.content
         };
         tokensUsed = aiResult.tokensUsed;
+        repairs = aiResult.repairs;
       } else {
         // Enhance entire portfolio
         const sources = [{ type: 'prompt', data: { description: prompt } }];
         const aiResult = await aiService.generatePortfolio(
           sources,
-          { existing_content: portfolio.content }
+          { existing_content: portfolio.content },
+          { userId: portfolio.user_id, portfolioId, templateId: portfolio.template_id, onSection }
         );
         
         if (!aiResult.success) {
@@ -144,8 +208,14 @@ class PortfolioGeneratorService {
           ...aiResult.content
         };
         tokensUsed = aiResult.tokensUsed;
+        repairs = aiResult.repairs;
       }
 
+      // The AI call is already paid for, but the portfolio is left as it was
+      this._throwIfCancelled(isCancelled);
+      await onProgress({ stage: 'saving', percent: 90 });
+      const validation = this._validateGeneratedContent(enhancedContent, portfolio.template_id);
+
       // Update portfolio content
       await portfolio.updateContent(enhancedContent);
 
@@ -166,15 +236,25 @@ class PortfolioGeneratorService {
         },
         metadata: {
           tokens_used: tokensUsed,
-          processing_time_ms: processingTime
-        }
+          processing_time_ms: processingTime,
+          repairs
+        },
+        validation
       };
     } catch (error) {
-      console.error('Portfolio enhancement error:', error);
-      
       if (iteration) {
         await iteration.markFailed(error.message);
       }
+
+      if (error.code === 'GENERATION_CANCELLED') {
+        return {
+          success: false,
+          cancelled: true,
+          error: error.message
+        };
+      }
+
+      console.error('Portfolio enhancement error:', error);
       
       return {
         success: false,
@@ -183,58 +263,222 @@ class PortfolioGeneratorService {
     }
   }
 
+  // Create a variant of a portfolio aimed at one job description. The variant is a new
+  // draft linked to the original; only the hero title/bio, project order and skill order
+  // change, so nothing the user didn't write ends up in the experience or project lists.
+  async tailorPortfolio(portfolioId, jobDescription, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      const portfolio = await Portfolio.findByPk(portfolioId);
+      if (!portfolio) {
+        throw new Error('Portfolio not found');
+      }
+
+      const aiResult = await aiService.tailorPortfolio(portfolio.content, jobDescription, {
+        userId: portfolio.user_id,
+        portfolioId
+      });
+
+      if (!aiResult.success) {
+        throw new Error('AI tailoring failed');
+      }
+
+      const { content, changes } = this._applyTailoringPlan(portfolio.content, aiResult.plan);
+
+      // Coverage is checked against the original portfolio so rewritten copy can't claim it
+      const matchReport = this._buildMatchReport(aiResult.plan.requirements, portfolio.content);
+
+      const title = options.title || `${portfolio.title} - ${options.company || 'Tailored'}`;
+      const variant = await Portfolio.create({
+        user_id: portfolio.user_id,
+        parent_portfolio_id: portfolio.id,
+        title,
+        slug: await Portfolio.generateSlug(portfolio.user_id, title),
+        template_id: portfolio.template_id,
+        content,
+        customizations: portfolio.customizations,
+        status: 'draft'
+      });
+
+      const processingTime = Date.now() - startTime;
+      await PortfolioIteration.create({
+        portfolio_id: variant.id,
+        prompt: jobDescription.substring(0, 5000),
+        iteration_type: 'tailor',
+        status: 'completed',
+        previous_content: portfolio.content,
+        changes_made: {
+          tailored_from: portfolio.id,
+          ...changes,
+          match_report: matchReport
+        },
+        ai_model_used: aiResult.model,
+        tokens_used: aiResult.tokensUsed,
+        processing_time_ms: processingTime
+      });
+
+      return {
+        success: true,
+        portfolio: variant,
+        changes,
+        match_report: matchReport,
+        metadata: {
+          tokens_used: aiResult.tokensUsed,
+          processing_time_ms: processingTime,
+          ai_model: aiResult.model,
+          repairs: aiResult.repairs
+        },
+        validation: this._validateGeneratedContent(content, variant.template_id)
+      };
+    } catch (error) {
+      console.error('Portfolio tailoring error:', error);
+
+      return {
+        success: false,
+        error: error.message || 'Portfolio tailoring failed'
+      };
+    }
+  }
+
+  // Rebuild a portfolio's projects from the owner's curated GitHub repositories, without the AI.
+  // Projects already written for a repository keep their text; newly included repositories get
+  // an entry built from repository data; projects for repositories the user excluded are dropped
+  // and projects that aren't one of the user's repositories stay at the end.
+  async refreshGitHubProjects(portfolio, githubData, curation) {
+    try {
+      const normalizeURL = (url) => repositoryCurationService.normalizeURL(url);
+      const existing = Array.isArray(portfolio.content.projects) ? portfolio.content.projects : [];
+      const synced = repositoryCurationService.listRepositories(githubData, {}).map(entry => normalizeURL(entry.html_url));
+      const repositories = repositoryCurationService.getCuratedRepositories(githubData, curation);
+
+      const projects = repositories.map(repo => {
+        const current = existing.find(project => normalizeURL(project.github_url) === normalizeURL(repo.html_url));
+        const project = current ? { ...current } : {
+          title: repo.title,
+          description: repo.description || '',
+          tech_stack: [repo.language, ...(repo.topics || [])].filter(Boolean).slice(0, 6),
+          github_url: repo.html_url,
+          live_url: repo.homepage || ''
+        };
+
+        if (!project.live_url && repo.homepage) project.live_url = repo.homepage;
+        this._applyProjectOverrides(project, repo.overrides);
+        return project;
+      });
+
+      const unrelated = existing.filter(project => !project.github_url || !synced.includes(normalizeURL(project.github_url)));
+      const previousContent = portfolio.content;
+      const content = { ...previousContent, projects: [...projects, ...unrelated] };
+
+      const changes = diffContent(previousContent, content);
+      if (changes.length === 0) {
+        return { success: true, changed: false };
+      }
+
+      await portfolio.replaceContent(content);
+      await PortfolioIteration.recordSnapshot(portfolio.id, previousContent, {
+        prompt: 'Projects refreshed from GitHub sync',
+        iteration_type: 'sync',
+        changes_made: { sync: true, summary: summarizeDiff(changes) }
+      });
+
+      // Published sites are re-rendered now rather than on their next visit
+      if (portfolio.status === 'published') {
+        const rendered = await templateEngine.generateHTML(content, portfolio.template_id, {
+          customizations: portfolio.customizations
+        });
+        if (rendered.success) {
+          await portfolio.setGeneratedFiles(rendered.html, rendered.css, rendered.js);
+        }
+      }
+
+      return { success: true, changed: true, changes: changes.length };
+    } catch (error) {
+      console.error('GitHub projects refresh error:', error);
+
+      return {
+        success: false,
+        error: error.message || 'Failed to refresh projects'
+      };
+    }
+  }
+
   // Process different types of sources
-  async _processSources(sources) {
+  async _processSources(sources, userId, hooks = {}) {
+    const { onSourceProgress = async () => {}, isCancelled = () => false } = hooks;
     const processedSources = [];
 
-    for (const source of sources) {
+    for (const [index, source] of sources.entries()) {
+      this._throwIfCancelled(isCancelled);
+
+      // Per-source status plus a human readable step, e.g. "Fetching GitHub repos (3/5)"
+      const reportStep = (message) => onSourceProgress(index, { status: 'running', message });
+
       try {
+        await onSourceProgress(index, { status: 'running' });
+
         let processedSource = { type: source.type, data: source.data };
 
         switch (source.type) {
           case 'github':
-            processedSource = await this._processGitHubSource(source);
+            processedSource = await this._processGitHubSource(source, userId, reportStep);
             break;
           case 'resume':
-            processedSource = await this._processResumeSource(source);
+            processedSource = await this._processResumeSource(source, userId, reportStep);
             break;
           case 'prompt':
             processedSource = await this._processPromptSource(source);
             break;
           case 'linkedin':
-            processedSource = await this._processLinkedInSource(source);
+            processedSource = await this._processLinkedInSource(source, userId);
+            break;
+          case 'leetcode':
+            processedSource = await this._processLeetCodeSource(source);
             break;
           default:
             console.warn(`Unknown source type: ${source.type}`);
         }
 
         processedSources.push(processedSource);
+        await onSourceProgress(index, { status: 'completed' });
       } catch (error) {
         console.error(`Error processing ${source.type} source:`, error);
         // Continue with other sources even if one fails
+        await onSourceProgress(index, { status: 'failed', error: error.message });
       }
     }
 
     return processedSources;
   }
 
-  async _processGitHubSource(source) {
+  async _processGitHubSource(source, userId, reportStep = async () => {}) {
     console.log('Processing GitHub source:', source.data.username);
-    
+
+    // The user's own GitHub account carries their repository curation (and a token if none was given)
+    const { Integration } = require('../models');
+    const integration = userId && await Integration.findByUserAndPlatform(userId, 'github');
+    const ownAccount = integration &&
+      String(integration.platform_username || '').toLowerCase() === String(source.data.username || '').toLowerCase();
+    const curation = ownAccount ? integration.repository_curation : {};
+
     const githubData = await githubService.getComprehensiveUserData(
       source.data.username,
-      source.data.access_token
+      source.data.access_token || (ownAccount ? integration.access_token : undefined),
+      { onProgress: reportStep, organizations: curation.organizations || [] }
     );
 
     if (!githubData.success) {
       throw new Error(`Failed to fetch GitHub data: ${githubData.error}`);
     }
 
+    // Only the repositories the user chose (or the default picks), with their overrides applied
+    const topRepositories = repositoryCurationService.getCuratedRepositories(githubData.data, curation);
+
     // Extract relevant information for AI
     const processedData = {
       profile: githubData.data.profile,
-      top_repositories: githubData.data.repositories.slice(0, 6),
-      pinned_repositories: githubData.data.pinned_repositories,
+      top_repositories: topRepositories,
       languages: githubData.data.languages.slice(0, 8),
       stats: githubData.data.stats,
       profile_readme: githubData.data.profile_readme
@@ -242,12 +486,26 @@ class PortfolioGeneratorService {
 
     return {
       type: 'github',
-      data: processedData
+      data: processedData,
+      repositoryOverrides: topRepositories.filter(repo => Object.keys(repo.overrides).length > 0)
     };
   }
 
-  async _processResumeSource(source) {
+  async _processResumeSource(source, userId, reportStep = async () => {}) {
     console.log('Processing resume source');
+
+    const jsonResume = this._findJSONResume(source.data);
+    if (jsonResume) {
+      await reportStep('Importing JSON Resume');
+      const { content, report } = jsonResumeService.toPortfolioContent(jsonResume);
+
+      return {
+        type: 'resume',
+        data: content,
+        content,
+        report
+      };
+    }
     
     const resumeText = source.data.text || source.data.content;
     
@@ -255,11 +513,16 @@ class PortfolioGeneratorService {
       throw new Error('No resume text provided');
     }
 
-    // Use AI to parse resume content
-    const parseResult = await aiService.parseResumeContent(resumeText);
+    // Rule-based parser first for free users, AI otherwise (with the rule-based parser as fallback)
+    await reportStep('Parsing resume');
+    const user = userId && await User.findByPk(userId, { attributes: ['id', 'subscription_tier'] });
+    const parseResult = await aiService.parseResumeContent(resumeText, {
+      userId,
+      tier: user ? user.subscription_tier : undefined
+    });
     
     if (!parseResult.success) {
-      throw new Error('Failed to parse resume content');
+      throw new Error(parseResult.error || 'Failed to parse resume content');
     }
 
     return {
@@ -268,6 +531,43 @@ class PortfolioGeneratorService {
     };
   }
 
+  _applyRepositoryOverrides(content, processedSources) {
+    const overridden = processedSources.flatMap(source => source.repositoryOverrides || []);
+    if (overridden.length === 0 || !Array.isArray(content.projects)) return;
+
+    for (const project of content.projects) {
+      const repo = overridden.find(candidate =>
+        repositoryCurationService.normalizeURL(candidate.html_url) === repositoryCurationService.normalizeURL(project.github_url)
+      );
+      if (repo) this._applyProjectOverrides(project, repo.overrides);
+    }
+  }
+
+  _applyProjectOverrides(project, overrides = {}) {
+    if (overrides.title) project.title = overrides.title;
+    if (overrides.description) project.description = overrides.description;
+    if (overrides.live_url) project.live_url = overrides.live_url;
+    if (overrides.image) project.image = overrides.image;
+  }
+
+  // Resume sources may carry a JSON Resume document inline, under json_resume, or as JSON text
+  _findJSONResume(data) {
+    if (jsonResumeService.isJSONResume(data.json_resume)) return data.json_resume;
+    if (jsonResumeService.isJSONResume(data)) return data;
+
+    const text = typeof data.text === 'string' ? data.text.trim() : '';
+    if (text.startsWith('{')) {
+      try {
+        const parsed = JSON.parse(text);
+        if (jsonResumeService.isJSONResume(parsed)) return parsed;
+      } catch (error) {
+        // Not JSON after all; parse it as resume text
+      }
+    }
+
+    return null;
+  }
+
   async _processPromptSource(source) {
     console.log('Processing prompt source');
     
@@ -280,14 +580,202 @@ class PortfolioGeneratorService {
     };
   }
 
-  async _processLinkedInSource(source) {
+  async _processLinkedInSource(source, userId) {
     console.log('Processing LinkedIn source');
     
-    // For now, return the data as-is
-    // In the future, this could include scraping logic
+    let linkedinData = source.data;
+
+    // Without inline data, fall back to the user's imported LinkedIn export
+    const hasInlineData = ['experience', 'education', 'skills', 'headline', 'summary']
+      .some(key => linkedinData[key] && linkedinData[key].length > 0);
+
+    if (!hasInlineData) {
+      const { Integration } = require('../models');
+      const integration = userId && await Integration.findByUserAndPlatform(userId, 'linkedin');
+
+      if (!integration || !integration.is_active) {
+        throw new Error('No LinkedIn data provided and no LinkedIn export has been imported');
+      }
+
+      linkedinData = integration.profile_data;
+    }
+
     return {
       type: 'linkedin',
-      data: source.data
+      data: {
+        name: linkedinData.name || '',
+        headline: linkedinData.headline || '',
+        summary: linkedinData.summary || '',
+        location: linkedinData.location || '',
+        industry: linkedinData.industry || '',
+        experience: (linkedinData.experience || []).map(position => ({
+          title: position.title,
+          company: position.company,
+          location: position.location,
+          period: position.period,
+          description: position.description
+        })),
+        education: (linkedinData.education || []).map(education => ({
+          school: education.school,
+          degree: education.degree,
+          period: education.period,
+          description: education.description
+        })),
+        skills: linkedinData.skills || []
+      }
+    };
+  }
+
+  async _processLeetCodeSource(source) {
+    console.log('Processing LeetCode source:', source.data.username);
+
+    const leetcodeData = await leetcodeService.getComprehensiveUserData(source.data.username);
+
+    if (!leetcodeData.success) {
+      throw new Error(`Failed to fetch LeetCode data: ${leetcodeData.error}`);
+    }
+
+    // Keep the numbers the AI can turn into achievements, drop profile noise
+    const stats = leetcodeData.data;
+    const processedData = {
+      username: stats.username,
+      ranking: stats.ranking,
+      problems_solved: stats.problems_solved,
+      easy_solved: stats.easy_solved,
+      medium_solved: stats.medium_solved,
+      hard_solved: stats.hard_solved,
+      acceptance_rate: stats.acceptance_rate,
+      contest_rating: stats.contest_rating,
+      contests_attended: stats.contests_attended,
+      contest_top_percentage: stats.contest_top_percentage,
+      badges: stats.badges.map(badge => badge.name),
+      recent_problems: stats.recent_submissions.slice(0, 5).map(submission => submission.title),
+      profile_url: `${leetcodeService.baseURL}/u/${stats.username}/`
+    };
+
+    return {
+      type: 'leetcode',
+      data: processedData
+    };
+  }
+
+  _throwIfCancelled(isCancelled) {
+    if (isCancelled()) {
+      const error = new Error('Generation cancelled');
+      error.code = 'GENERATION_CANCELLED';
+      throw error;
+    }
+  }
+
+  // Check AI output against the template schema without rejecting it
+  _validateGeneratedContent(content, templateId) {
+    const result = contentValidator.validateContent(content, templateId);
+
+    if (!result.success) {
+      return null;
+    }
+
+    if (!result.valid) {
+      console.warn(`Generated content has ${result.errors.length} schema error(s) for template ${templateId}`);
+    }
+
+    return {
+      valid: result.valid,
+      errors: result.errors,
+      unrendered_fields: result.unrendered_fields
+    };
+  }
+
+  // Apply a tailoring plan from aiService.tailorPortfolio. Anything in the plan that
+  // doesn't refer to existing content (unknown project indexes, new skills) is ignored.
+  _applyTailoringPlan(original, plan) {
+    const content = JSON.parse(JSON.stringify(original || {}));
+    const changes = {
+      hero_rewritten: false,
+      project_order: [],
+      highlighted_skills: [],
+      ignored_skills: []
+    };
+
+    if (typeof plan.hero?.title === 'string' && plan.hero.title.trim()) {
+      content.hero = { ...content.hero, title: plan.hero.title.trim() };
+      changes.hero_rewritten = true;
+    }
+    if (typeof plan.hero?.bio === 'string' && plan.hero.bio.trim()) {
+      content.hero = { ...content.hero, bio: plan.hero.bio.trim() };
+      changes.hero_rewritten = true;
+    }
+
+    if (Array.isArray(content.projects) && Array.isArray(plan.project_order)) {
+      const order = [...new Set(plan.project_order)]
+        .filter(index => Number.isInteger(index) && index >= 0 && index < content.projects.length);
+      const rest = content.projects.map((project, index) => index).filter(index => !order.includes(index));
+
+      content.projects = [...order, ...rest].map(index => original.projects[index]);
+      changes.project_order = content.projects.map(project => project.title);
+    }
+
+    const skills = content.about?.skills;
+    if (Array.isArray(skills) && Array.isArray(plan.highlighted_skills)) {
+      const highlighted = [];
+
+      for (const skill of plan.highlighted_skills) {
+        const match = skills.find(existing => String(existing).toLowerCase() === String(skill).toLowerCase());
+        if (match === undefined) {
+          changes.ignored_skills.push(skill);
+        } else if (!highlighted.includes(match)) {
+          highlighted.push(match);
+        }
+      }
+
+      content.about = {
+        ...content.about,
+        skills: [...highlighted, ...skills.filter(skill => !highlighted.includes(skill))]
+      };
+      changes.highlighted_skills = highlighted;
+    }
+
+    return { content, changes };
+  }
+
+  // Which job requirements the portfolio shows evidence for, and where
+  _buildMatchReport(requirements, content) {
+    const texts = [];
+    const collect = (value, section) => {
+      if (typeof value === 'string' || typeof value === 'number') {
+        texts.push({ section, text: String(value).toLowerCase() });
+      } else if (Array.isArray(value)) {
+        value.forEach(item => collect(item, section));
+      } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(item => collect(item, section));
+      }
+    };
+    Object.entries(content || {}).forEach(([section, value]) => collect(value, section));
+
+    const covered = [];
+    const missing = [];
+    const unique = [...new Set((requirements || [])
+      .filter(requirement => typeof requirement === 'string' && requirement.trim())
+      .map(requirement => requirement.trim()))];
+
+    for (const requirement of unique) {
+      // Whole-term match that still works for terms like C++ or Node.js
+      const escaped = requirement.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`);
+      const sections = [...new Set(texts.filter(entry => pattern.test(entry.text)).map(entry => entry.section))];
+
+      if (sections.length > 0) {
+        covered.push({ requirement, found_in: sections });
+      } else {
+        missing.push(requirement);
+      }
+    }
+
+    return {
+      total_requirements: unique.length,
+      covered,
+      missing,
+      coverage_percent: unique.length > 0 ? Math.round((covered.length / unique.length) * 100) : 0
     };
   }
 
@@ -330,6 +818,26 @@ class PortfolioGeneratorService {
         });
       }
 
+      const linkedinIntegration = await Integration.findByUserAndPlatform(userId, 'linkedin');
+
+      if (linkedinIntegration && linkedinIntegration.is_active) {
+        suggestions.sources.push({
+          type: 'linkedin',
+          available: true,
+          description: 'Use your imported LinkedIn experience, education and skills'
+        });
+      }
+
+      const leetcodeIntegration = await Integration.findByUserAndPlatform(userId, 'leetcode');
+
+      if (leetcodeIntegration && leetcodeIntegration.is_active) {
+        suggestions.sources.push({
+          type: 'leetcode',
+          available: true,
+          description: 'Highlight your LeetCode problem solving stats'
+        });
+      }
+
       suggestions.sources.push(
         {
           type: 'resume',
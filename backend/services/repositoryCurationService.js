@@ -0,0 +1,212 @@
+// Which GitHub repositories show up as portfolio projects, in what order and with what overrides.
+// Curation is stored on the GitHub integration as
+//   { order: [key, ...], repositories: { [key]: { included, title, description, live_url, image } },
+//     organizations: [login, ...] }
+// where key is the repository's numeric GitHub ID (stable across renames) and organizations
+// are the orgs whose repositories the user opted in to syncing.
+class RepositoryCurationService {
+  constructor() {
+    this.overrideFields = ['title', 'description', 'live_url', 'image'];
+    // Projects handed to generation when nothing else limits it
+    this.maxProjects = 6;
+    // Names, descriptions and topics that usually mean school work rather than a project
+    this.courseworkPattern = /\b(homework|hw\d*|assignments?|coursework|course|lab\s?\d+|exercises?|tutorials?|bootcamp|cs\d{2,4}|semester)\b/i;
+  }
+
+  repositoryKey(repo) {
+    const id = repo.database_id ?? repo.id;
+    return id === undefined || id === null ? null : String(id);
+  }
+
+  // Why a repository is left out unless the user includes it, or null when it is included by default
+  defaultExclusionReason(repo) {
+    if (repo.fork) return 'fork';
+    if (repo.archived) return 'archived';
+    if (repo.disabled) return 'disabled';
+    // Opting an organization in syncs its repos; showing one is a separate, explicit choice
+    if (repo.organization) return 'organization';
+
+    const text = [repo.name, repo.description, ...(repo.topics || [])].filter(Boolean).join(' ');
+    if (this.courseworkPattern.test(text.replace(/[-_]/g, ' '))) return 'coursework';
+
+    return null;
+  }
+
+  // Every synced repository (pinned ones merged in) with its curation state, in display order
+  listRepositories(githubData = {}, curation = {}) {
+    const settings = curation.repositories || {};
+    const order = curation.order || [];
+    const pinned = githubData.pinned_repositories || [];
+    const pinnedKeys = pinned.map(repo => this.repositoryKey(repo));
+
+    const byKey = new Map();
+    for (const repo of [...pinned, ...(githubData.repositories || [])]) {
+      const key = this.repositoryKey(repo);
+      if (!key) continue;
+      // REST data is more complete (fork/archived flags), so it wins over the pinned copy
+      byKey.set(key, { ...(byKey.get(key) || {}), ...repo });
+    }
+
+    const entries = [...byKey.entries()].map(([key, repo]) => {
+      const setting = settings[key] || {};
+      const exclusionReason = this.defaultExclusionReason(repo);
+      const included = typeof setting.included === 'boolean' ? setting.included : !exclusionReason;
+
+      return {
+        key,
+        name: repo.name,
+        full_name: repo.full_name || null,
+        description: repo.description || null,
+        html_url: repo.html_url,
+        homepage: repo.homepage || null,
+        language: repo.language || repo.primary_language || null,
+        topics: repo.topics || [],
+        stargazers_count: repo.stargazers_count || 0,
+        fork: Boolean(repo.fork),
+        archived: Boolean(repo.archived),
+        private: Boolean(repo.private),
+        organization: repo.organization || null,
+        pinned: pinnedKeys.includes(key),
+        updated_at: repo.pushed_at || repo.updated_at || null,
+        included,
+        included_by: typeof setting.included === 'boolean' ? 'user' : 'default',
+        exclusion_reason: included ? null : (typeof setting.included === 'boolean' ? 'user' : exclusionReason),
+        overrides: this._pickOverrides(setting),
+        repository: repo
+      };
+    });
+
+    // Manually ordered repositories first, then included before excluded, then pinned ones,
+    // then by stars and recent activity
+    const rank = (entry) => {
+      const manual = order.indexOf(entry.key);
+      return manual === -1 ? Infinity : manual;
+    };
+
+    entries.sort((a, b) =>
+      rank(a) - rank(b) ||
+      Number(b.included) - Number(a.included) ||
+      Number(b.pinned) - Number(a.pinned) ||
+      (a.pinned && b.pinned ? pinnedKeys.indexOf(a.key) - pinnedKeys.indexOf(b.key) : 0) ||
+      b.stargazers_count - a.stargazers_count ||
+      String(b.updated_at || '').localeCompare(String(a.updated_at || ''))
+    );
+
+    return entries.map((entry, index) => ({ ...entry, position: index }));
+  }
+
+  // Included repositories in order with overrides applied, ready for generation
+  getCuratedRepositories(githubData, curation, limit = this.maxProjects) {
+    return this.listRepositories(githubData, curation)
+      .filter(entry => entry.included)
+      .slice(0, limit)
+      .map(entry => ({
+        ...entry.repository,
+        // name stays the real repository name (API lookups use it); title is what gets shown
+        title: entry.overrides.title || entry.repository.name,
+        description: entry.overrides.description || entry.repository.description,
+        homepage: entry.overrides.live_url || entry.repository.homepage,
+        image: entry.overrides.image || null,
+        overrides: entry.overrides
+      }));
+  }
+
+  // Organizations the user belongs to, flagged with whether their repositories are synced
+  listOrganizations(githubData = {}, curation = {}) {
+    const optedIn = (curation.organizations || []).map(login => login.toLowerCase());
+
+    return (githubData.organizations || []).map(org => ({
+      ...org,
+      included: optedIn.includes(org.login.toLowerCase())
+    }));
+  }
+
+  // Merge an update ({ order, repositories: [{ key, included, title, ... }], organizations })
+  // into the stored curation. Null clears a field; unknown keys and organizations are rejected.
+  applyUpdate(curation = {}, update = {}, knownKeys = [], knownOrganizations = []) {
+    const next = {
+      order: [...(curation.order || [])],
+      repositories: { ...(curation.repositories || {}) },
+      organizations: [...(curation.organizations || [])]
+    };
+    const unknown = [];
+
+    if (Array.isArray(update.organizations)) {
+      const known = new Map(knownOrganizations.map(login => [login.toLowerCase(), login]));
+      const organizations = update.organizations.map(String);
+      unknown.push(...organizations.filter(login => !known.has(login.toLowerCase())));
+      next.organizations = [...new Set(organizations.map(login => known.get(login.toLowerCase())).filter(Boolean))];
+    }
+
+    if (Array.isArray(update.order)) {
+      const order = update.order.map(String);
+      unknown.push(...order.filter(key => !knownKeys.includes(key)));
+      next.order = [...new Set(order)];
+    }
+
+    for (const change of update.repositories || []) {
+      const key = String(change.key);
+      if (!knownKeys.includes(key)) {
+        unknown.push(key);
+        continue;
+      }
+
+      const setting = { ...(next.repositories[key] || {}) };
+      for (const field of ['included', ...this.overrideFields]) {
+        if (!(field in change)) continue;
+        if (change[field] === null || change[field] === '') delete setting[field];
+        else setting[field] = change[field];
+      }
+
+      if (Object.keys(setting).length > 0) next.repositories[key] = setting;
+      else delete next.repositories[key];
+    }
+
+    if (unknown.length > 0) {
+      return { success: false, error: `Unknown repositories or organizations: ${[...new Set(unknown)].join(', ')}` };
+    }
+
+    return { success: true, curation: next };
+  }
+
+  // Forget choices about repositories (and organizations) that no longer exist after a sync
+  prune(curation = {}, githubData = {}) {
+    const known = new Set(
+      [...(githubData.repositories || []), ...(githubData.pinned_repositories || [])]
+        .map(repo => this.repositoryKey(repo))
+        .filter(Boolean)
+    );
+
+    // An empty or missing list usually means the fetch failed; keep the user's choices then
+    if (known.size === 0 && !Array.isArray(githubData.organizations)) return curation;
+
+    const memberOf = Array.isArray(githubData.organizations)
+      ? githubData.organizations.map(org => org.login.toLowerCase())
+      : null;
+
+    return {
+      order: known.size > 0 ? (curation.order || []).filter(key => known.has(key)) : (curation.order || []),
+      repositories: known.size > 0
+        ? Object.fromEntries(Object.entries(curation.repositories || {}).filter(([key]) => known.has(key)))
+        : (curation.repositories || {}),
+      organizations: memberOf
+        ? (curation.organizations || []).filter(login => memberOf.includes(login.toLowerCase()))
+        : (curation.organizations || [])
+    };
+  }
+
+  // Comparable form of a repository URL (case, trailing slash and .git don't matter)
+  normalizeURL(url) {
+    return String(url || '').toLowerCase().replace(/\.git$/, '').replace(/\/+$/, '');
+  }
+
+  _pickOverrides(setting) {
+    return Object.fromEntries(
+      this.overrideFields
+        .filter(field => setting[field])
+        .map(field => [field, setting[field]])
+    );
+  }
+}
+
+module.exports = new RepositoryCurationService();
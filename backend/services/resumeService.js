@@ -0,0 +1,338 @@
+const PDFDocument = require('pdfkit');
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  HeadingLevel,
+  BorderStyle
+} = require('docx');
+
+// Characters outside Latin-1 that the standard PDF fonts (WinAnsi encoding) can still draw
+const WIN_ANSI_EXTRAS = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+
+class ResumeService {
+  constructor() {
+    this.formats = {
+      pdf: { contentType: 'application/pdf', extension: 'pdf' },
+      docx: {
+        contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        extension: 'docx'
+      }
+    };
+
+    // Both styles stay single-column with plain text headings so applicant tracking
+    // systems can parse them; they differ only in typography and accent color
+    this.styles = {
+      classic: {
+        pdfFont: 'Times-Roman',
+        pdfBoldFont: 'Times-Bold',
+        pdfItalicFont: 'Times-Italic',
+        docxFont: 'Times New Roman',
+        accent: '#000000',
+        uppercaseHeadings: true
+      },
+      modern: {
+        pdfFont: 'Helvetica',
+        pdfBoldFont: 'Helvetica-Bold',
+        pdfItalicFont: 'Helvetica-Oblique',
+        docxFont: 'Calibri',
+        accent: '#1f4e79',
+        uppercaseHeadings: false
+      }
+    };
+
+    this.paperSizes = {
+      letter: 'LETTER',
+      a4: 'A4'
+    };
+
+    // Optional TrueType font covering the scripts users write in (e.g. Noto Sans). Without it
+    // PDFs use the built-in fonts, which can't draw anything outside WinAnsi.
+    this.pdfUnicodeFont = process.env.RESUME_PDF_FONT || null;
+  }
+
+  getStyles() {
+    return Object.keys(this.styles);
+  }
+
+  // Render portfolio content as a resume. Options: format (pdf | docx), style, paper (letter | a4)
+  async exportResume(portfolio, options = {}) {
+    try {
+      const { format = 'pdf', style = 'classic', paper = 'letter' } = options;
+
+      if (!this.formats[format]) {
+        throw new Error(`Unsupported resume format '${format}'`);
+      }
+      if (!this.styles[style]) {
+        throw new Error(`Unknown resume style '${style}'`);
+      }
+
+      const resume = this._buildResume(portfolio.content);
+
+      if (!resume.name) {
+        throw new Error('Add your name to the hero section before exporting a resume');
+      }
+
+      const buffer = format === 'pdf'
+        ? await this._renderPDF(resume, this.styles[style], this.paperSizes[paper] || this.paperSizes.letter)
+        : await this._renderDOCX(resume, this.styles[style]);
+
+      return {
+        success: true,
+        buffer,
+        contentType: this.formats[format].contentType,
+        filename: `${portfolio.slug || 'portfolio'}-resume.${this.formats[format].extension}`
+      };
+    } catch (error) {
+      console.error('Resume export error:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to export resume'
+      };
+    }
+  }
+
+  // Private methods
+
+  // Normalize portfolio content into the resume sections, in ATS-conventional order
+  _buildResume(content = {}) {
+    const hero = content.hero || {};
+    const about = content.about || {};
+    const contact = content.contact || {};
+    const links = { ...(hero.social_links || {}), ...(contact.social_links || {}) };
+
+    const contactLine = [
+      contact.email || links.email,
+      contact.phone,
+      contact.location,
+      ...Object.entries(links)
+        .filter(([key, value]) => key !== 'email' && value)
+        .map(([, value]) => String(value).replace(/^https?:\/\//, ''))
+    ].filter(Boolean);
+
+    return {
+      name: this._text(hero.name),
+      headline: this._text(hero.title),
+      contact: [...new Set(contactLine.map(item => this._text(item)))],
+      summary: this._text(about.description || hero.bio),
+      experience: this._list(content.experience).map(position => ({
+        heading: [position.title, position.company].map(value => this._text(value)).filter(Boolean).join(', '),
+        period: this._text(position.period),
+        bullets: this._bullets(position.description),
+        details: this._joinList(position.technologies, 'Technologies')
+      })),
+      projects: this._list(content.projects).map(project => ({
+        heading: this._text(project.title),
+        period: this._text(project.live_url || project.github_url).replace(/^https?:\/\//, ''),
+        bullets: this._bullets(project.description),
+        details: this._joinList(project.tech_stack, 'Tech')
+      })),
+      education: this._list(content.education).map(education => ({
+        heading: [education.degree, education.school].map(value => this._text(value)).filter(Boolean).join(', '),
+        period: this._text(education.period),
+        bullets: this._bullets(education.description),
+        details: education.gpa ? `GPA: ${this._text(education.gpa)}` : ''
+      })),
+      skills: this._list(about.skills).map(skill => this._text(skill)).filter(Boolean)
+    };
+  }
+
+  _sections(resume) {
+    return [
+      { title: 'Summary', paragraphs: resume.summary ? [resume.summary] : [] },
+      { title: 'Experience', entries: resume.experience },
+      { title: 'Projects', entries: resume.projects },
+      { title: 'Education', entries: resume.education },
+      { title: 'Skills', paragraphs: resume.skills.length > 0 ? [resume.skills.join(', ')] : [] }
+    ].filter(section => (section.entries || section.paragraphs).length > 0);
+  }
+
+  async _renderPDF(resume, style, size) {
+    // Anything else that can't be drawn is dropped, but a resume without a name is useless
+    if (!this.pdfUnicodeFont && !this._pdfSafe(resume.name).trim()) {
+      throw new Error('Your name uses characters the PDF export cannot display. Export as DOCX instead.');
+    }
+
+    const doc = new PDFDocument({
+      size,
+      margins: { top: 50, bottom: 50, left: 54, right: 54 },
+      info: {
+        Title: `${resume.name} - Resume`,
+        Author: resume.name
+      }
+    });
+
+    const chunks = [];
+    const finished = new Promise((resolve, reject) => {
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    let text = (value) => this._pdfSafe(value);
+
+    if (this.pdfUnicodeFont) {
+      // One face for everything; headings keep their size and color
+      doc.registerFont('unicode', this.pdfUnicodeFont);
+      style = { ...style, pdfFont: 'unicode', pdfBoldFont: 'unicode', pdfItalicFont: 'unicode' };
+      text = (value) => String(value);
+    }
+
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    doc.font(style.pdfBoldFont).fontSize(20).fillColor(style.accent).text(text(resume.name));
+    doc.fillColor('#000000');
+    if (resume.headline) {
+      doc.font(style.pdfFont).fontSize(12).text(text(resume.headline));
+    }
+    if (resume.contact.length > 0) {
+      doc.font(style.pdfFont).fontSize(10).text(text(resume.contact.join(' | ')));
+    }
+
+    for (const section of this._sections(resume)) {
+      doc.moveDown(0.8);
+      const heading = style.uppercaseHeadings ? section.title.toUpperCase() : section.title;
+      doc.font(style.pdfBoldFont).fontSize(12).fillColor(style.accent).text(heading);
+      doc.moveTo(doc.page.margins.left, doc.y)
+        .lineTo(doc.page.margins.left + width, doc.y)
+        .lineWidth(0.75)
+        .strokeColor(style.accent)
+        .stroke();
+      doc.fillColor('#000000').moveDown(0.3);
+
+      for (const paragraph of section.paragraphs || []) {
+        doc.font(style.pdfFont).fontSize(10.5).text(text(paragraph), { width });
+      }
+
+      for (const entry of section.entries || []) {
+        doc.moveDown(0.4);
+        doc.font(style.pdfBoldFont).fontSize(10.5).text(text(entry.heading), { width });
+        if (entry.period) {
+          doc.font(style.pdfItalicFont).fontSize(10).text(text(entry.period), { width });
+        }
+        doc.font(style.pdfFont).fontSize(10.5);
+        for (const bullet of entry.bullets) {
+          doc.text(`• ${text(bullet)}`, { width, indent: 10 });
+        }
+        if (entry.details) {
+          doc.fontSize(10).text(text(entry.details), { width });
+        }
+      }
+    }
+
+    doc.end();
+    return finished;
+  }
+
+  async _renderDOCX(resume, style) {
+    const children = [
+      new Paragraph({
+        heading: HeadingLevel.TITLE,
+        children: [new TextRun({ text: resume.name, bold: true, size: 40, color: style.accent.slice(1) })]
+      })
+    ];
+
+    if (resume.headline) {
+      children.push(new Paragraph({ children: [new TextRun({ text: resume.headline, size: 24 })] }));
+    }
+    if (resume.contact.length > 0) {
+      children.push(new Paragraph({ children: [new TextRun({ text: resume.contact.join(' | '), size: 20 })] }));
+    }
+
+    for (const section of this._sections(resume)) {
+      children.push(new Paragraph({
+        heading: HeadingLevel.HEADING_1,
+        spacing: { before: 240, after: 80 },
+        border: {
+          bottom: { style: BorderStyle.SINGLE, size: 6, color: style.accent.slice(1), space: 1 }
+        },
+        children: [new TextRun({
+          text: style.uppercaseHeadings ? section.title.toUpperCase() : section.title,
+          bold: true,
+          size: 24,
+          color: style.accent.slice(1)
+        })]
+      }));
+
+      for (const paragraph of section.paragraphs || []) {
+        children.push(new Paragraph({ children: [new TextRun(paragraph)] }));
+      }
+
+      for (const entry of section.entries || []) {
+        children.push(new Paragraph({
+          spacing: { before: 120 },
+          children: [new TextRun({ text: entry.heading, bold: true })]
+        }));
+        if (entry.period) {
+          children.push(new Paragraph({ children: [new TextRun({ text: entry.period, italics: true })] }));
+        }
+        for (const bullet of entry.bullets) {
+          children.push(new Paragraph({ bullet: { level: 0 }, children: [new TextRun(bullet)] }));
+        }
+        if (entry.details) {
+          children.push(new Paragraph({ children: [new TextRun({ text: entry.details, size: 20 })] }));
+        }
+      }
+    }
+
+    const doc = new Document({
+      creator: 'Portfolio Builder',
+      title: `${resume.name} - Resume`,
+      styles: {
+        default: {
+          document: {
+            run: { font: style.docxFont, size: 21 }
+          }
+        }
+      },
+      sections: [{
+        properties: {
+          page: {
+            margin: { top: 1000, bottom: 1000, left: 1080, right: 1080 }
+          }
+        },
+        children
+      }]
+    });
+
+    return Packer.toBuffer(doc);
+  }
+
+  _list(value) {
+    return Array.isArray(value) ? value.filter(item => item !== null && item !== undefined && item !== '') : [];
+  }
+
+  _text(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/\s+/g, ' ').trim();
+  }
+
+  // Descriptions written as "- item" lines become separate bullets; prose stays one bullet
+  _bullets(description) {
+    if (!description) return [];
+
+    return String(description)
+      .split(/\n+/)
+      .map(line => line.replace(/^\s*([-*•]|\d+[.)])\s+/, '').trim())
+      .filter(Boolean);
+  }
+
+  _joinList(items, label) {
+    const values = this._list(items).map(item => this._text(item)).filter(Boolean);
+    return values.length > 0 ? `${label}: ${values.join(', ')}` : '';
+  }
+
+  // The built-in PDF fonts only cover WinAnsi; strip accents from anything outside it
+  // and drop what's left rather than printing garbage
+  _pdfSafe(value) {
+    return Array.from(String(value)).map(char => {
+      if (char.charCodeAt(0) <= 0xff || WIN_ANSI_EXTRAS.includes(char)) return char;
+
+      const base = char.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+      return Array.from(base).every(c => c.charCodeAt(0) <= 0xff) ? base : '';
+    }).join('');
+  }
+}
+
+module.exports = new ResumeService();
@@ -1,6 +1,7 @@
 const Handlebars = require('handlebars');
 const fs = require('fs').promises;
 const path = require('path');
+const { sanitizeCSS } = require('../utils/helpers');
 
 class TemplateEngineService {
   constructor() {
@@ -8,6 +9,22 @@ class TemplateEngineService {
     this.compiledTemplates = new Map();
     this.templateConfigs = new Map();
     
+    // Third-party stylesheets every template pulls in (icons + fonts)
+    this.externalStylesheets = [
+      {
+        id: 'font-awesome',
+        href: 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css'
+      },
+      {
+        id: 'google-fonts',
+        href: 'https://fonts.googleapis.com/css2?family=Raleway:wght@300;400;500;600;700&display=swap'
+      }
+    ];
+    
+    // Limits for user supplied theme overrides
+    this.maxCustomCSSLength = 20000;
+    this.colorPattern = /^(#[0-9a-f]{3,4}|#[0-9a-f]{6}|#[0-9a-f]{8}|(rgb|hsl)a?\(\s*[0-9.%,\s/]+\))$/i;
+    
     // Register custom Handlebars helpers
     this._registerHelpers();
   }
@@ -36,7 +53,11 @@ class TemplateEngineService {
   }
 
   // Generate HTML from portfolio content
-  async generateHTML(portfolioContent, templateId = 'modern-dev') {
+  // Options:
+  //   inlineAssets - embed CSS/JS in the document (default) or link style.css/script.js
+  //   stylesheets  - override the external stylesheet URLs (e.g. vendored copies)
+  //   customizations - saved theme overrides, injected after the template styles
+  async generateHTML(portfolioContent, templateId = 'modern-dev', options = {}) {
     try {
       console.log(`Generating HTML with template: ${templateId}`);
       
@@ -59,8 +80,18 @@ class TemplateEngineService {
       const css = await this._getTemplateCSS(templateId);
       const js = await this._getTemplateJS(templateId);
       
+      // Theme overrides and the extra font stylesheets they need
+      const customizations = options.customizations || {};
+      const themeCSS = this._generateCustomCSS(config, customizations);
+      const stylesheets = options.stylesheets
+        || this.getExternalStylesheets(templateId, customizations).map(sheet => sheet.href);
+      
       // Combine into complete HTML document
-      const completeHTML = this._createCompleteHTML(html, css, js, templateData);
+      const completeHTML = this._createCompleteHTML(html, css, js, templateData, {
+        ...options,
+        stylesheets,
+        themeCSS
+      });
       
       return {
         success: true,
@@ -112,7 +143,7 @@ class TemplateEngineService {
     return this.templateConfigs.get(templateId) || null;
   }
 
-  // Update template with custom styling
+  // Validate theme overrides and build the CSS they produce
   async customizeTemplate(templateId, customizations) {
     try {
       const config = this.templateConfigs.get(templateId);
@@ -120,22 +151,23 @@ class TemplateEngineService {
         throw new Error(`Template '${templateId}' not found`);
       }
 
-      // Apply customizations
-      const customizedConfig = {
-        ...config,
-        customizations: {
-          ...config.customizations,
-          ...customizations
-        }
-      };
+      const validation = this.validateCustomizations(templateId, customizations);
+      if (!validation.valid) {
+        return {
+          success: false,
+          error: 'Invalid customizations',
+          errors: validation.errors
+        };
+      }
 
       // Generate custom CSS
-      const customCSS = this._generateCustomCSS(customizedConfig);
+      const customCSS = this._generateCustomCSS(config, validation.customizations);
       
       return {
         success: true,
         css: customCSS,
-        config: customizedConfig
+        customizations: validation.customizations,
+        stylesheets: this.getExternalStylesheets(templateId, validation.customizations)
       };
     } catch (error) {
       console.error('Template customization error:', error);
@@ -146,6 +178,100 @@ class TemplateEngineService {
     }
   }
 
+  // Check theme overrides against the template's "customization" options.
+  // Returns { valid, errors: [{ field, rule, message }], customizations } where
+  // customizations is the cleaned copy to store (custom_css sanitized)
+  validateCustomizations(templateId, customizations) {
+    const options = this.templateConfigs.get(templateId)?.customization || {};
+    const errors = [];
+    const cleaned = {};
+
+    if (!this._isPlainObject(customizations)) {
+      return {
+        valid: false,
+        errors: [{ field: 'customizations', rule: 'type', message: 'Customizations must be an object' }],
+        customizations: {}
+      };
+    }
+
+    for (const [group, values] of Object.entries(customizations)) {
+      if (group === 'custom_css') continue;
+
+      if (!['colors', 'fonts', 'layout', 'effects'].includes(group)) {
+        errors.push({ field: group, rule: 'unknown', message: `Unknown customization group '${group}'` });
+        continue;
+      }
+
+      if (!this._isPlainObject(values)) {
+        errors.push({ field: group, rule: 'type', message: `${group} must be an object` });
+        continue;
+      }
+
+      cleaned[group] = {};
+
+      for (const [key, value] of Object.entries(values)) {
+        const field = `${group}.${key}`;
+        const definition = options[group]?.[key];
+
+        if (!definition) {
+          errors.push({ field, rule: 'unknown', message: `Template '${templateId}' has no ${group} option '${key}'` });
+          continue;
+        }
+
+        const error = this._checkCustomizationValue(definition, value);
+        if (error) {
+          errors.push({ field, rule: 'format', message: `${definition.name || key} ${error}` });
+          continue;
+        }
+
+        cleaned[group][key] = value;
+      }
+
+      if (Object.keys(cleaned[group]).length === 0) {
+        delete cleaned[group];
+      }
+    }
+
+    if (customizations.custom_css !== undefined && customizations.custom_css !== null) {
+      if (typeof customizations.custom_css !== 'string') {
+        errors.push({ field: 'custom_css', rule: 'type', message: 'custom_css must be a string' });
+      } else if (customizations.custom_css.length > this.maxCustomCSSLength) {
+        errors.push({ field: 'custom_css', rule: 'length', message: `custom_css must be at most ${this.maxCustomCSSLength} characters` });
+      } else {
+        cleaned.custom_css = sanitizeCSS(customizations.custom_css);
+      }
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors,
+      customizations: cleaned
+    };
+  }
+
+  // Icon/font stylesheets for a page, plus Google Fonts for any non-default font picked
+  getExternalStylesheets(templateId, customizations = {}) {
+    const fontOptions = this.templateConfigs.get(templateId)?.customization?.fonts || {};
+    const stylesheets = [...this.externalStylesheets];
+    const families = new Set();
+
+    for (const [key, family] of Object.entries(customizations.fonts || {})) {
+      const definition = fontOptions[key];
+      if (!definition || family === definition.default || this._isSystemFont(family)) continue;
+      if (!this._findOption(definition, family)) continue;
+      families.add(family);
+    }
+
+    for (const family of families) {
+      stylesheets.push({
+        id: `google-fonts-${family.toLowerCase().replace(/\s+/g, '-')}`,
+        href: `https://fonts.googleapis.com/css2?family=${family.replace(/\s+/g, '+')}:wght@300;400;500;600;700&display=swap`
+      });
+    }
+
+    return stylesheets;
+  }
+
   // Private methods
 
   async _loadTemplate(templateDir) {
@@ -233,6 +359,7 @@ class TemplateEngineService {
       projects: [],
       experience: [],
       education: [],
+      gallery: [],
       contact: {
         email: '',
         phone: '',
@@ -250,19 +377,54 @@ class TemplateEngineService {
       current_year: new Date().getFullYear(),
       has_projects: portfolioContent.projects && portfolioContent.projects.length > 0,
       has_experience: portfolioContent.experience && portfolioContent.experience.length > 0,
-      has_education: portfolioContent.education && portfolioContent.education.length > 0
+      has_education: portfolioContent.education && portfolioContent.education.length > 0,
+      has_gallery: portfolioContent.gallery && portfolioContent.gallery.length > 0
     };
 
     return data;
   }
 
-  _createCompleteHTML(bodyHTML, css, js, templateData) {
+  _createCompleteHTML(bodyHTML, css, js, templateData, options = {}) {
+    const {
+      inlineAssets = true,
+      stylesheets = this.externalStylesheets.map(sheet => sheet.href),
+      themeCSS = ''
+    } = options;
+    
     const title = templateData.hero?.name 
       ? `${templateData.hero.name} - Portfolio`
       : 'Portfolio';
     
     const description = templateData.hero?.bio || 'Professional Portfolio';
     
+    const preconnectLinks = stylesheets.some(href => href.startsWith('https://fonts.googleapis.com'))
+      ? `<link rel="preconnect" href="https://fonts.googleapis.com">
+    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>`
+      : '';
+    
+    const stylesheetLinks = stylesheets
+      .map(href => `<link rel="stylesheet" href="${href}">`)
+      .join('\n    ');
+    
+    const styleBlock = inlineAssets
+      ? `<style>
+        ${css}
+    </style>`
+      : '<link rel="stylesheet" href="style.css">';
+    
+    // Overrides come after the template styles so they win on equal specificity
+    const themeBlock = themeCSS
+      ? `<style id="theme-overrides">
+        ${themeCSS}
+    </style>`
+      : '';
+    
+    const scriptBlock = inlineAssets
+      ? `<script>
+        ${js}
+    </script>`
+      : '<script src="script.js"></script>';
+    
     return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -277,57 +439,107 @@ class TemplateEngineService {
     <meta property="og:description" content="${description}">
     <meta property="og:type" content="website">
     
-    <!-- Font Awesome -->
-    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css">
-    
-    <!-- Google Fonts -->
-    <link rel="preconnect" href="https://fonts.googleapis.com">
-    <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
-    <link href="https://fonts.googleapis.com/css2?family=Raleway:wght@300;400;500;600;700&display=swap" rel="stylesheet">
+    <!-- Fonts & Icons -->
+    ${preconnectLinks}
+    ${stylesheetLinks}
     
-    <style>
-        ${css}
-    </style>
+    ${styleBlock}
+    ${themeBlock}
 </head>
 <body>
     ${bodyHTML}
     
-    <script>
-        ${js}
-    </script>
+    ${scriptBlock}
 </body>
 </html>`;
   }
 
-  _generateCustomCSS(config) {
-    const customizations = config.customizations || {};
-    let customCSS = '';
+  // Only options the template defines are emitted; values were checked by
+  // validateCustomizations when saved, but stored themes can outlive a template switch
+  _generateCustomCSS(config, customizations = {}) {
+    const options = config?.customization || {};
+    const variables = [];
+    const rules = [];
 
     // Color customizations
-    if (customizations.colors) {
-      customCSS += ':root {\n';
-      Object.entries(customizations.colors).forEach(([key, value]) => {
-        customCSS += `  --${key}: ${value};\n`;
-      });
-      customCSS += '}\n\n';
+    for (const [key, value] of Object.entries(customizations.colors || {})) {
+      const definition = options.colors?.[key];
+      if (!definition?.css_var || this._checkCustomizationValue(definition, value)) continue;
+      variables.push(`  ${definition.css_var}: ${value.trim()};`);
+    }
+
+    // Layout customizations (select values, or the option's own css value)
+    for (const [key, value] of Object.entries(customizations.layout || {})) {
+      const definition = options.layout?.[key];
+      const option = definition && this._findOption(definition, value);
+      if (!definition?.css_var || !option) continue;
+      variables.push(`  ${definition.css_var}: ${option.css || option.value};`);
+    }
+
+    if (variables.length > 0) {
+      rules.push(`:root {\n${variables.join('\n')}\n}`);
     }
 
     // Font customizations
-    if (customizations.fonts) {
-      if (customizations.fonts.primary) {
-        customCSS += `body { font-family: '${customizations.fonts.primary}', sans-serif; }\n`;
-      }
-      if (customizations.fonts.heading) {
-        customCSS += `h1, h2, h3, h4, h5, h6 { font-family: '${customizations.fonts.heading}', sans-serif; }\n`;
+    const fonts = customizations.fonts || {};
+    if (fonts.primary && this._findOption(options.fonts?.primary || {}, fonts.primary)) {
+      rules.push(`body { font-family: ${this._fontStack(fonts.primary)}; }`);
+    }
+    if (fonts.heading && this._findOption(options.fonts?.heading || {}, fonts.heading)) {
+      rules.push(`h1, h2, h3, h4, h5, h6 { font-family: ${this._fontStack(fonts.heading)}; }`);
+    }
+
+    // Effects the user switched off
+    for (const [key, enabled] of Object.entries(customizations.effects || {})) {
+      const definition = options.effects?.[key];
+      if (enabled === false && definition?.disabled_css) {
+        rules.push(definition.disabled_css);
       }
     }
 
     // Additional custom CSS
-    if (customizations.custom_css) {
-      customCSS += customizations.custom_css;
+    const customCSS = sanitizeCSS(customizations.custom_css);
+    if (customCSS) {
+      rules.push(customCSS);
+    }
+
+    return rules.join('\n\n');
+  }
+
+  // Returns an error message when the value doesn't fit the option definition
+  _checkCustomizationValue(definition, value) {
+    switch (definition.type) {
+      case 'color':
+        return typeof value === 'string' && this.colorPattern.test(value.trim())
+          ? null
+          : 'must be a hex, rgb() or hsl() color';
+      case 'select':
+        return this._findOption(definition, value)
+          ? null
+          : `must be one of: ${(definition.options || []).map(option => option.value).join(', ')}`;
+      case 'boolean':
+        return typeof value === 'boolean' ? null : 'must be true or false';
+      default:
+        return 'is not customizable';
     }
+  }
+
+  _findOption(definition, value) {
+    return (definition.options || []).find(option => option.value === value) || null;
+  }
 
-    return customCSS;
+  _isSystemFont(family) {
+    return ['system-ui', 'serif', 'sans-serif', 'monospace'].includes(family);
+  }
+
+  _fontStack(family) {
+    return this._isSystemFont(family)
+      ? `${family}, -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif`
+      : `'${family}', sans-serif`;
+  }
+
+  _isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
   }
 
   async _fileExists(filePath) {
@@ -398,6 +610,20 @@ class TemplateEngineService {
       }
       return 'https://' + url;
     });
+
+    // Range helper for loops
+    Handlebars.registerHelper('range', function(count) {
+      const result = [];
+      for (let i = 0; i < count; i++) {
+        result.push(i);
+      }
+      return result;
+    });
+
+    // Random number helper
+    Handlebars.registerHelper('random', function(min, max) {
+      return Math.floor(Math.random() * (max - min + 1)) + min;
+    });
   }
 }
 
@@ -0,0 +1,130 @@
+const { AIUsage, GenerationJob } = require('../models');
+
+class UsageService {
+  constructor() {
+    // Monthly token budgets per subscription tier (calendar month, UTC)
+    this.monthlyTokenBudgets = {
+      free: parseInt(process.env.AI_MONTHLY_TOKENS_FREE) || 50000,
+      pro: parseInt(process.env.AI_MONTHLY_TOKENS_PRO) || 1000000
+    };
+    // Held back for every queued or running generation job until its usage is in the ledger
+    this.generationJobTokens = 4000;
+
+    // userId -> tokens reserved by AI requests still in progress in this process
+    this.reservations = new Map();
+  }
+
+  // Add a model call to the ledger. Calls made outside a user's request (scripts, seeds)
+  // have no one to bill and are skipped.
+  async recordUsage({ userId, portfolioId = null, task, provider = null, model = null, tokensUsed = 0, redactedEntities = null }) {
+    if (!userId) return;
+
+    try {
+      await AIUsage.create({
+        user_id: userId,
+        portfolio_id: portfolioId,
+        task,
+        provider,
+        model,
+        tokens_used: tokensUsed || 0,
+        redacted_entities: redactedEntities
+      });
+    } catch (error) {
+      // Losing a ledger row must not fail the AI call the user already paid for
+      console.error('AI usage record error:', error);
+    }
+  }
+
+  getMonthlyBudget(tier) {
+    return this.monthlyTokenBudgets[tier] || this.monthlyTokenBudgets.free;
+  }
+
+  // Start and end of the current quota period
+  getPeriod(now = new Date()) {
+    return {
+      start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+      end: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
+    };
+  }
+
+  // Budget left after the ledger and anything reserved for calls that haven't been recorded yet
+  async getQuota(user) {
+    const usage = await this._loadUsage(user);
+    return this._buildQuota(user, usage);
+  }
+
+  // Pre-flight check before an AI call expected to use about `estimatedTokens`
+  async checkBudget(user, estimatedTokens) {
+    const quota = await this.getQuota(user);
+    return this._evaluate(quota, estimatedTokens);
+  }
+
+  // checkBudget that also reserves the estimate, so parallel requests can't all pass the same
+  // check and overspend together. Call release() once the call's usage has been recorded.
+  async reserveBudget(user, estimatedTokens) {
+    const usage = await this._loadUsage(user);
+
+    // No await from here on: the check and the reservation happen together
+    const check = this._evaluate(this._buildQuota(user, usage), estimatedTokens);
+    if (!check.allowed) return check;
+
+    this.reservations.set(user.id, (this.reservations.get(user.id) || 0) + estimatedTokens);
+
+    let released = false;
+    check.release = () => {
+      if (released) return;
+      released = true;
+
+      const reserved = (this.reservations.get(user.id) || 0) - estimatedTokens;
+      if (reserved > 0) {
+        this.reservations.set(user.id, reserved);
+      } else {
+        this.reservations.delete(user.id);
+      }
+    };
+
+    return check;
+  }
+
+  async _loadUsage(user) {
+    const period = this.getPeriod();
+    const [used, activeJobs] = await Promise.all([
+      AIUsage.getTotalTokens(user.id, period.start),
+      GenerationJob.countActiveByUser(user.id)
+    ]);
+
+    return { period, used, activeJobs };
+  }
+
+  _buildQuota(user, { period, used, activeJobs }) {
+    const tier = user.subscription_tier || 'free';
+    const limit = this.getMonthlyBudget(tier);
+    const reserved = activeJobs * this.generationJobTokens + (this.reservations.get(user.id) || 0);
+
+    return {
+      tier,
+      limit,
+      used,
+      reserved,
+      remaining: Math.max(limit - used - reserved, 0),
+      period_start: period.start,
+      resets_at: period.end
+    };
+  }
+
+  _evaluate(quota, estimatedTokens) {
+    if (quota.remaining >= estimatedTokens) {
+      return { allowed: true, quota };
+    }
+
+    return {
+      allowed: false,
+      quota,
+      error: quota.remaining === 0
+        ? `Monthly AI token budget of ${quota.limit} tokens used up`
+        : `This request needs about ${estimatedTokens} tokens but only ${quota.remaining} remain this month`
+    };
+  }
+}
+
+module.exports = new UsageService();
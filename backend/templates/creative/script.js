@@ -0,0 +1,168 @@
+document.addEventListener('DOMContentLoaded', function() {
+  initializeNavigation();
+  initializeReveal();
+  initializeLightbox();
+  initializeContactForm();
+});
+
+// Navigation: solid background after scrolling, mobile toggle
+function initializeNavigation() {
+  const nav = document.querySelector('.nav');
+  const toggle = document.querySelector('.nav-toggle');
+  const menu = document.querySelector('.nav-menu');
+
+  if (!nav) return;
+
+  const updateNav = () => nav.classList.toggle('nav-solid', window.scrollY > 40);
+  window.addEventListener('scroll', updateNav, { passive: true });
+  updateNav();
+
+  if (toggle && menu) {
+    toggle.addEventListener('click', () => menu.classList.toggle('is-open'));
+    menu.querySelectorAll('a').forEach(link => {
+      link.addEventListener('click', () => menu.classList.remove('is-open'));
+    });
+  }
+}
+
+// Fade sections in as they scroll into view
+function initializeReveal() {
+  const elements = document.querySelectorAll('.reveal');
+
+  if (!('IntersectionObserver' in window)) {
+    elements.forEach(el => el.classList.add('is-visible'));
+    return;
+  }
+
+  const observer = new IntersectionObserver(function(entries) {
+    entries.forEach(entry => {
+      if (entry.isIntersecting) {
+        entry.target.classList.add('is-visible');
+        observer.unobserve(entry.target);
+      }
+    });
+  }, { threshold: 0.15 });
+
+  elements.forEach(el => observer.observe(el));
+}
+
+// Full-screen viewer for gallery images
+function initializeLightbox() {
+  const lightbox = document.querySelector('.lightbox');
+
+  if (!lightbox) return;
+
+  const image = lightbox.querySelector('.lightbox-image');
+  const caption = lightbox.querySelector('.lightbox-caption');
+
+  const close = () => {
+    lightbox.classList.remove('is-open');
+    lightbox.setAttribute('aria-hidden', 'true');
+  };
+
+  document.querySelectorAll('.gallery-item img').forEach(img => {
+    img.addEventListener('click', () => {
+      image.src = img.src;
+      image.alt = img.alt;
+      caption.textContent = img.dataset.caption || '';
+      lightbox.classList.add('is-open');
+      lightbox.setAttribute('aria-hidden', 'false');
+    });
+  });
+
+  lightbox.addEventListener('click', (e) => {
+    if (e.target !== image) close();
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') close();
+  });
+}
+
+// Contact form functionality
+function initializeContactForm() {
+  const contactForm = document.getElementById('contact-form');
+
+  if (!contactForm) return;
+
+  contactForm.addEventListener('submit', function(e) {
+    e.preventDefault();
+
+    const formData = new FormData(contactForm);
+    const data = {
+      name: formData.get('name'),
+      email: formData.get('email'),
+      message: formData.get('message'),
+      website: formData.get('website') // honeypot, should stay empty
+    };
+
+    // The endpoint is injected only on published pages
+    const endpoint = window.PORTFOLIO_CONTACT_ENDPOINT;
+    if (!endpoint) {
+      showToast('The contact form is disabled in preview mode.', 'info');
+      return;
+    }
+
+    const submitBtn = contactForm.querySelector('button[type="submit"]');
+    const originalText = submitBtn.textContent;
+    submitBtn.textContent = 'Sending...';
+    submitBtn.disabled = true;
+
+    fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    })
+      .then(response => response.json().then(body => ({ ok: response.ok, body })))
+      .then(({ ok, body }) => {
+        if (!ok || !body.success) {
+          const detail = body.details?.[0]?.msg || body.message;
+          throw new Error(detail || 'Failed to send message');
+        }
+
+        showToast('Message sent! I\'ll be in touch soon.', 'success');
+        contactForm.reset();
+      })
+      .catch(error => {
+        showToast(error.message || 'Failed to send message. Please try again later.', 'error');
+      })
+      .finally(() => {
+        submitBtn.textContent = originalText;
+        submitBtn.disabled = false;
+      });
+  });
+}
+
+// Toast notifications
+function showToast(message, type = 'info') {
+  document.querySelectorAll('.toast').forEach(toast => toast.remove());
+
+  const toast = document.createElement('div');
+  toast.className = `toast toast-${type}`;
+  toast.textContent = message;
+  toast.style.cssText = `
+    position: fixed;
+    bottom: 24px;
+    left: 50%;
+    transform: translate(-50%, 120%);
+    background: ${type === 'success' ? '#10b981' : type === 'error' ? '#ef4444' : '#8b5cf6'};
+    color: white;
+    padding: 0.9rem 1.5rem;
+    border-radius: 999px;
+    font-weight: 600;
+    box-shadow: 0 10px 30px rgba(0, 0, 0, 0.4);
+    transition: transform 0.3s ease;
+    z-index: 10000;
+  `;
+
+  document.body.appendChild(toast);
+
+  setTimeout(() => {
+    toast.style.transform = 'translate(-50%, 0)';
+  }, 50);
+
+  setTimeout(() => {
+    toast.style.transform = 'translate(-50%, 120%)';
+    setTimeout(() => toast.remove(), 300);
+  }, 5000);
+}
@@ -0,0 +1,63 @@
+document.addEventListener('DOMContentLoaded', function() {
+  initializeContactForm();
+});
+
+// Contact form functionality
+function initializeContactForm() {
+  const contactForm = document.getElementById('contact-form');
+
+  if (!contactForm) return;
+
+  const status = contactForm.querySelector('.form-status');
+
+  contactForm.addEventListener('submit', function(e) {
+    e.preventDefault();
+
+    const formData = new FormData(contactForm);
+    const data = {
+      name: formData.get('name'),
+      email: formData.get('email'),
+      message: formData.get('message'),
+      website: formData.get('website') // honeypot, should stay empty
+    };
+
+    // The endpoint is injected only on published pages
+    const endpoint = window.PORTFOLIO_CONTACT_ENDPOINT;
+    if (!endpoint) {
+      setStatus('The contact form is disabled in preview mode.', 'info');
+      return;
+    }
+
+    const submitBtn = contactForm.querySelector('button[type="submit"]');
+    submitBtn.disabled = true;
+    setStatus('Sending...', 'info');
+
+    fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(data)
+    })
+      .then(response => response.json().then(body => ({ ok: response.ok, body })))
+      .then(({ ok, body }) => {
+        if (!ok || !body.success) {
+          const detail = body.details?.[0]?.msg || body.message;
+          throw new Error(detail || 'Failed to send message');
+        }
+
+        setStatus('Thanks! Your message has been sent.', 'success');
+        contactForm.reset();
+      })
+      .catch(error => {
+        setStatus(error.message || 'Failed to send message. Please try again later.', 'error');
+      })
+      .finally(() => {
+        submitBtn.disabled = false;
+      });
+  });
+
+  function setStatus(message, type) {
+    if (!status) return;
+    status.textContent = message;
+    status.className = `form-status is-${type}`;
+  }
+}
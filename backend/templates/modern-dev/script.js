@@ -89,6 +89,10 @@ document.addEventListener('DOMContentLoaded', function() {
     const cursor = document.querySelector('.cursor');
     
     if (!typewriter) return;
+    
+    // Theme customization can switch the effect off and keep the static title
+    const typingSetting = getComputedStyle(document.documentElement).getPropertyValue('--typing-effect');
+    if (typingSetting.trim() === 'off') return;
   
     const roles = [
       'Full Stack Developer',
@@ -153,27 +157,46 @@ document.addEventListener('DOMContentLoaded', function() {
       const data = {
         name: formData.get('name'),
         email: formData.get('email'),
-        message: formData.get('message')
+        message: formData.get('message'),
+        website: formData.get('website') // honeypot, should stay empty
       };
   
+      // The endpoint is injected only on published pages
+      const endpoint = window.PORTFOLIO_CONTACT_ENDPOINT;
+      if (!endpoint) {
+        showNotification('The contact form is disabled in preview mode.', 'info');
+        return;
+      }
+  
       // Show loading state
       const submitBtn = contactForm.querySelector('button[type="submit"]');
       const originalText = submitBtn.textContent;
       submitBtn.textContent = 'Sending...';
       submitBtn.disabled = true;
   
-      // Simulate form submission (replace with actual API call)
-      setTimeout(() => {
-        // Show success message
-        showNotification('Message sent successfully! I\'ll get back to you soon.', 'success');
-        
-        // Reset form
-        contactForm.reset();
-        
-        // Reset button
-        submitBtn.textContent = originalText;
-        submitBtn.disabled = false;
-      }, 1500);
+      fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(data)
+      })
+        .then(response => response.json().then(body => ({ ok: response.ok, body })))
+        .then(({ ok, body }) => {
+          if (!ok || !body.success) {
+            const detail = body.details?.[0]?.msg || body.message;
+            throw new Error(detail || 'Failed to send message');
+          }
+  
+          showNotification('Message sent successfully! I\'ll get back to you soon.', 'success');
+          contactForm.reset();
+        })
+        .catch(error => {
+          showNotification(error.message || 'Failed to send message. Please try again later.', 'error');
+        })
+        .finally(() => {
+          // Reset button
+          submitBtn.textContent = originalText;
+          submitBtn.disabled = false;
+        });
     });
   }
   
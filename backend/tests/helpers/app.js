@@ -0,0 +1,11 @@
+const express = require('express');
+
+// Express app with JSON bodies and a single router mounted, for route tests
+const buildApp = (mountPath, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(mountPath, router);
+  return app;
+};
+
+module.exports = { buildApp };
@@ -0,0 +1,7 @@
+// Stand-in for firebase-admin: the bearer token is taken as the user's Firebase UID
+module.exports = {
+  apps: [],
+  auth: () => ({
+    verifyIdToken: async (token) => ({ uid: token, email: `${token}@example.com`, name: token })
+  })
+};
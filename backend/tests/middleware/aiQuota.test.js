@@ -0,0 +1,92 @@
+const EventEmitter = require('events');
+const { sequelize } = require('../../utils/database');
+const { User } = require('../../models');
+const usageService = require('../../services/usageService');
+const { requireTokenBudget } = require('../../middleware/aiQuota');
+
+// Just enough of an Express response for the middleware
+const fakeResponse = () => {
+  const res = new EventEmitter();
+  res.locals = {};
+  res.headers = {};
+  res.set = (name, value) => {
+    Object.assign(res.headers, typeof name === 'string' ? { [name]: value } : name);
+    return res;
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res.end();
+  };
+  res.end = jest.fn(() => res);
+  return res;
+};
+
+describe('requireTokenBudget', () => {
+  let user;
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+    usageService.reservations.clear();
+    user = await User.create({ firebase_uid: 'uid-1', email: 'ada@example.com', username: 'ada' });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  const run = async (estimate, res = fakeResponse()) => {
+    const next = jest.fn();
+    await requireTokenBudget(estimate)({ user }, res, next);
+    return { res, next };
+  };
+
+  it('holds the reservation until the response ends, even after the client disconnects', async () => {
+    const { res, next } = await run(4000);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.headers['X-AI-Token-Remaining']).toBe('50000');
+    expect((await usageService.getQuota(user)).reserved).toBe(4000);
+
+    res.emit('close');
+    expect((await usageService.getQuota(user)).reserved).toBe(4000);
+
+    res.end();
+    expect((await usageService.getQuota(user)).reserved).toBe(0);
+  });
+
+  it('lets the route release the reservation early', async () => {
+    const { res } = await run(4000);
+
+    res.locals.releaseTokenBudget();
+
+    expect((await usageService.getQuota(user)).reserved).toBe(0);
+    res.end();
+    expect((await usageService.getQuota(user)).reserved).toBe(0);
+  });
+
+  it('counts open reservations against later requests', async () => {
+    await usageService.recordUsage({ userId: user.id, task: 'bio', tokensUsed: 50000 - 6000 });
+    await run(4000);
+
+    const { res, next } = await run(4000);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(402);
+    expect(res.body.error).toBe('AI Token Budget Exceeded');
+  });
+
+  it('answers pro users over budget with 429 and Retry-After', async () => {
+    await user.update({ subscription_tier: 'pro' });
+    await usageService.recordUsage({ userId: user.id, task: 'bio', tokensUsed: 1000000 });
+
+    const { res, next } = await run(100);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(429);
+    expect(Number(res.headers['Retry-After'])).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,45 @@
+const Integration = require('../../models/Integration');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+describe('Integration', () => {
+  describe('syncBackoffMs', () => {
+    it('starts at 30 minutes and doubles with each failure', () => {
+      expect(Integration.syncBackoffMs(1)).toBe(30 * MINUTE);
+      expect(Integration.syncBackoffMs(2)).toBe(HOUR);
+      expect(Integration.syncBackoffMs(3)).toBe(2 * HOUR);
+      expect(Integration.syncBackoffMs(5)).toBe(8 * HOUR);
+    });
+
+    it('is capped at a day', () => {
+      expect(Integration.syncBackoffMs(6)).toBe(16 * HOUR);
+      expect(Integration.syncBackoffMs(7)).toBe(24 * HOUR);
+      expect(Integration.syncBackoffMs(50)).toBe(24 * HOUR);
+    });
+
+    it('treats zero failures like the first', () => {
+      expect(Integration.syncBackoffMs(0)).toBe(30 * MINUTE);
+    });
+  });
+
+  describe('markSyncError', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('counts the failure and schedules the next attempt with backoff', async () => {
+      jest.spyOn(Integration.prototype, 'save').mockResolvedValue();
+      const integration = Integration.build({ platform: 'github', sync_failures: 2 });
+      const before = Date.now();
+
+      await integration.markSyncError('GitHub is down');
+
+      expect(integration.sync_status).toBe('error');
+      expect(integration.error_message).toBe('GitHub is down');
+      expect(integration.sync_failures).toBe(3);
+      expect(integration.next_sync_at.getTime()).toBeGreaterThanOrEqual(before + 2 * HOUR);
+      expect(integration.next_sync_at.getTime()).toBeLessThanOrEqual(Date.now() + 2 * HOUR);
+    });
+  });
+});
@@ -0,0 +1,40 @@
+const { sequelize } = require('../../utils/database');
+const { User, Portfolio, PortfolioIteration } = require('../../models');
+
+describe('PortfolioIteration', () => {
+  let portfolio;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    const user = await User.create({ firebase_uid: 'uid-1', email: 'ada@example.com', username: 'ada' });
+    portfolio = await Portfolio.create({ user_id: user.id, title: 'Ada', slug: 'ada' });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('getIterationStats', () => {
+    it('counts every iteration under its type', async () => {
+      const types = ['generate', 'enhance', 'enhance', 'manual', 'restore', 'tailor', 'sync', 'sync'];
+      for (const iteration_type of types) {
+        await PortfolioIteration.create({
+          portfolio_id: portfolio.id,
+          prompt: `${iteration_type} change`,
+          iteration_type,
+          status: 'completed',
+          tokens_used: 10,
+          processing_time_ms: 100
+        });
+      }
+
+      const stats = await PortfolioIteration.getIterationStats(portfolio.id);
+
+      expect(stats).toMatchObject({ total: 8, completed: 8, total_tokens: 80, avg_processing_time: 100 });
+      expect(stats.types).toEqual({
+        generate: 1, enhance: 2, fix: 0, custom: 0, manual: 1, restore: 1, tailor: 1, sync: 2
+      });
+      expect(Object.values(stats.types).reduce((sum, count) => sum + count, 0)).toBe(stats.total);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+jest.mock('firebase-admin', () => require('../helpers/firebaseAdmin'));
+
+const http = require('http');
+const request = require('supertest');
+const { sequelize } = require('../../utils/database');
+const { User, Portfolio, GenerationJob } = require('../../models');
+const aiRoutes = require('../../routes/ai');
+const generationWorker = require('../../services/generationWorker');
+const portfolioGenerator = require('../../services/portfolioGenerator');
+const usageService = require('../../services/usageService');
+const { buildApp } = require('../helpers/app');
+
+// Collect a text/event-stream body as [{ event, data }]
+const parseEvents = (res, callback) => {
+  let text = '';
+  res.setEncoding('utf8');
+  res.on('data', chunk => { text += chunk; });
+  res.on('end', () => {
+    const events = text.split('\n\n')
+      .filter(block => block.startsWith('event: '))
+      .map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+      });
+    callback(null, events);
+  });
+};
+
+const waitFor = async (check) => {
+  for (let i = 0; i < 100; i++) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error('Timed out waiting');
+};
+
+describe('AI streaming routes', () => {
+  const app = buildApp('/api/ai', aiRoutes);
+  let user;
+  let portfolio;
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+    usageService.reservations.clear();
+    // Jobs stay queued; the tests play the worker's part
+    generationWorker.stop();
+    user = await User.create({ firebase_uid: 'uid-1', email: 'ada@example.com', username: 'ada' });
+    portfolio = await Portfolio.create({ user_id: user.id, title: 'Ada', slug: 'ada', content: { hero: { title: 'Hi' } } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('POST /generate/stream', () => {
+    const body = { sources: [{ type: 'prompt', data: { description: 'A backend developer who loves Go' } }] };
+
+    it('queues a job and streams its events until it finishes', async () => {
+      const pending = request(app)
+        .post('/api/ai/generate/stream')
+        .set('Authorization', 'Bearer uid-1')
+        .send(body)
+        .buffer(true)
+        .parse(parseEvents)
+        .then(res => res);
+
+      const job = await waitFor(() => GenerationJob.findOne());
+      // Only the queued job holds budget while the stream is open
+      await waitFor(() => usageService.reservations.size === 0);
+      expect((await usageService.getQuota(user)).reserved).toBe(usageService.generationJobTokens);
+
+      generationWorker._emit(job.id, 'progress', { stage: 'generating', percent: 65 });
+      await job.markCompleted({ portfolio: { id: portfolio.id } });
+      generationWorker._emit(job.id, 'finished', job);
+
+      const res = await pending;
+      expect(res.status).toBe(200);
+      expect(res.body.map(event => event.event)).toEqual(['job', 'progress', 'complete']);
+      expect(res.body[0].data).toMatchObject({ id: job.id, status: 'queued' });
+      expect(res.body[2].data).toMatchObject({ success: true, portfolio: { id: portfolio.id } });
+    });
+
+    it('answers 429 without a stream once the user has too many jobs', async () => {
+      for (let i = 0; i < generationWorker.maxActiveJobsPerUser; i++) {
+        await GenerationJob.create({ user_id: user.id });
+      }
+      jest.spyOn(usageService, 'getQuota');
+
+      const res = await request(app).post('/api/ai/generate/stream').set('Authorization', 'Bearer uid-1').send(body);
+
+      expect(res.status).toBe(429);
+      expect(res.body.error).toBe('Too Many Jobs');
+      expect(usageService.reservations.size).toBe(0);
+    });
+  });
+
+  describe('GET /jobs/:id/stream', () => {
+    it('sends the final event of a job that has already finished', async () => {
+      const job = await GenerationJob.create({ user_id: user.id });
+      await job.markFailed('Template not found');
+
+      const res = await request(app)
+        .get(`/api/ai/jobs/${job.id}/stream`)
+        .set('Authorization', 'Bearer uid-1')
+        .buffer(true)
+        .parse(parseEvents);
+
+      expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+      expect(res.body).toEqual([
+        { event: 'job', data: expect.objectContaining({ id: job.id, status: 'failed' }) },
+        { event: 'error', data: { success: false, error: 'Generation Failed', message: 'Template not found' } }
+      ]);
+    });
+
+    it('refuses jobs of other users', async () => {
+      const job = await GenerationJob.create({ user_id: user.id });
+      await User.create({ firebase_uid: 'uid-2', email: 'grace@example.com', username: 'grace' });
+
+      const res = await request(app).get(`/api/ai/jobs/${job.id}/stream`).set('Authorization', 'Bearer uid-2');
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe('GET /iterate/:id/stream', () => {
+    it('takes the prompt from the query and streams progress and the result', async () => {
+      const enhance = jest.spyOn(portfolioGenerator, 'enhancePortfolio').mockImplementation(async (id, prompt, section, hooks) => {
+        await hooks.onProgress({ stage: 'generating', percent: 20 });
+        await hooks.onSection('about', { bio: 'Go developer' });
+        return { success: true, changes: { section, prompt }, metadata: { tokens_used: 120 } };
+      });
+
+      const res = await request(app)
+        .get(`/api/ai/iterate/${portfolio.id}/stream`)
+        .query({ prompt: 'Make the bio more concise', section: 'about' })
+        .set('Authorization', 'Bearer uid-1')
+        .buffer(true)
+        .parse(parseEvents);
+
+      expect(enhance).toHaveBeenCalledWith(portfolio.id, 'Make the bio more concise', 'about', expect.any(Object));
+      expect(res.body.map(event => event.event)).toEqual(['progress', 'section', 'complete']);
+      expect(res.body[2].data.changes).toEqual({ section: 'about', prompt: 'Make the bio more concise' });
+    });
+
+    it('validates query parameters like the request body', async () => {
+      const res = await request(app)
+        .get(`/api/ai/iterate/${portfolio.id}/stream`)
+        .query({ prompt: 'short' })
+        .set('Authorization', 'Bearer uid-1');
+
+      expect(res.status).toBe(400);
+    });
+
+    it('cancels the iteration when the client disconnects and keeps the budget reserved until it stops', async () => {
+      let resolveCall;
+      let hooks;
+      jest.spyOn(portfolioGenerator, 'enhancePortfolio').mockImplementation((id, prompt, section, iterationHooks) => {
+        hooks = iterationHooks;
+        return new Promise(resolve => { resolveCall = resolve; });
+      });
+
+      const server = app.listen(0);
+      const req = http.get({
+        port: server.address().port,
+        path: `/api/ai/iterate/${portfolio.id}/stream?prompt=${encodeURIComponent('Make the bio more concise')}`,
+        headers: { Authorization: 'Bearer uid-1' }
+      });
+      req.on('error', () => {});
+
+      await waitFor(() => hooks);
+      expect(hooks.isCancelled()).toBe(false);
+
+      req.destroy();
+      await waitFor(() => hooks.isCancelled());
+      expect((await usageService.getQuota(user)).reserved).toBe(4000);
+
+      resolveCall({ success: false, cancelled: true, error: 'Generation cancelled' });
+      await waitFor(() => usageService.reservations.size === 0);
+      await new Promise(resolve => server.close(resolve));
+    });
+  });
+});
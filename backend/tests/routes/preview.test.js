@@ -0,0 +1,55 @@
+jest.mock('firebase-admin', () => require('../helpers/firebaseAdmin'));
+
+const request = require('supertest');
+const { sequelize } = require('../../utils/database');
+const { User, Portfolio, ContactMessage } = require('../../models');
+const previewRoutes = require('../../routes/preview');
+const { buildApp } = require('../helpers/app');
+
+const message = { name: 'Grace', email: 'grace@example.com', message: 'Hello there' };
+
+describe('preview routes', () => {
+  const app = buildApp('/api/preview', previewRoutes);
+  let first;
+  let second;
+
+  beforeAll(async () => {
+    await sequelize.sync({ force: true });
+    const user = await User.create({ firebase_uid: 'uid-1', email: 'ada@example.com', username: 'ada' });
+    first = await Portfolio.create({ user_id: user.id, title: 'Ada', slug: 'ada', status: 'published', is_public: true });
+    second = await Portfolio.create({ user_id: user.id, title: 'Ada 2', slug: 'ada-2', status: 'published', is_public: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('POST /public/portfolio/:id/contact', () => {
+    it('stores the message for the published portfolio', async () => {
+      const res = await request(app).post(`/api/preview/public/portfolio/${first.id}/contact`).send(message);
+
+      expect(res.status).toBe(201);
+      expect(await ContactMessage.count({ where: { portfolio_id: first.id } })).toBe(1);
+    });
+
+    it('limits messages per visitor and portfolio', async () => {
+      for (let i = 0; i < 4; i++) {
+        await request(app).post(`/api/preview/public/portfolio/${first.id}/contact`).send(message).expect(201);
+      }
+
+      const limited = await request(app).post(`/api/preview/public/portfolio/${first.id}/contact`).send(message);
+      const otherPortfolio = await request(app).post(`/api/preview/public/portfolio/${second.id}/contact`).send(message);
+
+      expect(limited.status).toBe(429);
+      expect(otherPortfolio.status).toBe(201);
+    });
+
+    it('returns 404 for portfolios that are not published', async () => {
+      await second.update({ status: 'draft' });
+
+      const res = await request(app).post(`/api/preview/public/portfolio/${second.id}/contact`).send(message);
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
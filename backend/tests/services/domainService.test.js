@@ -0,0 +1,149 @@
+const { sequelize } = require('../../utils/database');
+const { User, Portfolio, PortfolioDomain } = require('../../models');
+const domainService = require('../../services/domainService');
+
+const txtRecords = (records) => ({
+  resolveTxt: jest.fn(async (name) => {
+    if (!records[name]) {
+      const error = new Error(`queryTxt ENOTFOUND ${name}`);
+      error.code = 'ENOTFOUND';
+      throw error;
+    }
+    return records[name];
+  })
+});
+
+describe('domainService', () => {
+  let portfolio;
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+    domainService.clearCache();
+    const user = await User.create({ firebase_uid: 'uid-1', email: 'ada@example.com', username: 'ada' });
+    portfolio = await Portfolio.create({ user_id: user.id, title: 'Ada', slug: 'ada', status: 'published', is_public: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('checkHostname', () => {
+    it('accepts fully qualified domain names', () => {
+      expect(domainService.checkHostname('www.Example.com.')).toBeNull();
+    });
+
+    it('rejects malformed, app and reserved hostnames', () => {
+      expect(domainService.checkHostname('not a host')).toMatch(/fully qualified/);
+      expect(domainService.checkHostname('localhost')).toMatch(/fully qualified/);
+      expect(domainService.checkHostname(`ada.${domainService.cnameTarget}`)).toBe('This hostname is reserved');
+    });
+  });
+
+  describe('verifyDomain', () => {
+    it('verifies a domain whose TXT record carries its token', async () => {
+      const domain = await PortfolioDomain.create({ portfolio_id: portfolio.id, hostname: 'ada.dev' });
+      domainService.setResolver(txtRecords({
+        '_portfolio-builder.ada.dev': [['portfolio-builder-verification=', domain.verification_token]]
+      }));
+
+      const result = await domainService.verifyDomain(domain);
+
+      expect(result).toMatchObject({ success: true, verified: true });
+      expect((await domain.reload()).status).toBe('verified');
+    });
+
+    it('marks the domain failed when the record is missing', async () => {
+      const domain = await PortfolioDomain.create({ portfolio_id: portfolio.id, hostname: 'ada.dev' });
+      domainService.setResolver(txtRecords({}));
+
+      const result = await domainService.verifyDomain(domain);
+
+      expect(result).toMatchObject({ success: true, verified: false });
+      expect(domain.status).toBe('failed');
+      expect(domain.last_error).toMatch(/not found/);
+    });
+
+    it('reports resolver failures other than a missing record', async () => {
+      const domain = await PortfolioDomain.create({ portfolio_id: portfolio.id, hostname: 'ada.dev' });
+      const error = new Error('queryTxt ETIMEOUT');
+      error.code = 'ETIMEOUT';
+      domainService.setResolver({ resolveTxt: jest.fn().mockRejectedValue(error) });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await domainService.verifyDomain(domain);
+
+      expect(result).toEqual({ success: false, error: 'queryTxt ETIMEOUT' });
+      expect(domain.status).toBe('pending');
+      console.error.mockRestore();
+    });
+
+    it('moves a hostname away from the portfolio that verified it before', async () => {
+      const other = await Portfolio.create({ user_id: portfolio.user_id, title: 'Other', slug: 'other' });
+      const previous = await PortfolioDomain.create({ portfolio_id: other.id, hostname: 'ada.dev', status: 'verified' });
+      const domain = await PortfolioDomain.create({ portfolio_id: portfolio.id, hostname: 'ada.dev' });
+      domainService.setResolver(txtRecords({
+        '_portfolio-builder.ada.dev': [[`portfolio-builder-verification=${domain.verification_token}`]]
+      }));
+
+      await domainService.verifyDomain(domain);
+
+      expect((await previous.reload()).status).toBe('failed');
+      expect(await domainService.resolvePortfolioId('ada.dev')).toBe(portfolio.id);
+    });
+  });
+
+  describe('resolvePortfolioId', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('resolves verified hostnames and caches the lookup', async () => {
+      await PortfolioDomain.create({ portfolio_id: portfolio.id, hostname: 'ada.dev', status: 'verified' });
+      const lookup = jest.spyOn(PortfolioDomain, 'findVerifiedByHostname');
+
+      expect(await domainService.resolvePortfolioId('ADA.dev')).toBe(portfolio.id);
+      expect(await domainService.resolvePortfolioId('ada.dev')).toBe(portfolio.id);
+      expect(lookup).toHaveBeenCalledTimes(1);
+    });
+
+    it('ignores pending domains', async () => {
+      await PortfolioDomain.create({ portfolio_id: portfolio.id, hostname: 'ada.dev' });
+
+      expect(await domainService.resolvePortfolioId('ada.dev')).toBeNull();
+    });
+
+    it('looks a host up again once its entry has expired', async () => {
+      const lookup = jest.spyOn(PortfolioDomain, 'findVerifiedByHostname');
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+      await domainService.resolvePortfolioId('ada.dev');
+
+      now.mockReturnValue(1000 + domainService.cacheTTL + 1);
+      await domainService.resolvePortfolioId('ada.dev');
+
+      expect(lookup).toHaveBeenCalledTimes(2);
+      expect(domainService.hostCache.size).toBe(1);
+    });
+
+    it('neither looks up nor caches hosts that are not valid hostnames', async () => {
+      const lookup = jest.spyOn(PortfolioDomain, 'findVerifiedByHostname');
+
+      expect(await domainService.resolvePortfolioId('bogus_host')).toBeNull();
+      expect(await domainService.resolvePortfolioId('')).toBeNull();
+      expect(lookup).not.toHaveBeenCalled();
+      expect(domainService.hostCache.size).toBe(0);
+    });
+
+    it('evicts the least recently used host when the cache is full', async () => {
+      const maxCacheEntries = domainService.maxCacheEntries;
+      domainService.maxCacheEntries = 2;
+
+      await domainService.resolvePortfolioId('a.dev');
+      await domainService.resolvePortfolioId('b.dev');
+      await domainService.resolvePortfolioId('a.dev');
+      await domainService.resolvePortfolioId('c.dev');
+
+      expect([...domainService.hostCache.keys()]).toEqual(['a.dev', 'c.dev']);
+      domainService.maxCacheEntries = maxCacheEntries;
+    });
+  });
+});
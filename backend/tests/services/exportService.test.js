@@ -0,0 +1,73 @@
+const axios = require('axios');
+const exportService = require('../../services/exportService');
+
+describe('exportService', () => {
+  describe('_isPublicAddress', () => {
+    it.each([
+      '8.8.8.8',
+      '93.184.216.34',
+      '172.32.0.1',
+      '192.0.1.1',
+      '198.20.0.1',
+      '223.255.255.255',
+      '2606:4700::1111'
+    ])('allows public address %s', (address) => {
+      expect(exportService._isPublicAddress(address)).toBe(true);
+    });
+
+    it.each([
+      ['10.0.0.1', 'private'],
+      ['127.0.0.1', 'loopback'],
+      ['0.0.0.0', 'this network'],
+      ['169.254.169.254', 'link-local (cloud metadata)'],
+      ['172.16.0.1', 'private'],
+      ['192.168.1.1', 'private'],
+      ['100.64.0.1', 'carrier-grade NAT'],
+      ['192.0.0.8', 'IETF protocol assignments'],
+      ['198.18.0.1', 'benchmarking'],
+      ['198.19.255.255', 'benchmarking'],
+      ['224.0.0.1', 'multicast'],
+      ['239.255.255.250', 'multicast'],
+      ['240.0.0.1', 'reserved'],
+      ['255.255.255.255', 'broadcast'],
+      ['::1', 'IPv6 loopback'],
+      ['fd00::1', 'IPv6 unique local'],
+      ['fe80::1', 'IPv6 link-local'],
+      ['ff02::1', 'IPv6 multicast'],
+      ['::ffff:127.0.0.1', 'IPv4-mapped']
+    ])('blocks %s (%s)', (address) => {
+      expect(exportService._isPublicAddress(address)).toBe(false);
+    });
+  });
+
+  describe('_download', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('refuses a redirect to a non-public address', async () => {
+      const get = jest.spyOn(axios, 'get').mockResolvedValue({
+        status: 302,
+        headers: { location: 'http://169.254.169.254/latest/meta-data' }
+      });
+
+      await expect(exportService._download('http://93.184.216.34/logo.png'))
+        .rejects.toThrow('Refusing to fetch from a private network address');
+      expect(get).toHaveBeenCalledTimes(1);
+    });
+
+    it('connects to the address that was checked', async () => {
+      const get = jest.spyOn(axios, 'get').mockResolvedValue({
+        status: 200,
+        headers: { 'content-type': 'image/png; charset=binary' },
+        data: new Uint8Array([1, 2, 3])
+      });
+      jest.spyOn(exportService, '_resolveHost').mockResolvedValue({ address: '93.184.216.34', family: 4 });
+
+      const asset = await exportService._download('https://cdn.example.com/logo.png');
+
+      expect(asset).toEqual({ data: Buffer.from([1, 2, 3]), contentType: 'image/png' });
+      expect(await get.mock.calls[0][1].lookup()).toEqual(['93.184.216.34', 4]);
+    });
+  });
+});
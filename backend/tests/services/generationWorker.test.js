@@ -0,0 +1,187 @@
+const { sequelize } = require('../../utils/database');
+const { User, Portfolio, PortfolioIteration, GenerationJob } = require('../../models');
+const generationWorker = require('../../services/generationWorker');
+const portfolioGenerator = require('../../services/portfolioGenerator');
+
+const waitFor = async (check) => {
+  for (let i = 0; i < 200; i++) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error('Timed out waiting');
+};
+
+const promptInput = { sources: [{ type: 'prompt', data: { description: 'Go developer' } }], preferences: {} };
+
+describe('generationWorker', () => {
+  let user;
+  // One entry per generatePortfolio call: { userId, sources, hooks, finish(result) }
+  let runs;
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+    generationWorker.stop();
+    generationWorker.active.clear();
+    generationWorker.credentials.clear();
+    generationWorker.concurrency = 2;
+    user = await User.create({ firebase_uid: 'uid-1', email: 'ada@example.com', username: 'ada' });
+
+    runs = [];
+    jest.spyOn(portfolioGenerator, 'generatePortfolio').mockImplementation((userId, sources, preferences, hooks) => {
+      return new Promise(resolve => runs.push({ userId, sources, hooks, finish: resolve }));
+    });
+  });
+
+  afterEach(async () => {
+    // Let any job still running settle before the next test resets the database
+    runs.forEach(run => run.finish({ success: false, error: 'Test finished' }));
+    await waitFor(() => generationWorker.active.size === 0);
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  const succeed = async (run) => {
+    const portfolio = await Portfolio.create({ user_id: user.id, title: 'Ada', slug: `ada-${runs.indexOf(run)}` });
+    run.finish({ success: true, portfolio, metadata: { tokens_used: 100 }, validation: null });
+    return portfolio;
+  };
+
+  describe('enqueue', () => {
+    it('never stores access tokens but hands them to the generator', async () => {
+      const result = await generationWorker.enqueue(user.id, {
+        sources: [{ type: 'github', data: { username: 'ada', access_token: 'ghp_secret' } }],
+        preferences: {}
+      });
+
+      const stored = await GenerationJob.findByPk(result.job.id);
+      expect(stored.input.sources).toEqual([{ type: 'github', data: { username: 'ada' } }]);
+      expect(JSON.stringify(stored.get({ raw: true }))).not.toContain('ghp_secret');
+
+      await generationWorker.start();
+      await waitFor(() => runs.length === 1);
+
+      expect(runs[0].sources).toEqual([{ type: 'github', data: { username: 'ada', access_token: 'ghp_secret' } }]);
+      await succeed(runs[0]);
+      await waitFor(() => generationWorker.active.size === 0);
+      expect(generationWorker.credentials.size).toBe(0);
+    });
+
+    it('refuses jobs beyond the per-user limit', async () => {
+      for (let i = 0; i < generationWorker.maxActiveJobsPerUser; i++) {
+        expect((await generationWorker.enqueue(user.id, promptInput)).success).toBe(true);
+      }
+
+      const result = await generationWorker.enqueue(user.id, promptInput);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/already have 3 generation jobs/);
+    });
+  });
+
+  describe('running jobs', () => {
+    it('runs at most `concurrency` jobs at once and picks up the next when one finishes', async () => {
+      const jobs = [];
+      for (let i = 0; i < 3; i++) {
+        jobs.push((await generationWorker.enqueue(user.id, promptInput)).job);
+      }
+
+      await generationWorker.start();
+      await waitFor(() => runs.length === 2);
+      expect(generationWorker.active.size).toBe(2);
+      expect((await GenerationJob.findByPk(jobs[2].id)).status).toBe('queued');
+
+      const portfolio = await succeed(runs[0]);
+      await waitFor(() => runs.length === 3);
+
+      const completed = await GenerationJob.findByPk(jobs[0].id);
+      expect(completed.status).toBe('completed');
+      expect(completed.portfolio_id).toBe(portfolio.id);
+      expect(completed.input).toEqual({});
+    });
+
+    it('records progress and tells watchers when the job finishes', async () => {
+      const { job } = await generationWorker.enqueue(user.id, promptInput);
+      const events = [];
+      const unwatch = generationWorker.watch(job.id, (event, data) => events.push(event === 'finished' ? [event, data.status] : [event, data]));
+
+      await generationWorker.start();
+      await waitFor(() => runs.length === 1);
+      await runs[0].hooks.onProgress({ stage: 'generating', percent: 65 });
+      runs[0].finish({ success: false, error: 'AI generation failed' });
+      await waitFor(() => events.length === 2);
+      unwatch();
+
+      expect(events).toEqual([
+        ['progress', { stage: 'generating', percent: 65 }],
+        ['finished', 'failed']
+      ]);
+      const failed = await GenerationJob.findByPk(job.id);
+      expect(failed.error_message).toBe('AI generation failed');
+      expect(failed.progress.percent).toBe(65);
+    });
+  });
+
+  describe('cancel', () => {
+    it('cancels a queued job straight away', async () => {
+      const { job } = await generationWorker.enqueue(user.id, promptInput);
+
+      const result = await generationWorker.cancel(job);
+
+      expect(result.success).toBe(true);
+      expect((await GenerationJob.findByPk(job.id)).status).toBe('cancelled');
+    });
+
+    it('asks a running job to stop at its next step', async () => {
+      const { job } = await generationWorker.enqueue(user.id, promptInput);
+      await generationWorker.start();
+      await waitFor(() => runs.length === 1);
+
+      await generationWorker.cancel(await GenerationJob.findByPk(job.id));
+      expect(runs[0].hooks.isCancelled()).toBe(true);
+
+      runs[0].finish({ success: false, cancelled: true, error: 'Generation cancelled' });
+      await waitFor(() => generationWorker.active.size === 0);
+      expect((await GenerationJob.findByPk(job.id)).status).toBe('cancelled');
+    });
+
+    it('refuses finished jobs', async () => {
+      const job = await GenerationJob.create({ user_id: user.id, status: 'completed' });
+
+      expect(await generationWorker.cancel(job)).toEqual({ success: false, error: 'Job is already completed' });
+    });
+  });
+
+  describe('recover', () => {
+    it('re-queues, cancels or fails jobs interrupted mid-run', async () => {
+      const retried = await GenerationJob.create({ user_id: user.id, status: 'running', attempts: 1 });
+      const exhausted = await GenerationJob.create({ user_id: user.id, status: 'running', attempts: 2 });
+      const cancelled = await GenerationJob.create({ user_id: user.id, status: 'running', attempts: 1, cancel_requested: true });
+      const queued = await GenerationJob.create({ user_id: user.id, status: 'queued' });
+
+      await generationWorker.recover();
+
+      expect((await retried.reload()).status).toBe('queued');
+      expect((await exhausted.reload()).status).toBe('failed');
+      expect(exhausted.error_message).toBe('Interrupted by server restart');
+      expect((await cancelled.reload()).status).toBe('cancelled');
+      expect((await queued.reload()).status).toBe('queued');
+    });
+
+    it('fails pending iterations only on the interrupted jobs\' portfolios', async () => {
+      const interrupted = await Portfolio.create({ user_id: user.id, title: 'Ada', slug: 'ada' });
+      const other = await Portfolio.create({ user_id: user.id, title: 'Other', slug: 'other' });
+      await GenerationJob.create({ user_id: user.id, status: 'running', attempts: 2, portfolio_id: interrupted.id });
+      const stale = await PortfolioIteration.create({ portfolio_id: interrupted.id, prompt: 'Enhance', status: 'pending' });
+      const inFlight = await PortfolioIteration.create({ portfolio_id: other.id, prompt: 'Enhance', status: 'pending' });
+
+      await generationWorker.recover();
+
+      expect((await stale.reload()).status).toBe('failed');
+      expect((await inFlight.reload()).status).toBe('pending');
+    });
+  });
+});
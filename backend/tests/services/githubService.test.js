@@ -0,0 +1,173 @@
+const axios = require('axios');
+const { sequelize } = require('../../utils/database');
+const { GitHubCache } = require('../../models');
+const githubService = require('../../services/githubService');
+
+const repository = (name, pushedAt) => ({
+  id: name.length + pushedAt.getTime(),
+  name,
+  full_name: `ada/${name}`,
+  owner: { login: 'ada' },
+  fork: false,
+  stargazers_count: 1,
+  forks_count: 0,
+  pushed_at: pushedAt.toISOString()
+});
+
+// Stand-in for the GitHub REST API behind githubService.api.get. `routes` maps a path to a
+// response ({ status, data, headers }) or a function of the request config returning one;
+// after `budget` requests the rate limit is exhausted.
+const fakeGitHub = (routes, { budget = Infinity } = {}) => {
+  const resetAt = Math.floor(Date.now() / 1000) + 3600;
+  let remaining = budget;
+
+  return jest.spyOn(githubService.api, 'get').mockImplementation(async (url, config = {}) => {
+    let response;
+    if (remaining <= 0) {
+      response = { status: 403, data: { message: 'API rate limit exceeded' }, headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(resetAt) } };
+    } else {
+      remaining--;
+      const route = routes[url] || { status: 404, data: { message: 'Not Found' } };
+      response = typeof route === 'function' ? route(config) : route;
+      response = { headers: {}, ...response };
+      response.headers = { ...response.headers, 'x-ratelimit-remaining': String(remaining), 'x-ratelimit-reset': String(resetAt) };
+    }
+
+    if (!config.validateStatus(response.status)) {
+      const error = new Error(`Request failed with status code ${response.status}`);
+      error.response = response;
+      throw error;
+    }
+    return response;
+  });
+};
+
+describe('githubService', () => {
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+    githubService.rateLimitResets.clear();
+    delete githubService.api.defaults.headers.Authorization;
+    // GraphQL (pinned repositories, contributions) is out of scope here
+    jest.spyOn(axios, 'post').mockRejectedValue(new Error('GraphQL unavailable'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('_get', () => {
+    const token = { headers: { Authorization: 'token ghp_test' } };
+
+    it('revalidates cached responses with their ETag and answers a 304 from the cache', async () => {
+      const get = fakeGitHub({
+        '/users/ada': (config) => config.headers['If-None-Match'] === '"v1"'
+          ? { status: 304, data: '' }
+          : { status: 200, data: { login: 'ada' }, headers: { etag: '"v1"' } }
+      });
+
+      await githubService._get('/users/ada', token);
+      const response = await githubService._get('/users/ada', token);
+
+      expect(get).toHaveBeenCalledTimes(2);
+      expect(get.mock.calls[1][1].headers['If-None-Match']).toBe('"v1"');
+      expect(response.status).toBe(304);
+      expect(response.data).toEqual({ login: 'ada' });
+    });
+
+    it('keeps cached responses apart per token', async () => {
+      const get = fakeGitHub({ '/users/ada': { status: 200, data: { login: 'ada' }, headers: { etag: '"v1"' } } });
+
+      await githubService._get('/users/ada', token);
+      await githubService._get('/users/ada', { headers: { Authorization: 'token ghp_other' } });
+
+      expect(get.mock.calls[1][1].headers['If-None-Match']).toBeUndefined();
+    });
+
+    it('reuses anonymous responses within the TTL without asking GitHub', async () => {
+      const get = fakeGitHub({ '/users/ada': { status: 200, data: { login: 'ada' }, headers: { etag: '"v1"' } } });
+
+      await githubService._get('/users/ada');
+      const cached = await githubService._get('/users/ada');
+
+      expect(get).toHaveBeenCalledTimes(1);
+      expect(cached.data).toEqual({ login: 'ada' });
+
+      await GitHubCache.update({ validated_at: new Date(Date.now() - githubService.anonymousCacheTTL - 1000) }, { where: {} });
+      await githubService._get('/users/ada');
+
+      expect(get).toHaveBeenCalledTimes(2);
+      expect(get.mock.calls[1][1].headers['If-None-Match']).toBe('"v1"');
+    });
+
+    it('stops sending requests once the rate limit is used up', async () => {
+      const get = fakeGitHub({ '/users/ada': { status: 200, data: { login: 'ada' } } }, { budget: 1 });
+
+      await githubService._get('/users/ada', token);
+      const error = await githubService._get('/users/grace', token).catch(error => error);
+
+      expect(get).toHaveBeenCalledTimes(1);
+      expect(error.code).toBe('RATE_LIMITED');
+      expect(error.retryAt).toEqual(githubService.getRateLimitReset('ghp_test'));
+    });
+  });
+
+  describe('getComprehensiveUserData', () => {
+    const repositories = Array.from({ length: 50 }, (_, i) => repository(`repo-${i}`, new Date(Date.UTC(2024, 0, i + 1))));
+    const routes = {
+      '/users/ada': { status: 200, data: { login: 'ada', public_repos: 50 } },
+      '/users/ada/repos': { status: 200, data: repositories },
+      '/users/ada/orgs': { status: 200, data: [] }
+    };
+    repositories.forEach(repo => {
+      routes[`/repos/ada/${repo.name}/languages`] = { status: 200, data: { Go: 100 } };
+    });
+
+    it('fetches languages of only the most recently pushed repositories without a token', async () => {
+      const get = fakeGitHub(routes);
+
+      const result = await githubService.getComprehensiveUserData('ada');
+
+      const languageCalls = get.mock.calls.map(([url]) => url).filter(url => url.endsWith('/languages'));
+      expect(languageCalls).toHaveLength(githubService.anonymousLanguageRepos);
+      expect(languageCalls).toContain('/repos/ada/repo-49/languages');
+      expect(languageCalls).not.toContain('/repos/ada/repo-0/languages');
+      expect(result.success).toBe(true);
+      expect(result.data.repositories).toHaveLength(50);
+      expect(result.data.languages).toEqual([{ name: 'Go', bytes: 4000 }]);
+    });
+
+    it('fetches every repository\'s languages with a token', async () => {
+      const get = fakeGitHub(routes);
+
+      await githubService.getComprehensiveUserData('ada', 'ghp_test');
+
+      expect(get.mock.calls.filter(([url]) => url.endsWith('/languages'))).toHaveLength(50);
+    });
+
+    it('keeps the languages fetched before the rate limit ran out', async () => {
+      // Profile, repositories, profile README and organizations, then 10 languages
+      fakeGitHub(routes, { budget: 14 });
+
+      const result = await githubService.getComprehensiveUserData('ada');
+
+      expect(result.success).toBe(true);
+      expect(result.data.stats).toMatchObject({ language_repos: 40, language_repos_fetched: 10 });
+      expect(result.data.languages).toEqual([{ name: 'Go', bytes: 1000 }]);
+    });
+
+    it('postpones the sync when the rate limit runs out before the repositories are in', async () => {
+      fakeGitHub(routes, { budget: 1 });
+
+      const result = await githubService.getComprehensiveUserData('ada');
+
+      expect(result).toMatchObject({ success: false, rateLimited: true });
+      expect(result.retryAt).toEqual(githubService.getRateLimitReset());
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const { sequelize } = require('../../utils/database');
+const { User, Integration } = require('../../models');
+const integrationScheduler = require('../../services/integrationScheduler');
+const integrationSyncService = require('../../services/integrationSyncService');
+
+const HOUR = 60 * 60 * 1000;
+
+const waitFor = async (check) => {
+  for (let i = 0; i < 200; i++) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error('Timed out waiting');
+};
+
+describe('integrationScheduler', () => {
+  // One entry per syncIntegration call: { integration, finish(result) }
+  let syncs;
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+    integrationScheduler.concurrency = { github: 2, leetcode: 1 };
+
+    syncs = [];
+    jest.spyOn(integrationSyncService, 'syncIntegration').mockImplementation(integration => {
+      return new Promise(resolve => syncs.push({ integration, finish: resolve }));
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    syncs.forEach(sync => sync.finish({ success: false, error: 'Test finished' }));
+    await waitFor(() => !integrationScheduler.runningPass);
+    integrationScheduler.stop();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  // Each user can connect a platform once
+  let userCount = 0;
+  const createIntegration = async (platform, attributes = {}) => {
+    userCount++;
+    const user = await User.create({
+      firebase_uid: `uid-${userCount}`, email: `user${userCount}@example.com`, username: `user${userCount}`
+    });
+    return Integration.create({ user_id: user.id, platform, platform_username: `user${userCount}`, ...attributes });
+  };
+
+  const running = (platform) => syncs.filter(sync => sync.integration.platform === platform && !sync.done);
+
+  const finish = (sync, result) => {
+    sync.done = true;
+    sync.finish(result);
+  };
+
+  describe('runOnce', () => {
+    it('keeps each platform within its own concurrency limit', async () => {
+      for (let i = 0; i < 3; i++) await createIntegration('github');
+      for (let i = 0; i < 2; i++) await createIntegration('leetcode');
+
+      const pass = integrationScheduler.runOnce();
+      await waitFor(() => syncs.length === 3);
+
+      expect(running('github')).toHaveLength(2);
+      expect(running('leetcode')).toHaveLength(1);
+
+      finish(running('leetcode')[0], { success: true, portfolios: [] });
+      await waitFor(() => syncs.length === 4);
+      expect(running('github')).toHaveLength(2);
+      expect(running('leetcode')).toHaveLength(1);
+
+      finish(running('github')[0], { success: true, portfolios: [] });
+      await waitFor(() => syncs.length === 5);
+      expect(running('github')).toHaveLength(2);
+
+      syncs.filter(sync => !sync.done).forEach(sync => finish(sync, { success: true, portfolios: [] }));
+      const summary = await pass;
+
+      expect(summary).toMatchObject({ checked: 5, synced: 5, failed: 0 });
+    });
+
+    it('does not start a second pass while one is running', async () => {
+      await createIntegration('github');
+
+      const first = integrationScheduler.runOnce();
+      const second = integrationScheduler.runOnce();
+      await waitFor(() => syncs.length === 1);
+
+      finish(syncs[0], { success: true, portfolios: [] });
+      expect(await second).toBe(await first);
+      expect(syncs).toHaveLength(1);
+      expect(integrationScheduler.runningPass).toBeNull();
+    });
+
+    it('skips integrations whose next sync is postponed', async () => {
+      const postponed = await createIntegration('github', { next_sync_at: new Date(Date.now() + HOUR) });
+      const due = await createIntegration('github', { next_sync_at: new Date(Date.now() - HOUR) });
+      await createIntegration('github', { last_synced_at: new Date() });
+      await createIntegration('linkedin');
+
+      const pass = integrationScheduler.runOnce();
+      await waitFor(() => syncs.length === 1);
+      finish(syncs[0], { success: true, portfolios: [] });
+      const summary = await pass;
+
+      expect(summary.checked).toBe(1);
+      expect(syncs[0].integration.id).toBe(due.id);
+      expect(syncs.map(sync => sync.integration.id)).not.toContain(postponed.id);
+    });
+
+    it('counts synced, postponed and failed integrations and refreshed portfolios', async () => {
+      for (let i = 0; i < 4; i++) await createIntegration('github');
+      integrationScheduler.concurrency.github = 4;
+
+      const pass = integrationScheduler.runOnce();
+      await waitFor(() => syncs.length === 4);
+      finish(syncs[0], { success: true, portfolios: [{ portfolio_id: 'p1', changed: true }, { portfolio_id: 'p2', changed: false }] });
+      finish(syncs[1], { success: false, rateLimited: true, retryAt: new Date(), error: 'Rate limited' });
+      finish(syncs[2], { success: false, inProgress: true, error: 'Already syncing' });
+      finish(syncs[3], { success: false, error: 'GitHub is down' });
+
+      expect(await pass).toEqual({ checked: 4, synced: 1, postponed: 1, failed: 1, portfolios_refreshed: 1 });
+    });
+  });
+
+  describe('start', () => {
+    it('re-arms postponed retries even when periodic syncing is disabled', async () => {
+      const resumeRetries = jest.spyOn(integrationSyncService, 'resumeRetries').mockResolvedValue(0);
+      integrationScheduler.enabled = false;
+
+      expect(await integrationScheduler.start()).toBe(false);
+      expect(resumeRetries).toHaveBeenCalled();
+      expect(integrationScheduler.timer).toBeNull();
+
+      integrationScheduler.enabled = true;
+      expect(await integrationScheduler.start()).toBe(true);
+      expect(integrationScheduler.timer).not.toBeNull();
+    });
+  });
+});
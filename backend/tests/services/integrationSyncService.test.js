@@ -0,0 +1,172 @@
+const { sequelize } = require('../../utils/database');
+const { User, Integration, Portfolio } = require('../../models');
+const integrationSyncService = require('../../services/integrationSyncService');
+const githubService = require('../../services/githubService');
+const portfolioGenerator = require('../../services/portfolioGenerator');
+
+const HOUR = 60 * 60 * 1000;
+
+const waitFor = async (check) => {
+  for (let i = 0; i < 200; i++) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error('Timed out waiting');
+};
+
+const githubData = { profile: { login: 'ada' }, repositories: [] };
+
+describe('integrationSyncService', () => {
+  let user;
+  let integration;
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+    user = await User.create({ firebase_uid: 'uid-1', email: 'ada@example.com', username: 'ada' });
+    integration = await Integration.create({ user_id: user.id, platform: 'github', platform_username: 'ada' });
+
+    jest.spyOn(portfolioGenerator, 'refreshGitHubProjects').mockResolvedValue({ success: true, changed: true });
+  });
+
+  afterEach(() => {
+    integrationSyncService.cancelRetries();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('syncIntegration', () => {
+    it('stores the fetched data and clears any backoff', async () => {
+      jest.spyOn(githubService, 'getComprehensiveUserData').mockResolvedValue({ success: true, data: githubData });
+      await integration.update({ sync_failures: 2, next_sync_at: new Date(Date.now() - HOUR) });
+
+      const result = await integrationSyncService.syncIntegration(integration);
+
+      expect(result.success).toBe(true);
+      await integration.reload();
+      expect(integration.sync_status).toBe('success');
+      expect(integration.profile_data.profile).toEqual({ login: 'ada' });
+      expect(integration.sync_failures).toBe(0);
+      expect(integration.next_sync_at).toBeNull();
+    });
+
+    it('reports a sync already running for the same integration as in progress', async () => {
+      let finishFetch;
+      jest.spyOn(githubService, 'getComprehensiveUserData').mockImplementation(() => {
+        return new Promise(resolve => { finishFetch = resolve; });
+      });
+
+      const first = integrationSyncService.syncIntegration(integration);
+      await waitFor(() => finishFetch);
+      const second = await integrationSyncService.syncIntegration(integration);
+
+      expect(second).toMatchObject({ success: false, inProgress: true });
+      expect(githubService.getComprehensiveUserData).toHaveBeenCalledTimes(1);
+
+      finishFetch({ success: true, data: githubData });
+      expect((await first).success).toBe(true);
+      expect(integrationSyncService.syncing.size).toBe(0);
+    });
+
+    it('postpones a rate-limited sync until the limit resets', async () => {
+      const retryAt = new Date(Date.now() + HOUR);
+      jest.spyOn(githubService, 'getComprehensiveUserData').mockResolvedValue({
+        success: false, rateLimited: true, retryAt, error: 'Rate limited'
+      });
+
+      const result = await integrationSyncService.syncIntegration(integration);
+
+      expect(result).toMatchObject({ success: false, rateLimited: true, retryAt });
+      await integration.reload();
+      expect(integration.sync_status).toBe('pending');
+      expect(integration.next_sync_at.getTime()).toBe(retryAt.getTime());
+      expect(integrationSyncService.retryTimers.has(integration.id)).toBe(true);
+    });
+
+    it('refuses platforms without an API', async () => {
+      const linkedin = Integration.build({ user_id: user.id, platform: 'linkedin' });
+
+      const result = await integrationSyncService.syncIntegration(linkedin);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toMatch(/linkedin/);
+    });
+  });
+
+  describe('linked portfolio refresh', () => {
+    it('refreshes auto-synced portfolios but leaves tailored variants and opted-out portfolios alone', async () => {
+      jest.spyOn(githubService, 'getComprehensiveUserData').mockResolvedValue({ success: true, data: githubData });
+      const main = await Portfolio.create({ user_id: user.id, title: 'Main', slug: 'main', auto_sync_projects: true });
+      await Portfolio.create({
+        user_id: user.id, title: 'Tailored', slug: 'tailored', auto_sync_projects: true, parent_portfolio_id: main.id
+      });
+      await Portfolio.create({ user_id: user.id, title: 'Manual', slug: 'manual' });
+      await Portfolio.create({ user_id: user.id, title: 'Old', slug: 'old', auto_sync_projects: true, status: 'archived' });
+
+      const result = await integrationSyncService.syncIntegration(integration);
+
+      expect(result.portfolios).toEqual([{ portfolio_id: main.id, success: true, changed: true }]);
+      expect(portfolioGenerator.refreshGitHubProjects).toHaveBeenCalledTimes(1);
+      expect(portfolioGenerator.refreshGitHubProjects.mock.calls[0][0].id).toBe(main.id);
+    });
+
+    it('does not fail the sync when a refresh throws', async () => {
+      jest.spyOn(githubService, 'getComprehensiveUserData').mockResolvedValue({ success: true, data: githubData });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      portfolioGenerator.refreshGitHubProjects.mockRejectedValue(new Error('Broken content'));
+      await Portfolio.create({ user_id: user.id, title: 'Main', slug: 'main', auto_sync_projects: true });
+
+      const result = await integrationSyncService.syncIntegration(integration);
+
+      expect(result.success).toBe(true);
+      expect(result.portfolios).toEqual([]);
+    });
+  });
+
+  describe('resumeRetries', () => {
+    it('re-arms retries for active integrations postponed by a previous process', async () => {
+      const retryAt = new Date(Date.now() + HOUR);
+      await integration.update({ sync_status: 'pending', next_sync_at: retryAt });
+      const backedOff = await Integration.create({
+        user_id: user.id, platform: 'leetcode', sync_status: 'error', next_sync_at: retryAt
+      });
+      const other = await User.create({ firebase_uid: 'uid-2', email: 'grace@example.com', username: 'grace' });
+      const disconnected = await Integration.create({
+        user_id: other.id, platform: 'leetcode',
+        sync_status: 'pending', next_sync_at: retryAt, is_active: false
+      });
+      const scheduleRetry = jest.spyOn(integrationSyncService, 'scheduleRetry');
+
+      expect(await integrationSyncService.resumeRetries()).toBe(1);
+
+      expect(scheduleRetry).toHaveBeenCalledTimes(1);
+      expect(scheduleRetry.mock.calls[0][0]).toBe(integration.id);
+      expect(new Date(scheduleRetry.mock.calls[0][1]).getTime()).toBe(retryAt.getTime());
+      expect(integrationSyncService.retryTimers.has(backedOff.id)).toBe(false);
+      expect(integrationSyncService.retryTimers.has(disconnected.id)).toBe(false);
+    });
+
+    it('runs the retry when it is due unless the integration was synced in the meantime', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const sync = jest.spyOn(integrationSyncService, 'syncIntegration').mockResolvedValue({ success: true });
+      const synced = await Integration.create({ user_id: user.id, platform: 'leetcode', platform_username: 'ada' });
+      await integration.update({ sync_status: 'pending', next_sync_at: new Date(Date.now() - HOUR) });
+      await synced.update({ sync_status: 'pending', next_sync_at: new Date(Date.now() - HOUR) });
+      integrationSyncService.retryDelayMs = 0;
+
+      try {
+        await integrationSyncService.resumeRetries();
+        await synced.update({ next_sync_at: null });
+        await waitFor(() => integrationSyncService.retryTimers.size === 0 && sync.mock.calls.length > 0);
+      } finally {
+        integrationSyncService.retryDelayMs = 5000;
+      }
+
+      expect(sync).toHaveBeenCalledTimes(1);
+      expect(sync.mock.calls[0][0].id).toBe(integration.id);
+    });
+  });
+});
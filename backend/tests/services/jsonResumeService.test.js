@@ -0,0 +1,143 @@
+const jsonResumeService = require('../../services/jsonResumeService');
+
+const resume = {
+  basics: {
+    name: 'Richard Hendricks',
+    label: 'Programmer',
+    email: 'richard@piedpiper.com',
+    phone: '(912) 555-4321',
+    summary: 'Richard hails from Tulsa. He has earned degrees from the University of Oklahoma and Stanford.',
+    location: { city: 'San Francisco', region: 'California', countryCode: 'US' },
+    profiles: [
+      { network: 'GitHub', username: 'richard', url: 'https://github.com/richard' },
+      { network: 'SoundCloud', username: 'dandymusicnl', url: 'https://soundcloud.example/dandymusicnl' }
+    ]
+  },
+  work: [{
+    name: 'Pied Piper',
+    position: 'CEO/President',
+    startDate: '2013-12',
+    summary: 'Pied Piper is a multi-platform technology company.',
+    highlights: ['Build an algorithm for artist to detect if their music was violating copy right infringement laws']
+  }],
+  education: [{
+    institution: 'University of Oklahoma',
+    studyType: 'Bachelor',
+    area: 'Information Technology',
+    startDate: '2011-06',
+    endDate: '2014-01',
+    score: '4.0'
+  }],
+  skills: [{ name: 'Web Development', keywords: ['HTML', 'CSS', 'HTML'] }],
+  interests: [{ name: 'Wildlife' }],
+  projects: [{ name: 'Miss Direction', description: 'A mapping engine that misguides you', url: 'https://github.com/richard/miss-direction', keywords: ['GoogleMaps'] }],
+  awards: [{ title: 'Digital Compression Pioneer Award' }]
+};
+
+describe('jsonResumeService', () => {
+  describe('isJSONResume', () => {
+    it('recognises documents with basics or a resume section', () => {
+      expect(jsonResumeService.isJSONResume(resume)).toBe(true);
+      expect(jsonResumeService.isJSONResume({ work: [] })).toBe(true);
+    });
+
+    it('rejects anything else', () => {
+      expect(jsonResumeService.isJSONResume(null)).toBe(false);
+      expect(jsonResumeService.isJSONResume('resume text')).toBe(false);
+      expect(jsonResumeService.isJSONResume([resume])).toBe(false);
+      expect(jsonResumeService.isJSONResume({ name: 'Richard' })).toBe(false);
+    });
+  });
+
+  describe('toPortfolioContent', () => {
+    const { content, report } = jsonResumeService.toPortfolioContent(resume);
+
+    it('maps basics onto hero, about and contact', () => {
+      expect(content.hero).toMatchObject({
+        name: 'Richard Hendricks',
+        title: 'Programmer',
+        bio: 'Richard hails from Tulsa.',
+        social_links: { github: 'https://github.com/richard' }
+      });
+      expect(content.about.skills).toEqual(['Web Development', 'HTML', 'CSS']);
+      expect(content.contact.location).toBe('San Francisco, California, US');
+    });
+
+    it('formats periods and turns highlights into bullet lines', () => {
+      expect(content.experience[0].period).toBe('Dec 2013 - Present');
+      expect(content.experience[0].description).toBe(
+        'Pied Piper is a multi-platform technology company.\n- Build an algorithm for artist to detect if their music was violating copy right infringement laws'
+      );
+      expect(content.education[0]).toMatchObject({
+        degree: 'Bachelor in Information Technology',
+        period: 'Jun 2011 - Jan 2014',
+        gpa: '4.0'
+      });
+    });
+
+    it('treats repository URLs as GitHub links', () => {
+      expect(content.projects[0]).toMatchObject({
+        github_url: 'https://github.com/richard/miss-direction',
+        live_url: ''
+      });
+    });
+
+    it('reports what it could not map', () => {
+      expect(report.unmapped).toEqual(expect.arrayContaining(['basics.profiles (SoundCloud)', 'awards']));
+    });
+  });
+
+  describe('fromPortfolioContent', () => {
+    it('round-trips the fields both formats share', () => {
+      const { content } = jsonResumeService.toPortfolioContent(resume);
+      const { resume: exported } = jsonResumeService.fromPortfolioContent(content);
+
+      expect(exported.basics).toMatchObject({
+        name: resume.basics.name,
+        label: resume.basics.label,
+        email: resume.basics.email,
+        phone: resume.basics.phone,
+        summary: resume.basics.summary,
+        profiles: [{ network: 'GitHub', username: 'richard', url: 'https://github.com/richard' }]
+      });
+      expect(exported.work).toEqual([{
+        name: 'Pied Piper',
+        position: 'CEO/President',
+        startDate: '2013-12',
+        summary: resume.work[0].summary,
+        highlights: resume.work[0].highlights
+      }]);
+      expect(exported.education[0]).toEqual({
+        institution: 'University of Oklahoma',
+        studyType: 'Bachelor',
+        area: 'Information Technology',
+        startDate: '2011-06',
+        endDate: '2014-01',
+        score: '4.0'
+      });
+      expect(exported.projects[0]).toMatchObject({
+        name: 'Miss Direction',
+        url: 'https://github.com/richard/miss-direction',
+        keywords: ['GoogleMaps']
+      });
+    });
+
+    it('reports periods it cannot read instead of guessing', () => {
+      const { resume: exported, report } = jsonResumeService.fromPortfolioContent({
+        experience: [{ title: 'Engineer', company: 'Hooli', period: 'Summer of 2019' }]
+      });
+
+      expect(exported.work[0].startDate).toBeUndefined();
+      expect(report.unmapped).toContain('experience[0].period');
+    });
+
+    it('reports sections and links with no JSON Resume equivalent', () => {
+      const { report } = jsonResumeService.fromPortfolioContent({
+        hero: { name: 'Richard', social_links: { dribbble: 'https://dribbble.com/richard' } },
+        leetcode: { solved: 10 }
+      });
+
+      expect(report.unmapped).toEqual(expect.arrayContaining(['social_links.dribbble', 'leetcode']));
+    });
+  });
+});
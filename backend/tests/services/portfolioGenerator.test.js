@@ -0,0 +1,68 @@
+const { sequelize } = require('../../utils/database');
+const { User, Portfolio, PortfolioIteration } = require('../../models');
+const portfolioGenerator = require('../../services/portfolioGenerator');
+const aiService = require('../../services/aiService');
+
+describe('portfolioGenerator', () => {
+  let portfolio;
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+    const user = await User.create({ firebase_uid: 'uid-1', email: 'ada@example.com', username: 'ada' });
+    portfolio = await Portfolio.create({ user_id: user.id, title: 'Ada', slug: 'ada', content: { about: { bio: 'Old bio' } } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  describe('enhancePortfolio', () => {
+    const enhancedSection = () => jest.spyOn(aiService, 'enhanceSection').mockResolvedValue({
+      success: true,
+      content: { about: { bio: 'New bio' } },
+      tokensUsed: 150
+    });
+
+    it('saves the enhanced section and completes the iteration', async () => {
+      enhancedSection();
+
+      const result = await portfolioGenerator.enhancePortfolio(portfolio.id, 'Shorter bio please', 'about');
+
+      expect(result.success).toBe(true);
+      expect((await portfolio.reload()).content.about).toEqual({ bio: 'New bio' });
+      expect((await PortfolioIteration.findOne()).status).toBe('completed');
+    });
+
+    it('stops without saving once cancelled', async () => {
+      const enhance = enhancedSection();
+      let cancelled = false;
+      enhance.mockImplementation(async () => {
+        cancelled = true;
+        return { success: true, content: { about: { bio: 'New bio' } }, tokensUsed: 150 };
+      });
+
+      const result = await portfolioGenerator.enhancePortfolio(portfolio.id, 'Shorter bio please', 'about', {
+        isCancelled: () => cancelled
+      });
+
+      expect(result).toEqual({ success: false, cancelled: true, error: 'Generation cancelled' });
+      expect((await portfolio.reload()).content.about).toEqual({ bio: 'Old bio' });
+      expect((await PortfolioIteration.findOne()).status).toBe('failed');
+    });
+
+    it('does not call the AI when cancelled before it starts', async () => {
+      const enhance = enhancedSection();
+
+      const result = await portfolioGenerator.enhancePortfolio(portfolio.id, 'Shorter bio please', 'about', {
+        isCancelled: () => true
+      });
+
+      expect(result.cancelled).toBe(true);
+      expect(enhance).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const repositoryCurationService = require('../../services/repositoryCurationService');
+
+const knownKeys = ['101', '102', '103'];
+
+describe('repositoryCurationService', () => {
+  describe('applyUpdate', () => {
+    it('merges inclusion and overrides into the stored curation', () => {
+      const curation = { order: ['102'], repositories: { '101': { included: false } } };
+
+      const result = repositoryCurationService.applyUpdate(curation, {
+        order: ['103', 101],
+        repositories: [
+          { key: 102, included: true, title: 'Shop', description: 'Storefront' },
+          { key: '103', live_url: 'https://example.com' }
+        ]
+      }, knownKeys);
+
+      expect(result).toEqual({
+        success: true,
+        curation: {
+          order: ['103', '101'],
+          repositories: {
+            '101': { included: false },
+            '102': { included: true, title: 'Shop', description: 'Storefront' },
+            '103': { live_url: 'https://example.com' }
+          },
+          organizations: []
+        }
+      });
+    });
+
+    it('clears fields set to null or an empty string and drops empty settings', () => {
+      const curation = { repositories: { '101': { included: true, title: 'Old' }, '102': { description: 'x' } } };
+
+      const result = repositoryCurationService.applyUpdate(curation, {
+        repositories: [
+          { key: '101', title: null },
+          { key: '102', description: '' }
+        ]
+      }, knownKeys);
+
+      expect(result.curation.repositories).toEqual({ '101': { included: true } });
+    });
+
+    it('ignores fields that are not part of curation', () => {
+      const result = repositoryCurationService.applyUpdate({}, {
+        repositories: [{ key: '101', stargazers_count: 1000, title: 'Shop' }]
+      }, knownKeys);
+
+      expect(result.curation.repositories).toEqual({ '101': { title: 'Shop' } });
+    });
+
+    it('deduplicates the order', () => {
+      const result = repositoryCurationService.applyUpdate({}, { order: ['101', '102', '101'] }, knownKeys);
+      expect(result.curation.order).toEqual(['101', '102']);
+    });
+
+    it('rejects unknown repositories without changing anything', () => {
+      const curation = { order: ['101'] };
+
+      const result = repositoryCurationService.applyUpdate(curation, {
+        order: ['999', '101'],
+        repositories: [{ key: '998', included: true }]
+      }, knownKeys);
+
+      expect(result).toEqual({ success: false, error: 'Unknown repositories or organizations: 999, 998' });
+      expect(curation).toEqual({ order: ['101'] });
+    });
+
+    it('opts in to organizations by login, whatever the case', () => {
+      const result = repositoryCurationService.applyUpdate({ organizations: ['acme'] }, {
+        organizations: ['ACME', 'Initech', 'initech']
+      }, knownKeys, ['acme', 'Initech']);
+
+      expect(result.curation.organizations).toEqual(['acme', 'Initech']);
+    });
+
+    it('rejects organizations the user is not a member of', () => {
+      const result = repositoryCurationService.applyUpdate({}, { organizations: ['hooli'] }, knownKeys, ['acme']);
+      expect(result).toEqual({ success: false, error: 'Unknown repositories or organizations: hooli' });
+    });
+  });
+
+  describe('prune', () => {
+    const curation = {
+      order: ['101', '104'],
+      repositories: { '101': { included: true }, '104': { title: 'Deleted' } },
+      organizations: []
+    };
+
+    it('forgets repositories that no longer exist', () => {
+      const pruned = repositoryCurationService.prune(curation, {
+        repositories: [{ id: 101 }, { id: 102 }],
+        pinned_repositories: [{ database_id: 103 }]
+      });
+
+      expect(pruned.order).toEqual(['101']);
+      expect(pruned.repositories).toEqual({ '101': { included: true } });
+    });
+
+    it('keeps the curation when the fetch came back empty', () => {
+      expect(repositoryCurationService.prune(curation, {})).toBe(curation);
+      expect(repositoryCurationService.prune(curation, { repositories: [] })).toBe(curation);
+    });
+
+    it('drops organizations the user has left', () => {
+      const pruned = repositoryCurationService.prune({ ...curation, organizations: ['acme', 'Initech'] }, {
+        repositories: [{ id: 101 }],
+        organizations: [{ login: 'initech' }]
+      });
+
+      expect(pruned.organizations).toEqual(['Initech']);
+    });
+
+    it('keeps organizations when they could not be fetched', () => {
+      const pruned = repositoryCurationService.prune({ ...curation, organizations: ['acme'] }, {
+        repositories: [{ id: 101 }],
+        organizations: null
+      });
+
+      expect(pruned.organizations).toEqual(['acme']);
+    });
+
+    it('keeps repository choices when only organizations came back', () => {
+      const pruned = repositoryCurationService.prune({ ...curation, organizations: ['acme'] }, {
+        repositories: [],
+        organizations: []
+      });
+
+      expect(pruned.repositories).toBe(curation.repositories);
+      expect(pruned.organizations).toEqual([]);
+    });
+  });
+});
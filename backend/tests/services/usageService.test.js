@@ -0,0 +1,99 @@
+const { sequelize } = require('../../utils/database');
+const { User, GenerationJob, AIUsage } = require('../../models');
+const usageService = require('../../services/usageService');
+
+describe('usageService', () => {
+  let user;
+
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+    usageService.reservations.clear();
+    user = await User.create({ firebase_uid: 'uid-1', email: 'ada@example.com', username: 'ada' });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  const record = (tokensUsed) => usageService.recordUsage({ userId: user.id, task: 'portfolio_generation', tokensUsed });
+
+  describe('getQuota', () => {
+    it('subtracts recorded usage from the tier budget', async () => {
+      await record(1200);
+      await record(300);
+
+      const quota = await usageService.getQuota(user);
+
+      expect(quota).toMatchObject({ tier: 'free', limit: 50000, used: 1500, reserved: 0, remaining: 48500 });
+    });
+
+    it('holds back tokens for queued and running generation jobs only', async () => {
+      await GenerationJob.create({ user_id: user.id, status: 'queued' });
+      await GenerationJob.create({ user_id: user.id, status: 'running' });
+      await GenerationJob.create({ user_id: user.id, status: 'completed' });
+
+      const quota = await usageService.getQuota(user);
+
+      expect(quota.reserved).toBe(2 * usageService.generationJobTokens);
+      expect(quota.remaining).toBe(50000 - 2 * usageService.generationJobTokens);
+    });
+
+    it('ignores usage from before the current period', async () => {
+      await AIUsage.create({ user_id: user.id, task: 'bio', tokens_used: 9000, created_at: new Date(Date.UTC(2000, 0, 1)) });
+
+      expect((await usageService.getQuota(user)).used).toBe(0);
+    });
+  });
+
+  describe('recordUsage', () => {
+    it('skips calls without a user', async () => {
+      await usageService.recordUsage({ task: 'bio', tokensUsed: 100 });
+
+      expect((await usageService.getQuota(user)).used).toBe(0);
+    });
+  });
+
+  describe('reserveBudget', () => {
+    it('reserves the estimate until it is released', async () => {
+      const check = await usageService.reserveBudget(user, 4000);
+
+      expect(check.allowed).toBe(true);
+      expect((await usageService.getQuota(user)).reserved).toBe(4000);
+
+      check.release();
+      check.release();
+      expect((await usageService.getQuota(user)).reserved).toBe(0);
+    });
+
+    it('refuses parallel requests the budget can only cover once', async () => {
+      await record(50000 - 5000);
+
+      const checks = await Promise.all([
+        usageService.reserveBudget(user, 4000),
+        usageService.reserveBudget(user, 4000)
+      ]);
+
+      expect(checks.map(check => check.allowed)).toEqual([true, false]);
+      expect(checks[1].error).toBe('This request needs about 4000 tokens but only 1000 remain this month');
+    });
+
+    it('explains a budget that is used up', async () => {
+      await record(50000);
+
+      const check = await usageService.reserveBudget(user, 1);
+
+      expect(check).toMatchObject({ allowed: false, error: 'Monthly AI token budget of 50000 tokens used up' });
+    });
+
+    it('uses the pro budget for pro users', async () => {
+      await user.update({ subscription_tier: 'pro' });
+      await record(60000);
+
+      const check = await usageService.reserveBudget(user, 4000);
+
+      expect(check.allowed).toBe(true);
+      expect(check.quota.limit).toBe(1000000);
+      check.release();
+    });
+  });
+});
@@ -0,0 +1,2 @@
+// Each test file gets its own in-memory database instead of database/portfolio.db
+process.env.DATABASE_STORAGE = ':memory:';
@@ -0,0 +1,83 @@
+const { diffContent, summarizeDiff } = require('../../utils/contentDiff');
+
+describe('contentDiff', () => {
+  describe('diffContent', () => {
+    it('returns no changes for equal content', () => {
+      const content = { hero: { title: 'Hi' }, skills: ['Go', 'Rust'] };
+
+      expect(diffContent(content, JSON.parse(JSON.stringify(content)))).toEqual([]);
+    });
+
+    it('reports changed leaves with dotted paths', () => {
+      const changes = diffContent(
+        { hero: { title: 'Hi', subtitle: 'Dev' } },
+        { hero: { title: 'Hello', subtitle: 'Dev' } }
+      );
+
+      expect(changes).toEqual([
+        { path: 'hero.title', type: 'changed', before: 'Hi', after: 'Hello' }
+      ]);
+    });
+
+    it('reports added and removed keys', () => {
+      const changes = diffContent(
+        { about: { bio: 'Old' }, contact: { email: 'a@b.dev' } },
+        { about: { bio: 'Old', location: 'Berlin' } }
+      );
+
+      expect(changes).toEqual([
+        { path: 'about.location', type: 'added', after: 'Berlin' },
+        { path: 'contact', type: 'removed', before: { email: 'a@b.dev' } }
+      ]);
+    });
+
+    it('compares arrays by index', () => {
+      const changes = diffContent(
+        { projects: [{ name: 'A' }, { name: 'B' }] },
+        { projects: [{ name: 'A' }, { name: 'C' }, { name: 'D' }] }
+      );
+
+      expect(changes).toEqual([
+        { path: 'projects[1].name', type: 'changed', before: 'B', after: 'C' },
+        { path: 'projects[2]', type: 'added', after: { name: 'D' } }
+      ]);
+    });
+
+    it('reports items dropped from the end of an array', () => {
+      const changes = diffContent({ skills: ['Go', 'Rust'] }, { skills: ['Go'] });
+
+      expect(changes).toEqual([
+        { path: 'skills[1]', type: 'removed', before: 'Rust' }
+      ]);
+    });
+
+    it('treats a change of type as a single change', () => {
+      const changes = diffContent({ skills: ['Go'] }, { skills: { primary: 'Go' } });
+
+      expect(changes).toEqual([
+        { path: 'skills', type: 'changed', before: ['Go'], after: { primary: 'Go' } }
+      ]);
+    });
+  });
+
+  describe('summarizeDiff', () => {
+    it('counts changes by type and lists the sections touched', () => {
+      const changes = diffContent(
+        { hero: { title: 'Hi' }, projects: [{ name: 'A' }], contact: {} },
+        { hero: { title: 'Hello', tagline: 'New' }, projects: [] }
+      );
+
+      expect(summarizeDiff(changes)).toEqual({
+        total: 4,
+        added: 1,
+        removed: 2,
+        changed: 1,
+        sections: ['hero', 'projects', 'contact']
+      });
+    });
+
+    it('summarizes an empty diff', () => {
+      expect(summarizeDiff([])).toEqual({ total: 0, added: 0, removed: 0, changed: 0, sections: [] });
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const { encrypt, decrypt, isEncrypted, needsReencryption, resetKeys } = require('../../utils/encryption');
+
+const oldKey = crypto.randomBytes(32).toString('base64');
+const newKey = crypto.randomBytes(32).toString('hex');
+
+const useKeys = (value) => {
+  process.env.TOKEN_ENCRYPTION_KEYS = value;
+  resetKeys();
+};
+
+describe('encryption', () => {
+  const originalKeys = process.env.TOKEN_ENCRYPTION_KEYS;
+
+  afterEach(() => {
+    if (originalKeys === undefined) {
+      delete process.env.TOKEN_ENCRYPTION_KEYS;
+    } else {
+      process.env.TOKEN_ENCRYPTION_KEYS = originalKeys;
+    }
+    resetKeys();
+  });
+
+  it('round-trips a secret under the current key', () => {
+    useKeys(`k1:${oldKey}`);
+    const ciphertext = encrypt('ghp_secret');
+
+    expect(ciphertext).toMatch(/^enc:v1:k1:/);
+    expect(ciphertext).not.toContain('ghp_secret');
+    expect(isEncrypted(ciphertext)).toBe(true);
+    expect(decrypt(ciphertext)).toBe('ghp_secret');
+  });
+
+  it('uses a fresh IV every time', () => {
+    useKeys(`k1:${oldKey}`);
+    expect(encrypt('ghp_secret')).not.toBe(encrypt('ghp_secret'));
+  });
+
+  it('stores empty values as null and passes legacy plaintext through', () => {
+    useKeys(`k1:${oldKey}`);
+
+    expect(encrypt('')).toBeNull();
+    expect(decrypt(null)).toBeNull();
+    expect(decrypt('ghp_plaintext')).toBe('ghp_plaintext');
+    expect(needsReencryption('ghp_plaintext')).toBe(true);
+  });
+
+  it('does not encrypt twice', () => {
+    useKeys(`k1:${oldKey}`);
+    const ciphertext = encrypt('ghp_secret');
+
+    expect(encrypt(ciphertext)).toBe(ciphertext);
+  });
+
+  describe('key rotation', () => {
+    it('encrypts with the first key and still decrypts with the old one', () => {
+      useKeys(`k1:${oldKey}`);
+      const underOldKey = encrypt('ghp_secret');
+
+      useKeys(`k2:${newKey},k1:${oldKey}`);
+      expect(decrypt(underOldKey)).toBe('ghp_secret');
+      expect(needsReencryption(underOldKey)).toBe(true);
+
+      const underNewKey = encrypt(decrypt(underOldKey));
+      expect(underNewKey).toMatch(/^enc:v1:k2:/);
+      expect(needsReencryption(underNewKey)).toBe(false);
+    });
+
+    it('refuses values whose key has been removed', () => {
+      useKeys(`k1:${oldKey}`);
+      const ciphertext = encrypt('ghp_secret');
+
+      useKeys(`k2:${newKey}`);
+      expect(() => decrypt(ciphertext)).toThrow("Encryption key 'k1' is not configured");
+    });
+  });
+
+  describe('wrong key', () => {
+    it('fails authentication instead of returning garbage', () => {
+      useKeys(`k1:${oldKey}`);
+      const ciphertext = encrypt('ghp_secret');
+
+      useKeys(`k1:${newKey}`);
+      expect(() => decrypt(ciphertext)).toThrow();
+    });
+
+    it('detects tampered ciphertext', () => {
+      useKeys(`k1:${oldKey}`);
+      const parts = encrypt('ghp_secret').split(':');
+      const data = Buffer.from(parts[5], 'base64');
+      data[0] ^= 1;
+      parts[5] = data.toString('base64');
+
+      expect(() => decrypt(parts.join(':'))).toThrow();
+    });
+  });
+
+  describe('configuration', () => {
+    it('rejects keys that are not 32 bytes', () => {
+      useKeys('k1:dG9vLXNob3J0');
+      expect(() => encrypt('ghp_secret')).toThrow("Encryption key 'k1' must be 32 bytes (base64 or hex encoded)");
+    });
+
+    it('rejects entries without an id', () => {
+      useKeys(oldKey);
+      expect(() => encrypt('ghp_secret')).toThrow('TOKEN_ENCRYPTION_KEYS entries must look like <id>:<key>');
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const { sequelize } = require('../../utils/database');
+const models = require('../../models');
+const { addMissingColumns, addedColumns } = require('../../utils/migrate');
+
+describe('addMissingColumns', () => {
+  beforeEach(async () => {
+    await sequelize.sync({ force: true });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  it('adds columns missing from tables created by an earlier release', async () => {
+    const queryInterface = sequelize.getQueryInterface();
+    for (const { model, column } of addedColumns) {
+      await queryInterface.removeColumn(models[model].getTableName(), column);
+    }
+
+    const added = await addMissingColumns();
+
+    expect(added).toEqual(addedColumns.map(({ model, column }) => `${models[model].getTableName()}.${column}`));
+    for (const { model, column } of addedColumns) {
+      const table = await queryInterface.describeTable(models[model].getTableName());
+      expect(table[column]).toBeDefined();
+    }
+  });
+
+  it('leaves an up-to-date database alone', async () => {
+    expect(await addMissingColumns()).toEqual([]);
+  });
+
+  it('lets rows stored before the upgrade be read through the models', async () => {
+    const queryInterface = sequelize.getQueryInterface();
+    for (const { model, column } of addedColumns) {
+      await queryInterface.removeColumn(models[model].getTableName(), column);
+    }
+    const now = new Date();
+    await queryInterface.bulkInsert('users', [
+      { id: 'user-1', firebase_uid: 'uid-1', email: 'ada@example.com', username: 'ada', created_at: now, updated_at: now }
+    ]);
+    await queryInterface.bulkInsert('portfolios', [
+      { id: 'portfolio-1', user_id: 'user-1', title: 'Ada', slug: 'ada', content: '{}', created_at: now, updated_at: now }
+    ]);
+    await queryInterface.bulkInsert('integrations', [
+      { id: 'integration-1', user_id: 'user-1', platform: 'github', profile_data: '{}', created_at: now, updated_at: now }
+    ]);
+
+    await addMissingColumns();
+
+    const portfolio = await models.Portfolio.findByPk('portfolio-1');
+    expect(portfolio.customizations).toEqual({});
+    expect(portfolio.parent_portfolio_id).toBeNull();
+    expect(portfolio.auto_sync_projects).toBe(false);
+
+    const user = await models.User.findByFirebaseUid('uid-1');
+    expect(user.redact_pii).toBe(false);
+
+    const [integration] = await models.Integration.findAll();
+    expect(integration.repository_curation).toEqual({});
+    expect(integration.next_sync_at).toBeNull();
+    expect(integration.sync_failures).toBe(0);
+  });
+});
@@ -0,0 +1,64 @@
+const { PII_TYPES, createRedactor } = require('../../utils/piiRedactor');
+
+describe('piiRedactor', () => {
+  it('lists the entity types it detects', () => {
+    expect(PII_TYPES).toEqual(['address', 'email', 'phone']);
+  });
+
+  describe('redact', () => {
+    it('replaces emails, phone numbers and addresses with numbered placeholders', () => {
+      const redactor = createRedactor();
+      const text = 'Reach me at jane@example.com or +1 (415) 555-0134. I live at 221B Baker Street, Apt 4.';
+
+      expect(redactor.redact(text)).toBe('Reach me at [EMAIL_1] or [PHONE_1]. I live at [ADDRESS_1].');
+    });
+
+    it('reuses the placeholder for a repeated value', () => {
+      const redactor = createRedactor();
+
+      expect(redactor.redact('a@x.io, b@x.io, a@x.io')).toBe('[EMAIL_1], [EMAIL_2], [EMAIL_1]');
+      expect(redactor.getCounts()).toEqual({ email: 2 });
+    });
+
+    it('recognises German street names', () => {
+      expect(createRedactor().redact('Office: Hauptstraße 12a, Berlin')).toBe('Office: [ADDRESS_1], Berlin');
+    });
+
+    it('leaves dates, year ranges and bare IDs alone', () => {
+      const redactor = createRedactor();
+      const text = 'Acme 2019 - 2023, released 2021-03-15, repository 123456789';
+
+      expect(redactor.redact(text)).toBe(text);
+      expect(redactor.getCounts()).toEqual({});
+    });
+
+    it('passes non-strings through', () => {
+      expect(createRedactor().redact(undefined)).toBeUndefined();
+    });
+  });
+
+  describe('restore', () => {
+    it('puts the original values back into the answer', () => {
+      const redactor = createRedactor();
+      redactor.redact('jane@example.com +49 30 1234567');
+
+      expect(redactor.restore('Contact: [EMAIL_1], [PHONE_1], [EMAIL_9]'))
+        .toBe('Contact: jane@example.com, +49 30 1234567, [EMAIL_9]');
+    });
+  });
+
+  describe('restoreStream', () => {
+    it('holds back placeholders split across chunks', async () => {
+      const redactor = createRedactor();
+      redactor.redact('jane@example.com');
+      const chunks = [];
+      const onDelta = redactor.restoreStream(async (text) => chunks.push(text));
+
+      for (const delta of ['Mail [EM', 'AIL_', '1] today']) {
+        await onDelta(delta);
+      }
+
+      expect(chunks).toEqual(['Mail ', 'jane@example.com today']);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+const { parseResumeText, isCompleteParse, isEmptyParse } = require('../../utils/resumeParser');
+
+const resume = `Jane Doe
+Senior Software Engineer | Berlin, Germany
+jane.doe@example.com | +49 30 1234567 | github.com/janedoe
+
+SUMMARY
+Backend engineer with eight years of experience building APIs.
+
+EXPERIENCE
+Senior Software Engineer at Acme Corp
+Mar 2021 - Present
+- Led the migration to Node 20
+- Cut p95 latency by 40%
+
+Software Engineer | Initech | Remote
+Jan 2018 – Feb 2021
+• Built the billing service
+
+EDUCATION
+B.Sc. Computer Science
+Technical University of Munich
+2017
+
+SKILLS
+Languages: JavaScript, TypeScript, Go
+PostgreSQL; Redis; JavaScript
+
+PROJECTS
+Taskflow - Collaborative task board
+- Real-time updates over WebSockets
+- https://github.com/janedoe/taskflow
+
+Interests
+Climbing`;
+
+describe('resumeParser', () => {
+  describe('parseResumeText', () => {
+    const data = parseResumeText(resume);
+
+    it('reads contact details from the header', () => {
+      expect(data.personal).toEqual({
+        name: 'Jane Doe',
+        title: 'Senior Software Engineer',
+        email: 'jane.doe@example.com',
+        phone: '+49 30 1234567',
+        location: 'Berlin, Germany',
+        links: ['github.com/janedoe']
+      });
+      expect(data.summary).toBe('Backend engineer with eight years of experience building APIs.');
+    });
+
+    it('splits experience on date ranges and normalizes the dates', () => {
+      expect(data.experience).toEqual([
+        {
+          company: 'Acme Corp',
+          title: 'Senior Software Engineer',
+          start_date: '2021-03',
+          end_date: 'Present',
+          description: '- Led the migration to Node 20\n- Cut p95 latency by 40%'
+        },
+        {
+          company: 'Initech',
+          title: 'Software Engineer',
+          start_date: '2018-01',
+          end_date: '2021-02',
+          description: '- Built the billing service'
+        }
+      ]);
+    });
+
+    it('anchors education on a single year', () => {
+      expect(data.education).toEqual([{
+        institution: 'Technical University of Munich',
+        degree: 'B.Sc. Computer Science',
+        start_date: '',
+        end_date: '2017',
+        description: ''
+      }]);
+    });
+
+    it('drops category labels and duplicates from skills', () => {
+      expect(data.skills).toEqual(['JavaScript', 'TypeScript', 'Go', 'PostgreSQL', 'Redis']);
+    });
+
+    it('keeps recognised but unsupported sections out of the previous one', () => {
+      expect(data.projects).toHaveLength(1);
+      expect(data.projects[0]).toMatchObject({ name: 'Taskflow', url: 'https://github.com/janedoe/taskflow' });
+      expect(data.projects[0].description).not.toContain('Climbing');
+    });
+
+    it('does not mistake a year range for a phone number', () => {
+      const { personal } = parseResumeText('John Smith\nEngineer\n2019 - 2021');
+      expect(personal.phone).toBe('');
+    });
+
+    it('tolerates empty input', () => {
+      const empty = parseResumeText('');
+      expect(empty.personal.name).toBe('');
+      expect(empty.experience).toEqual([]);
+      expect(isEmptyParse(empty)).toBe(true);
+    });
+  });
+
+  describe('isCompleteParse', () => {
+    it('needs a name plus experience or education', () => {
+      expect(isCompleteParse(parseResumeText(resume))).toBe(true);
+      expect(isCompleteParse(parseResumeText('Jane Doe\n\nSKILLS\nGo, Rust'))).toBe(false);
+    });
+  });
+
+  describe('isEmptyParse', () => {
+    it('is false as soon as anything was found', () => {
+      expect(isEmptyParse(parseResumeText('SKILLS\nGo, Rust'))).toBe(false);
+      expect(isEmptyParse(parseResumeText('just some words without any structure'))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Helpers for turning a public page request into an anonymous view event
+ */
+
+const crypto = require('crypto');
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|headless|lighthouse|facebookexternalhit|embedly|preview/i;
+const TABLET_PATTERN = /ipad|tablet|kindle|silk|playbook|android(?!.*mobile)/i;
+const MOBILE_PATTERN = /mobi|iphone|ipod|android|windows phone|blackberry|opera mini/i;
+
+// Without ANALYTICS_SECRET a random secret per process is used (visitor IDs then change on restart)
+const VISITOR_SECRET = process.env.ANALYTICS_SECRET || crypto.randomBytes(32).toString('hex');
+
+/**
+ * Check whether a user agent belongs to a crawler or link unfurler
+ * @param {string} userAgent - User-Agent header
+ * @returns {boolean} Is bot
+ */
+function isBot(userAgent) {
+  return !!userAgent && BOT_PATTERN.test(userAgent);
+}
+
+/**
+ * Classify a user agent as desktop, mobile or tablet
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} Device type
+ */
+function detectDeviceType(userAgent) {
+  if (!userAgent) return 'unknown';
+  if (TABLET_PATTERN.test(userAgent)) return 'tablet';
+  if (MOBILE_PATTERN.test(userAgent)) return 'mobile';
+  return 'desktop';
+}
+
+/**
+ * Reduce a Referer header to its host, ignoring links from our own pages
+ * @param {string} referrer - Referer header
+ * @param {string} ownHost - Host serving the portfolio
+ * @returns {string|null} Referrer host or null for direct visits
+ */
+function getReferrerHost(referrer, ownHost) {
+  if (!referrer) return null;
+
+  try {
+    const host = new URL(referrer).hostname.toLowerCase().replace(/^www\./, '');
+    const self = (ownHost || '').toLowerCase().split(':')[0].replace(/^www\./, '');
+    return host && host !== self ? host : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Anonymous visitor ID: an HMAC of portfolio, IP and user agent under a key that changes every
+ * UTC day, so IDs can't be reversed by hashing every IPv4 address and don't link visits across days
+ * @param {string} portfolioId - Viewed portfolio ID
+ * @param {string} ip - Client IP
+ * @param {string} userAgent - User-Agent header
+ * @param {Date} date - Time of the view
+ * @returns {string} Visitor ID
+ */
+function visitorId(portfolioId, ip, userAgent, date = new Date()) {
+  const dailyKey = crypto.createHmac('sha256', VISITOR_SECRET)
+    .update(date.toISOString().slice(0, 10))
+    .digest();
+
+  return crypto.createHmac('sha256', dailyKey)
+    .update(`${portfolioId}:${ip || ''}:${userAgent}`)
+    .digest('hex');
+}
+
+/**
+ * Build the view event for a public portfolio request
+ * @param {Object} req - Express request
+ * @param {string} portfolioId - Viewed portfolio ID
+ * @returns {Object|null} View attributes, or null for bots
+ */
+function buildViewEvent(req, portfolioId) {
+  const userAgent = req.get('user-agent') || '';
+
+  if (isBot(userAgent)) return null;
+
+  return {
+    portfolio_id: portfolioId,
+    referrer_host: getReferrerHost(req.get('referer'), req.get('host')),
+    device_type: detectDeviceType(userAgent),
+    // Includes the portfolio ID so the same visitor can't be linked across portfolios
+    visitor_id: visitorId(portfolioId, req.ip, userAgent)
+  };
+}
+
+module.exports = {
+  isBot,
+  detectDeviceType,
+  getReferrerHost,
+  visitorId,
+  buildViewEvent
+};
@@ -0,0 +1,89 @@
+/**
+ * Structural diff for portfolio content JSON
+ */
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+const isEqual = (a, b) => {
+  return JSON.stringify(a) === JSON.stringify(b);
+};
+
+/**
+ * Compare two content objects and list every leaf that differs
+ * @param {*} before - Original content
+ * @param {*} after - New content
+ * @param {string} basePath - Path prefix (used during recursion)
+ * @returns {Object[]} Changes as { path, type, before, after }
+ */
+function diffContent(before, after, basePath = '') {
+  const changes = [];
+
+  if (isEqual(before, after)) {
+    return changes;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    for (const key of keys) {
+      const childPath = basePath ? `${basePath}.${key}` : key;
+
+      if (!(key in before)) {
+        changes.push({ path: childPath, type: 'added', after: after[key] });
+      } else if (!(key in after)) {
+        changes.push({ path: childPath, type: 'removed', before: before[key] });
+      } else {
+        changes.push(...diffContent(before[key], after[key], childPath));
+      }
+    }
+
+    return changes;
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const length = Math.max(before.length, after.length);
+
+    for (let i = 0; i < length; i++) {
+      const childPath = `${basePath}[${i}]`;
+
+      if (i >= before.length) {
+        changes.push({ path: childPath, type: 'added', after: after[i] });
+      } else if (i >= after.length) {
+        changes.push({ path: childPath, type: 'removed', before: before[i] });
+      } else {
+        changes.push(...diffContent(before[i], after[i], childPath));
+      }
+    }
+
+    return changes;
+  }
+
+  changes.push({ path: basePath, type: 'changed', before, after });
+  return changes;
+}
+
+/**
+ * Summarize a list of changes produced by diffContent
+ * @param {Object[]} changes - Changes list
+ * @returns {Object} Counts per change type and the top-level sections touched
+ */
+function summarizeDiff(changes) {
+  const sections = new Set(
+    changes.map(change => change.path.split(/[.[]/)[0]).filter(Boolean)
+  );
+
+  return {
+    total: changes.length,
+    added: changes.filter(c => c.type === 'added').length,
+    removed: changes.filter(c => c.type === 'removed').length,
+    changed: changes.filter(c => c.type === 'changed').length,
+    sections: [...sections]
+  };
+}
+
+module.exports = {
+  diffContent,
+  summarizeDiff
+};
@@ -0,0 +1,93 @@
+/**
+ * Minimal RFC 4180 CSV parser for uploaded data exports
+ */
+
+/**
+ * Split CSV text into rows of raw cell values
+ * Handles quoted cells, escaped quotes ("") and line breaks inside quotes
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of cells
+ */
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  // Excel and LinkedIn exports often start with a UTF-8 BOM
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV text into an array of objects keyed by header
+ * @param {string} text - CSV text
+ * @param {Object} options - Parser options
+ * @param {string} options.headerIncludes - Column that identifies the header row;
+ *   rows before it (e.g. export notes) are skipped
+ * @returns {Object[]} Records
+ */
+function parseCSV(text, options = {}) {
+  const rows = parseRows(text || '');
+
+  let headerIndex = 0;
+  if (options.headerIncludes) {
+    headerIndex = rows.findIndex(cells => cells.map(c => c.trim()).includes(options.headerIncludes));
+    if (headerIndex === -1) {
+      return [];
+    }
+  }
+
+  const header = (rows[headerIndex] || []).map(column => column.trim());
+
+  return rows.slice(headerIndex + 1).map(cells => {
+    const record = {};
+    header.forEach((column, index) => {
+      record[column] = (cells[index] || '').trim();
+    });
+    return record;
+  });
+}
+
+module.exports = {
+  parseRows,
+  parseCSV
+};
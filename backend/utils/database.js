@@ -1,10 +1,10 @@
 const { Sequelize } = require('sequelize');
 const path = require('path');
 
-// SQLite configuration
+// SQLite configuration (DATABASE_STORAGE=':memory:' keeps the database in memory, e.g. in tests)
 const sequelize = new Sequelize({
   dialect: 'sqlite',
-  storage: path.join(__dirname, '../database/portfolio.db'),
+  storage: process.env.DATABASE_STORAGE || path.join(__dirname, '../database/portfolio.db'),
   logging: process.env.NODE_ENV === 'development' ? console.log : false,
   define: {
     timestamps: true,
@@ -24,11 +24,18 @@ const testConnection = async () => {
   }
 };
 
-// Initialize database and create tables
+// Initialize database, create tables and add columns introduced since it was created
 const initDatabase = async () => {
   try {
     await sequelize.sync({ force: false });
     console.log('✅ Database tables created successfully.');
+
+    // Required here rather than at the top: migrate.js loads the models, which need this module
+    const { addMissingColumns } = require('./migrate');
+    const added = await addMissingColumns();
+    if (added.length > 0) {
+      console.log(`✅ Added columns: ${added.join(', ')}`);
+    }
   } catch (error) {
     console.error('❌ Error creating database tables:', error);
   }
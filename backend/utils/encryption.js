@@ -0,0 +1,131 @@
+/**
+ * Encryption at rest for third-party credentials (AES-256-GCM)
+ *
+ * Keys come from TOKEN_ENCRYPTION_KEYS as a comma-separated list of `id:key` pairs,
+ * where key is 32 bytes as base64 or hex. The first key encrypts; all of them decrypt,
+ * so a key is rotated by putting a new one first, running `npm run rotate-tokens`
+ * and then dropping the old one.
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1';
+const ALGORITHM = 'aes-256-gcm';
+const DEVELOPMENT_SECRET = 'portfolio-builder-development-token-key';
+
+let keyring = null;
+
+function parseKey(id, encoded) {
+  const value = encoded.trim();
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error(`Encryption key '${id}' must be 32 bytes (base64 or hex encoded)`);
+  }
+  return key;
+}
+
+function loadKeyring() {
+  if (keyring) return keyring;
+
+  const keys = (process.env.TOKEN_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      if (separator <= 0) {
+        throw new Error('TOKEN_ENCRYPTION_KEYS entries must look like <id>:<key>');
+      }
+      const id = entry.slice(0, separator);
+      return { id, key: parseKey(id, entry.slice(separator + 1)) };
+    });
+
+  if (keys.length === 0) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('TOKEN_ENCRYPTION_KEYS is not configured');
+    }
+
+    console.warn('⚠️ TOKEN_ENCRYPTION_KEYS not set, using the development key. Do not use this in production.');
+    keys.push({ id: 'dev', key: crypto.createHash('sha256').update(DEVELOPMENT_SECRET).digest() });
+  }
+
+  keyring = {
+    current: keys[0],
+    byId: new Map(keys.map(entry => [entry.id, entry.key]))
+  };
+  return keyring;
+}
+
+/**
+ * Whether a stored value is ciphertext produced by encrypt()
+ * @param {string} value - Stored value
+ * @returns {boolean}
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+/**
+ * Encrypt a secret with the current key
+ * @param {string} plaintext - Value to encrypt (null/empty values are stored as null)
+ * @returns {string|null} `enc:v1:<keyId>:<iv>:<tag>:<ciphertext>`
+ */
+function encrypt(plaintext) {
+  if (plaintext === null || plaintext === undefined || plaintext === '') return null;
+  if (isEncrypted(plaintext)) return plaintext;
+
+  const { current } = loadKeyring();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, current.key, iv);
+  const data = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [PREFIX, current.id, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a value produced by encrypt(). Values stored before encryption was
+ * introduced are returned unchanged.
+ * @param {string} value - Stored value
+ * @returns {string|null} Plaintext
+ */
+function decrypt(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (!isEncrypted(value)) return value;
+
+  const [, , keyId, iv, tag, data] = value.split(':');
+  const key = loadKeyring().byId.get(keyId);
+  if (!key) {
+    throw new Error(`Encryption key '${keyId}' is not configured`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Whether a stored value should be re-encrypted: plaintext, or encrypted with an old key
+ * @param {string} value - Stored value
+ * @returns {boolean}
+ */
+function needsReencryption(value) {
+  if (value === null || value === undefined || value === '') return false;
+  if (!isEncrypted(value)) return true;
+  return value.split(':')[2] !== loadKeyring().current.id;
+}
+
+/**
+ * Drop the cached keyring so the next call re-reads the environment (tests, rotation scripts)
+ */
+function resetKeys() {
+  keyring = null;
+}
+
+module.exports = {
+  encrypt,
+  decrypt,
+  isEncrypted,
+  needsReencryption,
+  resetKeys
+};
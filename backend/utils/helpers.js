@@ -82,6 +82,32 @@ function sanitizeHTML(html) {
     .replace(/data:/gi, '');
 }
 
+/**
+ * Sanitize user supplied CSS for embedding in a <style> block
+ * @param {string} css - CSS to sanitize
+ * @returns {string} Sanitized CSS
+ */
+function sanitizeCSS(css) {
+  if (!css || typeof css !== 'string') return '';
+  
+  let sanitized = css;
+  let previous;
+  
+  // Repeat until stable so nested payloads like "javajavascript:script:" can't reassemble
+  do {
+    previous = sanitized;
+    sanitized = sanitized
+      .replace(/</g, '') // CSS never needs '<', and without it </style> can't close the block
+      .replace(/@import[^;]*;?/gi, '')
+      .replace(/expression\s*\(/gi, '')
+      .replace(/(javascript|vbscript):/gi, '')
+      .replace(/behavior\s*:/gi, '')
+      .replace(/-moz-binding\s*:/gi, '');
+  } while (sanitized !== previous);
+  
+  return sanitized;
+}
+
 /**
  * Escape HTML special characters
  * @param {string} text - Text to escape
@@ -204,6 +230,32 @@ async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
   }
 }
 
+/**
+ * Map over items with at most `limit` calls of fn in flight, keeping result order
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Settled results ({ status, value | reason }) in item order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (error) {
+        results[index] = { status: 'rejected', reason: error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+  return results;
+}
+
 /**
  * Deep clone an object
  * @param {*} obj - Object to clone
@@ -389,6 +441,7 @@ module.exports = {
   isValidEmail,
   isValidURL,
   sanitizeHTML,
+  sanitizeCSS,
   escapeHTML,
   extractTextFromHTML,
   truncateText,
@@ -397,6 +450,7 @@ module.exports = {
   isAllowedFileType,
   delay,
   retryWithBackoff,
+  mapWithConcurrency,
   deepClone,
   isEmpty,
   removeUndefinedValues,
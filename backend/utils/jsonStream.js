@@ -0,0 +1,83 @@
+/**
+ * Incremental reader for streamed JSON objects
+ */
+
+/**
+ * Create a parser that is fed a JSON object chunk by chunk (as the model streams it)
+ * and reports each top-level property as soon as its value is complete.
+ * Text before the opening brace (e.g. a ```json fence) is skipped.
+ * @param {Function} onProperty - Called with (key, value) per completed property
+ * @returns {{ push: Function }} push(chunk) feeds the next piece of text
+ */
+function createObjectStreamParser(onProperty) {
+  let buffer = '';
+  let position = 0;
+  let started = false;
+  let finished = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let valueStart = -1;
+
+  const emit = async (end) => {
+    // buffer[valueStart..end) holds `"key": value`
+    const entry = buffer.substring(valueStart, end).trim();
+    valueStart = -1;
+
+    try {
+      const parsed = JSON.parse(`{${entry}}`);
+      const [key] = Object.keys(parsed);
+      if (key !== undefined) await onProperty(key, parsed[key]);
+    } catch (error) {
+      // Malformed output is left to the caller's parse of the full response
+    }
+  };
+
+  const push = async (chunk) => {
+    if (finished) return;
+    buffer += chunk;
+
+    for (; position < buffer.length; position++) {
+      const char = buffer[position];
+
+      if (!started) {
+        if (char === '{') {
+          started = true;
+          depth = 1;
+          valueStart = position + 1;
+        }
+        continue;
+      }
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+      } else if (char === '{' || char === '[') {
+        depth++;
+      } else if (char === '}' || char === ']') {
+        depth--;
+
+        if (depth === 0) {
+          if (buffer.substring(valueStart, position).trim()) await emit(position);
+          finished = true;
+          return;
+        }
+      } else if (char === ',' && depth === 1) {
+        await emit(position);
+        valueStart = position + 1;
+      }
+    }
+  };
+
+  return { push };
+}
+
+module.exports = {
+  createObjectStreamParser
+};
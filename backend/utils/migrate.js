@@ -1,6 +1,37 @@
 const { sequelize, testConnection, initDatabase } = require('./database');
 const models = require('../models');
 
+// Columns added to tables that already existed in an earlier release. sync() creates
+// missing tables but never alters existing ones, so older databases get these here.
+const addedColumns = [
+  { model: 'Portfolio', column: 'customizations' },
+  { model: 'Portfolio', column: 'parent_portfolio_id' },
+  { model: 'User', column: 'redact_pii' },
+  { model: 'Integration', column: 'repository_curation' },
+  { model: 'Integration', column: 'next_sync_at' },
+  { model: 'Integration', column: 'sync_failures' },
+  { model: 'Portfolio', column: 'auto_sync_projects' }
+];
+
+// Add any of addedColumns the database doesn't have yet, using the model's definition
+async function addMissingColumns() {
+  const queryInterface = sequelize.getQueryInterface();
+  const added = [];
+
+  for (const { model: modelName, column } of addedColumns) {
+    const model = models[modelName];
+    const table = model.getTableName();
+    const existing = await queryInterface.describeTable(table);
+    if (existing[column]) continue;
+
+    const { type, allowNull, defaultValue, references, onDelete } = model.rawAttributes[column];
+    await queryInterface.addColumn(table, column, { type, allowNull, defaultValue, references, onDelete });
+    added.push(`${table}.${column}`);
+  }
+
+  return added;
+}
+
 async function migrate() {
   try {
     console.log('🔄 Starting database migration...');
@@ -27,6 +58,10 @@ async function migrate() {
     
     // Sync database
     await sequelize.sync({ force });
+    const added = await addMissingColumns();
+    if (added.length > 0) {
+      console.log(`➕ Added ${added.length} columns:`, added.join(', '));
+    }
     
     console.log('✅ Database migration completed successfully!');
     
@@ -46,4 +81,4 @@ if (require.main === module) {
   migrate();
 }
 
-module.exports = { migrate };
\ No newline at end of file
+module.exports = { migrate, addMissingColumns, addedColumns };
\ No newline at end of file
@@ -0,0 +1,98 @@
+/**
+ * PII redaction for prompts sent to third-party models
+ */
+
+const EMAIL = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const PHONE = /\+?\(?\d[\d\s().-]{6,}\d/g;
+const STREET_SUFFIXES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Parkway|Pkwy|Highway|Hwy|Square|Sq';
+const ADDRESS = new RegExp(
+  // "221B Baker Street, Apt 4" or "Hauptstraße 12a"
+  `\\b\\d{1,5}[A-Za-z]?\\s+(?:[A-Z][\\w.'-]*\\s+){0,4}(?:${STREET_SUFFIXES})\\b\\.?(?:,?\\s+(?:Apt|Apartment|Suite|Unit|#)\\.?\\s*[\\w-]+)?` +
+  `|\\b[A-ZÄÖÜ][\\wäöüß-]*(?:straße|strasse|str\\.|weg|gasse|platz|allee)\\s+\\d{1,4}[a-z]?\\b`,
+  'g'
+);
+const PLACEHOLDER = /\[(EMAIL|PHONE|ADDRESS)_(\d+)\]/g;
+
+// Detectors run in this order; addresses first so their house numbers aren't read as phones
+const DETECTORS = [
+  { type: 'address', pattern: ADDRESS },
+  { type: 'email', pattern: EMAIL },
+  { type: 'phone', pattern: PHONE, accept: isPhoneNumber }
+];
+
+const PII_TYPES = DETECTORS.map(detector => detector.type);
+
+function isPhoneNumber(match) {
+  const value = match.trim();
+  const digits = value.replace(/\D/g, '');
+
+  if (digits.length < 8 || digits.length > 15) return false;
+  // Dates, year ranges and bare numeric IDs (common in GitHub data) aren't phone numbers
+  if (/^\d{4}[-./]\d{1,2}[-./]\d{1,2}$|^\d{1,2}[-./]\d{1,2}[-./]\d{4}$/.test(value)) return false;
+  if (/^\d{4}\s*[-–]\s*\d{4}$/.test(value)) return false;
+  return value.startsWith('+') || /[\s().-]/.test(value);
+}
+
+/**
+ * Create a redactor for one model call. The same value always maps to the same
+ * placeholder ([EMAIL_1], [PHONE_2], ...), so the model can refer back to it and
+ * restore() can put the real value back into its answer.
+ * @returns {{ redact: Function, restore: Function, restoreStream: Function, getCounts: Function }}
+ */
+function createRedactor() {
+  const placeholders = new Map(); // value -> placeholder
+  const values = new Map(); // placeholder -> value
+  const counters = {};
+
+  const placeholderFor = (type, value) => {
+    if (!placeholders.has(value)) {
+      counters[type] = (counters[type] || 0) + 1;
+      const placeholder = `[${type.toUpperCase()}_${counters[type]}]`;
+      placeholders.set(value, placeholder);
+      values.set(placeholder, value);
+    }
+    return placeholders.get(value);
+  };
+
+  const redact = (text) => {
+    if (typeof text !== 'string') return text;
+
+    return DETECTORS.reduce((result, { type, pattern, accept }) => {
+      return result.replace(pattern, (match) => {
+        if (accept && !accept(match)) return match;
+        return placeholderFor(type, match);
+      });
+    }, text);
+  };
+
+  const restore = (text) => {
+    if (typeof text !== 'string') return text;
+    return text.replace(PLACEHOLDER, (placeholder) => values.get(placeholder) || placeholder);
+  };
+
+  // Wrap a streaming onDelta callback. A placeholder split across chunks is held back
+  // until it is complete.
+  const restoreStream = (onDelta) => {
+    if (!onDelta) return onDelta;
+    let pending = '';
+
+    return async (delta) => {
+      const text = pending + delta;
+      const partial = text.match(/\[[A-Z]*_?\d*$/);
+      pending = partial ? partial[0] : '';
+      const ready = partial ? text.slice(0, partial.index) : text;
+
+      if (ready) await onDelta(restore(ready));
+    };
+  };
+
+  // Number of distinct values redacted per entity type, for the audit record
+  const getCounts = () => ({ ...counters });
+
+  return { redact, restore, restoreStream, getCounts };
+}
+
+module.exports = {
+  PII_TYPES,
+  createRedactor
+};
@@ -0,0 +1,360 @@
+/**
+ * Rule-based resume parser for text extracted by pdf-parse / mammoth.
+ * Produces the same structure as the AI resume parser, without a model call.
+ */
+
+const SECTION_HEADINGS = {
+  summary: ['summary', 'professional summary', 'profile', 'professional profile', 'about', 'about me', 'objective', 'career objective'],
+  experience: ['experience', 'work experience', 'professional experience', 'relevant experience', 'employment', 'employment history', 'work history', 'career history'],
+  education: ['education', 'education and training', 'academic background', 'academic history'],
+  skills: ['skills', 'technical skills', 'key skills', 'core skills', 'core competencies', 'skills and tools', 'technologies', 'tech stack'],
+  projects: ['projects', 'personal projects', 'selected projects', 'side projects', 'key projects', 'open source'],
+  certifications: ['certifications', 'certificates', 'licenses and certifications', 'licenses certifications'],
+  // Recognized so their content doesn't leak into the previous section, but not extracted
+  other: ['languages', 'interests', 'hobbies', 'awards', 'honors', 'honors and awards', 'achievements', 'volunteering', 'volunteer experience', 'publications', 'references']
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DATE = '(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?\\s+|\\d{1,2}[/.])?(?:19|20)\\d{2}';
+const DATE_RANGE = new RegExp(`(${DATE})\\s*(?:-|–|—|to|until)\\s*(${DATE}|present|current|now|today)`, 'i');
+const SINGLE_DATE = new RegExp(`(?:^|\\s|,|\\()(${DATE})(?:$|\\s|,|\\))`, 'i');
+
+const EMAIL = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+const PHONE = /\+?\(?\d[\d\s().-]{6,}\d/g;
+const URL = /\b(?:https?:\/\/[^\s,;|()]+|(?:www\.)?(?:github\.com|gitlab\.com|linkedin\.com|[a-z0-9-]+\.(?:dev|io|me))\/?[^\s,;|()]*)/gi;
+const BULLET = /^\s*(?:[-*•●▪◦‣∙·]|\d+[.)])\s+/;
+
+const TITLE_WORDS = /\b(engineer|developer|programmer|manager|lead|architect|designer|analyst|consultant|scientist|intern|director|specialist|administrator|officer|founder|head|cto|ceo|vp|associate|assistant|coordinator|researcher|technician|tester|devops|sre)\b/i;
+const DEGREE_WORDS = /\b(bachelor|master|doctor|ph\.?\s?d|mba|diploma|degree|associate|certificate|b\.?\s?sc|m\.?\s?sc|b\.?\s?s|m\.?\s?s|b\.?\s?a|m\.?\s?a|b\.?\s?tech|m\.?\s?tech|b\.?\s?eng|m\.?\s?eng|beng|meng|bsc|msc|a-levels?|high school diploma)\b/i;
+const SCHOOL_WORDS = /\b(university|college|institute|school|academy|polytechnic|universit[äa]t|hochschule|conservatory)\b/i;
+const SEPARATOR = /\s+(?:\||–|—|-|@|at)\s+|\s*[|•·]\s*|,\s+/;
+
+/**
+ * Parse resume text into { personal, summary, experience, education, skills, projects, certifications }
+ * @param {string} text - Plain text of the resume
+ * @returns {Object} Structured resume data (sections that weren't found are empty)
+ */
+function parseResumeText(text) {
+  const lines = String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\t/g, ' ')
+    .split('\n')
+    .map(line => line.replace(/\s{2,}/g, ' ').trim());
+
+  const sections = splitSections(lines);
+
+  return {
+    personal: parsePersonal(sections.header, lines),
+    summary: joinProse(sections.summary),
+    experience: parseEntries(sections.experience, 'experience'),
+    education: parseEntries(sections.education, 'education'),
+    skills: parseSkills(sections.skills),
+    projects: parseProjects(sections.projects),
+    certifications: stripBullets(sections.certifications)
+  };
+}
+
+/**
+ * Whether a parse found enough to stand on its own (a name plus work history or education)
+ * @param {Object} data - Result of parseResumeText
+ * @returns {boolean}
+ */
+function isCompleteParse(data) {
+  return Boolean(data.personal.name) && (data.experience.length > 0 || data.education.length > 0);
+}
+
+/**
+ * Whether a parse found anything at all
+ * @param {Object} data - Result of parseResumeText
+ * @returns {boolean}
+ */
+function isEmptyParse(data) {
+  return !data.personal.name && !data.personal.email &&
+    ['experience', 'education', 'skills', 'projects'].every(key => data[key].length === 0);
+}
+
+// Group lines under the section heading they follow; lines before the first heading are the header
+function splitSections(lines) {
+  const sections = { header: [] };
+  let current = 'header';
+
+  for (const line of lines) {
+    const heading = detectHeading(line);
+
+    if (heading) {
+      current = heading;
+      sections[current] = sections[current] || [];
+      continue;
+    }
+
+    sections[current] = sections[current] || [];
+    sections[current].push(line);
+  }
+
+  for (const section of Object.keys(SECTION_HEADINGS)) {
+    sections[section] = sections[section] || [];
+  }
+
+  return sections;
+}
+
+function detectHeading(line) {
+  if (!line || line.length > 40 || BULLET.test(line)) return null;
+
+  const normalized = line
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  for (const [section, headings] of Object.entries(SECTION_HEADINGS)) {
+    if (headings.includes(normalized)) return section;
+  }
+
+  return null;
+}
+
+function parsePersonal(header, allLines) {
+  const text = header.join('\n');
+  // Contact details sometimes sit in a footer; fall back to the whole document
+  const email = (text.match(EMAIL) || allLines.join('\n').match(EMAIL) || [])[0] || '';
+  const phone = findPhone(text) || findPhone(allLines.join('\n'));
+  const withoutEmails = text.replace(new RegExp(EMAIL.source, 'gi'), ' ');
+  const links = [...new Set((withoutEmails.match(URL) || []).map(link => link.replace(/[.,]$/, '')))];
+
+  const candidates = header.filter(Boolean);
+  const name = candidates.find(line => /^[\p{L}][\p{L}'’.-]*(\s+[\p{L}][\p{L}'’.-]*){1,4}$/u.test(line) &&
+    !EMAIL.test(line) && !TITLE_WORDS.test(line)) || '';
+
+  let title = '';
+  let location = '';
+  for (const line of candidates) {
+    if (line === name) continue;
+
+    for (const part of line.split(/\s*[|•·]\s*/)) {
+      if (!part || EMAIL.test(part) || part.match(URL) || findPhone(part)) continue;
+
+      if (!title && TITLE_WORDS.test(part) && part.length <= 80) {
+        title = part;
+      } else if (!location && /^[\p{L} .'-]+,\s*[\p{L} .'-]+$/u.test(part) && part.length <= 60) {
+        location = part;
+      }
+    }
+  }
+
+  return { name, title, email, phone, location, links };
+}
+
+function findPhone(text) {
+  for (const match of text.match(PHONE) || []) {
+    const digits = match.replace(/\D/g, '');
+    // Year ranges ("2019 - 2021") look like phone numbers too
+    if (digits.length >= 8 && digits.length <= 15 && !DATE_RANGE.test(match)) {
+      return match.trim();
+    }
+  }
+  return '';
+}
+
+function joinProse(lines) {
+  return lines.filter(Boolean).map(line => line.replace(BULLET, '')).join(' ').trim();
+}
+
+function stripBullets(lines) {
+  return lines.filter(Boolean).map(line => line.replace(BULLET, '').trim()).filter(Boolean);
+}
+
+// Experience and education entries are anchored on their dates: the dated line plus the
+// short, unbulleted lines right above it form the entry header, the lines after it the description
+function parseEntries(lines, type) {
+  const anchors = [];
+  lines.forEach((line, index) => {
+    if (!line || BULLET.test(line)) return;
+    if (DATE_RANGE.test(line) || (type === 'education' && SINGLE_DATE.test(line))) anchors.push(index);
+  });
+
+  if (anchors.length === 0) {
+    return splitByBlankLines(lines).map(block => buildEntry(type, block.slice(0, 2), block.slice(2), null));
+  }
+
+  const entries = [];
+  let previousEnd = 0;
+
+  anchors.forEach((anchor, position) => {
+    let start = anchor;
+    while (start > previousEnd && start > anchor - 2 && isHeaderLine(lines[start - 1])) {
+      start--;
+    }
+
+    const nextAnchor = anchors[position + 1];
+    let end = lines.length;
+    if (nextAnchor !== undefined) {
+      end = nextAnchor;
+      while (end > anchor + 1 && end > nextAnchor - 2 && isHeaderLine(lines[end - 1])) {
+        end--;
+      }
+    }
+
+    const dateLine = lines[anchor];
+    const headerLines = [...lines.slice(start, anchor), dateLine.replace(DATE_RANGE, '').replace(SINGLE_DATE, ' ')];
+    entries.push(buildEntry(type, headerLines, lines.slice(anchor + 1, end), dateLine));
+    previousEnd = end;
+  });
+
+  return entries;
+}
+
+function isHeaderLine(line) {
+  return Boolean(line) && !BULLET.test(line) && line.length <= 80 && !/[.;]$/.test(line) && !DATE_RANGE.test(line);
+}
+
+function splitByBlankLines(lines) {
+  const blocks = [];
+  let block = [];
+
+  for (const line of lines) {
+    if (line) {
+      block.push(line);
+    } else if (block.length > 0) {
+      blocks.push(block);
+      block = [];
+    }
+  }
+  if (block.length > 0) blocks.push(block);
+
+  return blocks;
+}
+
+function buildEntry(type, headerLines, bodyLines, dateLine) {
+  const parts = headerLines
+    .flatMap(line => splitHeader(line))
+    .filter(part => part && !/^(remote|hybrid|on-?site)$/i.test(part));
+  const { start_date, end_date } = parseDates(dateLine);
+  const description = bodyLines
+    .filter(Boolean)
+    .map(line => (BULLET.test(line) ? `- ${line.replace(BULLET, '').trim()}` : line))
+    .join('\n');
+
+  if (type === 'education') {
+    const degree = parts.find(part => DEGREE_WORDS.test(part)) || '';
+    const institution = parts.find(part => SCHOOL_WORDS.test(part)) ||
+      parts.find(part => part !== degree) || '';
+
+    return { institution, degree, start_date, end_date, description };
+  }
+
+  // "Engineer at Company" names both; otherwise look for the part that reads like a job title
+  const atMatch = headerLines.join(' ').match(/^(.+?)\s+at\s+(.+?)(?:\s*[|,–—]|$)/i);
+  let title = atMatch && TITLE_WORDS.test(atMatch[1]) ? atMatch[1].trim() : '';
+  let company = atMatch && title ? atMatch[2].trim() : '';
+
+  if (!title) {
+    title = parts.find(part => TITLE_WORDS.test(part)) || parts[0] || '';
+    company = parts.find(part => part !== title && !isLocation(part)) || '';
+  }
+
+  return { company, title, start_date, end_date, description };
+}
+
+function splitHeader(line) {
+  return String(line || '')
+    .split(SEPARATOR)
+    .map(part => part.replace(/[()]/g, '').trim())
+    .filter(Boolean);
+}
+
+function isLocation(part) {
+  return /^[\p{L} .'-]+,\s*[\p{L} .'-]+$/u.test(part) && !TITLE_WORDS.test(part) && !SCHOOL_WORDS.test(part);
+}
+
+// "Mar 2021 - Present" -> { start_date: '2021-03', end_date: 'Present' }; "2018" -> end date only
+function parseDates(line) {
+  if (!line) return { start_date: '', end_date: '' };
+
+  const range = line.match(DATE_RANGE);
+  if (range) {
+    return { start_date: normalizeDate(range[1]), end_date: normalizeDate(range[2]) };
+  }
+
+  const single = line.match(SINGLE_DATE);
+  return { start_date: '', end_date: single ? normalizeDate(single[1]) : '' };
+}
+
+function normalizeDate(value) {
+  const text = String(value).trim().toLowerCase();
+  if (/^(present|current|now|today)$/.test(text)) return 'Present';
+
+  const year = text.match(/(19|20)\d{2}/)[0];
+  const monthName = MONTHS.findIndex(month => text.startsWith(month));
+  const numericMonth = text.match(/^(\d{1,2})[/.]/);
+  const month = monthName !== -1 ? monthName + 1 : (numericMonth ? parseInt(numericMonth[1]) : 0);
+
+  return month >= 1 && month <= 12 ? `${year}-${String(month).padStart(2, '0')}` : year;
+}
+
+function parseSkills(lines) {
+  const seen = new Set();
+  const skills = [];
+
+  for (const line of stripBullets(lines)) {
+    // "Languages: JavaScript, Go" lists skills under a category label
+    const list = line.includes(':') ? line.slice(line.indexOf(':') + 1) : line;
+
+    for (const raw of list.split(/\s*[,;|•·]\s*/)) {
+      const skill = raw.replace(/\.$/, '').trim();
+      if (!skill || skill.length > 40 || seen.has(skill.toLowerCase())) continue;
+
+      seen.add(skill.toLowerCase());
+      skills.push(skill);
+    }
+  }
+
+  return skills;
+}
+
+// A project starts at an unbulleted line after a blank line or after the previous project's bullets
+function parseProjects(lines) {
+  const projects = [];
+  let current = null;
+  let previous = '';
+
+  for (const line of lines) {
+    if (!line) {
+      previous = line;
+      continue;
+    }
+
+    const isBullet = BULLET.test(line);
+    const startsProject = !isBullet && line.length <= 100 &&
+      (!current || !previous || BULLET.test(previous) || current.lines.length > 0 && /[.]$/.test(previous));
+
+    if (startsProject) {
+      current = { header: line, lines: [] };
+      projects.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+    previous = line;
+  }
+
+  return projects.map(project => {
+    const [name, ...rest] = project.header.split(/\s+(?:\||–|—|-)\s+|:\s+/);
+    const urls = [project.header, ...project.lines].join(' ').match(URL) || [];
+    const description = [rest.join(' - '), ...project.lines.map(line => line.replace(BULLET, '').trim())]
+      .filter(Boolean)
+      .join('\n');
+
+    return {
+      name: name.trim(),
+      description,
+      url: urls[0] || ''
+    };
+  });
+}
+
+module.exports = {
+  parseResumeText,
+  isCompleteParse,
+  isEmptyParse
+};
@@ -0,0 +1,33 @@
+const { testConnection } = require('./database');
+const { Integration } = require('../models');
+
+// Re-encrypt integration tokens with the first key in TOKEN_ENCRYPTION_KEYS.
+// Also encrypts tokens stored before encryption at rest was introduced.
+async function rotateTokens() {
+  try {
+    console.log('🔐 Re-encrypting integration tokens...');
+
+    await testConnection();
+
+    const result = await Integration.reencryptTokens();
+
+    console.log(`✅ Checked ${result.checked} integrations, re-encrypted ${result.reencrypted}`);
+
+    if (result.failed > 0) {
+      console.error(`❌ ${result.failed} integrations could not be re-encrypted (is their old key still configured?)`);
+      process.exit(1);
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Token rotation failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run rotation if called directly
+if (require.main === module) {
+  rotateTokens();
+}
+
+module.exports = { rotateTokens };
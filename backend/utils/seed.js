@@ -173,6 +173,7 @@ async function seed() {
       console.log('🧹 Cleaning existing data...');
       
       // Delete in correct order (reverse of dependencies)
+      await models.ContactMessage.destroy({ where: {} });
       await models.PortfolioIteration.destroy({ where: {} });
       await models.Integration.destroy({ where: {} });
       await models.Portfolio.destroy({ where: {} });